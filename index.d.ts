@@ -17,6 +17,68 @@ declare namespace Flatten {
         className?: string
     }
 
+    interface GeoJSONOptions {
+        maxChordHeight?: number
+    }
+
+    interface WKTOptions {
+        curves?: boolean,
+        maxChordHeight?: number
+    }
+
+    interface SVGPathOptions {
+        maxChordHeight?: number
+    }
+
+    interface Context {
+        tolerance?: number,
+        robust?: boolean
+    }
+
+    interface LinearizeOptions {
+        maxChordHeight?: number,
+        maxSegments?: number
+    }
+
+    interface TriangulationOptions {
+        maxChordHeight?: number,
+        indices?: boolean
+    }
+
+    interface Triangulation {
+        vertices: Point[],
+        triangles: [number, number, number][]
+    }
+
+    type ValidationErrorType = "ZERO_LENGTH_EDGE" | "DUPLICATE_VERTEX" | "SELF_INTERSECTION" | "OVERLAPPING_FACES" |
+        "HOLE_OUTSIDE_SHELL" | "WRONG_ORIENTATION" | "NOT_ORIENTABLE";
+
+    interface ValidationError {
+        type: ValidationErrorType,
+        faces: Face[],
+        edges: PolygonEdge[],
+        points: Point[]
+    }
+
+    interface ValidationReport {
+        valid: boolean,
+        errors: ValidationError[]
+    }
+
+    interface SimplifyOptions {
+        preserveTopology?: boolean,
+        fitArcs?: boolean
+    }
+
+    interface ArcFittingOptions {
+        cornerAngle?: number
+    }
+
+    interface GeoJSONGeometry {
+        type: "Point" | "LineString" | "Polygon" | "MultiPolygon",
+        coordinates: any[]
+    }
+
     type Comparable = any;      // any object that implements operators '<' and '==' and 'max'
     type Value = any;
 
@@ -100,6 +162,7 @@ declare namespace Flatten {
         set E2E(geom: Array<Shape>);
 
         toString() : string;
+        transpose() : DE9IM;
     }
 
     const CCW = true;
@@ -137,7 +200,12 @@ declare namespace Flatten {
         contains(pt: Point): boolean;
         split(pt: Point): [Arc | undefined, Arc | undefined];
         middle(): Point;
+        pointAtLength(length: number): Point | null;
+        tangentAt(length: number): Vector | null;
+        normalAt(length: number): Vector | null;
+        curvatureAt(length: number): number | null;
         chordHeight(): number;
+        toSegments(options?: LinearizeOptions): Segment[];
         intersect(shape: Shape): Array<Point>;
         distanceTo(geom: Shape | PlanarSet): [number, Segment];
         breakToFunctional(): Array<Arc>;
@@ -147,7 +215,57 @@ declare namespace Flatten {
         translate(vec: Vector): Arc;
         translate(x:number, y:number): Arc;
         rotate(angle: number, center: Point): Arc;
-        transform(matrix?: Matrix): Arc;
+        transform(matrix?: Matrix): Arc | EllipticalArc;
+        sortPoints(pts: Array<Point>): Array<Point>;
+        toGeoJSON(options?: GeoJSONOptions) : GeoJSONGeometry;
+        toWKT(options?: WKTOptions) : string;
+        toJSON() : Object;
+        svg(attrs?: SVGAttributes): string;
+    }
+
+    class Bezier {
+        // members
+        controls: Point[];
+
+        constructor(...controls: Point[]);
+        constructor(controls: Point[]);
+
+        // getters
+        readonly degree: number;
+        readonly start: Point;
+        readonly end: Point;
+        readonly vertices: [Point, Point];
+        readonly coefficients: [number[], number[]];
+        readonly length: number;
+        readonly box: Box;
+
+        // public methods
+        clone(): Bezier;
+        equalTo(bezier: Bezier): boolean;
+        pointAtParameter(t: number): Point;
+        derivativeAtParameter(t: number): Vector;
+        parameterAtLength(length: number): number;
+        parameterOf(pt: Point): number;
+        contains(pt: Point): boolean;
+        splitAtParameter(t: number): [Bezier, Bezier];
+        split(pt: Point): [Bezier | null, Bezier | null];
+        middle(): Point;
+        pointAtLength(length: number): Point | null;
+        tangentAt(length: number): Vector | null;
+        normalAt(length: number): Vector | null;
+        curvatureAt(length: number): number | null;
+        toSegments(options?: LinearizeOptions): Segment[];
+        intersect(shape: Shape): Array<Point>;
+        distanceTo(geom: Shape | PlanarSet): [number, Segment];
+        tangentInStart(): Vector;
+        tangentInEnd(): Vector;
+        reverse(): Bezier;
+        translate(vec: Vector): Bezier;
+        translate(x:number, y:number): Bezier;
+        rotate(angle: number, center: Point): Bezier;
+        transform(matrix?: Matrix): Bezier;
+        isZeroLength(): boolean;
+        definiteIntegral(ymin?: number): number;
         sortPoints(pts: Array<Point>): Array<Point>;
         toJSON() : Object;
         svg(attrs?: SVGAttributes): string;
@@ -179,6 +297,9 @@ declare namespace Flatten {
         toPoints() : Array<Point>;
         toSegments() : Array<Segment>;
         output(): Box;         // required by base type Interval
+        toGeoJSON() : GeoJSONGeometry;
+        toWKT() : string;
+        toJSON() : Object;
         svg(attrs?: SVGAttributes): string;
 
         comparable_max(arg1: Comparable, arg2: Comparable) : Comparable;
@@ -200,8 +321,105 @@ declare namespace Flatten {
         clone(): Circle;
         contains(shape: Shape): boolean;
         toArc(counterclockwise?: ArcOrientationType): Arc;
+        toPolygon(options?: LinearizeOptions): Polygon;
         intersect(shape: Shape): Array<Point>;
         distanceTo(geom: Shape | PlanarSet): [number, Segment];
+        transform(matrix?: Matrix): Circle | Ellipse;
+        toGeoJSON(options?: GeoJSONOptions) : GeoJSONGeometry;
+        toWKT(options?: WKTOptions) : string;
+        toJSON() : Object;
+        svg(attrs?: SVGAttributes): string;
+    }
+
+    type EllipseEquation = (x: number[], y: number[], w: number[], dx: number[], dy: number[]) => number[];
+
+    class Ellipse {
+        constructor(pc?: Point, rx?: number, ry?: number, angle?: number);
+
+        // members
+        pc: Point;
+        rx: number;
+        ry: number;
+        angle: number;
+
+        // getters
+        readonly box: Box;
+        readonly center: Point;
+        readonly axes: [Vector, Vector];
+
+        // public methods
+        clone(): Ellipse;
+        pointAtAngle(angle: number): Point;
+        derivativeAtAngle(angle: number): Vector;
+        angleOf(pt: Point): number;
+        parametricRoots(equation: EllipseEquation, tol?: number): number[];
+        contains(shape: Shape): boolean;
+        toArc(counterclockwise?: ArcOrientationType): EllipticalArc;
+        intersect(shape: Shape): Array<Point>;
+        distanceTo(geom: Shape | PlanarSet): [number, Segment];
+        translate(vec: Vector): Ellipse;
+        translate(x:number, y:number): Ellipse;
+        rotate(angle?: number, center?: Point): Ellipse;
+        transform(matrix?: Matrix): Ellipse;
+        static fromConjugateDiameters(pc: Point, u: Vector, v: Vector): Ellipse;
+        toJSON() : Object;
+        svg(attrs?: SVGAttributes): string;
+    }
+
+    class EllipticalArc {
+        constructor(
+            pc?: Point,
+            rx?: number,
+            ry?: number,
+            angle?: number,
+            startAngle?: number,
+            endAngle?: number,
+            counterClockwise?: ArcOrientationType
+        );
+
+        // members
+        pc: Point;
+        rx: number;
+        ry: number;
+        angle: number;
+        startAngle: number;
+        endAngle: number;
+        counterClockwise: ArcOrientationType;
+
+        // getters
+        readonly ellipse: Ellipse;
+        readonly start: Point;
+        readonly end: Point;
+        readonly center: Point;
+        readonly length: number;
+        readonly sweep: number;
+        readonly vertices: [Point, Point];
+        readonly box: Box;
+
+        // public methods
+        clone(): EllipticalArc;
+        pointAtAngle(angle: number): Point;
+        derivativeAtAngle(angle: number): Vector;
+        containsAngle(angle: number): boolean;
+        parametricRoots(equation: EllipseEquation, tol?: number): number[];
+        contains(pt: Point): boolean;
+        split(pt: Point): [EllipticalArc | null, EllipticalArc | null];
+        middle(): Point;
+        angleAtLength(length: number): number;
+        toSegments(options?: LinearizeOptions): Segment[];
+        pointAtLength(length: number): Point | null;
+        tangentAt(length: number): Vector | null;
+        normalAt(length: number): Vector | null;
+        curvatureAt(length: number): number | null;
+        intersect(shape: Shape): Array<Point>;
+        distanceTo(geom: Shape | PlanarSet): [number, Segment];
+        tangentInStart(): Vector;
+        tangentInEnd(): Vector;
+        reverse(): EllipticalArc;
+        translate(vec: Vector): EllipticalArc;
+        translate(x:number, y:number): EllipticalArc;
+        rotate(angle?: number, center?: Point): EllipticalArc;
+        transform(matrix?: Matrix): EllipticalArc;
         toJSON() : Object;
         svg(attrs?: SVGAttributes): string;
     }
@@ -261,6 +479,10 @@ declare namespace Flatten {
         distanceTo(geom: Shape | PlanarSet): [number, Segment];
         leftTo(line: Line): boolean;
         on(shape: Point | Shape): boolean;
+        toGeoJSON() : GeoJSONGeometry;
+        toWKT() : string;
+        static fromGeoJSON(geojson: Object) : Point;
+        static fromWKT(wkt: string) : Point;
         toJSON() : Object;
         svg(attrs?: SVGAttributes): string;
     }
@@ -282,6 +504,7 @@ declare namespace Flatten {
         contains(pt: Point): boolean;
         split(pt: Point[]): Shape[];
         intersect(shape: Segment | Arc): Point[];
+        toJSON() : Object;
         svg(box: Box, attrs?: SVGAttributes): string;
     }
 
@@ -311,12 +534,20 @@ declare namespace Flatten {
         reverse(): Segment;
         split(pt: Point): [Segment|null,Segment|null];
         middle(): Point;
+        pointAtLength(length: number): Point | null;
+        tangentAt(length: number): Vector | null;
+        normalAt(length: number): Vector | null;
+        curvatureAt(length: number): number | null;
         rotate(angle: number, center?: Point): Segment;
         transform(matrix: Matrix): Segment;
         translate(vec: Vector): Segment;
         translate(x: number, y: number): Segment;
         isZeroLength(): boolean;
         sortPoint(points: Array<Point>) : Array<Point>;
+        toGeoJSON() : GeoJSONGeometry;
+        toWKT() : string;
+        static fromGeoJSON(geojson: Object) : Segment;
+        static fromWKT(wkt: string) : Segment;
         toJSON() : Object;
         svg(attrs?: SVGAttributes): string;
     }
@@ -365,6 +596,7 @@ declare namespace Flatten {
         // public methods
         clone(): Matrix;
         equalTo(matrix: Matrix): boolean;
+        isSimilarity(): boolean;
         multiply(matrix: Matrix): Matrix;
         rotate(angle: number): Matrix;
         scale(sx: number, sy: number): Matrix;
@@ -379,22 +611,72 @@ declare namespace Flatten {
         box: Interval;
     }
 
+    interface NearestNeighbour {
+        shape: IndexableElement,
+        distance: number,
+        segment: Segment
+    }
+
+    interface SpatialIndex {
+        insert(key: Box, value: any): any;
+        remove(key: Box, value: any): boolean;
+        search(box: Box): any[];
+    }
+
+    interface RTreeItem {
+        key: Box,
+        value: any
+    }
+
+    class RTree implements SpatialIndex {
+        constructor(maxEntries?: number);
+
+        // members
+        maxEntries: number;
+        minEntries: number;
+
+        // getters
+        readonly size: number;
+        readonly items: RTreeItem[];
+        readonly values: any[];
+
+        // public methods
+        isEmpty(): boolean;
+        clear(): void;
+        insert(key: Box, value: any): RTreeItem;
+        exist(key: Box, value: any): boolean;
+        remove(key: Box, value: any): boolean;
+        search(box: Box): any[];
+        load(items: RTreeItem[]): RTree;
+    }
+
     // @ts-ignore (Set)
     class PlanarSet extends Set {
-        constructor();
+        constructor(Index?: new () => SpatialIndex);
 
         // members
-        index: IntervalTree;
+        index: IntervalTree | RTree | SpatialIndex;
 
         // public methods
         add(element: IndexableElement): this;
+        load(elements: IndexableElement[]): this;
         delete(element: IndexableElement): boolean;
         clear() : void;
         hit(pt: Point): IndexableElement[];
         search(box: Box): IndexableElement[];
+        nearest(shape: Shape, k?: number): NearestNeighbour[];
+        withinDistance(shape: Shape, dist: number): NearestNeighbour[];
+        toJSON(): PlanarSetJSON;
+        static fromJSON(json: PlanarSetJSON | Object[], Index?: new () => SpatialIndex): PlanarSet;
         svg(): string;
     }
 
+    interface PlanarSetJSON {
+        name: "planarSet",
+        index?: "intervalTree" | "rtree",
+        shapes: Object[]
+    }
+
 
     const INSIDE = 1;
     const OUTSIDE = 0;
@@ -428,15 +710,20 @@ declare namespace Flatten {
         // public methods
         isSegment() : boolean;
         isArc() : boolean;
+        isBezier() : boolean;
         contains(pt: Point): boolean;
         middle(): Point;
+        pointAtLength(length: number): Point | null;
+        tangentAt(length: number): Vector | null;
+        normalAt(length: number): Vector | null;
+        curvatureAt(length: number): number | null;
         setInclusion(polygon: Polygon): EdgeRelationType;
         setOverlap(edge: Edge) : EdgeOverlappingType;
     }
 
     class PolygonEdge extends Edge {
-        shape: Segment | Arc;
-        constructor(shape: Segment | Arc);
+        shape: Segment | Arc | Bezier;
+        constructor(shape: Segment | Arc | Bezier);
     }
 
     class Face extends CircularLinkedList {
@@ -450,6 +737,7 @@ declare namespace Flatten {
         readonly box: Box;
         readonly size: number;
         readonly edges: PolygonEdge[];
+        readonly perimeter: number;
 
         // public methods
         append(edge: PolygonEdge): Face;
@@ -457,6 +745,11 @@ declare namespace Flatten {
         remove(element: PolygonEdge): Face;
         reverse(): void;
         setArcLength(): void;
+        pointAtLength(length: number): Point | null;
+        tangentAt(length: number): Vector | null;
+        normalAt(length: number): Vector | null;
+        curvatureAt(length: number): number | null;
+        fitArcs(tolerance: number, options?: ArcFittingOptions): Face;
         area(): number;
         signedArea(): number;
         orientation(): Flatten.ORIENTATION.PolygonOrientationType;
@@ -467,7 +760,7 @@ declare namespace Flatten {
     }
 
     type NumericPair = [number,number];
-    type ConstructorEdgeShape = Point | Segment | Arc ;
+    type ConstructorEdgeShape = Point | Segment | Arc | Bezier ;
     type LoopOfShapes = Array<ConstructorEdgeShape | NumericPair>;
     type MultiLoopOfShapes = Array<LoopOfShapes | Circle | Box>;
 
@@ -486,8 +779,12 @@ declare namespace Flatten {
         clone(): Polygon;
         isEmpty(): boolean;
         isValid(): boolean;
+        validate(): ValidationReport;
+        makeValid(): Polygon;
+        simplify(tolerance: number, options?: SimplifyOptions): Polygon;
+        linearize(options?: LinearizeOptions): Polygon;
         area(): number;
-        addFace(args: Array<Point> | Array<Segment | Arc> | Circle | Box): Face;
+        addFace(args: Array<Point> | Array<Segment | Arc | Bezier> | Circle | Box): Face;
         deleteFace(face: Face): boolean;
         removeChain(face: Face, edgeFrom: PolygonEdge, edgeTo: PolygonEdge): void;
         addVertex(edge: PolygonEdge, pt: Point): PolygonEdge;
@@ -496,18 +793,28 @@ declare namespace Flatten {
         findEdgeByPoint(pt: Point): PolygonEdge;
         splitToIslands() : Polygon[];
         reverse(): Polygon;
-        contains(shape: Shape): boolean;
+        contains(shape: Shape, context?: Context): boolean;
         distanceTo(shape: Shape): [number, Segment];
         intersect(shape: Shape): Point[];
         rotate(angle?: number, center?: Point): Polygon;
         transform(matrix?: Matrix): Polygon;
         translate(vec: Vector): Polygon;
+        offset(d: number): Polygon;
+        triangulate(options?: TriangulationOptions & {indices?: false}): Polygon[];
+        triangulate(options: TriangulationOptions & {indices: true}): Triangulation;
+        toGeoJSON(options?: GeoJSONOptions) : GeoJSONGeometry;
+        toWKT(options?: WKTOptions) : string;
+        static fromGeoJSON(geojson: Object) : Polygon;
+        static fromWKT(wkt: string) : Polygon;
+        toBinary() : ArrayBuffer;
+        static fromBinary(buffer: ArrayBuffer | ArrayBufferView) : Polygon;
+        static fromSVGPath(d: string, options?: SVGPathOptions) : Polygon;
         toJSON() : Object;
         toArray() : Polygon[];
         svg(attrs?: SVGAttributes): string;
     }
 
-    type MultilineEdgeShape = Segment | Arc | Ray | Line;
+    type MultilineEdgeShape = Segment | Arc | Bezier | Ray | Line;
     type MultilineShapes = Array<MultilineEdgeShape> | [Line]
 
     class MultilineEdge extends Edge {
@@ -522,8 +829,19 @@ declare namespace Flatten {
         get edges() : MultilineEdge[];
         get vertices(): Point[];
         get box(): Box;
+        get length(): number;
 
         clone(): Multiline;
+        contains(pt: Point): boolean;
+        reverse(): Multiline;
+        intersect(shape: Shape): Point[];
+        distanceTo(geom: Shape | PlanarSet): [number, Segment];
+        pointAtLength(length: number): Point | null;
+        tangentAt(length: number): Vector | null;
+        normalAt(length: number): Vector | null;
+        curvatureAt(length: number): number | null;
+        simplify(tolerance: number, options?: SimplifyOptions): Multiline;
+        fitArcs(tolerance: number, options?: ArcFittingOptions): Multiline;
         addVertex(pt: Point, edge: MultilineEdge): MultilineEdge;
         split(ip: Point[]) : Multiline;
         findEdgeByPoint(pt: Point): MultilineEdge | undefined;
@@ -531,11 +849,18 @@ declare namespace Flatten {
         transform(matrix?: Matrix): Multiline;
         translate(vec: Vector): Multiline;
         toShapes(): MultilineShapes;
+        toGeoJSON(options?: GeoJSONOptions) : GeoJSONGeometry;
+        toWKT(options?: WKTOptions) : string;
+        static fromGeoJSON(geojson: Object) : Multiline;
+        static fromWKT(wkt: string) : Multiline;
+        toBinary() : ArrayBuffer;
+        static fromBinary(buffer: ArrayBuffer | ArrayBufferView) : Multiline;
+        static fromSVGPath(d: string, options?: SVGPathOptions) : Multiline;
         toJSON() : Object;
         svg(attrs?: SVGAttributes): string;
     }
 
-    type Shape = Point | Line | Ray | Circle | Box | Segment | Arc | Polygon;
+    type Shape = Point | Line | Ray | Circle | Box | Segment | Arc | Bezier | Ellipse | EllipticalArc | Polygon | Multiline;
 
     function point(x?: number, y?: number): Point;
     function point(arr?: [number, number]);
@@ -547,12 +872,31 @@ declare namespace Flatten {
     function segment(arr: [number, number, number, number]) : Segment;
     function segment(psx: number, psy: number, pex: number, pey: number) : Segment;
     function arc(pc?: Point, r?: number, startAngle?: number, endAngle?: number, counterClockwise?: ArcOrientationType) : Arc;
+    function bezier(...controls: Point[]) : Bezier;
+    function ellipse(pc?: Point, rx?: number, ry?: number, angle?: number) : Ellipse;
+    function ellipticalArc(pc?: Point, rx?: number, ry?: number, angle?: number, startAngle?: number, endAngle?: number, counterClockwise?: ArcOrientationType) : EllipticalArc;
     function vector(x?: number, y?: number) : Vector;
     function vector(arr: [number, number]) : Vector;
     function vector(p1: Point, p2: Point) : Vector;
     function ray(pt?: Point) : Ray;
     function ray(x: number, y: number): Ray;
     function matrix(a: number, b: number, c: number, d: number, tx: number, ty: number) : Matrix;
+
+    function offset(shape: Polygon | Segment | Arc | Multiline, d: number) : Polygon;
+    function triangulate(polygon: Polygon, options?: TriangulationOptions & {indices?: false}) : Polygon[];
+    function triangulate(polygon: Polygon, options: TriangulationOptions & {indices: true}) : Triangulation;
+    function convexHull(shapes: Array<Point | Segment | Arc | Circle | Box | Polygon>) : Polygon;
+    function minkowskiSum(polygon1: Polygon, polygon2: Polygon) : Polygon;
+    function minkowskiDifference(polygon1: Polygon, polygon2: Polygon) : Polygon;
+    function validate(polygon: Polygon) : ValidationReport;
+    function makeValid(polygon: Polygon) : Polygon;
+    function simplify(polygon: Polygon, tolerance: number, options?: SimplifyOptions) : Polygon;
+    function simplify(multiline: Multiline, tolerance: number, options?: SimplifyOptions) : Multiline;
+    function fitArcs(face: Face, tolerance: number, options?: ArcFittingOptions) : Face;
+    function fitArcs(multiline: Multiline, tolerance: number, options?: ArcFittingOptions) : Multiline;
+    function fromJSON(json: Object | Object[]) : Shape | Multiline | Polygon | PlanarSet;
+    function toBinary(shape: Shape | Multiline | Polygon | PlanarSet) : ArrayBuffer;
+    function fromBinary(buffer: ArrayBuffer | ArrayBufferView) : Shape | Multiline | Polygon | PlanarSet;
 }
 
 declare namespace Flatten.ORIENTATION {
@@ -562,33 +906,68 @@ declare namespace Flatten.ORIENTATION {
     enum PolygonOrientationType {CCW, CW, NOT_ORIENTABLE}
 }
 
+declare namespace Flatten.VALIDATION_ERROR {
+    const ZERO_LENGTH_EDGE: "ZERO_LENGTH_EDGE";
+    const DUPLICATE_VERTEX: "DUPLICATE_VERTEX";
+    const SELF_INTERSECTION: "SELF_INTERSECTION";
+    const OVERLAPPING_FACES: "OVERLAPPING_FACES";
+    const HOLE_OUTSIDE_SHELL: "HOLE_OUTSIDE_SHELL";
+    const WRONG_ORIENTATION: "WRONG_ORIENTATION";
+    const NOT_ORIENTABLE: "NOT_ORIENTABLE";
+}
+
 declare namespace Flatten.Utils {
     var DP_TOL: number;
+    var ROBUST: boolean;
     function EQ_0(x: number) : boolean;
     function GT(x: number, y: number) : boolean;
     function GE(x: number, y: number) : boolean;
     function LT(x: number, y: number) : boolean;
     function LE(x: number, y: number) : boolean;
+    function setRobust(robust: boolean) : void;
+    function isRobust() : boolean;
+    function withContext<T>(context: Context | undefined, func: () => T) : T;
+    function normalizeAngle(angle: number) : number;
+}
+
+declare namespace Flatten.Predicates {
+    function orient2d(ax: number, ay: number, bx: number, by: number, cx: number, cy: number) : number;
+    function orientToLine(ax: number, ay: number, nx: number, ny: number, px: number, py: number) : number;
+    function incircle(ax: number, ay: number, bx: number, by: number, cx: number, cy: number, dx: number, dy: number) : number;
 }
 
 declare namespace Flatten.BooleanOperations {
-    function unify(polygon1: Polygon, polygon2: Polygon): Polygon;
-    function subtract(polygon1: Polygon, polygon2: Polygon): Polygon;
-    function intersect(polygon1: Polygon, polygon2: Polygon): Polygon;
-    function innerClip(polygon1: Polygon, polygon2: Polygon): [Shape[], Shape[]];
-    function outerClip(polygon1: Polygon, polygon2: Polygon): Shape[];
-    function calculateIntersections(polygon1: Polygon, polygon2: Polygon): [Point[],Point[]];
+    function unify(polygon1: Polygon, polygon2: Polygon, context?: Context): Polygon;
+    function subtract(polygon1: Polygon, polygon2: Polygon, context?: Context): Polygon;
+    function intersect(polygon1: Polygon, polygon2: Polygon, context?: Context): Polygon;
+    function xor(polygon1: Polygon, polygon2: Polygon, context?: Context): Polygon;
+    function unifyAll(polygons: Polygon[], context?: Context): Polygon;
+    function intersectAll(polygons: Polygon[], context?: Context): Polygon;
+    function innerClip(polygon1: Polygon, polygon2: Polygon, context?: Context): [Shape[], Shape[]];
+    function outerClip(polygon1: Polygon, polygon2: Polygon, context?: Context): Shape[];
+    function clipMultiline(multiline: Multiline, polygon: Polygon, context?: Context): {
+        inside: Multiline[],
+        outside: Multiline[],
+        boundary: Multiline[]
+    };
+    function calculateIntersections(polygon1: Polygon, polygon2: Polygon, context?: Context): [Point[],Point[]];
 }
 
 declare namespace Flatten.Relations {
-    function relate(shape1: Shape, shape2: Shape): DE9IM_matrix;
-    function equal(shape1: Shape, shape2: Shape): boolean;
-    function intersect(shape1: Shape, shape2: Shape): boolean;
-    function touch(shape1: Shape, shape2: Shape): boolean;
-    function disjoint(shape1: Shape, shape2: Shape): boolean;
-    function inside(shape1: Shape, shape2: Shape): boolean;
-    function covered(shape1: Shape, shape2: Shape): boolean;
-    function cover(shape1: Shape, shape2: Shape): boolean;
+    function relate(shape1: Shape, shape2: Shape, context?: Context): DE9IM_matrix;
+    function equal(shape1: Shape, shape2: Shape, context?: Context): boolean;
+    function intersect(shape1: Shape, shape2: Shape, context?: Context): boolean;
+    function touch(shape1: Shape, shape2: Shape, context?: Context): boolean;
+    function disjoint(shape1: Shape, shape2: Shape, context?: Context): boolean;
+    function inside(shape1: Shape, shape2: Shape, context?: Context): boolean;
+    function covered(shape1: Shape, shape2: Shape, context?: Context): boolean;
+    function cover(shape1: Shape, shape2: Shape, context?: Context): boolean;
+}
+
+declare namespace Flatten.Distance {
+    function distance(shape1: Shape, shape2: Shape, context?: Context): [number, Segment];
+    function nearest(shape: Shape, set: PlanarSet, k?: number, max_dist?: number): NearestNeighbour[];
+    function withinDistance(shape: Shape, set: PlanarSet, dist: number): NearestNeighbour[];
 }
 
 export default Flatten;
@@ -4,19 +4,26 @@
 
 import Flatten from './src/flatten';
 import * as Utils from "./src/utils/utils";
+import * as Predicates from "./src/utils/predicates";
 import * as Errors from "./src/utils/errors";
 import * as BooleanOperations from './src/algorithms/boolean_op';
 import * as Relations from './src/algorithms/relation';
 
-export {Utils, Errors};
+export {Utils, Errors, Predicates};
 export {Matrix, matrix} from './src/classes/matrix';
 export {PlanarSet} from './src/data_structures/planar_set';
+export {RTree} from './src/data_structures/rtree';
+export {fromJSON} from './src/utils/json';
+export {toBinary, fromBinary} from './src/utils/binary';
 export {Point, point} from './src/classes/point';
 export {Vector, vector} from './src/classes/vector';
 export {Segment, segment} from './src/classes/segment';
 export {Line, line} from './src/classes/line';
 export {Circle, circle} from './src/classes/circle';
 export {Arc, arc} from './src/classes/arc';
+export {Bezier, bezier} from './src/classes/bezier';
+export {Ellipse, ellipse} from './src/classes/ellipse';
+export {EllipticalArc, ellipticalArc} from './src/classes/elliptical_arc';
 export {Box, box} from './src/classes/box';
 export {Edge} from './src/classes/edge';
 export {Face} from './src/classes/face';
@@ -26,12 +33,19 @@ export {Multiline, multiline} from './src/classes/multiline';
 export {Polygon, polygon} from './src/classes/polygon';
 export {Distance} from './src/algorithms/distance';
 export {inverse} from './src/algorithms/inversion';
+export {offset} from './src/algorithms/offset';
+export {convexHull} from './src/algorithms/convex_hull';
+export {triangulate} from './src/algorithms/triangulation';
+export {minkowskiSum, minkowskiDifference} from './src/algorithms/minkowski';
+export {validate, makeValid} from './src/algorithms/validation';
+export {simplify} from './src/algorithms/simplify';
+export {fitArcs} from './src/algorithms/arc_fitting';
 export {BooleanOperations};
 export {Relations};
 
 Flatten.BooleanOperations = BooleanOperations;
 Flatten.Relations = Relations;
 
-export {CCW, CW, ORIENTATION, INSIDE, OUTSIDE, BOUNDARY} from './src/utils/constants';
+export {CCW, CW, ORIENTATION, INSIDE, OUTSIDE, BOUNDARY, VALIDATION_ERROR} from './src/utils/constants';
 
 export default Flatten;
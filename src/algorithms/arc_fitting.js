@@ -0,0 +1,260 @@
+/**
+ * @module ArcFitting
+ */
+"use strict";
+
+import Flatten from '../flatten';
+
+/**
+ * Arc fitting options
+ * @typedef {Object} ArcFittingOptions
+ * @property {number} [cornerAngle=Math.PI/6] - vertex where the direction of the chain turns by a larger angle
+ * is treated as a corner and kept as a vertex of the result
+ */
+
+/**
+ * Fit arcs and segments into a chain of short segments (biarc fitting). <br/>
+ * Chain is split at corners and at non-segment shapes, which are kept unchanged.
+ * Every run of segments between them is replaced by the longest pieces that stay
+ * within the tolerance from the original segments: either a single segment or a biarc -
+ * a pair of arcs tangent to each other and to the direction of the chain at the ends of the piece. <br/>
+ * For the face new face is returned, which belongs to the new polygon
+ * @param {Face|Multiline} shape - chain of segments
+ * @param {number} tolerance - maximal distance between original chain and fitted edges
+ * @param {ArcFittingOptions} [options] - arc fitting options
+ * @returns {Face|Multiline}
+ */
+export function fitArcs(shape, tolerance, options = {}) {
+    if (!(shape instanceof Flatten.Face || shape instanceof Flatten.Multiline) ||
+        typeof tolerance !== "number" || !(tolerance > 0)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    let {cornerAngle = Math.PI / 6} = options;
+    let closed = shape instanceof Flatten.Face;
+    let shapes = (closed ? shape.shapes : shape.toShapes())
+        .filter(item => !(item instanceof Flatten.Segment && item.isZeroLength()));
+    let fitted = fitChain(shapes, closed, {tolerance, cornerAngle});
+
+    if (!closed) {
+        return new Flatten.Multiline(fitted);
+    }
+    return new Flatten.Polygon().addFace(fitted);
+}
+
+/*
+ * Chain is split into runs of segments between corners and other shapes, which are kept unchanged.
+ * Closed chain without corners is fitted as a single run from its first vertex back to itself
+ */
+function fitChain(shapes, closed, fitter) {
+    let n = shapes.length;
+    let corner = i => !(shapes[i] instanceof Flatten.Segment) ||
+        !(shapes[(i + n - 1) % n] instanceof Flatten.Segment) ||
+        turn(shapes[(i + n - 1) % n], shapes[i]) > fitter.cornerAngle;
+
+    if (closed) {
+        let first = shapes.findIndex((shape, i) => corner(i));
+        if (first > 0) {
+            shapes = [...shapes.slice(first), ...shapes.slice(0, first)];
+        }
+    }
+
+    let fitted = [];
+    let run = [];
+    for (let i = 0; i < n; i++) {
+        let shape = shapes[i];
+        if (run.length > 0 && (!(shape instanceof Flatten.Segment) || turn(run[run.length - 1], shape) > fitter.cornerAngle)) {
+            fitted.push(...fitRun(run, closed && run.length === n, fitter));
+            run = [];
+        }
+        if (shape instanceof Flatten.Segment) {
+            run.push(shape);
+        }
+        else {
+            fitted.push(shape);
+        }
+    }
+    fitted.push(...fitRun(run, closed && run.length === n, fitter));
+    return fitted;
+}
+
+/*
+ * Closed run without corners is fitted in two halves, so that no piece starts and ends at the same vertex
+ */
+function fitRun(segments, smooth, fitter) {
+    if (segments.length < 2) {
+        return segments;
+    }
+    let n = segments.length;
+    let bounds = smooth ? [0, Math.floor(n / 2), n] : [0, n];
+    let fitted = [];
+    for (let i = 0; i + 1 < bounds.length; i++) {
+        for (let piece of fitPieces(segments, smooth, bounds[i], bounds[i + 1], fitter.tolerance)) {
+            fitted.push(...piece.shapes);
+        }
+    }
+    return fitted;
+}
+
+/**
+ * Cover part of the run of segments from the start of segments[from] to the end of segments[to - 1]
+ * with pieces, where each piece is a segment or a biarc within the tolerance from the segments it replaces.
+ * Range is covered greedily: from the current vertex take the longest piece that may be replaced.
+ * Single segment is replaced by biarc when possible, to keep the result tangent continuous. <br/>
+ * Shared by [fitArcs]{@link module:ArcFitting.fitArcs} and by simplify() with fitArcs option
+ * @param {Segment[]} segments - run of connected segments
+ * @param {boolean} smooth - run is closed and the chain has no corner at its start
+ * @param {number} from - index of the first segment of the range
+ * @param {number} to - index after the last segment of the range
+ * @param {number} tolerance - maximal distance between original segments and fitted piece
+ * @returns {Object[]} - array of pieces {shapes, from, to}, where shapes replace segments from "from" to "to"
+ */
+export function fitPieces(segments, smooth, from, to, tolerance) {
+    let points = [segments[0].start, ...segments.map(segment => segment.end)];
+    let tangents = vertexTangents(segments, smooth);
+    let pieces = [];
+    let i = from;
+    while (i < to) {
+        let [shapes, last] = [singlePiece(segments, points, tangents, i, tolerance), i + 1];
+        for (let j = i + 2; j <= to; j++) {
+            let candidate = fitPiece(segments, points, tangents, i, j, tolerance);
+            if (!candidate) break;
+            [shapes, last] = [candidate, j];
+        }
+        pieces.push({shapes, from: i, to: last});
+        i = last;
+    }
+    return pieces;
+}
+
+/*
+ * Unit tangent at each vertex of the run: bisector of the adjacent segments inside the run,
+ * direction of the first and the last segment at the ends, unless the closed run is smooth at its start
+ */
+function vertexTangents(segments, smooth) {
+    let directions = segments.map(segment => new Flatten.Vector(segment.start, segment.end).normalize());
+    let n = directions.length;
+    let tangents = [directions[0]];
+    for (let i = 1; i < n; i++) {
+        tangents.push(bisector(directions[i - 1], directions[i]));
+    }
+    tangents.push(directions[n - 1]);
+    if (smooth) {
+        tangents[0] = tangents[n] = bisector(directions[n - 1], directions[0]);
+    }
+    return tangents;
+}
+
+/*
+ * Returns segment or biarc from points[from] to points[to], or undefined if it deviates from
+ * the original segments more than the tolerance
+ */
+function fitPiece(segments, points, tangents, from, to, tolerance) {
+    let [start, end] = [points[from], points[to]];
+    if (start.equalTo(end)) {
+        return undefined;
+    }
+    let chord = new Flatten.Segment(start, end);
+    let candidates = [[chord]];
+    let biarc = biarcSE(start, tangents[from], end, tangents[to]);
+    if (biarc) {
+        candidates.push(biarc);
+    }
+    let original = segments.slice(from, to);
+    return candidates.find(shapes => withinTolerance(original, shapes, tolerance) &&
+        withinTolerance(shapes, original, tolerance));
+}
+
+function singlePiece(segments, points, tangents, i, tolerance) {
+    let original = [segments[i]];
+    let biarc = biarcSE(points[i], tangents[i], points[i + 1], tangents[i + 1]);
+    if (biarc && biarc.some(shape => shape instanceof Flatten.Arc) &&
+        withinTolerance(original, biarc, tolerance) && withinTolerance(biarc, original, tolerance)) {
+        return biarc;
+    }
+    return original;
+}
+
+/*
+ * Biarc with equal tangent lengths from start point with tangent t0 to end point with tangent t1
+ */
+function biarcSE(start, t0, end, t1) {
+    let v = new Flatten.Vector(start, end);
+    let t = t0.add(t1);
+    let a = 2 * (t0.dot(t1) - 1);
+    let b = -2 * v.dot(t);
+    let c = v.dot(v);
+    let d;
+    if (Flatten.Utils.EQ_0(a)) {
+        if (!Flatten.Utils.LT(b, 0)) return undefined;
+        d = -c / b;
+    }
+    else {
+        d = (-b - Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+    }
+    if (!(d > 0)) return undefined;
+
+    let q0 = start.translate(t0.multiply(d));
+    let q1 = end.translate(t1.multiply(-d));
+    let joint = new Flatten.Point((q0.x + q1.x) / 2, (q0.y + q1.y) / 2);
+    if (joint.equalTo(start) || joint.equalTo(end)) return undefined;
+
+    let first = arcFromTangent(start, t0, joint);
+    let second = arcFromTangent(end, t1.invert(), joint).reverse();
+    /* Both arcs lay on the same circle when the tangents are symmetric to the chord */
+    if (first instanceof Flatten.Arc && second instanceof Flatten.Arc &&
+        first.counterClockwise === second.counterClockwise &&
+        first.pc.equalTo(second.pc) && Flatten.Utils.EQ(first.r, second.r)) {
+        return [Flatten.Arc.arcSE(first.pc, start, end, first.counterClockwise)];
+    }
+    return [first, second];
+}
+
+/*
+ * Arc from start point in the direction of the tangent to the end point, or segment if end point
+ * lays on the tangent line
+ */
+function arcFromTangent(start, tangent, end) {
+    let normal = new Flatten.Vector(-tangent.y, tangent.x);
+    let chord = new Flatten.Vector(start, end);
+    let h = normal.dot(chord);
+    if (Flatten.Utils.EQ_0(h)) {
+        return new Flatten.Segment(start, end);
+    }
+    let r = chord.dot(chord) / (2 * h);
+    let center = start.translate(normal.multiply(r));
+    return Flatten.Arc.arcSE(center, start, end, r > 0 ? Flatten.CCW : Flatten.CW);
+}
+
+/*
+ * Returns true if sample points of every shape of the first chain are within the tolerance from the second chain.
+ * Chains are checked in both directions, so that neither interior of the original segments
+ * nor interior of the fitted arcs moves away more than the tolerance
+ */
+function withinTolerance(shapes, others, tolerance) {
+    return shapes.every(shape => samplePoints(shape).every(pt =>
+        others.some(other => pt.distanceTo(other)[0] <= tolerance)));
+}
+
+const SAMPLES = 8;
+
+function samplePoints(shape) {
+    let points = [];
+    for (let i = 0; i <= SAMPLES; i++) {
+        points.push(shape.pointAtLength(shape.length * i / SAMPLES));
+    }
+    return points;
+}
+
+function bisector(v1, v2) {
+    let sum = v1.add(v2);
+    return Flatten.Utils.EQ_0(sum.length) ? v2 : sum.normalize();
+}
+
+/* Angle of turn between two consecutive segments */
+function turn(segment1, segment2) {
+    let v1 = new Flatten.Vector(segment1.start, segment1.end);
+    let v2 = new Flatten.Vector(segment2.start, segment2.end);
+    return Math.abs(Math.atan2(v1.cross(v2), v1.dot(v2)));
+}
+
+Flatten.fitArcs = fitArcs;
@@ -7,6 +7,8 @@
 "use strict";
 import Flatten from '../flatten';
 import * as Utils from '../utils/utils';
+import {ray_shoot} from './ray_shooting';
+import {intersectEdge2Polygon} from './intersection';
 
 let {INSIDE, OUTSIDE, BOUNDARY, OVERLAP_SAME, OVERLAP_OPPOSITE} = Flatten;
 
@@ -24,10 +26,11 @@ export const BOOLEAN_SUBTRACT = 3;
  * Point belongs to the resulted polygon if it belongs to the first OR to the second polygon
  * @param {Polygon} polygon1 - first operand
  * @param {Polygon} polygon2 - second operand
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {Polygon}
  */
-export function unify(polygon1, polygon2) {
-    let [res_poly, wrk_poly] = booleanOpBinary(polygon1, polygon2, BOOLEAN_UNION, true);
+export function unify(polygon1, polygon2, context) {
+    let [res_poly, wrk_poly] = booleanOpBinary(polygon1, polygon2, BOOLEAN_UNION, true, context);
     return res_poly;
 }
 
@@ -36,12 +39,13 @@ export function unify(polygon1, polygon2) {
  * Point belongs to the resulted polygon if it belongs to the first polygon AND NOT to the second polygon
  * @param {Polygon} polygon1 - first operand
  * @param {Polygon} polygon2 - second operand
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {Polygon}
  */
-export function subtract(polygon1, polygon2) {
+export function subtract(polygon1, polygon2, context) {
     let polygon2_tmp = polygon2.clone();
     let polygon2_reversed = polygon2_tmp.reverse();
-    let [res_poly, wrk_poly] = booleanOpBinary(polygon1, polygon2_reversed, BOOLEAN_SUBTRACT, true);
+    let [res_poly, wrk_poly] = booleanOpBinary(polygon1, polygon2_reversed, BOOLEAN_SUBTRACT, true, context);
     return res_poly;
 }
 
@@ -50,22 +54,105 @@ export function subtract(polygon1, polygon2) {
  * Point belongs to the resultes polygon is it belongs to the first AND to the second polygon
  * @param {Polygon} polygon1 - first operand
  * @param {Polygon} polygon2 - second operand
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {Polygon}
  */
-export function intersect(polygon1, polygon2) {
-    let [res_poly, wrk_poly] = booleanOpBinary(polygon1, polygon2, BOOLEAN_INTERSECT, true);
+export function intersect(polygon1, polygon2, context) {
+    let [res_poly, wrk_poly] = booleanOpBinary(polygon1, polygon2, BOOLEAN_INTERSECT, true, context);
     return res_poly;
 }
 
+/**
+ * Returns symmetric difference of two polygons as new polygon <br/>
+ * Point belongs to the resulted polygon if it belongs to the first OR to the second polygon, but not to both.
+ * Boundaries of both polygons are split at intersection points and rebuilt into faces by even-odd rule,
+ * see [makeValid]{@link module:Validation.makeValid}, so common pieces of boundaries cancel each other
+ * regardless of their direction. Islands of the result have the same orientation as islands of the first polygon
+ * @param {Polygon} polygon1 - first operand
+ * @param {Polygon} polygon2 - second operand
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
+ * @returns {Polygon}
+ */
+export function xor(polygon1, polygon2, context) {
+    return Utils.withContext(context, () => {
+        let polygon = new Flatten.Polygon();
+        for (let face of [...polygon1.faces, ...polygon2.faces]) {
+            polygon.addFace(face.shapes);
+        }
+        let res_poly = Flatten.makeValid(polygon);
+
+        /* makeValid orients islands counter clockwise, orientation of islands is defined by the largest face */
+        let faces = [...(polygon1.isEmpty() ? polygon2 : polygon1).faces];
+        if (faces.length > 0 &&
+            faces.reduce((acc, face) => face.area() > acc.area() ? face : acc).orientation() === Flatten.ORIENTATION.CW) {
+            res_poly.reverse();
+        }
+        return res_poly;
+    });
+}
+
+/**
+ * Unify array of polygons and returns new polygon. <br/>
+ * Polygons are grouped into clusters of polygons with intersected bounding boxes using spatial index
+ * of [PlanarSet]{@link Flatten.PlanarSet}, clusters do not need boolean operations and are merged at the end.
+ * Inside the cluster polygons are unified by cascaded union: cluster is recursively split into two spatially
+ * separated halves, the halves are unified and the results are unified together.
+ * This way each boolean operation involves neighbor polygons of similar size, instead of growing
+ * accumulated polygon in pairwise folding
+ * @param {Polygon[]} polygons - array of polygons
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
+ * @returns {Polygon}
+ */
+export function unifyAll(polygons, context) {
+    return Utils.withContext(context, () => {
+        let res_poly = new Flatten.Polygon();
+        for (let cluster of clusters(operands(polygons))) {
+            let cluster_poly = cascade(cluster, (polygon1, polygon2) => unify(polygon1, polygon2));
+            for (let face of cluster_poly.faces) {
+                res_poly.addFace(face.shapes);
+            }
+        }
+        return res_poly;
+    });
+}
+
+/**
+ * Intersect array of polygons and returns new polygon. <br/>
+ * Point belongs to the resulted polygon if it belongs to all polygons.
+ * Polygons are intersected by cascade of operations over spatially close polygons,
+ * calculation stops as soon as intermediate result is empty or bounding boxes of all polygons have no common area
+ * @param {Polygon[]} polygons - array of polygons
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
+ * @returns {Polygon}
+ */
+export function intersectAll(polygons, context) {
+    return Utils.withContext(context, () => {
+        let list = operands(polygons);
+        if (list.length === 0 || list.length < polygons.length) {
+            return new Flatten.Polygon();
+        }
+        let box = list[0].box;
+        for (let polygon of list) {
+            if (box.not_intersect(polygon.box)) {
+                return new Flatten.Polygon();
+            }
+            box = commonBox(box, polygon.box);
+        }
+        return cascade(list, (polygon1, polygon2) =>
+            polygon1.isEmpty() ? polygon1 : polygon2.isEmpty() ? polygon2 : intersect(polygon1, polygon2));
+    });
+}
+
 /**
  * Returns boundary of intersection between two polygons as two arrays of shapes (Segments/Arcs) <br/>
  * The first array are shapes from the first polygon, the second array are shapes from the second
  * @param {Polygon} polygon1 - first operand
  * @param {Polygon} polygon2 - second operand
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {Shape[][]}
  */
-export function innerClip(polygon1, polygon2) {
-    let [res_poly, wrk_poly] = booleanOpBinary(polygon1, polygon2, BOOLEAN_INTERSECT, false);
+export function innerClip(polygon1, polygon2, context) {
+    let [res_poly, wrk_poly] = booleanOpBinary(polygon1, polygon2, BOOLEAN_INTERSECT, false, context);
 
     let clip_shapes1 = [];
     for (let face of res_poly.faces) {
@@ -82,10 +169,11 @@ export function innerClip(polygon1, polygon2) {
  * Returns boundary of subtraction of the second polygon from first polygon as array of shapes
  * @param {Polygon} polygon1 - first operand
  * @param {Polygon} polygon2 - second operand
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {Shape[]}
  */
-export function outerClip(polygon1, polygon2) {
-    let [res_poly, wrk_poly] = booleanOpBinary(polygon1, polygon2, BOOLEAN_SUBTRACT, false);
+export function outerClip(polygon1, polygon2, context) {
+    let [res_poly, wrk_poly] = booleanOpBinary(polygon1, polygon2, BOOLEAN_SUBTRACT, false, context);
 
     let clip_shapes1 = [];
     for (let face of res_poly.faces) {
@@ -95,15 +183,56 @@ export function outerClip(polygon1, polygon2) {
     return clip_shapes1;
 }
 
+/**
+ * Clip multiline with polygon and return its pieces as three arrays of multilines:
+ * pieces inside polygon, outside polygon and pieces lying on the polygon boundary. <br/>
+ * Each piece is a connected part of the multiline that keeps its direction.
+ * Unbounded rays and lines are always clipped to the outside
+ * @param {Multiline} multiline - multiline to be clipped
+ * @param {Polygon} polygon - clipping polygon
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
+ * @returns {{inside: Multiline[], outside: Multiline[], boundary: Multiline[]}}
+ */
+export function clipMultiline(multiline, polygon, context) {
+    if (!(multiline instanceof Flatten.Multiline && polygon instanceof Flatten.Polygon)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    return Utils.withContext(context, () => {
+        let clipped = {inside: [], outside: [], boundary: []};
+        let chain = [];
+        let chain_inclusion;
+        for (let edge of multiline) {
+            for (let shape of splitEdge(edge, polygon)) {
+                let inclusion = isBounded(shape) ? ray_shoot(polygon, shape.middle()) : OUTSIDE;
+                if (chain.length > 0 && inclusion !== chain_inclusion) {
+                    addChain(clipped, chain, chain_inclusion);
+                    chain = [];
+                }
+                chain.push(shape);
+                chain_inclusion = inclusion;
+            }
+        }
+        if (chain.length > 0) {
+            addChain(clipped, chain, chain_inclusion);
+        }
+        return clipped;
+    });
+}
+
 /**
  * Returns intersection points between boundaries of two polygons as two array of points <br/>
  * Points in the first array belong to first polygon, points from the second - to the second.
  * Points in each array are ordered according to the direction of the correspondent polygon
  * @param {Polygon} polygon1 - first operand
  * @param {Polygon} polygon2 - second operand
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {Point[][]}
  */
-export function calculateIntersections(polygon1, polygon2) {
+export function calculateIntersections(polygon1, polygon2, context) {
+    return Utils.withContext(context, () => calculateSortedIntersections(polygon1, polygon2));
+}
+
+function calculateSortedIntersections(polygon1, polygon2) {
     let res_poly = polygon1.clone();
     let wrk_poly = polygon2.clone();
 
@@ -179,7 +308,111 @@ function swapLinksAndRestore(res_poly, wrk_poly, intersections, op) {
 }
 
 
-function booleanOpBinary(polygon1, polygon2, op, restore)
+function operands(polygons) {
+    if (!Array.isArray(polygons) || !polygons.every(polygon => polygon instanceof Flatten.Polygon)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    return polygons.filter(polygon => !polygon.isEmpty());
+}
+
+/* Groups of polygons connected by intersection of bounding boxes */
+function clusters(polygons) {
+    let planarSet = new Flatten.PlanarSet();
+    let parent = new Map();
+    let root = (polygon) => {
+        while (parent.get(polygon) !== polygon) {
+            parent.set(polygon, parent.get(parent.get(polygon)));
+            polygon = parent.get(polygon);
+        }
+        return polygon;
+    };
+    for (let polygon of polygons) {
+        parent.set(polygon, polygon);
+        for (let other of planarSet.search(polygon.box)) {
+            parent.set(root(other), root(polygon));
+        }
+        planarSet.add(polygon);
+    }
+
+    let groups = new Map();
+    for (let polygon of polygons) {
+        let key = root(polygon);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(polygon);
+    }
+    return [...groups.values()];
+}
+
+/* Apply binary operation to polygons recursively splitting them by the median along the longer side of the box */
+function cascade(polygons, op) {
+    let boxes = new Map(polygons.map(polygon => [polygon, polygon.box]));
+    let apply = (list) => {
+        if (list.length === 1) {
+            return list[0].clone();
+        }
+        let box = list.reduce((acc, polygon) => acc.merge(boxes.get(polygon)), new Flatten.Box());
+        let center = box.xmax - box.xmin >= box.ymax - box.ymin ?
+            (polygon) => boxes.get(polygon).xmin + boxes.get(polygon).xmax :
+            (polygon) => boxes.get(polygon).ymin + boxes.get(polygon).ymax;
+        let sorted = list.slice().sort((polygon1, polygon2) => center(polygon1) - center(polygon2));
+        let middle = Math.floor(sorted.length / 2);
+        return op(apply(sorted.slice(0, middle)), apply(sorted.slice(middle)));
+    };
+    return apply(polygons);
+}
+
+function commonBox(box1, box2) {
+    return new Flatten.Box(Math.max(box1.xmin, box2.xmin), Math.max(box1.ymin, box2.ymin),
+        Math.min(box1.xmax, box2.xmax), Math.min(box1.ymax, box2.ymax));
+}
+
+function isBounded(shape) {
+    return !(shape instanceof Flatten.Line || shape instanceof Flatten.Ray);
+}
+
+/*
+ * Split shape of the multiline edge with points of intersection with polygon boundary
+ * into the array of shapes ordered along the edge
+ */
+function splitEdge(edge, polygon) {
+    let shape = edge.shape;
+    let points = isBounded(shape) ? intersectEdge2Polygon(edge, polygon) :
+        [...polygon.edges].reduce((acc, poly_edge) => [...acc, ...shape.intersect(poly_edge.shape)], []);
+    if (points.length === 0) {
+        return [shape];
+    }
+    if (shape instanceof Flatten.Line) {
+        return shape.split(shape.sortPoints(points));
+    }
+    let pieces = [shape];
+    for (let pt of points) {
+        let index = pieces.findIndex(piece => piece.contains(pt));
+        if (index < 0) continue;
+        let split = pieces[index].split(pt).filter(piece => piece !== null);
+        pieces.splice(index, 1, ...split);
+    }
+    return pieces;
+}
+
+function addChain(clipped, shapes, inclusion) {
+    let multiline = new Flatten.Multiline(shapes);
+    if (inclusion === INSIDE) {
+        clipped.inside.push(multiline);
+    }
+    else if (inclusion === BOUNDARY) {
+        clipped.boundary.push(multiline);
+    }
+    else {
+        clipped.outside.push(multiline);
+    }
+}
+
+function booleanOpBinary(polygon1, polygon2, op, restore, context)
+{
+    return Utils.withContext(context, () => booleanOpBinaryWithContext(polygon1, polygon2, op, restore));
+}
+
+function booleanOpBinaryWithContext(polygon1, polygon2, op, restore)
 {
     let res_poly = polygon1.clone();
     let wrk_poly = polygon2.clone();
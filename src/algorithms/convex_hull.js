@@ -0,0 +1,179 @@
+/**
+ * @module ConvexHull
+ */
+"use strict";
+
+import Flatten from '../flatten';
+import * as Utils from '../utils/utils';
+
+/**
+ * Calculate convex hull of the set of shapes and return it as a new polygon in counter clockwise orientation. <br/>
+ * Accepts points, segments, arcs, circles, boxes and polygons with segment and arc edges. Circular parts
+ * of the hull boundary are kept as arcs. <br/>
+ * Hull is calculated by "gift wrapping" of the support function: each point and each arc is a feature, and the
+ * direction of outer normal rotates counter clockwise while one feature supports the hull until other feature
+ * overtakes it. Returns empty polygon if the hull is a single point
+ * @param {Shape[]} shapes - array of shapes
+ * @returns {Polygon}
+ */
+export function convexHull(shapes) {
+    let features = [];
+    for (let shape of shapes) {
+        addFeatures(shape, features);
+    }
+
+    let hull = new Flatten.Polygon();
+    if (features.length === 0) {
+        return hull;
+    }
+
+    /* Start from the feature which supports the hull in the direction of x axis */
+    let feature = features.reduce((acc, f) =>
+        validAt(f, 0) && Utils.GT(support(f, 0), support(acc, 0)) ? f : acc,
+        features.find(f => validAt(f, 0)));
+
+    let steps = [];
+    let angle = 0;
+    for (let i = 0; i < 4 * features.length + 4 && Utils.LT(angle, Flatten.PIx2); i++) {
+        let [delta, next] = nextEvent(feature, angle, features);
+        if (next === undefined || Utils.GE(angle + delta, Flatten.PIx2)) {
+            steps.push({feature: feature, from: angle, to: Flatten.PIx2});
+            break;
+        }
+        steps.push({feature: feature, from: angle, to: angle + delta});
+        angle += delta;
+        feature = next;
+    }
+
+    /* Join last step with the first one when the same arc supports the hull around the x axis direction */
+    if (steps.length > 1 && steps[steps.length - 1].feature === steps[0].feature) {
+        steps[0].from = steps.pop().from - Flatten.PIx2;
+    }
+
+    let hullShapes = [];
+    for (let i = 0; i < steps.length; i++) {
+        let {feature, from, to} = steps[i];
+        if (feature.r > 0 && Utils.GT(to, from)) {
+            hullShapes.push(Utils.EQ(to - from, Flatten.PIx2) ?
+                new Flatten.Arc(feature.pc, feature.r, 0, Flatten.PIx2, Flatten.CCW) :
+                new Flatten.Arc(feature.pc, feature.r, Utils.normalizeAngle(from), Utils.normalizeAngle(to), Flatten.CCW));
+        }
+        let next_step = steps[(i + 1) % steps.length];
+        let ps = contact(feature, to);
+        let pe = contact(next_step.feature, next_step.from);
+        if (!ps.equalTo(pe)) {
+            hullShapes.push(new Flatten.Segment(ps, pe));
+        }
+    }
+
+    if (hullShapes.length > 0) {
+        hull.addFace(hullShapes);
+    }
+    return hull;
+}
+
+/* Add features of the shape: points with zero radius and arcs as counter clockwise range of normal directions */
+function addFeatures(shape, features) {
+    if (shape instanceof Flatten.Point) {
+        features.push({pc: shape, r: 0, start: 0, sweep: Flatten.PIx2});
+    }
+    else if (shape instanceof Flatten.Segment) {
+        addFeatures(shape.start, features);
+        addFeatures(shape.end, features);
+    }
+    else if (shape instanceof Flatten.Circle) {
+        if (Utils.EQ_0(shape.r)) {
+            addFeatures(shape.pc, features);
+        } else {
+            features.push({pc: shape.pc, r: shape.r, start: 0, sweep: Flatten.PIx2});
+        }
+    }
+    else if (shape instanceof Flatten.Arc) {
+        addFeatures(shape.start, features);
+        addFeatures(shape.end, features);
+        if (!Utils.EQ_0(shape.r) && !Utils.EQ_0(shape.sweep)) {
+            let arc = shape.counterClockwise ? shape : shape.reverse();
+            features.push({pc: arc.pc, r: arc.r, start: arc.startAngle, sweep: arc.sweep});
+        }
+    }
+    else if (shape instanceof Flatten.Box) {
+        shape.toPoints().forEach(pt => addFeatures(pt, features));
+    }
+    else if (shape instanceof Flatten.Polygon) {
+        for (let edge of shape.edges) {
+            addFeatures(edge.shape, features);
+        }
+    }
+    else {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+}
+
+/*
+ * Find the nearest direction where other feature overtakes the current one, or where
+ * arc range of the current feature ends. Returns angle increment and the next feature
+ */
+function nextEvent(feature, angle, features) {
+    let best = [Number.POSITIVE_INFINITY, undefined];
+    let bestDistance = 0;
+    let consider = (delta, next) => {
+        let distance = contact(feature, angle + delta).distanceTo(contact(next, angle + delta))[0];
+        if (Utils.LT(delta, best[0]) || (Utils.EQ(delta, best[0]) && distance > bestDistance)) {
+            best = [delta, next];
+            bestDistance = distance;
+        }
+    };
+
+    if (Utils.LT(feature.sweep, Flatten.PIx2)) {
+        let end = feature.start + feature.sweep;
+        consider(increment(end, angle), {pc: contact(feature, end), r: 0, start: 0, sweep: Flatten.PIx2});
+    }
+
+    for (let other of features) {
+        if (other === feature) continue;
+        let vec = new Flatten.Vector(feature.pc, other.pc);
+        let len = vec.length;
+        if (Utils.EQ_0(len)) continue;
+        let ratio = (feature.r - other.r) / len;
+        /* Other feature is inside the current one or contains it: no crossing of support functions */
+        if (Utils.GE(ratio, 1) || Utils.LT(ratio, -1)) continue;
+        /* Support functions are equal where projection of centers difference equals radii difference */
+        let crossing = Math.atan2(vec.y, vec.x) - Math.acos(Math.max(ratio, -1));
+        let delta = increment(crossing, angle);
+        if (validAfter(other, angle + delta)) {
+            consider(delta, other);
+        }
+    }
+    return best;
+}
+
+/* Support function of the feature in the direction of given angle */
+function support(feature, angle) {
+    return feature.pc.x * Math.cos(angle) + feature.pc.y * Math.sin(angle) + feature.r;
+}
+
+/* Point where feature touches supporting line with outer normal of given angle */
+function contact(feature, angle) {
+    return new Flatten.Point(feature.pc.x + feature.r * Math.cos(angle), feature.pc.y + feature.r * Math.sin(angle));
+}
+
+/* Returns true if feature supports direction of given angle */
+function validAt(feature, angle) {
+    if (Utils.GE(feature.sweep, Flatten.PIx2)) return true;
+    let delta = increment(angle, feature.start);
+    return Utils.LE(delta, feature.sweep);
+}
+
+/* Returns true if feature supports directions just after given angle */
+function validAfter(feature, angle) {
+    if (Utils.GE(feature.sweep, Flatten.PIx2)) return true;
+    let delta = increment(angle, feature.start);
+    return Utils.LT(delta, feature.sweep);
+}
+
+/* Counter clockwise increment from angle "from" to angle "to" in the range [0, 2*PI) */
+function increment(to, from) {
+    return Utils.normalizeAngle(to - from);
+}
+
+Flatten.convexHull = convexHull;
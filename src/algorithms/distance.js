@@ -1,9 +1,11 @@
 "use strict";
 
-// let IntervalTree = require('flatten-interval-tree');
 import IntervalTree from '@flatten-js/interval-tree';
 import * as Intersection from '../algorithms/intersection';
 import Flatten from '../flatten';
+import {polyAdd, polyMultiply, polyScale, polyDerivative, polyRoots} from '../utils/polynomial';
+import PriorityQueue from '../data_structures/priority_queue';
+import {RTree} from '../data_structures/rtree';
 
 export class Distance {
     /**
@@ -405,6 +407,288 @@ export class Distance {
         }
     }
 
+    /**
+     * Calculate distance and shortest segment between point and Bézier curve
+     * @param pt
+     * @param bezier
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static point2bezier(pt, bezier) {
+        let closest_point = bezier.pointAtParameter(bezier.parameterOf(pt));
+        return Distance.point2point(pt, closest_point);
+    }
+
+    /**
+     * Calculate distance and shortest segment between Bézier curve and line
+     * @param bezier
+     * @param line
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static bezier2line(bezier, line) {
+        let ip = bezier.intersect(line);
+        if (ip.length > 0) {
+            return [0, new Flatten.Segment(ip[0], ip[0])];
+        }
+        /* Closest point is one of the end points or point where tangent is parallel to the line */
+        let dist_and_segment = bezierCriticalPoints(bezier, line.norm.rotate90CW())
+            .map(pt => Distance.point2line(pt, line));
+        Distance.sort(dist_and_segment);
+        return dist_and_segment[0];
+    }
+
+    /**
+     * Calculate distance and shortest segment between Bézier curve and segment
+     * @param bezier
+     * @param seg
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static bezier2segment(bezier, seg) {
+        let ip = bezier.intersect(seg);
+        if (ip.length > 0) {
+            return [0, new Flatten.Segment(ip[0], ip[0])];
+        }
+
+        let dist_and_segment = [];
+        /* Points of the curve where tangent is parallel to the segment, including curve end points */
+        let direction = seg.isZeroLength() ? new Flatten.Vector(1, 0) : new Flatten.Vector(seg.start, seg.end);
+        for (let pt of bezierCriticalPoints(bezier, direction)) {
+            dist_and_segment.push(Distance.point2segment(pt, seg));
+        }
+        /* End points of the segment */
+        for (let pt of [seg.start, seg.end]) {
+            let [dist, shortest_segment] = Distance.point2bezier(pt, bezier);
+            dist_and_segment.push([dist, shortest_segment.reverse()]);
+        }
+
+        Distance.sort(dist_and_segment);
+        return dist_and_segment[0];
+    }
+
+    /**
+     * Calculate distance and shortest segment between Bézier curve and circle
+     * @param bezier
+     * @param circle
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static bezier2circle(bezier, circle) {
+        let ip = bezier.intersect(circle);
+        if (ip.length > 0) {
+            return [0, new Flatten.Segment(ip[0], ip[0])];
+        }
+        let dist_and_segment = bezierCenterPoints(bezier, circle.pc)
+            .map(pt => Distance.point2circle(pt, circle));
+        Distance.sort(dist_and_segment);
+        return dist_and_segment[0];
+    }
+
+    /**
+     * Calculate distance and shortest segment between Bézier curve and arc
+     * @param bezier
+     * @param arc
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static bezier2arc(bezier, arc) {
+        let ip = bezier.intersect(arc);
+        if (ip.length > 0) {
+            return [0, new Flatten.Segment(ip[0], ip[0])];
+        }
+
+        let dist_and_segment = [];
+        let circle = new Flatten.Circle(arc.pc, arc.r);
+        /* Points of the curve where normal passes through the center, including curve end points */
+        for (let pt of bezierCenterPoints(bezier, arc.pc)) {
+            let [dist, shortest_segment] = Distance.point2circle(pt, circle);
+            if (shortest_segment.end.on(arc)) {
+                dist_and_segment.push([dist, shortest_segment]);
+            }
+            dist_and_segment.push(Distance.point2arc(pt, arc));
+        }
+        /* End points of the arc */
+        for (let pt of [arc.start, arc.end]) {
+            let [dist, shortest_segment] = Distance.point2bezier(pt, bezier);
+            dist_and_segment.push([dist, shortest_segment.reverse()]);
+        }
+
+        Distance.sort(dist_and_segment);
+        return dist_and_segment[0];
+    }
+
+    /**
+     * Calculate distance and shortest segment between two Bézier curves. <br/>
+     * Interior closest points are found numerically: the best pair of sampled points
+     * is refined by alternating projections
+     * @param bezier1
+     * @param bezier2
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static bezier2bezier(bezier1, bezier2) {
+        let ip = bezier1.intersect(bezier2);
+        if (ip.length > 0) {
+            return [0, new Flatten.Segment(ip[0], ip[0])];
+        }
+
+        let dist_and_segment = [];
+        for (let pt of [bezier1.start, bezier1.end]) {
+            dist_and_segment.push(Distance.point2bezier(pt, bezier2));
+        }
+        for (let pt of [bezier2.start, bezier2.end]) {
+            let [dist, shortest_segment] = Distance.point2bezier(pt, bezier1);
+            dist_and_segment.push([dist, shortest_segment.reverse()]);
+        }
+
+        let n = 16;
+        let best = [Number.POSITIVE_INFINITY, 0, 0];
+        for (let i = 0; i <= n; i++) {
+            let pt1 = bezier1.pointAtParameter(i / n);
+            for (let j = 0; j <= n; j++) {
+                let dist = pt1.distanceTo(bezier2.pointAtParameter(j / n))[0];
+                if (dist < best[0]) best = [dist, i / n, j / n];
+            }
+        }
+        let pt1 = bezier1.pointAtParameter(best[1]);
+        for (let i = 0; i < 20; i++) {
+            let pt2 = bezier2.pointAtParameter(bezier2.parameterOf(pt1));
+            pt1 = bezier1.pointAtParameter(bezier1.parameterOf(pt2));
+        }
+        dist_and_segment.push(Distance.point2bezier(pt1, bezier2));
+
+        Distance.sort(dist_and_segment);
+        return dist_and_segment[0];
+    }
+
+    /**
+     * Calculate distance and shortest segment between point and ellipse or elliptical arc
+     * @param pt
+     * @param ellipse
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static point2ellipse(pt, ellipse) {
+        let dist_and_segment = ellipseCenterPoints(ellipse, pt)
+            .map(closest_point => Distance.point2point(pt, closest_point));
+        Distance.sort(dist_and_segment);
+        return dist_and_segment[0];
+    }
+
+    /**
+     * Calculate distance and shortest segment between ellipse or elliptical arc and line
+     * @param ellipse
+     * @param line
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static ellipse2line(ellipse, line) {
+        let ip = ellipse.intersect(line);
+        if (ip.length > 0) {
+            return [0, new Flatten.Segment(ip[0], ip[0])];
+        }
+        let dist_and_segment = ellipseCriticalPoints(ellipse, line.norm.rotate90CW())
+            .map(pt => Distance.point2line(pt, line));
+        Distance.sort(dist_and_segment);
+        return dist_and_segment[0];
+    }
+
+    /**
+     * Calculate distance and shortest segment between ellipse or elliptical arc and segment
+     * @param ellipse
+     * @param seg
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static ellipse2segment(ellipse, seg) {
+        let ip = ellipse.intersect(seg);
+        if (ip.length > 0) {
+            return [0, new Flatten.Segment(ip[0], ip[0])];
+        }
+
+        let dist_and_segment = [];
+        let direction = seg.isZeroLength() ? new Flatten.Vector(1, 0) : new Flatten.Vector(seg.start, seg.end);
+        for (let pt of ellipseCriticalPoints(ellipse, direction)) {
+            dist_and_segment.push(Distance.point2segment(pt, seg));
+        }
+        for (let pt of [seg.start, seg.end]) {
+            let [dist, shortest_segment] = Distance.point2ellipse(pt, ellipse);
+            dist_and_segment.push([dist, shortest_segment.reverse()]);
+        }
+
+        Distance.sort(dist_and_segment);
+        return dist_and_segment[0];
+    }
+
+    /**
+     * Calculate distance and shortest segment between ellipse or elliptical arc and circle
+     * @param ellipse
+     * @param circle
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static ellipse2circle(ellipse, circle) {
+        let ip = ellipse.intersect(circle);
+        if (ip.length > 0) {
+            return [0, new Flatten.Segment(ip[0], ip[0])];
+        }
+        let dist_and_segment = ellipseCenterPoints(ellipse, circle.pc)
+            .map(pt => Distance.point2circle(pt, circle));
+        Distance.sort(dist_and_segment);
+        return dist_and_segment[0];
+    }
+
+    /**
+     * Calculate distance and shortest segment between ellipse or elliptical arc and circular arc
+     * @param ellipse
+     * @param arc
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static ellipse2arc(ellipse, arc) {
+        let ip = ellipse.intersect(arc);
+        if (ip.length > 0) {
+            return [0, new Flatten.Segment(ip[0], ip[0])];
+        }
+
+        let dist_and_segment = [];
+        /* Points of the ellipse where normal passes through the center of the arc */
+        for (let pt of ellipseCenterPoints(ellipse, arc.pc)) {
+            dist_and_segment.push(Distance.point2arc(pt, arc));
+        }
+        for (let pt of [arc.start, arc.end]) {
+            let [dist, shortest_segment] = Distance.point2ellipse(pt, ellipse);
+            dist_and_segment.push([dist, shortest_segment.reverse()]);
+        }
+
+        Distance.sort(dist_and_segment);
+        return dist_and_segment[0];
+    }
+
+    /**
+     * Calculate distance and shortest segment between ellipse or elliptical arc and Bézier curve. <br/>
+     * Interior closest points are found numerically by alternating projections
+     * @param ellipse
+     * @param bezier
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static ellipse2bezier(ellipse, bezier) {
+        let ip = ellipse.intersect(bezier);
+        if (ip.length > 0) {
+            return [0, new Flatten.Segment(ip[0], ip[0])];
+        }
+        let samples = [];
+        for (let i = 0; i <= 16; i++) {
+            samples.push(bezier.pointAtParameter(i / 16));
+        }
+        return closestByProjections(ellipse, bezier, ellipseEndPoints(ellipse), samples);
+    }
+
+    /**
+     * Calculate distance and shortest segment between two ellipses or elliptical arcs. <br/>
+     * Interior closest points are found numerically by alternating projections
+     * @param ellipse1
+     * @param ellipse2
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static ellipse2ellipse(ellipse1, ellipse2) {
+        let ip = ellipse1.intersect(ellipse2);
+        if (ip.length > 0) {
+            return [0, new Flatten.Segment(ip[0], ip[0])];
+        }
+        return closestByProjections(ellipse1, ellipse2, ellipseEndPoints(ellipse1), ellipseSamples(ellipse2, 32));
+    }
+
     /**
      * Calculate distance and shortest segment between point and polygon
      * @param point
@@ -415,7 +699,8 @@ export class Distance {
         let min_dist_and_segment = [Number.POSITIVE_INFINITY, new Flatten.Segment()];
         for (let edge of polygon.edges) {
             let [dist, shortest_segment] = (edge.shape instanceof Flatten.Segment) ?
-                Distance.point2segment(point, edge.shape) : Distance.point2arc(point, edge.shape);
+                Distance.point2segment(point, edge.shape) : (edge.shape instanceof Flatten.Bezier) ?
+                Distance.point2bezier(point, edge.shape) : Distance.point2arc(point, edge.shape);
             if (Flatten.Utils.LT(dist, min_dist_and_segment[0])) {
                 min_dist_and_segment = [dist, shortest_segment];
             }
@@ -434,6 +719,23 @@ export class Distance {
         return min_dist_and_segment;
     }
 
+    /**
+     * Calculate distance and shortest segment between shape and multiline
+     * @param shape
+     * @param multiline
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static shape2multiline(shape, multiline) {
+        let min_dist_and_segment = [Number.POSITIVE_INFINITY, new Flatten.Segment()];
+        for (let edge of multiline) {
+            let [dist, shortest_segment] = shape.distanceTo(edge.shape);
+            if (Flatten.Utils.LT(dist, min_dist_and_segment[0])) {
+                min_dist_and_segment = [dist, shortest_segment];
+            }
+        }
+        return min_dist_and_segment;
+    }
+
     /**
      * Calculate distance and shortest segment between two polygons
      * @param polygon1
@@ -480,85 +782,49 @@ export class Distance {
         return [mindist, maxdist];
     }
 
-    static minmax_tree_process_level(shape, level, min_stop, tree) {
-        // Calculate minmax distance to each shape in current level
-        // Insert result into the interval tree for further processing
-        // update min_stop with maxdist, it will be the new stop distance
-        let mindist, maxdist;
-        for (let node of level) {
-
-            // [mindist, maxdist] = Distance.box2box_minmax(shape.box, node.max);
-            // if (Flatten.Utils.GT(mindist, min_stop))
-            //     continue;
-
-            // Estimate min-max dist to the shape stored in the node.item, using node.item.key which is shape's box
-            [mindist, maxdist] = Distance.box2box_minmax(shape.box, node.item.key);
-            if (node.item.value instanceof Flatten.Edge) {
-                tree.insert([mindist, maxdist], node.item.value.shape);
+    /**
+     * Returns up to k shapes of the planar set nearest to the given shape, sorted by distance.
+     * Index of the planar set is traversed best-first: subtrees and shapes are visited in order of the
+     * minimal distance between bounding boxes, so the exact distance is calculated only to shapes that
+     * may be closer than the k-th found. Custom index, which is neither interval tree nor R-tree,
+     * is not traversed and all shapes are checked. Edges of the polygon are measured by their shapes
+     * @param {Shape} shape - query shape
+     * @param {PlanarSet} set - planar set of shapes
+     * @param {number} [k=1] - number of shapes to find
+     * @param {number} [max_dist=Infinity] - shapes farther than max_dist are not returned
+     * @returns {Object[]} - array of {shape, distance, segment}, where segment is the shortest segment
+     * from the query shape to the shape of the planar set
+     */
+    static nearest(shape, set, k = 1, max_dist = Number.POSITIVE_INFINITY) {
+        let found = [];
+        let bound = box => Math.sqrt(Distance.box2box_minmax(shape.box, box)[0]);
+
+        let queue = new PriorityQueue();
+        indexEntries(set).forEach(([box, entry]) => queue.push(bound(box), entry));
+        while (!queue.isEmpty() && found.length < k && Flatten.Utils.LE(queue.peekKey(), max_dist)) {
+            let [key, {node, item, segment}] = queue.pop();
+            if (node) {
+                indexEntries(set, node).forEach(([box, entry]) => queue.push(bound(box), entry));
+            } else if (segment) {
+                found.push({shape: item, distance: key, segment});
             } else {
-                tree.insert([mindist, maxdist], node.item.value);
-            }
-            if (Flatten.Utils.LT(maxdist, min_stop)) {
-                min_stop = maxdist;                       // this will be the new distance estimation
+                let [dist, shortest_segment] = Distance.distance(shape, item instanceof Flatten.Edge ? item.shape : item);
+                queue.push(dist, {item, segment: shortest_segment});
             }
         }
-
-        if (level.length === 0)
-            return min_stop;
-
-        // Calculate new level from left and right children of the current
-        let new_level_left = level.map(node => node.left.isNil() ? undefined : node.left).filter(node => node !== undefined);
-        let new_level_right = level.map(node => node.right.isNil() ? undefined : node.right).filter(node => node !== undefined);
-        // Merge left and right subtrees and leave only relevant subtrees
-        let new_level = [...new_level_left, ...new_level_right].filter(node => {
-            // Node subtree quick reject, node.max is a subtree box
-            let [mindist, maxdist] = Distance.box2box_minmax(shape.box, node.max);
-            return (Flatten.Utils.LE(mindist, min_stop));
-        });
-
-        min_stop = Distance.minmax_tree_process_level(shape, new_level, min_stop, tree);
-        return min_stop;
+        return found;
     }
 
     /**
-     * Calculates sorted tree of [mindist, maxdist] intervals between query shape
-     * and shapes of the planar set.
-     * @param shape
-     * @param set
+     * Returns shapes of the planar set within given distance from the shape, sorted by distance,
+     * see [Distance.nearest()]{@link Flatten.Distance.nearest}
+     * @param {Shape} shape - query shape
+     * @param {PlanarSet} set - planar set of shapes
+     * @param {number} dist - maximal distance
+     * @returns {Object[]} - array of {shape, distance, segment}
      */
-    static minmax_tree(shape, set, min_stop) {
-        let tree = new IntervalTree();
-        let level = [set.index.root];
-        let squared_min_stop = min_stop < Number.POSITIVE_INFINITY ? min_stop * min_stop : Number.POSITIVE_INFINITY;
-        squared_min_stop = Distance.minmax_tree_process_level(shape, level, squared_min_stop, tree);
-        return tree;
-    }
-
-    static minmax_tree_calc_distance(shape, node, min_dist_and_segment) {
-        let min_dist_and_segment_new, stop;
-        if (node != null && !node.isNil()) {
-            [min_dist_and_segment_new, stop] = Distance.minmax_tree_calc_distance(shape, node.left, min_dist_and_segment);
-
-            if (stop) {
-                return [min_dist_and_segment_new, stop];
-            }
-
-            if (Flatten.Utils.LT(min_dist_and_segment_new[0], Math.sqrt(node.item.key.low))) {
-                return [min_dist_and_segment_new, true];   // stop condition
-            }
-
-            let [dist, shortest_segment] = Distance.distance(shape, node.item.value);
-            // console.log(dist)
-            if (Flatten.Utils.LT(dist, min_dist_and_segment_new[0])) {
-                min_dist_and_segment_new = [dist, shortest_segment];
-            }
-
-            [min_dist_and_segment_new, stop] = Distance.minmax_tree_calc_distance(shape, node.right, min_dist_and_segment_new);
-
-            return [min_dist_and_segment_new, stop];
-        }
-
-        return [min_dist_and_segment, false];
+    static withinDistance(shape, set, dist) {
+        return Distance.nearest(shape, set, Number.POSITIVE_INFINITY, dist);
     }
 
     /**
@@ -569,13 +835,11 @@ export class Distance {
      * @returns {*}
      */
     static shape2planarSet(shape, set, min_stop = Number.POSITIVE_INFINITY) {
-        let min_dist_and_segment = [min_stop, new Flatten.Segment()];
-        let stop = false;
-        if (set instanceof Flatten.PlanarSet) {
-            let tree = Distance.minmax_tree(shape, set, min_stop);
-            [min_dist_and_segment, stop] = Distance.minmax_tree_calc_distance(shape, tree.root, min_dist_and_segment);
+        let [nearest] = set instanceof Flatten.PlanarSet ? Distance.nearest(shape, set, 1, min_stop) : [];
+        if (nearest && Flatten.Utils.LT(nearest.distance, min_stop)) {
+            return [nearest.distance, nearest.segment];
         }
-        return min_dist_and_segment;
+        return [min_stop, new Flatten.Segment()];
     }
 
     static sort(dist_and_segment) {
@@ -590,9 +854,120 @@ export class Distance {
         });
     }
 
-    static distance(shape1, shape2) {
-        return shape1.distanceTo(shape2);
+    /**
+     * Calculates distance between two shapes
+     * @param {Shape} shape1
+     * @param {Shape} shape2
+     * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
+     * @returns {Number | Segment} - distance and shortest segment
+     */
+    static distance(shape1, shape2, context) {
+        return Flatten.Utils.withContext(context, () => shape1.distanceTo(shape2));
+    }
+}
+
+/*
+ * Entries [box, {node}] or [box, {item}] of the spatial index of the planar set for best-first traversal:
+ * root entries if node is not defined, children of the node otherwise
+ */
+function indexEntries(set, node = undefined) {
+    let index = set.index;
+    if (index instanceof RTree) {
+        if (!node) {
+            return index.isEmpty() ? [] : [[index.root.box, {node: index.root}]];
+        }
+        return node.height === 1 ?
+            node.children.map(item => [item.key, {item: item.value}]) :
+            node.children.map(child => [child.box, {node: child}]);
+    }
+    if (index instanceof IntervalTree) {
+        let subtree = child => child != null && !child.isNil();
+        if (!node) {
+            return subtree(index.root) ? [[index.root.max, {node: index.root}]] : [];
+        }
+        return [
+            [node.item.key, {item: node.item.value}],
+            ...[node.left, node.right].filter(subtree).map(child => [child.max, {node: child}])
+        ];
+    }
+    return node ? [] : [...set].map(item => [item.box, {item}]);
+}
+
+/* End points of the curve and points where tangent is parallel to the given direction */
+function bezierCriticalPoints(bezier, direction) {
+    let [cx, cy] = bezier.coefficients.map(c => polyDerivative(c));
+    let f = polyAdd(cx.map(c => c * direction.y), cy.map(c => -c * direction.x));
+    return [0, 1, ...polyRoots(f)].map(t => bezier.pointAtParameter(t));
+}
+
+/* End points of the curve and points where normal to the curve passes through the given center */
+function bezierCenterPoints(bezier, pc) {
+    let [cx, cy] = bezier.coefficients;
+    let f = polyAdd(
+        polyMultiply(polyAdd(cx, [-pc.x]), polyDerivative(cx)),
+        polyMultiply(polyAdd(cy, [-pc.y]), polyDerivative(cy))
+    );
+    return [0, 1, ...polyRoots(f)].map(t => bezier.pointAtParameter(t));
+}
+
+/* End points of elliptical arc, or the point at angle 0 of the full ellipse */
+function ellipseEndPoints(ellipse) {
+    return ellipse instanceof Flatten.EllipticalArc ? [ellipse.start, ellipse.end] : [ellipse.pointAtAngle(0)];
+}
+
+/* Points of ellipse or elliptical arc sampled by n equal steps of parametric angle */
+function ellipseSamples(ellipse, n) {
+    let [from, sweep] = [0, Flatten.PIx2];
+    if (ellipse instanceof Flatten.EllipticalArc) {
+        sweep = ellipse.counterClockwise ? ellipse.sweep : -ellipse.sweep;
+        from = ellipse.startAngle;
+    }
+    let samples = [];
+    for (let i = 0; i <= n; i++) {
+        samples.push(ellipse.pointAtAngle(from + sweep * i / n));
+    }
+    return samples;
+}
+
+/* End points and points of ellipse or elliptical arc where tangent is parallel to the given direction */
+function ellipseCriticalPoints(ellipse, direction) {
+    let equation = (x, y, w, dx, dy) => polyAdd(polyScale(dx, direction.y), polyScale(dy, -direction.x));
+    return [...ellipseEndPoints(ellipse), ...ellipse.parametricRoots(equation).map(angle => ellipse.pointAtAngle(angle))];
+}
+
+/* End points and points of ellipse or elliptical arc where normal passes through the given center */
+function ellipseCenterPoints(ellipse, pc) {
+    let equation = (x, y, w, dx, dy) => polyAdd(
+        polyMultiply(polyAdd(x, polyScale(w, -pc.x)), dx),
+        polyMultiply(polyAdd(y, polyScale(w, -pc.y)), dy)
+    );
+    return [...ellipseEndPoints(ellipse), ...ellipse.parametricRoots(equation).map(angle => ellipse.pointAtAngle(angle))];
+}
+
+/*
+ * Distance between two curves: end points of the first curve and sampled points of the second curve are
+ * projected onto the other curve, and the best pair is refined by alternating projections
+ */
+function closestByProjections(shape1, shape2, ends1, samples2) {
+    let dist_and_segment = [];
+    for (let pt of ends1) {
+        dist_and_segment.push(pt.distanceTo(shape2));
+    }
+    for (let pt of samples2) {
+        let [dist, shortest_segment] = pt.distanceTo(shape1);
+        dist_and_segment.push([dist, shortest_segment.reverse()]);
+    }
+    Distance.sort(dist_and_segment);
+
+    let pt1 = dist_and_segment[0][1].start;
+    for (let i = 0; i < 20; i++) {
+        let pt2 = pt1.distanceTo(shape2)[1].end;
+        pt1 = pt2.distanceTo(shape1)[1].end;
     }
+    dist_and_segment.push(pt1.distanceTo(shape2));
+
+    Distance.sort(dist_and_segment);
+    return dist_and_segment[0];
 }
 
 Flatten.Distance = Distance;
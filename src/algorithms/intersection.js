@@ -7,6 +7,7 @@
 "use strict";
 
 import Flatten from "../flatten";
+import {polyAdd, polyMultiply, polyScale, polyRoots} from "../utils/polynomial";
 
 export function intersectLine2Line(line1, line2) {
     let ip = [];
@@ -143,6 +144,10 @@ export function intersectSegment2Segment(seg1, seg2) {
         return ip;
     }
 
+    if (Flatten.Utils.isRobust()) {
+        return intersectSegment2SegmentRobust(seg1, seg2);
+    }
+
     // Special case of seg1 zero length
     if (seg1.isZeroLength()) {
         if (seg1.ps.on(seg2)) {
@@ -189,6 +194,37 @@ export function intersectSegment2Segment(seg1, seg2) {
     return ip;
 }
 
+/*
+ * Intersection of segments in robust mode. Touching and overlapping are detected with tolerance
+ * like in other intersections, so the result is one or two endpoints. Otherwise segments may cross only properly,
+ * this is tested with exact orientation predicate, and then intersection point is calculated
+ */
+function intersectSegment2SegmentRobust(seg1, seg2) {
+    let ip = [];
+    for (let [pt, seg] of [[seg1.ps, seg2], [seg1.pe, seg2], [seg2.ps, seg1], [seg2.pe, seg1]]) {
+        if (pt.on(seg) && !ip.some(other => other.equalTo(pt))) {
+            ip.push(pt);
+        }
+    }
+    if (ip.length > 0) {
+        return ip;
+    }
+
+    let {orient2d} = Flatten.Predicates;
+    let [a, b, c, d] = [seg1.ps, seg1.pe, seg2.ps, seg2.pe];
+    let o1 = orient2d(a.x, a.y, b.x, b.y, c.x, c.y);
+    let o2 = orient2d(a.x, a.y, b.x, b.y, d.x, d.y);
+    let o3 = orient2d(c.x, c.y, d.x, d.y, a.x, a.y);
+    let o4 = orient2d(c.x, c.y, d.x, d.y, b.x, b.y);
+    if (!(o1 * o2 < 0 && o3 * o4 < 0)) {
+        return ip;
+    }
+
+    let t = o3 / (o3 - o4);
+    ip.push(new Flatten.Point(a.x + t * (b.x - a.x), a.y + t * (b.y - a.y)));
+    return ip;
+}
+
 export function intersectSegment2Circle(segment, circle) {
     let ips = [];
 
@@ -416,19 +452,250 @@ export function intersectArc2Box(arc, box) {
     return ips;
 }
 
+export function intersectBezier2Line(bezier, line) {
+    let [cx, cy] = bezier.coefficients;
+    /* Signed distance from the curve to the line is a polynomial of the curve parameter */
+    let f = polyAdd(
+        polyAdd(cx.map(c => c * line.norm.x), cy.map(c => c * line.norm.y)),
+        [-(line.pt.x * line.norm.x + line.pt.y * line.norm.y)]
+    );
+    if (bezier.controls.every(pt => pt.on(line))) {
+        return [bezier.start, bezier.end];          // curve is degenerated into line segment
+    }
+    return uniquePoints(polyRoots(f, 0, 1, Flatten.DP_TOL).map(t => bezier.pointAtParameter(t)));
+}
+
+export function intersectBezier2Segment(bezier, segment) {
+    if (bezier.box.not_intersect(segment.box)) {
+        return [];
+    }
+    if (segment.isZeroLength()) {
+        return bezier.contains(segment.start) ? [segment.start] : [];
+    }
+    let line = new Flatten.Line(segment.start, segment.end);
+    if (bezier.controls.every(pt => pt.on(line))) {
+        return uniquePoints([segment.start, segment.end].filter(pt => bezier.contains(pt))
+            .concat([bezier.start, bezier.end].filter(pt => segment.contains(pt))));
+    }
+    return intersectBezier2Line(bezier, line).filter(pt => segment.contains(pt));
+}
+
+export function intersectBezier2Circle(bezier, circle) {
+    if (bezier.box.not_intersect(circle.box)) {
+        return [];
+    }
+    let [cx, cy] = bezier.coefficients;
+    let dx = polyAdd(cx, [-circle.pc.x]);
+    let dy = polyAdd(cy, [-circle.pc.y]);
+    /* Squared distance to the center minus squared radius */
+    let f = polyAdd(polyAdd(polyMultiply(dx, dx), polyMultiply(dy, dy)), [-circle.r * circle.r]);
+    return uniquePoints(polyRoots(f, 0, 1, 2 * circle.r * Flatten.DP_TOL).map(t => bezier.pointAtParameter(t)));
+}
+
+export function intersectBezier2Arc(bezier, arc) {
+    if (bezier.box.not_intersect(arc.box)) {
+        return [];
+    }
+    let circle = new Flatten.Circle(arc.pc, arc.r);
+    return intersectBezier2Circle(bezier, circle).filter(pt => pt.on(arc));
+}
+
+export function intersectBezier2Box(bezier, box) {
+    let ips = [];
+    for (let seg of box.toSegments()) {
+        for (let ip of intersectBezier2Segment(bezier, seg)) {
+            ips.push(ip);
+        }
+    }
+    return uniquePoints(ips);
+}
+
+export function intersectBezier2Bezier(bezier1, bezier2) {
+    if (bezier1.box.not_intersect(bezier2.box)) {
+        return [];
+    }
+
+    /* Coincident curves: return end points which belong to the other curve */
+    if (bezier1.equalTo(bezier2) || bezier1.equalTo(bezier2.reverse())) {
+        return uniquePoints([bezier1.start, bezier1.end]);
+    }
+
+    /* Recursive subdivision of both curves while bounding boxes of their control points intersect */
+    let candidates = [];
+    let subdivide = (b1, t1min, t1max, b2, t2min, t2max, depth) => {
+        let box1 = controlBox(b1);
+        let box2 = controlBox(b2);
+        if (box1.not_intersect(box2) || candidates.length > 100) {
+            return;
+        }
+        let size1 = Math.max(box1.xmax - box1.xmin, box1.ymax - box1.ymin);
+        let size2 = Math.max(box2.xmax - box2.xmin, box2.ymax - box2.ymin);
+        if (depth > 50 || (size1 < Flatten.DP_TOL && size2 < Flatten.DP_TOL)) {
+            candidates.push([(t1min + t1max) / 2, (t2min + t2max) / 2]);
+            return;
+        }
+        if (size1 >= size2) {
+            let tm = (t1min + t1max) / 2;
+            let [b11, b12] = b1.splitAtParameter(0.5);
+            subdivide(b11, t1min, tm, b2, t2min, t2max, depth + 1);
+            subdivide(b12, tm, t1max, b2, t2min, t2max, depth + 1);
+        } else {
+            let tm = (t2min + t2max) / 2;
+            let [b21, b22] = b2.splitAtParameter(0.5);
+            subdivide(b1, t1min, t1max, b21, t2min, tm, depth + 1);
+            subdivide(b1, t1min, t1max, b22, tm, t2max, depth + 1);
+        }
+    };
+    subdivide(bezier1, 0, 1, bezier2, 0, 1, 0);
+
+    let ip = [];
+    for (let [t1, t2] of candidates) {
+        let pt = refineBezier2BezierIntersection(bezier1, t1, bezier2, t2);
+        if (pt !== undefined) {
+            ip.push(pt);
+        }
+    }
+    return uniquePoints(ip);
+}
+
+export function intersectBezier2Polygon(bezier, polygon) {
+    let ip = [];
+
+    for (let edge of polygon.edges) {
+        for (let pt of bezier.intersect(edge.shape)) {
+            ip.push(pt);
+        }
+    }
+
+    return ip;
+}
+
+export function intersectEllipse2Line(ellipse, line) {
+    if (intersectLine2Box(line, ellipse.box).length === 0) {
+        return [];
+    }
+    /* Signed distance from the ellipse point to the line */
+    let equation = (x, y, w) => polyAdd(
+        polyScale(polyAdd(x, polyScale(w, -line.pt.x)), line.norm.x),
+        polyScale(polyAdd(y, polyScale(w, -line.pt.y)), line.norm.y)
+    );
+    return uniquePoints(ellipse.parametricRoots(equation, 2 * Flatten.DP_TOL)
+        .map(angle => ellipse.pointAtAngle(angle)));
+}
+
+export function intersectEllipse2Segment(ellipse, segment) {
+    if (ellipse.box.not_intersect(segment.box)) {
+        return [];
+    }
+    if (segment.isZeroLength()) {
+        return ellipse.intersect(segment.start);
+    }
+    let line = new Flatten.Line(segment.start, segment.end);
+    return intersectEllipse2Line(ellipse, line).filter(pt => segment.contains(pt));
+}
+
+export function intersectEllipse2Circle(ellipse, circle) {
+    if (ellipse.box.not_intersect(circle.box)) {
+        return [];
+    }
+    /* Squared distance to the circle center minus squared radius */
+    let equation = (x, y, w) => {
+        let dx = polyAdd(x, polyScale(w, -circle.pc.x));
+        let dy = polyAdd(y, polyScale(w, -circle.pc.y));
+        return polyAdd(polyAdd(polyMultiply(dx, dx), polyMultiply(dy, dy)),
+            polyScale(polyMultiply(w, w), -circle.r * circle.r));
+    };
+    return uniquePoints(ellipse.parametricRoots(equation, 8 * circle.r * Flatten.DP_TOL)
+        .map(angle => ellipse.pointAtAngle(angle)));
+}
+
+export function intersectEllipse2Arc(ellipse, arc) {
+    if (ellipse.box.not_intersect(arc.box)) {
+        return [];
+    }
+    let circle = new Flatten.Circle(arc.pc, arc.r);
+    return intersectEllipse2Circle(ellipse, circle).filter(pt => pt.on(arc));
+}
+
+export function intersectEllipse2Box(ellipse, box) {
+    let ips = [];
+    for (let seg of box.toSegments()) {
+        for (let ip of intersectEllipse2Segment(ellipse, seg)) {
+            ips.push(ip);
+        }
+    }
+    return uniquePoints(ips);
+}
+
+export function intersectEllipse2Bezier(ellipse, bezier) {
+    if (ellipse.box.not_intersect(bezier.box)) {
+        return [];
+    }
+    let [cx, cy] = bezier.coefficients;
+    let f = ellipseImplicitPolynomial(ellipse, cx, cy, [1]);
+    let tol = 2 * Flatten.DP_TOL / Math.min(ellipse.rx, ellipse.ry);
+    return uniquePoints(polyRoots(f, 0, 1, tol).map(t => bezier.pointAtParameter(t)))
+        .filter(pt => ellipse.intersect(pt).length > 0);
+}
+
+export function intersectEllipse2Ellipse(ellipse1, ellipse2) {
+    if (ellipse1.box.not_intersect(ellipse2.box)) {
+        return [];
+    }
+
+    /* Coincident ellipses: return end points of arcs which belong to the other shape */
+    let e1 = ellipse1 instanceof Flatten.EllipticalArc ? ellipse1.ellipse : ellipse1;
+    let e2 = ellipse2 instanceof Flatten.EllipticalArc ? ellipse2.ellipse : ellipse2;
+    if (sameEllipse(e1, e2)) {
+        let ends = (shape) => shape instanceof Flatten.EllipticalArc ? [shape.start, shape.end] : [];
+        return uniquePoints([...ends(ellipse1).filter(pt => ellipse2.contains(pt)),
+            ...ends(ellipse2).filter(pt => ellipse1.contains(pt))]);
+    }
+
+    let equation = (x, y, w) => ellipseImplicitPolynomial(e2, x, y, w);
+    let tol = 8 * Flatten.DP_TOL / Math.min(e2.rx, e2.ry);
+    return uniquePoints(ellipse1.parametricRoots(equation, tol)
+        .map(angle => ellipse1.pointAtAngle(angle))
+        .filter(pt => ellipse2.intersect(pt).length > 0));
+}
+
+export function intersectEllipse2Polygon(ellipse, polygon) {
+    let ip = [];
+
+    for (let edge of polygon.edges) {
+        for (let pt of ellipse.intersect(edge.shape)) {
+            ip.push(pt);
+        }
+    }
+
+    return ip;
+}
+
 export function intersectEdge2Segment(edge, segment) {
+    if (edge.isBezier()) {
+        return intersectBezier2Segment(edge.shape, segment);
+    }
     return edge.isSegment() ? intersectSegment2Segment(edge.shape, segment) : intersectSegment2Arc(segment, edge.shape);
 }
 
 export function intersectEdge2Arc(edge, arc) {
+    if (edge.isBezier()) {
+        return intersectBezier2Arc(edge.shape, arc);
+    }
     return edge.isSegment() ? intersectSegment2Arc(edge.shape, arc) : intersectArc2Arc(edge.shape, arc);
 }
 
 export function intersectEdge2Line(edge, line) {
+    if (edge.isBezier()) {
+        return intersectBezier2Line(edge.shape, line);
+    }
     return edge.isSegment() ? intersectSegment2Line(edge.shape, line) : intersectLine2Arc(line, edge.shape);
 }
 
 export function intersectEdge2Circle(edge, circle) {
+    if (edge.isBezier()) {
+        return intersectBezier2Circle(edge.shape, circle);
+    }
     return edge.isSegment() ? intersectSegment2Circle(edge.shape, circle) : intersectArc2Circle(edge.shape, circle);
 }
 
@@ -493,6 +760,12 @@ export function intersectCircle2Polygon(circle, polygon) {
 export function intersectEdge2Edge(edge1, edge2) {
     const shape1 = edge1.shape;
     const shape2 = edge2.shape;
+    if (edge1.isBezier()) {
+        return shape1.intersect(shape2);
+    }
+    if (edge2.isBezier()) {
+        return shape2.intersect(shape1);
+    }
     return edge1.isSegment() ?
         (edge2.isSegment() ? intersectSegment2Segment(shape1, shape2) : intersectSegment2Arc(shape1, shape2)) :
         (edge2.isSegment() ? intersectSegment2Arc(shape2, shape1) : intersectArc2Arc(shape1, shape2));
@@ -574,6 +847,12 @@ export function intersectShape2Polygon(shape, polygon) {
     else if (shape instanceof Flatten.Arc) {
         return intersectArc2Polygon(shape, polygon);
     }
+    else if (shape instanceof Flatten.Bezier) {
+        return intersectBezier2Polygon(shape, polygon);
+    }
+    else if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+        return intersectEllipse2Polygon(shape, polygon);
+    }
     else {
         return [];
     }
@@ -583,3 +862,63 @@ function ptInIntPoints(new_pt, ip) {
     return ip.some( pt => pt.equalTo(new_pt) )
 }
 
+function uniquePoints(points) {
+    let unique = [];
+    for (let pt of points) {
+        if (!ptInIntPoints(pt, unique)) {
+            unique.push(pt);
+        }
+    }
+    return unique;
+}
+
+/*
+ * Value of the implicit equation (lx/rx)^2 + (ly/ry)^2 - 1 of the ellipse, where (lx,ly) are coordinates
+ * in the ellipse axes, for the point given by polynomials x/w and y/w, multiplied by w^2
+ */
+function ellipseImplicitPolynomial(ellipse, x, y, w) {
+    let cos = Math.cos(ellipse.angle);
+    let sin = Math.sin(ellipse.angle);
+    let dx = polyAdd(x, polyScale(w, -ellipse.pc.x));
+    let dy = polyAdd(y, polyScale(w, -ellipse.pc.y));
+    let lx = polyScale(polyAdd(polyScale(dx, cos), polyScale(dy, sin)), 1 / ellipse.rx);
+    let ly = polyScale(polyAdd(polyScale(dx, -sin), polyScale(dy, cos)), 1 / ellipse.ry);
+    return polyAdd(polyAdd(polyMultiply(lx, lx), polyMultiply(ly, ly)), polyScale(polyMultiply(w, w), -1));
+}
+
+/* Returns true if ellipses have the same set of points */
+function sameEllipse(e1, e2) {
+    if (!e1.pc.equalTo(e2.pc)) {
+        return false;
+    }
+    return [0, Math.PI / 2, Math.PI, 3 * Math.PI / 2, Math.PI / 4].every(angle =>
+        e2.intersect(e1.pointAtAngle(angle)).length > 0);
+}
+
+/* Bounding box of control points, which contains the curve */
+function controlBox(bezier) {
+    return bezier.controls.reduce((acc, pt) => acc.merge(pt.box), new Flatten.Box());
+}
+
+/* Newton iterations for the system bezier1(t1) = bezier2(t2), returns undefined if not converged */
+function refineBezier2BezierIntersection(bezier1, t1, bezier2, t2) {
+    for (let i = 0; i < 20; i++) {
+        let p1 = bezier1.pointAtParameter(t1);
+        let p2 = bezier2.pointAtParameter(t2);
+        let fx = p1.x - p2.x;
+        let fy = p1.y - p2.y;
+        if (Math.hypot(fx, fy) < Flatten.DP_TOL * 1e-3) {
+            break;
+        }
+        let d1 = bezier1.derivativeAtParameter(t1);
+        let d2 = bezier2.derivativeAtParameter(t2);
+        let det = -d1.x * d2.y + d2.x * d1.y;
+        if (det === 0) {
+            break;
+        }
+        t1 = Math.min(Math.max(t1 - (-fx * d2.y + d2.x * fy) / det, 0), 1);
+        t2 = Math.min(Math.max(t2 - (d1.x * fy - d1.y * fx) / det, 0), 1);
+    }
+    let p1 = bezier1.pointAtParameter(t1);
+    return p1.equalTo(bezier2.pointAtParameter(t2)) ? p1 : undefined;
+}
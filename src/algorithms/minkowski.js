@@ -0,0 +1,257 @@
+/**
+ * @module Minkowski
+ */
+"use strict";
+
+import Flatten from '../flatten';
+import * as Utils from '../utils/utils';
+import {unifyAll} from './boolean_op';
+
+/**
+ * Calculate Minkowski sum of two polygons: set of points a + b, where a belongs to the first polygon
+ * and b belongs to the second one. <br/>
+ * Faces may be non-convex, have holes and arc edges, arcs of the result are exact. <br/>
+ * Boundary of the sum is covered by the sums of all pairs of edges. Sum of two edges is split into pieces
+ * which are bounded by segments and arcs, and all pieces are merged using boolean union. Then holes of the union,
+ * which lie inside the sum, are filled. Islands of the result are oriented counter clockwise
+ * @param {Polygon} polygon1 - first polygon
+ * @param {Polygon} polygon2 - second polygon
+ * @returns {Polygon}
+ */
+export function minkowskiSum(polygon1, polygon2) {
+    if (!(polygon1 instanceof Flatten.Polygon) || !(polygon2 instanceof Flatten.Polygon)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    let shapes1 = edgeShapes(polygon1);
+    let shapes2 = edgeShapes(polygon2);
+
+    /* Union of sums of all pairs of edges covers the boundary of the Minkowski sum */
+    let pieces = [];
+    for (let shape1 of shapes1) {
+        for (let shape2 of shapes2) {
+            for (let loop of shapesSum(shape1, shape2)) {
+                let piece = new Flatten.Polygon(loop);
+                if (Utils.EQ_0(piece.area())) continue;
+                pieces.push(orientIslands(piece));
+            }
+        }
+    }
+    let res_poly = unifyAll(pieces);
+
+    fillHoles(res_poly, polygon1, polygon2);
+    return res_poly;
+}
+
+/**
+ * Calculate Minkowski difference of two polygons: set of points a - b, where a belongs to the first polygon
+ * and b belongs to the second one. This is a Minkowski sum of the first polygon and the second polygon
+ * reflected through the origin, also known as configuration space obstacle
+ * @param {Polygon} polygon1 - first polygon
+ * @param {Polygon} polygon2 - second polygon
+ * @returns {Polygon}
+ */
+export function minkowskiDifference(polygon1, polygon2) {
+    if (!(polygon2 instanceof Flatten.Polygon)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    return minkowskiSum(polygon1, reflect(polygon2));
+}
+
+/*
+ * Each hole of the union of edge sums is either completely inside or completely outside of the Minkowski sum,
+ * because its boundary is covered by the union. Hole is filled when its inner point p belongs to the sum,
+ * i.e. the first polygon intersects the second polygon reflected through the origin and translated to p
+ */
+function fillHoles(polygon, polygon1, polygon2) {
+    let holes = [...polygon.faces].filter(face => face.orientation() === Flatten.ORIENTATION.CW);
+    let islands = [...polygon.faces].filter(face => face.orientation() !== Flatten.ORIENTATION.CW);
+    let reflected = reflect(polygon2);
+
+    for (let hole of holes) {
+        /* Islands that lie directly inside the hole */
+        let holeArea = hole.area();
+        let holePolygon = hole.toPolygon();
+        let inner = islands.filter(island => island.area() < holeArea && holePolygon.contains(island.first.start) &&
+            !holes.some(other => other !== hole && other.area() < holeArea &&
+                other.toPolygon().contains(island.first.start)));
+
+        let pt = innerPoint(hole, inner);
+        if (!intersectTranslated(polygon1, reflected.translate(toVector(pt)))) continue;
+
+        for (let island of inner) {
+            polygon.deleteFace(island);
+        }
+        polygon.deleteFace(hole);
+    }
+}
+
+/* Point inside the hole which does not belong to the islands inside it */
+function innerPoint(hole, islands) {
+    let region = new Flatten.Polygon();
+    for (let face of [hole, ...islands]) {
+        region.addFace(face.shapes);
+    }
+    let [a, b, c] = region.triangulate()[0].vertices;
+    return new Flatten.Point((a.x + b.x + c.x) / 3, (a.y + b.y + c.y) / 3);
+}
+
+/* Returns true if polygons intersect, assuming that their boundaries do not intersect */
+function intersectTranslated(polygon1, polygon2) {
+    return [...polygon2.faces].some(face => polygon1.contains(face.first.start)) ||
+        [...polygon1.faces].some(face => polygon2.contains(face.first.start));
+}
+
+/* Segments and counter clockwise arcs with sweep not greater than PI/2 */
+function edgeShapes(polygon) {
+    let shapes = [];
+    for (let edge of polygon.edges) {
+        let shape = edge.shape;
+        if (shape instanceof Flatten.Segment) {
+            if (!Utils.EQ_0(shape.length)) shapes.push(shape);
+        } else if (shape instanceof Flatten.Arc) {
+            let arc = shape.counterClockwise ? shape : shape.reverse();
+            let n = Math.ceil(arc.sweep / (Math.PI / 2) - Utils.getTolerance());
+            let angles = [];
+            for (let i = 1; i < n; i++) {
+                angles.push(arc.startAngle + i * arc.sweep / n);
+            }
+            shapes.push(...splitArc(arc, angles));
+        } else {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+    }
+    return shapes;
+}
+
+/* Closed loops of shapes, which bound pieces of the Minkowski sum of two edges */
+function shapesSum(shape1, shape2) {
+    if (shape1 instanceof Flatten.Segment && shape2 instanceof Flatten.Segment) {
+        return segmentsSum(shape1, shape2);
+    }
+    if (shape1 instanceof Flatten.Segment) {
+        return arcSweep(shape2, shape1);
+    }
+    if (shape2 instanceof Flatten.Segment) {
+        return arcSweep(shape1, shape2);
+    }
+    return arcsSum(shape1, shape2);
+}
+
+/* Sum of two segments is a parallelogram, or empty when segments are parallel */
+function segmentsSum(segment1, segment2) {
+    let v = new Flatten.Vector(segment1.start, segment1.end);
+    let w = new Flatten.Vector(segment2.start, segment2.end);
+    if (Utils.EQ_0(v.cross(w))) {
+        return [];
+    }
+    /* Vertices are sums of endpoints, so that pieces sharing a vertex have exactly the same point */
+    let sum = (pt1, pt2) => pt1.translate(toVector(pt2));
+    return [[
+        sum(segment1.start, segment2.start),
+        sum(segment1.end, segment2.start),
+        sum(segment1.end, segment2.end),
+        sum(segment1.start, segment2.end)
+    ]];
+}
+
+/* Arc swept along segment, arc is split where its tangent is parallel to the segment */
+function arcSweep(arc, segment) {
+    let v = new Flatten.Vector(segment.start, segment.end);
+    let angle = Math.atan2(v.y, v.x);
+    let loops = [];
+    for (let piece of splitArc(arc, [angle + Math.PI / 2, angle - Math.PI / 2])) {
+        let start = piece.translate(toVector(segment.start));
+        let end = piece.translate(toVector(segment.end));
+        loops.push([
+            start,
+            new Flatten.Segment(start.end, end.end),
+            end.reverse(),
+            new Flatten.Segment(end.start, start.start)
+        ]);
+    }
+    return loops;
+}
+
+/*
+ * Sum of two arcs c1 + r1*n(s) + c2 + r2*n(t) is an image of rectangle of angles, which folds along
+ * lines s = t and s = t + PI. Arcs are split such that angle ranges of pieces are either equal or
+ * disjoint, then the image of each pair of pieces is bounded by translated pieces and arcs of the folds
+ */
+function arcsSum(arc1, arc2) {
+    let pieces1 = splitArc(arc1, [arc2.startAngle, arc2.endAngle, arc2.startAngle + Math.PI, arc2.endAngle + Math.PI]);
+    let pieces2 = splitArc(arc2, [arc1.startAngle, arc1.endAngle, arc1.startAngle + Math.PI, arc1.endAngle + Math.PI]);
+    let loops = [];
+    for (let piece1 of pieces1) {
+        for (let piece2 of pieces2) {
+            loops.push(...arcPiecesSum(piece1, piece2));
+        }
+    }
+    return loops;
+}
+
+function arcPiecesSum(arc1, arc2) {
+    let pc = arc1.pc.translate(toVector(arc2.pc));
+    let [s0, s1] = [arc1.startAngle, arc1.endAngle];
+    let fold;
+    if (sameRange(arc1, arc2, 0)) {
+        fold = [new Flatten.Arc(pc, arc1.r + arc2.r, s1, s0, Flatten.CW)];
+    } else if (sameRange(arc1, arc2, Math.PI)) {
+        let r = arc1.r - arc2.r;
+        fold = Utils.EQ_0(r) ? [] :
+            r > 0 ? [new Flatten.Arc(pc, r, s1, s0, Flatten.CW)] :
+                [new Flatten.Arc(pc, -r, Utils.normalizeAngle(s1 + Math.PI), Utils.normalizeAngle(s0 + Math.PI), Flatten.CW)];
+    } else {
+        return [[
+            arc1.translate(toVector(arc2.start)),
+            arc2.translate(toVector(arc1.end)),
+            arc1.reverse().translate(toVector(arc2.end)),
+            arc2.reverse().translate(toVector(arc1.start))
+        ]];
+    }
+    /* Rectangle of angles is split by the fold into two triangles */
+    return [
+        [arc1.translate(toVector(arc2.start)), arc2.translate(toVector(arc1.end)), ...fold],
+        [arc2.translate(toVector(arc1.start)), arc1.translate(toVector(arc2.end)), ...fold]
+    ];
+}
+
+function sameRange(arc1, arc2, shift) {
+    return Utils.EQ(arc1.sweep, arc2.sweep) && Utils.EQ_0(Math.sin((arc2.startAngle - arc1.startAngle - shift) / 2));
+}
+
+/* Split counter clockwise arc by given angles which lie strictly inside its range */
+function splitArc(arc, angles) {
+    let offsets = angles
+        .map(angle => Utils.normalizeAngle(angle - arc.startAngle))
+        .filter(offset => Utils.GT(offset, 0) && Utils.LT(offset, arc.sweep))
+        .sort((a, b) => a - b);
+    let bounds = [0, ...offsets, arc.sweep];
+    let pieces = [];
+    for (let i = 0; i + 1 < bounds.length; i++) {
+        if (Utils.EQ(bounds[i], bounds[i + 1])) continue;
+        pieces.push(new Flatten.Arc(arc.pc, arc.r, Utils.normalizeAngle(arc.startAngle + bounds[i]),
+            Utils.normalizeAngle(arc.startAngle + bounds[i + 1]), Flatten.CCW));
+    }
+    return pieces;
+}
+
+/* Make islands counter clockwise, orientation of islands is defined by the largest face */
+function orientIslands(polygon) {
+    let islandFace = [...polygon.faces].reduce((acc, face) => face.area() > acc.area() ? face : acc);
+    if (islandFace.orientation() === Flatten.ORIENTATION.CW) {
+        polygon.reverse();
+    }
+    return polygon;
+}
+
+/* Reflection through the origin, unlike rotation by PI it keeps coordinates exact */
+function reflect(polygon) {
+    return polygon.transform(new Flatten.Matrix(-1, 0, 0, -1, 0, 0));
+}
+
+function toVector(pt) {
+    return new Flatten.Vector(pt.x, pt.y);
+}
+
+Flatten.minkowskiSum = minkowskiSum;
+Flatten.minkowskiDifference = minkowskiDifference;
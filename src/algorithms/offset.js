@@ -0,0 +1,145 @@
+/**
+ * @module Offset
+ */
+"use strict";
+
+import Flatten from '../flatten';
+import * as Utils from '../utils/utils';
+import {unify, subtract} from './boolean_op';
+
+/**
+ * Offset (buffer) shape by given distance and return new polygon. <br/>
+ * Polygon is inflated when distance is positive and deflated when distance is negative.
+ * Segment, Arc and Multiline are inflated by the absolute value of the distance on both sides. <br/>
+ * Offset of each edge is built as a "body" swept by a circle of radius d moving along the edge,
+ * bodies are merged with the polygon using boolean operations, so convex corners are joined by true arcs.
+ * @param {Polygon|Segment|Arc|Multiline} shape - shape to be offset
+ * @param {number} d - offset distance
+ * @returns {Polygon}
+ */
+export function offset(shape, d) {
+    if (shape instanceof Flatten.Polygon) {
+        return offsetPolygon(shape, d);
+    }
+    if (shape instanceof Flatten.Segment || shape instanceof Flatten.Arc) {
+        return offsetShapes([shape], d);
+    }
+    if (shape instanceof Flatten.Multiline) {
+        return offsetShapes(shape.toShapes(), d);
+    }
+    throw Flatten.Errors.ILLEGAL_PARAMETERS;
+}
+
+function offsetPolygon(polygon, d) {
+    let res_poly = polygon.clone();
+    if (Utils.EQ_0(d) || polygon.isEmpty()) {
+        return res_poly;
+    }
+
+    /* bodies should have the same orientation as islands of the polygon */
+    let islandFace = [...polygon.faces].reduce((acc, face) => face.area() > acc.area() ? face : acc);
+    let reverse = islandFace.orientation() === Flatten.ORIENTATION.CW;
+
+    let w = Math.abs(d);
+    for (let edge of polygon.edges) {
+        let body = offsetBody(edge.shape, w);
+        if (body === undefined) continue;
+        if (reverse) body.reverse();
+        res_poly = d > 0 ? unify(res_poly, body) : subtract(res_poly, body);
+        if (res_poly.isEmpty()) break;
+    }
+    return res_poly;
+}
+
+function offsetShapes(shapes, d) {
+    if (shapes.some(shape => !(shape instanceof Flatten.Segment || shape instanceof Flatten.Arc))) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;     // unbounded shapes cannot be offset
+    }
+    let res_poly = new Flatten.Polygon();
+    let w = Math.abs(d);
+    if (Utils.EQ_0(w)) {
+        return res_poly;
+    }
+    for (let shape of shapes) {
+        let body = offsetBody(shape, w);
+        if (body === undefined) continue;
+        res_poly = res_poly.isEmpty() ? body : unify(res_poly, body);
+    }
+    return res_poly;
+}
+
+/**
+ * Returns counter clockwise polygon swept by circle of radius w moving along the shape,
+ * or undefined if shape has zero length
+ * @param {Segment|Arc} shape
+ * @param {number} w - positive offset distance
+ * @returns {Polygon}
+ */
+function offsetBody(shape, w) {
+    if (shape instanceof Flatten.Bezier) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;     // offset of Bézier curve is not a Bézier curve
+    }
+    if (Utils.EQ_0(shape.length)) {
+        return undefined;
+    }
+    return shape instanceof Flatten.Segment ? offsetSegmentBody(shape, w) : offsetArcBody(shape, w);
+}
+
+function offsetSegmentBody(seg, w) {
+    let tangent = new Flatten.Vector(seg.start, seg.end).normalize();
+    let v = tangent.rotate90CW().multiply(w);          // to the right side of the segment
+
+    let ps_right = seg.start.translate(v);
+    let pe_right = seg.end.translate(v);
+    let pe_left = seg.end.translate(v.invert());
+    let ps_left = seg.start.translate(v.invert());
+
+    return new Flatten.Polygon([
+        new Flatten.Segment(ps_right, pe_right),
+        Flatten.Arc.arcSE(seg.end, pe_right, pe_left, Flatten.CCW),
+        new Flatten.Segment(pe_left, ps_left),
+        Flatten.Arc.arcSE(seg.start, ps_left, ps_right, Flatten.CCW)
+    ]);
+}
+
+function offsetArcBody(shape, w) {
+    let arc_ccw = shape.counterClockwise ? shape : shape.reverse();
+    let {pc, r} = arc_ccw;
+
+    /* Closed arc: annulus or disk */
+    if (Utils.EQ(arc_ccw.sweep, Flatten.PIx2)) {
+        let body = new Flatten.Polygon(new Flatten.Circle(pc, r + w));
+        if (Utils.LT(w, r)) {
+            body.addFace(new Flatten.Circle(pc, r - w)).reverse();
+        }
+        return body;
+    }
+
+    let v_start = new Flatten.Vector(pc, arc_ccw.start).normalize();
+    let v_end = new Flatten.Vector(pc, arc_ccw.end).normalize();
+    let outer = Flatten.Arc.arcSE(pc, pc.translate(v_start.multiply(r + w)), pc.translate(v_end.multiply(r + w)), Flatten.CCW);
+
+    /* Annular sector with round caps at the arc ends */
+    if (Utils.LT(w, r)) {
+        let inner_start = pc.translate(v_start.multiply(r - w));
+        let inner_end = pc.translate(v_end.multiply(r - w));
+        return new Flatten.Polygon([
+            outer,
+            Flatten.Arc.arcSE(arc_ccw.end, outer.end, inner_end, Flatten.CCW),
+            Flatten.Arc.arcSE(pc, inner_end, inner_start, Flatten.CW),
+            Flatten.Arc.arcSE(arc_ccw.start, inner_start, outer.start, Flatten.CCW)
+        ]);
+    }
+
+    /* Inner boundary collapsed into the center: circular sector merged with disks at the arc ends */
+    let body = new Flatten.Polygon([
+        new Flatten.Segment(pc, outer.start),
+        outer,
+        new Flatten.Segment(outer.end, pc)
+    ]);
+    body = unify(body, new Flatten.Polygon(new Flatten.Circle(arc_ccw.start, w)));
+    body = unify(body, new Flatten.Polygon(new Flatten.Circle(arc_ccw.end, w)));
+    return body;
+}
+
+Flatten.offset = offset;
@@ -4,6 +4,7 @@
 "use strict";
 import Flatten from '../flatten';
 import * as Utils from '../utils/utils';
+import {polyValue, polyDerivative, polyRoots} from '../utils/polynomial';
 
 /**
  * Implements ray shooting algorithm. Returns relation between point and polygon: inside, outside or boundary
@@ -33,6 +34,10 @@ export function ray_shoot(polygon, point) {
         return Flatten.OUTSIDE;
     }
 
+    if (Utils.isRobust() && resp_edges.every(edge => edge.shape instanceof Flatten.Segment || edge.shape instanceof Flatten.Arc)) {
+        return ray_shoot_robust(resp_edges, point);
+    }
+
     // 3. Calculate intersections
     let intersections = [];
     for (let edge of resp_edges) {
@@ -76,11 +81,8 @@ export function ray_shoot(polygon, point) {
             while (Utils.EQ_0(prev_edge.length)) {
                 prev_edge = prev_edge.prev;
             }
-            let prev_tangent = prev_edge.shape.tangentInEnd();
-            let prev_point = intersection.pt.translate(prev_tangent);
-
-            let cur_tangent = intersection.edge.shape.tangentInStart();
-            let cur_point = intersection.pt.translate(cur_tangent);
+            let prev_point = sidePoint(prev_edge.shape, intersection.pt, prev_edge.shape.tangentInEnd(), line);
+            let cur_point = sidePoint(intersection.edge.shape, intersection.pt, intersection.edge.shape.tangentInStart(), line);
 
             let prev_on_the_left = prev_point.leftTo(line);
             let cur_on_the_left = cur_point.leftTo(line);
@@ -98,11 +100,8 @@ export function ray_shoot(polygon, point) {
             while (Utils.EQ_0(next_edge.length)) {
                 next_edge = next_edge.next;
             }
-            let next_tangent = next_edge.shape.tangentInStart();
-            let next_point = intersection.pt.translate(next_tangent);
-
-            let cur_tangent = intersection.edge.shape.tangentInEnd();
-            let cur_point = intersection.pt.translate(cur_tangent);
+            let next_point = sidePoint(next_edge.shape, intersection.pt, next_edge.shape.tangentInStart(), line);
+            let cur_point = sidePoint(intersection.edge.shape, intersection.pt, intersection.edge.shape.tangentInEnd(), line);
 
             let next_on_the_left = next_point.leftTo(line);
             let cur_on_the_left = cur_point.leftTo(line);
@@ -113,6 +112,10 @@ export function ray_shoot(polygon, point) {
         } else {        /* intersection point is not a coincident with a vertex */
             if (intersection.edge.shape instanceof Flatten.Segment) {
                 counter++;
+            } else if (intersection.edge.shape instanceof Flatten.Bezier) {
+                if (crossesHorizontal(intersection.edge.shape, intersection.pt)) {
+                    counter++;
+                }
             } else {
                 /* Check if ray does not touch the curve in the extremal (top or bottom) point */
                 let box = intersection.edge.shape.box;
@@ -129,3 +132,88 @@ export function ray_shoot(polygon, point) {
 
     return contains;
 };
+
+/*
+ * Crossing number with half-open rule: edge is counted when one of its ends lies strictly above the ray
+ * and another one does not, so vertices on the ray need no special treatment.
+ * Arcs are split into y-monotone pieces. Segments are tested with exact orientation predicate.
+ * Boundary is still detected with tolerance, like in non-robust mode
+ */
+function ray_shoot_robust(edges, point) {
+    let {orient2d} = Flatten.Predicates;
+    let counter = 0;
+
+    for (let edge of edges) {
+        let shape = edge.shape;
+        // End of the edge is taken as start of the next edge, so adjacent edges share the same vertex
+        let start = edge.start;
+        let end = edge.next.start;
+
+        if (point.on(shape)) {
+            return Flatten.BOUNDARY;
+        }
+
+        if (shape instanceof Flatten.Segment) {
+            if ((start.y > point.y) === (end.y > point.y)) continue;
+            let orientation = orient2d(start.x, start.y, end.x, end.y, point.x, point.y);
+            if (end.y > start.y ? orientation > 0 : orientation < 0) {
+                counter++;
+            }
+        } else {
+            for (let [y1, y2, right] of monotoneArcs(shape, start.y, end.y)) {
+                if ((y1 > point.y) === (y2 > point.y)) continue;
+                let dy = point.y - shape.pc.y;
+                let dx = Math.sqrt(Math.max(shape.r * shape.r - dy * dy, 0));
+                if ((right ? shape.pc.x + dx : shape.pc.x - dx) > point.x) {
+                    counter++;
+                }
+            }
+        }
+    }
+
+    return counter % 2 == 1 ? Flatten.INSIDE : Flatten.OUTSIDE;
+}
+
+/*
+ * Split arc in the top and bottom points into y-monotone pieces.
+ * Returns array of [y of start, y of end, true if piece lies to the right of the center]
+ */
+function monotoneArcs(arc, startY, endY) {
+    let direction = arc.counterClockwise ? 1 : -1;
+    let offsets = [Math.PI / 2, 3 * Math.PI / 2]
+        .map(angle => ((direction * (angle - arc.startAngle)) % Flatten.PIx2 + Flatten.PIx2) % Flatten.PIx2)
+        .filter(offset => offset > 0 && offset < arc.sweep)
+        .sort((a, b) => a - b);
+    let bounds = [0, ...offsets, arc.sweep];
+    let pieces = [];
+    for (let i = 0; i + 1 < bounds.length; i++) {
+        let y1 = i === 0 ? startY : arc.pc.y + arc.r * Math.sin(arc.startAngle + direction * bounds[i]);
+        let y2 = i + 2 === bounds.length ? endY : arc.pc.y + arc.r * Math.sin(arc.startAngle + direction * bounds[i + 1]);
+        let middle = arc.startAngle + direction * (bounds[i] + bounds[i + 1]) / 2;
+        pieces.push([y1, y2, Math.cos(middle) > 0]);
+    }
+    return pieces;
+}
+
+/*
+ * Returns point that shows to which side of the ray line the edge goes from the vertex.
+ * When arc is tangent to the line in the vertex, it goes to the side of its center
+ */
+function sidePoint(shape, pt, tangent, line) {
+    if (shape instanceof Flatten.Arc && Utils.EQ_0(tangent.dot(line.norm))) {
+        return shape.pc;
+    }
+    return pt.translate(tangent);
+}
+
+/*
+ * Returns true if curve crosses horizontal line through the point, false if it only touches the line.
+ * Curve touches the line when the point is its local top or bottom, where y-derivative changes sign
+ */
+function crossesHorizontal(bezier, pt) {
+    let dy = polyDerivative(bezier.coefficients[1]);
+    let ddy = polyDerivative(dy);
+    return !polyRoots(dy)
+        .filter(t => t > 0 && t < 1 && !Utils.EQ_0(polyValue(ddy, t)))
+        .some(t => bezier.pointAtParameter(t).equalTo(pt));
+}
@@ -32,60 +32,66 @@ let {vector,ray,segment,arc,polygon,multiline} = Flatten;
  * no part of the interior or boundary of one geometry intersects the exterior of the other
  * @param shape1
  * @param shape2
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {boolean}
  */
-export function equal(shape1, shape2) {
-    return relate(shape1, shape2).equal();
+export function equal(shape1, shape2, context) {
+    return relate(shape1, shape2, context).equal();
 }
 
 /**
  * Returns true if shapes have at least one point in common, same as "not disjoint"
  * @param shape1
  * @param shape2
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {boolean}
  */
-export function intersect(shape1, shape2) {
-    return relate(shape1, shape2).intersect();
+export function intersect(shape1, shape2, context) {
+    return relate(shape1, shape2, context).intersect();
 }
 
 /**
  * Returns true if shapes have at least one point in common, but their interiors do not intersect
  * @param shape1
  * @param shape2
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {boolean}
  */
-export function touch(shape1, shape2) {
-    return relate(shape1, shape2).touch();
+export function touch(shape1, shape2, context) {
+    return relate(shape1, shape2, context).touch();
 }
 
 /**
  * Returns true if shapes have no points in common neither in interior nor in boundary
  * @param shape1
  * @param shape2
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {boolean}
  */
-export function disjoint(shape1, shape2) {
-    return !intersect(shape1, shape2);
+export function disjoint(shape1, shape2, context) {
+    return !intersect(shape1, shape2, context);
 }
 
 /**
  * Returns true shape1 lies in the interior of shape2
  * @param shape1
  * @param shape2
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {boolean}
  */
-export function inside(shape1, shape2) {
-    return relate(shape1, shape2).inside();
+export function inside(shape1, shape2, context) {
+    return relate(shape1, shape2, context).inside();
 }
 
 /**
  * Returns true if every point in shape1 lies in the interior or on the boundary of shape2
  * @param shape1
  * @param shape2
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {boolean}
  */
-export function covered(shape1, shape2) {
-    return  relate(shape1, shape2).covered();
+export function covered(shape1, shape2, context) {
+    return  relate(shape1, shape2, context).covered();
 }
 
 /**
@@ -93,20 +99,22 @@ export function covered(shape1, shape2) {
  * Same as inside(shape2, shape1)
  * @param shape1
  * @param shape2
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {boolean}
  */
-export function contain(shape1, shape2) {
-    return inside(shape2, shape1);
+export function contain(shape1, shape2, context) {
+    return inside(shape2, shape1, context);
 }
 
 /**
  * Returns true shape1's cover shape2, same as shape2 covered by shape1
  * @param shape1
  * @param shape2
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {boolean}
  */
-export function cover(shape1, shape2) {
-    return covered(shape2, shape1);
+export function cover(shape1, shape2, context) {
+    return covered(shape2, shape1, context);
 }
 
 /**
@@ -117,9 +125,14 @@ export function cover(shape1, shape2) {
  * between two exteriors is usually irrelevant)
  * @param shape1
  * @param shape2
+ * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
  * @returns {DE9IM}
  */
-export function relate(shape1, shape2) {
+export function relate(shape1, shape2, context) {
+    return Flatten.Utils.withContext(context, () => relateShapes(shape1, shape2));
+}
+
+function relateShapes(shape1, shape2) {
     if (shape1 instanceof Flatten.Line && shape2 instanceof Flatten.Line) {
         return relateLine2Line(shape1,  shape2);
     }
@@ -132,13 +145,26 @@ export function relate(shape1, shape2) {
     else if ( shape1 instanceof Flatten.Line  && shape2 instanceof Flatten.Polygon) {
         return relateLine2Polygon(shape1, shape2);
     }
-    else if ( (shape1 instanceof Flatten.Segment || shape1 instanceof Flatten.Arc)  && shape2 instanceof Flatten.Polygon) {
+    else if ( (shape1 instanceof Flatten.Segment || shape1 instanceof Flatten.Arc || shape1 instanceof Flatten.Bezier)  && shape2 instanceof Flatten.Polygon) {
         return relateShape2Polygon(shape1, shape2);
     }
-    else if ( (shape1 instanceof Flatten.Segment || shape1 instanceof Flatten.Arc)  &&
+    else if ( (shape1 instanceof Flatten.Segment || shape1 instanceof Flatten.Arc || shape1 instanceof Flatten.Bezier)  &&
         (shape2 instanceof Flatten.Circle || shape2 instanceof Flatten.Box) ) {
         return relateShape2Polygon(shape1, new Flatten.Polygon(shape2));
     }
+    else if (shape1 instanceof Flatten.Multiline && shape2 instanceof Flatten.Polygon) {
+        return relateMultiline2Polygon(shape1, shape2);
+    }
+    else if (shape1 instanceof Flatten.Multiline && (shape2 instanceof Flatten.Circle || shape2 instanceof Flatten.Box)) {
+        return relateMultiline2Polygon(shape1, new Flatten.Polygon(shape2));
+    }
+    else if ((shape1 instanceof Flatten.Polygon || shape1 instanceof Flatten.Circle || shape1 instanceof Flatten.Box) &&
+        shape2 instanceof Flatten.Multiline) {
+        return relateShapes(shape2, shape1).transpose();
+    }
+    else if ((shape1 instanceof Flatten.Multiline && isCurve(shape2)) || (isCurve(shape1) && shape2 instanceof Flatten.Multiline)) {
+        return relateMultiline2Multiline(toMultiline(shape1), toMultiline(shape2));
+    }
     else if (shape1 instanceof Flatten.Polygon && shape2 instanceof Flatten.Polygon) {
         return relatePolygon2Polygon(shape1, shape2);
     }
@@ -152,6 +178,17 @@ export function relate(shape1, shape2) {
     else if (shape1 instanceof Flatten.Polygon && (shape2 instanceof Flatten.Circle || shape2 instanceof Flatten.Box)) {
         return relatePolygon2Polygon(shape1, new Flatten.Polygon(shape2));
     }
+    throw Flatten.Errors.ILLEGAL_PARAMETERS;
+}
+
+/* Bounded curve that may be an edge of the multiline */
+function isCurve(shape) {
+    return shape instanceof Flatten.Segment || shape instanceof Flatten.Arc || shape instanceof Flatten.Bezier ||
+        shape instanceof Flatten.Multiline;
+}
+
+function toMultiline(shape) {
+    return shape instanceof Flatten.Multiline ? shape : new Flatten.Multiline([shape]);
 }
 
 function relateLine2Line(line1, line2) {
@@ -309,6 +346,89 @@ function relateShape2Polygon(shape, polygon) {
     return denim;
 }
 
+/*
+ * Boundary of the multiline is a pair of its end points, closed multiline has no boundary.
+ * Unbounded end of the ray or line is not a boundary point
+ */
+/* Boundary of the multiline: its end points, closed multiline has no boundary */
+function multilineEnds(multiline) {
+    let ends = multiline.isEmpty() ? [] : [multiline.first.start, multiline.last.end].filter(pt => pt !== undefined);
+    if (ends.length === 2 && ends[0].equalTo(ends[1])) {
+        ends = [];
+    }
+    return ends;
+}
+
+/*
+ * Split multiline in the intersection points with other multiline
+ * and return edge shapes which lay on the other multiline and which do not
+ */
+function splitByMultiline(multiline, ip, other) {
+    let split = multiline.clone().split(ip.filter(pt => multiline.contains(pt)));
+    let [common, apart] = [[], []];
+    for (let edge of split) {
+        (other.contains(edge.middle()) ? common : apart).push(edge.shape);
+    }
+    return [common, apart];
+}
+
+function relateMultiline2Multiline(multiline1, multiline2) {
+    let denim = new DE9IM();
+    let ip = multiline1.intersect(multiline2);
+    let [ends1, ends2] = [multilineEnds(multiline1), multilineEnds(multiline2)];
+    let isEnd = (ends, pt) => ends.some(end => end.equalTo(pt));
+
+    let [common, apart1] = splitByMultiline(multiline1, ip, multiline2);
+    let [, apart2] = splitByMultiline(multiline2, ip, multiline1);
+
+    denim.I2I = [...common, ...ip.filter(pt => !isEnd(ends1, pt) && !isEnd(ends2, pt))];
+    denim.I2B = ends2.filter(pt => !isEnd(ends1, pt) && multiline1.contains(pt));
+    denim.I2E = apart1;
+
+    denim.B2I = ends1.filter(pt => !isEnd(ends2, pt) && multiline2.contains(pt));
+    denim.B2B = ends1.filter(pt => isEnd(ends2, pt));
+    denim.B2E = ends1.filter(pt => !multiline2.contains(pt));
+
+    denim.E2I = apart2;
+    denim.E2B = ends2.filter(pt => !multiline1.contains(pt));
+
+    return denim;
+}
+
+function relateMultiline2Polygon(multiline, polygon) {
+    let denim = new DE9IM();
+    let {inside, outside, boundary} = BooleanOp.clipMultiline(multiline, polygon);
+    let toShapes = multilines => multilines.reduce((acc, piece) => [...acc, ...piece.toShapes()], []);
+
+    let ends = multilineEnds(multiline);
+    let ip = multiline.intersect(polygon).filter(pt => !ends.some(end => end.equalTo(pt)));
+
+    denim.I2I = toShapes(inside);
+    denim.I2B = [...toShapes(boundary), ...ip];
+    denim.I2E = toShapes(outside);
+
+    denim.B2I = [];
+    denim.B2B = [];
+    denim.B2E = [];
+    for (let pt of ends) {
+        switch (ray_shoot(polygon, pt)) {
+            case Flatten.INSIDE:
+                denim.B2I.push(pt);
+                break;
+            case Flatten.BOUNDARY:
+                denim.B2B.push(pt);
+                break;
+            case Flatten.OUTSIDE:
+                denim.B2E.push(pt);
+                break;
+            default:
+                break;
+        }
+    }
+
+    return denim;
+}
+
 function relatePolygon2Polygon(polygon1, polygon2) {
     let denim = new DE9IM();
 
@@ -0,0 +1,221 @@
+/**
+ * @module Simplify
+ */
+"use strict";
+
+import Flatten from '../flatten';
+import {fitPieces} from './arc_fitting';
+
+/**
+ * Simplification options
+ * @typedef {Object} SimplifyOptions
+ * @property {boolean} [preserveTopology=true] - do not allow simplified edges to cross other edges or to sweep
+ * over vertices of other faces, so that valid polygon stays valid. Faces are never collapsed in this mode
+ * @property {boolean} [fitArcs=false] - replace runs of three or more segments with arcs, which stay within
+ * the tolerance from the replaced segments, see [fitArcs]{@link module:ArcFitting.fitArcs}
+ */
+
+/**
+ * Simplify polygon or multiline and return new shape with reduced number of vertices. <br/>
+ * Runs of consecutive segments are simplified with Douglas-Peucker algorithm: vertex is removed if it
+ * lays within the tolerance from the new segment. Arcs and Bézier curves are kept as is,
+ * their end points and end points of the multiline are never removed. <br/>
+ * Without topology preservation face which is thinner than the tolerance is removed from the polygon
+ * @param {Polygon|Multiline} shape - shape to be simplified
+ * @param {number} tolerance - maximal distance between removed vertex and simplified edge
+ * @param {SimplifyOptions} [options] - simplification options
+ * @returns {Polygon|Multiline}
+ */
+export function simplify(shape, tolerance, options = {}) {
+    if (!(shape instanceof Flatten.Polygon || shape instanceof Flatten.Multiline) ||
+        typeof tolerance !== "number" || !(tolerance >= 0)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    let {preserveTopology = true, fitArcs = false} = options;
+    let closed = shape instanceof Flatten.Polygon;
+    let chains = closed ? [...shape.faces].map(face => face.shapes) : [shape.toShapes()];
+
+    let index = new Flatten.PlanarSet();
+    if (preserveTopology) {
+        for (let chain of chains) {
+            chain.forEach(item => index.add(item));
+        }
+    }
+    let simplifier = {tolerance, preserveTopology, fitArcs, index};
+    let simplified = chains.map(chain => simplifyChain(chain, closed, simplifier));
+
+    if (!closed) {
+        return new Flatten.Multiline(simplified[0]);
+    }
+    let polygon = new Flatten.Polygon();
+    for (let chain of simplified) {
+        if (chain.length > 0) {
+            polygon.addFace(chain);
+        }
+    }
+    return polygon;
+}
+
+/*
+ * Chain is split into runs of segments between other shapes, which are kept unchanged.
+ * Closed chain of segments only has no fixed vertex and is simplified as a ring
+ */
+function simplifyChain(shapes, closed, simplifier) {
+    let fixed = shapes.findIndex(shape => !(shape instanceof Flatten.Segment));
+    if (closed && fixed < 0) {
+        return simplifyRing(shapes, simplifier);
+    }
+    if (closed) {
+        shapes = [...shapes.slice(fixed), ...shapes.slice(0, fixed)];
+    }
+
+    let simplified = [];
+    let run = [];
+    for (let shape of shapes) {
+        if (shape instanceof Flatten.Segment) {
+            run.push(shape);
+            continue;
+        }
+        simplified.push(...simplifyRun(run, simplifier), shape);
+        run = [];
+    }
+    simplified.push(...simplifyRun(run, simplifier));
+    return simplified;
+}
+
+function simplifyRun(segments, simplifier) {
+    if (segments.length < 2) {
+        return segments;
+    }
+    let points = [segments[0].start, ...segments.map(segment => segment.end)];
+    return simplifyRange(points, segments, false, 0, segments.length, simplifier);
+}
+
+/*
+ * Ring keeps its first vertex, the vertex farthest from it and the vertex farthest from the chord
+ * between them, so it never degenerates into a line
+ */
+function simplifyRing(segments, simplifier) {
+    let points = [...segments.map(segment => segment.start), segments[0].start];
+    let n = segments.length;
+    if (n <= 3) {
+        return segments;
+    }
+    let [far] = farthest(points, 0, n, pt => pt.distanceTo(points[0])[0]);
+    let chord = new Flatten.Segment(points[0], points[far]);
+    let [apex, height] = farthest(points, 0, n, pt => pt.distanceTo(chord)[0]);
+    if (height <= simplifier.tolerance && !simplifier.preserveTopology) {
+        return [];                 // face collapses
+    }
+    if (Flatten.Utils.EQ_0(height)) {
+        return segments;
+    }
+
+    let anchors = [0, far, apex, n].sort((a, b) => a - b);
+    let simplified = [];
+    for (let i = 0; i < anchors.length - 1; i++) {
+        simplified.push(...simplifyRange(points, segments, true, anchors[i], anchors[i + 1], simplifier));
+    }
+    return simplified;
+}
+
+/*
+ * Simplify part of the run from points[from] to points[to], where segments[i] connects points[i] and points[i+1].
+ * Arcs are fitted with the biarc fitting core, parts left without arcs are simplified with Douglas-Peucker
+ */
+function simplifyRange(points, segments, ring, from, to, simplifier) {
+    let simplified = [];
+    let start = from;
+    if (simplifier.fitArcs) {
+        for (let piece of fitPieces(segments, ring, from, to, simplifier.tolerance)) {
+            if (piece.to - piece.from < 3 || !piece.shapes.some(shape => shape instanceof Flatten.Arc) ||
+                !replaceable(piece.shapes, points, segments, piece.from, piece.to, simplifier)) {
+                continue;
+            }
+            simplified.push(...douglasPeucker(points, segments, start, piece.from, simplifier), ...piece.shapes);
+            start = piece.to;
+        }
+    }
+    simplified.push(...douglasPeucker(points, segments, start, to, simplifier));
+    return simplified;
+}
+
+function douglasPeucker(points, segments, from, to, simplifier) {
+    if (to - from < 2) {
+        return segments.slice(from, to);
+    }
+    let candidate = new Flatten.Segment(points[from], points[to]);
+    let [k, dist] = farthest(points, from + 1, to, pt => pt.distanceTo(candidate)[0]);
+    if (!candidate.isZeroLength() && dist <= simplifier.tolerance &&
+        replaceable([candidate], points, segments, from, to, simplifier)) {
+        return [candidate];
+    }
+    return [
+        ...douglasPeucker(points, segments, from, k, simplifier),
+        ...douglasPeucker(points, segments, k, to, simplifier)
+    ];
+}
+
+/*
+ * New shapes may replace part of the chain from points[from] to points[to] when they do not cross other edges
+ * except touching the adjacent ones at the end points, and when no other vertex lays in the area
+ * between the part of the chain and the new shapes
+ */
+function replaceable(shapes, points, segments, from, to, simplifier) {
+    if (!simplifier.preserveTopology) {
+        return true;
+    }
+    let {index} = simplifier;
+    let replaced = new Set(segments.slice(from, to));
+    let ends = [points[from], points[to]];
+    let ring = points.slice(from, to + 1);
+    let box = ring.reduce((acc, pt) => acc.merge(pt.box), new Flatten.Box());
+    box = shapes.reduce((acc, shape) => acc.merge(shape.box), box);
+
+    for (let other of index.search(box)) {
+        if (replaced.has(other)) continue;
+        for (let shape of shapes) {
+            for (let ip of other.intersect(shape)) {
+                let end = ends.find(pt => pt.equalTo(ip));
+                if (!end || !(end.equalTo(other.start) || end.equalTo(other.end))) {
+                    return false;
+                }
+            }
+        }
+        for (let pt of [other.start, other.end]) {
+            if (pt && !ends.some(end => end.equalTo(pt)) && insideRing(pt, ring)) {
+                return false;
+            }
+        }
+    }
+
+    replaced.forEach(segment => index.delete(segment));
+    shapes.forEach(shape => index.add(shape));
+    return true;
+}
+
+function farthest(points, from, to, distance) {
+    let [index, max] = [from, -1];
+    for (let i = from; i < to; i++) {
+        let dist = distance(points[i]);
+        if (dist > max) {
+            [index, max] = [i, dist];
+        }
+    }
+    return [index, max];
+}
+
+/* Even-odd test of the point against closed polyline */
+function insideRing(pt, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        let [pi, pj] = [ring[i], ring[j]];
+        if ((pi.y > pt.y) !== (pj.y > pt.y) &&
+            pt.x < (pj.x - pi.x) * (pt.y - pi.y) / (pj.y - pi.y) + pi.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+Flatten.simplify = simplify;
@@ -0,0 +1,356 @@
+/**
+ * @module Triangulation
+ */
+"use strict";
+
+import Flatten from '../flatten';
+import {shapesToPoints} from '../utils/linearize';
+
+/**
+ * Calculate constrained Delaunay triangulation of the polygon. <br/>
+ * All faces are respected: islands are triangulated with their holes, edges of the polygon are kept
+ * as edges of triangles, arcs and Bézier curves are linearized. <br/>
+ * Islands are merged with their holes by bridges and triangulated by ear clipping, then the
+ * triangulation is converted to the constrained Delaunay one by flipping of unconstrained edges. <br/>
+ * By default, returns array of triangles as polygons with one counter clockwise face.
+ * When options.indices is true, returns object {vertices, triangles}, where vertices starts with
+ * polygon.vertices followed by points of linearized curves, and triangles is array of triples of indices
+ * of counter clockwise oriented triangles in vertices array
+ * @param {Polygon} polygon - polygon to be triangulated
+ * @param {Object} options - triangulation options
+ * @param {number} options.maxChordHeight - maximal distance between curve and its linearization,
+ * default is 0.001 of arc radius
+ * @param {boolean} options.indices - return triangles as indices of vertices
+ * @returns {Polygon[]|Object}
+ */
+export function triangulate(polygon, options = {}) {
+    let {maxChordHeight, indices = false} = options;
+
+    /* Vertices of the polygon keep their indices, points of linearized curves are appended */
+    let vertices = polygon.vertices;
+    let edgeIndex = new Map([...polygon.edges].map((edge, i) => [edge, i]));
+
+    let rings = [];
+    for (let face of polygon.faces) {
+        let ring = [];
+        for (let edge of face.edges) {
+            ring.push(edgeIndex.get(edge));
+            if (!edge.isSegment()) {
+                for (let pt of shapesToPoints([edge.shape], maxChordHeight).slice(1, -1)) {
+                    ring.push(vertices.length);
+                    vertices.push(pt);
+                }
+            }
+        }
+        ring = ring.filter((index, i) => !vertices[index].equalTo(vertices[ring[(i + 1) % ring.length]]));
+        if (ring.length >= 3) {
+            rings.push({indices: ring, area: signedArea(ring, vertices)});
+        }
+    }
+
+    let triangles = [];
+    let constraints = new Set();
+    for (let ring of rings) {
+        ring.indices.forEach((index, i) => constraints.add(edgeKey(index, ring.indices[(i + 1) % ring.indices.length])));
+    }
+    for (let [island, holes] of groupIslands(rings, vertices)) {
+        triangulateIsland(island, holes, vertices, triangles);
+    }
+    flipToDelaunay(triangles, vertices, constraints);
+
+    if (indices) {
+        return {vertices: vertices, triangles: triangles};
+    }
+    return triangles.map(triangle => new Flatten.Polygon(triangle.map(index => vertices[index])));
+}
+
+/* Islands are rings with the same orientation as the largest ring, each hole belongs to the smallest island around */
+function groupIslands(rings, vertices) {
+    let islands = new Map();
+    if (rings.length === 0) {
+        return islands;
+    }
+    let sign = Math.sign(rings.reduce((acc, ring) => Math.abs(ring.area) > Math.abs(acc.area) ? ring : acc).area);
+    let outer = rings.filter(ring => Math.sign(ring.area) === sign).sort((r1, r2) => Math.abs(r1.area) - Math.abs(r2.area));
+    outer.forEach(ring => islands.set(ring, []));
+
+    for (let ring of rings) {
+        if (Math.sign(ring.area) === sign) continue;
+        let island = outer.find(island => ring.indices.every(index => pointInRing(vertices[index], island.indices, vertices)));
+        if (island !== undefined) {
+            islands.get(island).push(ring);
+        }
+    }
+    return islands;
+}
+
+/*
+ * Elimination of holes by bridges (leftmost, findHoleBridge, splitRing) and the predicates pointInTriangle,
+ * locallyInside and sectorContainsSector are adapted from earcut, https://github.com/mapbox/earcut,
+ * distributed under the following license:
+ *
+ * ISC License
+ *
+ * Copyright (c) 2016, Mapbox
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any purpose
+ * with or without fee is hereby granted, provided that the above copyright notice
+ * and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND ISC DISCLAIMS ALL WARRANTIES WITH REGARD
+ * TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ * FITNESS. IN NO EVENT SHALL ISC BE LIABLE FOR ANY SPECIAL, DIRECT,
+ * INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM LOSS
+ * OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR OTHER
+ * TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR PERFORMANCE OF
+ * THIS SOFTWARE.
+ */
+
+/* Triangulate island with holes by ear clipping, island is processed counter clockwise and holes clockwise */
+function triangulateIsland(island, holes, vertices, triangles) {
+    let outerNode = linkedRing(island, vertices, 1);
+    let holeNodes = holes.map(hole => leftmost(linkedRing(hole, vertices, -1)));
+    holeNodes.sort((node1, node2) => node1.x - node2.x || node1.y - node2.y);
+    for (let hole of holeNodes) {
+        let bridge = findHoleBridge(hole, outerNode);
+        if (bridge !== undefined) {
+            splitRing(bridge, hole);
+        }
+    }
+    earClip(outerNode, triangles);
+}
+
+function linkedRing(ring, vertices, sign) {
+    let indices = Math.sign(ring.area) === sign ? ring.indices : ring.indices.slice().reverse();
+    let first, last;
+    for (let index of indices) {
+        let node = {i: index, x: vertices[index].x, y: vertices[index].y, prev: last, next: undefined};
+        if (last) {
+            last.next = node;
+        } else {
+            first = node;
+        }
+        last = node;
+    }
+    last.next = first;
+    first.prev = last;
+    return first;
+}
+
+function leftmost(start) {
+    let node = start, left = start;
+    do {
+        if (node.x < left.x || (node.x === left.x && node.y < left.y)) left = node;
+        node = node.next;
+    } while (node !== start);
+    return left;
+}
+
+/*
+ * Find node of the outer ring visible from the leftmost node of the hole: shoot ray to the left,
+ * take the nearest intersected edge, and then the node closest to the ray inside the triangle of visibility
+ */
+function findHoleBridge(hole, outerNode) {
+    let node = outerNode;
+    let hx = hole.x, hy = hole.y;
+    let qx = Number.NEGATIVE_INFINITY;
+    let bridge;
+
+    do {
+        let next = node.next;
+        if (hy <= node.y && hy >= next.y && next.y !== node.y) {
+            let x = node.x + (hy - node.y) * (next.x - node.x) / (next.y - node.y);
+            if (x <= hx && x > qx) {
+                qx = x;
+                bridge = node.x < next.x ? node : next;
+                if (x === hx) return bridge;
+            }
+        }
+        node = next;
+    } while (node !== outerNode);
+
+    if (bridge === undefined) return undefined;
+
+    let stop = bridge;
+    let mx = bridge.x, my = bridge.y;
+    let tanMin = Number.POSITIVE_INFINITY;
+    node = bridge;
+    do {
+        if (hx >= node.x && node.x >= mx && hx !== node.x &&
+            pointInTriangle(hy < my ? hx : qx, hy, mx, my, hy < my ? qx : hx, hy, node.x, node.y)) {
+            let tan = Math.abs(hy - node.y) / (hx - node.x);
+            if (locallyInside(node, hole) &&
+                (tan < tanMin || (tan === tanMin && (node.x > bridge.x || (node.x === bridge.x && sectorContainsSector(bridge, node)))))) {
+                bridge = node;
+                tanMin = tan;
+            }
+        }
+        node = node.next;
+    } while (node !== stop);
+    return bridge;
+}
+
+/* Link node a of outer ring with node b of the hole by two opposite edges */
+function splitRing(a, b) {
+    let a2 = {i: a.i, x: a.x, y: a.y}, b2 = {i: b.i, x: b.x, y: b.y};
+    let an = a.next, bp = b.prev;
+    a.next = b;
+    b.prev = a;
+    a2.next = an;
+    an.prev = a2;
+    b2.next = a2;
+    a2.prev = b2;
+    bp.next = b2;
+    b2.prev = bp;
+}
+
+function earClip(start, triangles) {
+    let node = start, stop = start;
+    while (node.prev !== node.next) {
+        let prev = node.prev, next = node.next;
+        if (isEar(node)) {
+            triangles.push([prev.i, node.i, next.i]);
+            removeNode(node);
+            node = stop = next;
+            continue;
+        }
+        node = next;
+        if (node === stop) {
+            /* No ear found due to degeneracy, clip any convex vertex or stop */
+            let convex = node;
+            while (cross(convex.prev, convex, convex.next) <= 0) {
+                convex = convex.next;
+                if (convex === stop) return;
+            }
+            triangles.push([convex.prev.i, convex.i, convex.next.i]);
+            node = stop = convex.next;
+            removeNode(convex);
+        }
+    }
+}
+
+function isEar(node) {
+    let a = node.prev, b = node, c = node.next;
+    if (cross(a, b, c) <= 0) return false;
+    for (let p = c.next; p !== a; p = p.next) {
+        if (coincident(p, a) || coincident(p, b) || coincident(p, c)) continue;
+        if (pointInTriangle(a.x, a.y, b.x, b.y, c.x, c.y, p.x, p.y)) return false;
+    }
+    return true;
+}
+
+function removeNode(node) {
+    node.next.prev = node.prev;
+    node.prev.next = node.next;
+}
+
+/* Flip unconstrained edges which are not locally Delaunay until all of them are (Lawson algorithm) */
+function flipToDelaunay(triangles, vertices, constraints) {
+    let halfEdges = new Map();
+    let register = (t) => triangles[t].forEach((index, i) => halfEdges.set(index + ',' + triangles[t][(i + 1) % 3], t));
+    let unregister = (t) => triangles[t].forEach((index, i) => halfEdges.delete(index + ',' + triangles[t][(i + 1) % 3]));
+    triangles.forEach((triangle, t) => register(t));
+
+    let stack = [];
+    triangles.forEach(triangle => triangle.forEach((index, i) => stack.push([index, triangle[(i + 1) % 3]])));
+
+    while (stack.length > 0) {
+        let [u, v] = stack.pop();
+        if (constraints.has(edgeKey(u, v))) continue;
+        let t1 = halfEdges.get(u + ',' + v);
+        let t2 = halfEdges.get(v + ',' + u);
+        if (t1 === undefined || t2 === undefined || t1 === t2) continue;
+        let w = opposite(triangles[t1], u, v);
+        let z = opposite(triangles[t2], v, u);
+        let [pu, pv, pw, pz] = [vertices[u], vertices[v], vertices[w], vertices[z]];
+        /* Flip only if quadrilateral is strictly convex and z lies inside circumcircle of triangle uvw */
+        if (!shouldFlip(pu, pv, pw, pz)) continue;
+
+        unregister(t1);
+        unregister(t2);
+        triangles[t1] = [u, z, w];
+        triangles[t2] = [z, v, w];
+        register(t1);
+        register(t2);
+        stack.push([u, z], [z, v], [v, w], [w, u]);
+    }
+}
+
+/*
+ * Returns true if edge uv shared by triangles uvw and vuz should be flipped.
+ * In robust mode (see Flatten.ROBUST) orientation and in circle tests are exact, without tolerance
+ */
+function shouldFlip(pu, pv, pw, pz) {
+    if (Flatten.Utils.isRobust()) {
+        let {orient2d, incircle} = Flatten.Predicates;
+        return orient2d(pz.x, pz.y, pw.x, pw.y, pu.x, pu.y) > 0 &&
+            orient2d(pw.x, pw.y, pz.x, pz.y, pv.x, pv.y) > 0 &&
+            incircle(pu.x, pu.y, pv.x, pv.y, pw.x, pw.y, pz.x, pz.y) > 0;
+    }
+    return cross(pz, pw, pu) > 0 && cross(pw, pz, pv) > 0 && Flatten.Utils.GT(inCircle(pu, pv, pw, pz), 0);
+}
+
+function opposite(triangle, u, v) {
+    return triangle.find(index => index !== u && index !== v);
+}
+
+function edgeKey(i, j) {
+    return i < j ? i + ',' + j : j + ',' + i;
+}
+
+function signedArea(ring, vertices) {
+    return ring.reduce((acc, index, i) => {
+        let p = vertices[index], q = vertices[ring[(i + 1) % ring.length]];
+        return acc + (p.x * q.y - q.x * p.y);
+    }, 0) / 2;
+}
+
+/* Inclusive point in ring test, points on the boundary are counted inside */
+function pointInRing(pt, ring, vertices) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        let p = vertices[ring[i]], q = vertices[ring[j]];
+        if (new Flatten.Segment(p, q).contains(pt)) return true;
+        if ((p.y > pt.y) !== (q.y > pt.y) && pt.x < p.x + (pt.y - p.y) * (q.x - p.x) / (q.y - p.y)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/* Twice signed area of triangle, positive when a, b, c are in counter clockwise order */
+function cross(a, b, c) {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+/* Positive when d lies inside circumcircle of counter clockwise triangle a, b, c */
+function inCircle(a, b, c, d) {
+    let adx = a.x - d.x, ady = a.y - d.y;
+    let bdx = b.x - d.x, bdy = b.y - d.y;
+    let cdx = c.x - d.x, cdy = c.y - d.y;
+    let ad = adx * adx + ady * ady, bd = bdx * bdx + bdy * bdy, cd = cdx * cdx + cdy * cdy;
+    return adx * (bdy * cd - bd * cdy) - ady * (bdx * cd - bd * cdx) + ad * (bdx * cdy - bdy * cdx);
+}
+
+/* Predicates below are adapted from earcut, see the license notice above */
+function pointInTriangle(ax, ay, bx, by, cx, cy, px, py) {
+    return (cx - px) * (ay - py) >= (ax - px) * (cy - py) &&
+        (ax - px) * (by - py) >= (bx - px) * (ay - py) &&
+        (bx - px) * (cy - py) >= (cx - px) * (by - py);
+}
+
+function locallyInside(a, b) {
+    return cross(a.prev, a, a.next) > 0 ?
+        cross(a, b, a.next) <= 0 && cross(a, a.prev, b) <= 0 :
+        cross(a, b, a.prev) > 0 || cross(a, a.next, b) > 0;
+}
+
+function sectorContainsSector(m, p) {
+    return cross(m.prev, m, p.prev) > 0 && cross(p.next, m, m.next) > 0;
+}
+
+function coincident(p, q) {
+    return p.x === q.x && p.y === q.y;
+}
+
+Flatten.triangulate = triangulate;
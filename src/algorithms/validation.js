@@ -0,0 +1,445 @@
+/**
+ * @module Validation
+ */
+"use strict";
+
+import Flatten from '../flatten';
+import * as Utils from '../utils/utils';
+import {ray_shoot} from './ray_shooting';
+import {addToIntPoints, getSortedArray, splitByIntersections} from './boolean_op';
+
+const {VALIDATION_ERROR, ORIENTATION, INSIDE, OUTSIDE, BOUNDARY} = Flatten;
+
+/**
+ * Validation error found in the polygon
+ * @typedef {Object} ValidationError
+ * @property {string} type - one of [VALIDATION_ERROR]{@link Flatten.VALIDATION_ERROR} values
+ * @property {Face[]} faces - faces where the error was found
+ * @property {Edge[]} edges - offending edges
+ * @property {Point[]} points - points where the error was found, for example, intersection points
+ */
+
+/**
+ * Validation report
+ * @typedef {Object} ValidationReport
+ * @property {boolean} valid - true if no errors were found
+ * @property {ValidationError[]} errors - list of errors
+ */
+
+/**
+ * Validate polygon and return report with all found errors. Polygon is valid if <br/>
+ * 1. Faces have no zero-length edges and no repeated vertices <br/>
+ * 2. Faces are simple, edges of the same face intersect only at common vertices of adjacent edges <br/>
+ * 3. Boundaries of different faces do not cross and do not overlap, touching at isolated points is allowed <br/>
+ * 4. Faces are orientable, outer faces (islands) have the same orientation, which is defined by the largest one,
+ * and faces nested into other faces have alternating orientation: there is no island inside island
+ * and no hole inside hole <br/>
+ * Nesting of faces is checked only for simple orientable faces
+ * @param {Polygon} polygon - polygon to be validated
+ * @returns {ValidationReport}
+ */
+export function validate(polygon) {
+    if (!(polygon instanceof Flatten.Polygon)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    let errors = [];
+    let faces = [...polygon.faces];
+    let invalid = new Set();
+
+    for (let face of faces) {
+        let count = errors.length;
+        checkZeroLengthEdges(face, errors);
+        checkDuplicateVertices(polygon, face, errors);
+        checkSelfIntersections(polygon, face, errors);
+        if (face.orientation() === ORIENTATION.NOT_ORIENTABLE) {
+            errors.push(validationError(VALIDATION_ERROR.NOT_ORIENTABLE, [face]));
+        }
+        if (errors.length > count) {
+            invalid.add(face);
+        }
+    }
+
+    checkFacesIntersections(polygon, faces, errors);
+    checkNesting(faces.filter(face => !invalid.has(face)), errors);
+
+    return {valid: errors.length === 0, errors};
+}
+
+function validationError(type, faces, edges = [], points = []) {
+    return {type, faces, edges, points};
+}
+
+function isZeroLength(edge) {
+    return Utils.EQ_0(edge.length);
+}
+
+function checkZeroLengthEdges(face, errors) {
+    for (let edge of face) {
+        if (isZeroLength(edge)) {
+            errors.push(validationError(VALIDATION_ERROR.ZERO_LENGTH_EDGE, [face], [edge], [edge.start]));
+        }
+    }
+}
+
+/* Vertex is repeated when start points of two non-adjacent edges are equal, zero-length edges are skipped */
+function checkDuplicateVertices(polygon, face, errors) {
+    let edges = face.edges.filter(edge => !isZeroLength(edge));
+    let index = new Map(edges.map((edge, i) => [edge, i]));
+    let tol = Utils.getTolerance();
+
+    for (let edge of edges) {
+        let pt = edge.start;
+        let box = new Flatten.Box(pt.x - tol, pt.y - tol, pt.x + tol, pt.y + tol);
+        for (let other of polygon.edges.search(box)) {
+            if (!(index.get(other) > index.get(edge))) continue;
+            if (other.start.equalTo(pt)) {
+                errors.push(validationError(VALIDATION_ERROR.DUPLICATE_VERTEX, [face], [edge, other], [pt]));
+            }
+        }
+    }
+}
+
+/* Edges of the same face may have common points only at their common vertices */
+function checkSelfIntersections(polygon, face, errors) {
+    let edges = face.edges.filter(edge => !isZeroLength(edge));
+    let index = new Map(edges.map((edge, i) => [edge, i]));
+    let isEnd = (pt, edge) => pt.equalTo(edge.start) || pt.equalTo(edge.end);
+
+    for (let edge1 of edges) {
+        for (let edge2 of polygon.edges.search(edge1.box)) {
+            if (!(index.get(edge2) > index.get(edge1))) continue;
+            let points = edge1.shape.intersect(edge2.shape)
+                .filter(pt => !(isEnd(pt, edge1) && isEnd(pt, edge2)));
+            if (points.length > 0) {
+                errors.push(validationError(VALIDATION_ERROR.SELF_INTERSECTION, [face], [edge1, edge2], points));
+            }
+        }
+    }
+}
+
+/*
+ * Boundaries of two faces overlap when they have common pieces or cross each other.
+ * Edges of the second face are split by intersection points, and the pieces are classified
+ * relative to the first face: if some piece lies on the boundary or pieces lie both inside and outside,
+ * faces overlap, otherwise they only touch each other
+ */
+function checkFacesIntersections(polygon, faces, errors) {
+    for (let i = 0; i < faces.length; i++) {
+        for (let j = i + 1; j < faces.length; j++) {
+            let [face1, face2] = [faces[i], faces[j]];
+            if (face1.box.not_intersect(face2.box)) continue;
+
+            let edges = [];
+            let points = [];
+            for (let edge1 of face1) {
+                for (let edge2 of polygon.edges.search(edge1.box)) {
+                    if (edge2.face !== face2) continue;
+                    let ip = edge1.shape.intersect(edge2.shape);
+                    if (ip.length === 0) continue;
+                    edges.push(edge1, edge2);
+                    for (let pt of ip) {
+                        if (!points.some(other => other.equalTo(pt))) points.push(pt);
+                    }
+                }
+            }
+
+            if (points.length > 0 && boundariesOverlap(face1, face2, points)) {
+                errors.push(validationError(VALIDATION_ERROR.OVERLAPPING_FACES, [face1, face2],
+                    [...new Set(edges)], points));
+            }
+        }
+    }
+}
+
+function boundariesOverlap(face1, face2, points) {
+    let polygon = face1.toPolygon();
+    let relations = new Set();
+    for (let edge of face2) {
+        if (isZeroLength(edge)) continue;
+        for (let piece of splitShape(edge.shape, points)) {
+            relations.add(ray_shoot(polygon, piece.middle()));
+        }
+    }
+    return relations.has(BOUNDARY) || (relations.has(INSIDE) && relations.has(OUTSIDE));
+}
+
+function splitShape(shape, points) {
+    let pieces = [shape];
+    for (let pt of points) {
+        let index = pieces.findIndex(piece => pt.on(piece));
+        if (index < 0) continue;
+        let split = pieces[index].split(pt).filter(piece => piece !== null);
+        pieces.splice(index, 1, ...split);
+    }
+    return pieces;
+}
+
+/*
+ * Nesting depth of the face is a number of faces containing it. Outer faces should have the same
+ * orientation as the largest outer face, orientation of nested faces alternates with depth.
+ * Boundaries of the faces are supposed not to cross, so that inclusion is tested by one point
+ */
+function checkNesting(faces, errors) {
+    let areas = new Map(faces.map(face => [face, face.area()]));
+    let containers = findContainers(faces, areas);
+
+    let outer = faces.filter(face => containers.get(face).length === 0);
+    if (outer.length === 0) return;
+    let reference = outer.reduce((acc, face) => areas.get(face) > areas.get(acc) ? face : acc).orientation();
+
+    for (let face of faces) {
+        let parents = containers.get(face);
+        let expected = parents.length % 2 === 0 ? reference : -reference;
+        if (face.orientation() === expected) continue;
+        if (parents.length === 0) {
+            errors.push(validationError(VALIDATION_ERROR.HOLE_OUTSIDE_SHELL, [face]));
+        } else {
+            let parent = parents.reduce((acc, other) => areas.get(other) < areas.get(acc) ? other : acc);
+            errors.push(validationError(VALIDATION_ERROR.WRONG_ORIENTATION, [face, parent]));
+        }
+    }
+}
+
+/* Map each face to the list of faces containing it */
+function findContainers(faces, areas) {
+    let polygons = new Map(faces.map(face => [face, face.toPolygon()]));
+    let containers = new Map();
+    for (let face of faces) {
+        containers.set(face, faces.filter(other => other !== face &&
+            areas.get(other) > areas.get(face) &&
+            !other.box.not_intersect(face.box) &&
+            faceInside(face, polygons.get(other))));
+    }
+    return containers;
+}
+
+/* Face is inside polygon if any of its edge middle points not on the boundary is inside */
+function faceInside(face, polygon) {
+    for (let edge of face) {
+        let relation = ray_shoot(polygon, edge.middle());
+        if (relation !== BOUNDARY) {
+            return relation === INSIDE;
+        }
+    }
+    return false;
+}
+
+/**
+ * Repair invalid polygon and return new valid polygon. Self-intersecting faces, bow-ties, overlapping faces
+ * and faces with inconsistent orientation are allowed. <br/>
+ * Edges are split at all intersection points, coincident pieces of edges cancel each other in pairs
+ * and remaining pieces are linked into simple loops. Region of the result is defined by even-odd rule:
+ * point belongs to the result if it is enclosed by odd number of loops, so that bow-tie becomes two triangles,
+ * overlapping area of two faces is excluded and face inside face becomes a hole. <br/>
+ * Zero-length edges and zero-area loops are removed, arcs are kept.
+ * Islands of the result are oriented counter clockwise, holes - clockwise
+ * @param {Polygon} polygon - polygon to be repaired
+ * @returns {Polygon}
+ */
+export function makeValid(polygon) {
+    if (!(polygon instanceof Flatten.Polygon)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    let vertices = new Vertices();
+    let pieces = splitEdges(polygon);
+    for (let piece of pieces) {
+        piece.from = vertices.vertex(piece.shape.start);
+        piece.to = vertices.vertex(piece.shape.end);
+        if (piece.shape instanceof Flatten.Segment) {
+            piece.shape = new Flatten.Segment(piece.from, piece.to);
+        }
+    }
+    pieces = cancelCoincidentPieces(pieces);
+    for (let piece of pieces) {
+        vertices.addEnds(piece);
+    }
+    vertices.linkEnds();
+
+    let loops = [];
+    for (let loop of traceLoops(pieces)) {
+        loops.push(...splitLoop(loop));
+    }
+    let res_poly = new Flatten.Polygon();
+    for (let loop of loops) {
+        let face = res_poly.addFace(loop.map(item => item.shape));
+        if (Utils.EQ_0(face.area())) {
+            res_poly.deleteFace(face);
+        }
+    }
+    orientFaces(res_poly);
+    return res_poly;
+}
+
+/* Shapes of the edges split at all intersection points, zero-length edges are skipped */
+function splitEdges(polygon) {
+    let wrk_poly = new Flatten.Polygon();
+    for (let face of polygon.faces) {
+        let shapes = face.shapes.filter(shape => !Utils.EQ_0(shape.length));
+        if (shapes.length > 0) {
+            wrk_poly.addFace(shapes);
+        }
+    }
+
+    /* Intersection point is calculated once for each pair of edges, so that both edges are split at the same point */
+    let int_points = [];
+    let processed = new Set();
+    for (let edge1 of wrk_poly.edges) {
+        processed.add(edge1);
+        for (let edge2 of wrk_poly.edges.search(edge1.box)) {
+            if (processed.has(edge2)) continue;
+            for (let pt of edge1.shape.intersect(edge2.shape)) {
+                addToIntPoints(edge1, pt, int_points);
+                addToIntPoints(edge2, pt, int_points);
+            }
+        }
+    }
+    splitByIntersections(wrk_poly, getSortedArray(int_points));
+
+    return [...wrk_poly.edges]
+        .filter(edge => !Utils.EQ_0(edge.length))
+        .map(edge => ({shape: edge.shape}));
+}
+
+/*
+ * Coincident pieces bound the same region from both sides, even number of them is removed, odd - replaced by one.
+ * Pieces are grouped by the lower vertex, coincident pieces have the same vertices
+ */
+function cancelCoincidentPieces(pieces) {
+    let groups = new Map();
+    for (let piece of pieces) {
+        let key = piece.to.lessThan(piece.from) ? piece.to : piece.from;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(piece);
+    }
+
+    let result = [];
+    for (let group of groups.values()) {
+        let removed = new Set();
+        for (let i = 0; i < group.length; i++) {
+            if (removed.has(group[i])) continue;
+            let coincident = group.filter((piece, j) => j > i && !removed.has(piece) &&
+                coincide(group[i], piece));
+            coincident.forEach(piece => removed.add(piece));
+            if (coincident.length % 2 === 0) {
+                result.push(group[i]);
+            }
+        }
+    }
+    return result;
+}
+
+function coincide(piece1, piece2) {
+    return (piece1.from === piece2.from && piece1.to === piece2.to ||
+        piece1.from === piece2.to && piece1.to === piece2.from) &&
+        piece1.shape.middle().equalTo(piece2.shape.middle());
+}
+
+/*
+ * Vertices of pieces with ends of pieces incident to them. Ends around each vertex are sorted by angle
+ * and angularly adjacent ends are linked, so that loops passing through the vertex do not cross each other
+ */
+class Vertices {
+    constructor() {
+        this.index = new Flatten.PlanarSet();
+        this.ends = new Map();
+    }
+
+    vertex(pt) {
+        let tol = Utils.getTolerance();
+        let box = new Flatten.Box(pt.x - tol, pt.y - tol, pt.x + tol, pt.y + tol);
+        let vertex = this.index.search(box).find(other => other.equalTo(pt));
+        if (vertex === undefined) {
+            vertex = pt.clone();
+            this.index.add(vertex);
+            this.ends.set(vertex, []);
+        }
+        return vertex;
+    }
+
+    addEnds(piece) {
+        piece.startEnd = {piece, atStart: true};
+        piece.endEnd = {piece, atStart: false};
+        this.ends.get(piece.from).push(piece.startEnd);
+        this.ends.get(piece.to).push(piece.endEnd);
+    }
+
+    linkEnds() {
+        for (let [vertex, ends] of this.ends) {
+            for (let end of ends) {
+                let shape = end.atStart ? end.piece.shape : end.piece.shape.reverse();
+                let tangent = shape.tangentInStart();
+                let chord = new Flatten.Vector(vertex, shape.middle());
+                end.angle = Math.atan2(tangent.y, tangent.x);
+                end.turn = tangent.cross(chord) / chord.dot(chord);
+            }
+            ends.sort((end1, end2) => Utils.EQ(end1.angle, end2.angle) ? end1.turn - end2.turn : end1.angle - end2.angle);
+            for (let i = 0; i + 1 < ends.length; i += 2) {
+                ends[i].partner = ends[i + 1];
+                ends[i + 1].partner = ends[i];
+            }
+        }
+    }
+}
+
+/* Closed loops of shapes, each piece is passed once in the direction defined by linked ends */
+function traceLoops(pieces) {
+    let loops = [];
+    let visited = new Set();
+    for (let piece of pieces) {
+        if (visited.has(piece)) continue;
+        let loop = [];
+        let current = piece;
+        let forward = true;
+        while (current !== undefined && !visited.has(current)) {
+            visited.add(current);
+            loop.push({
+                shape: forward ? current.shape : current.shape.reverse(),
+                from: forward ? current.from : current.to,
+                to: forward ? current.to : current.from
+            });
+            let next = (forward ? current.endEnd : current.startEnd).partner;
+            current = next && next.piece;
+            forward = next && next.atStart;
+        }
+        if (loop[0].from === loop[loop.length - 1].to) {
+            loops.push(loop);
+        }
+    }
+    return loops;
+}
+
+/* Split loop passing through the same vertex more than once into loops without repeated vertices */
+function splitLoop(loop) {
+    let loops = [];
+    let stack = [];
+    let positions = new Map([[loop[0].from, 0]]);
+    for (let item of loop) {
+        stack.push(item);
+        let position = positions.get(item.to);
+        if (position === undefined) {
+            positions.set(item.to, stack.length);
+            continue;
+        }
+        let closed = stack.splice(position);
+        closed.forEach(other => positions.delete(other.to));
+        positions.set(item.to, position);
+        loops.push(closed);
+    }
+    return loops;
+}
+
+/* Orientation of face is defined by the number of faces containing it: islands are counter clockwise */
+function orientFaces(polygon) {
+    let faces = [...polygon.faces];
+    let areas = new Map(faces.map(face => [face, face.area()]));
+    let containers = findContainers(faces, areas);
+    for (let face of faces) {
+        let expected = containers.get(face).length % 2 === 0 ? ORIENTATION.CCW : ORIENTATION.CW;
+        if (face.orientation() !== expected) {
+            face.reverse();
+        }
+    }
+}
+
+Flatten.validate = validate;
+Flatten.makeValid = makeValid;
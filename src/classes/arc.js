@@ -4,6 +4,9 @@
 
 "use strict";
 import Flatten from '../flatten';
+import * as GeoJSON from '../utils/geojson';
+import * as WKT from '../utils/wkt';
+import {linearizeOptions, shapeToPoints, pointsToSegments} from '../utils/linearize';
 import * as Intersection from '../algorithms/intersection';
 
 /**
@@ -207,6 +210,55 @@ export class Arc {
         return arc.end;
     }
 
+    /**
+     * Return point on the arc at the given length from the start point,
+     * null if length is out of range [0, arc length]
+     * @param {number} length - length along the arc
+     * @returns {Point|null}
+     */
+    pointAtLength(length) {
+        if (Flatten.Utils.LT(length, 0) || Flatten.Utils.GT(length, this.length)) return null;
+        if (Flatten.Utils.LE(length, 0)) return this.start.clone();
+        if (Flatten.Utils.GE(length, this.length)) return this.end.clone();
+        let angle = angleAtLength(this, length);
+        return new Flatten.Point(this.pc.x + this.r * Math.cos(angle), this.pc.y + this.r * Math.sin(angle));
+    }
+
+    /**
+     * Return unit tangent vector in the direction of the arc at the given length,
+     * null if length is out of range
+     * @param {number} length - length along the arc
+     * @returns {Vector|null}
+     */
+    tangentAt(length) {
+        if (Flatten.Utils.LT(length, 0) || Flatten.Utils.GT(length, this.length)) return null;
+        let angle = angleAtLength(this, length);
+        let tangent = new Flatten.Vector(-Math.sin(angle), Math.cos(angle));
+        return this.counterClockwise ? tangent : tangent.invert();
+    }
+
+    /**
+     * Return unit normal vector at the given length, which is the tangent rotated
+     * counterclockwise by 90 degrees. Returns null if length is out of range
+     * @param {number} length - length along the arc
+     * @returns {Vector|null}
+     */
+    normalAt(length) {
+        let tangent = this.tangentAt(length);
+        return tangent ? new Flatten.Vector(-tangent.y, tangent.x) : null;
+    }
+
+    /**
+     * Return signed curvature at the given length: 1/r for counterclockwise arc and -1/r for clockwise arc,
+     * null if length is out of range
+     * @param {number} length - length along the arc
+     * @returns {number|null}
+     */
+    curvatureAt(length) {
+        if (Flatten.Utils.LT(length, 0) || Flatten.Utils.GT(length, this.length)) return null;
+        return this.counterClockwise ? 1 / this.r : -1 / this.r;
+    }
+
     /**
      * Returns chord height ("sagitta") of the arc
      * @returns {number}
@@ -215,6 +267,21 @@ export class Arc {
         return (1.0 - Math.cos(Math.abs(this.sweep / 2.0))) * this.r;
     }
 
+    /**
+     * Returns array of segments that approximate the arc from its start to its end.
+     * Vertices of the segments lay on the arc and are evenly spaced
+     * @param {Object} options - linearization options
+     * @param {number} options.maxChordHeight - maximal distance between arc and segments,
+     * default is 0.001 of the arc radius
+     * @param {number} options.maxSegments - maximal number of segments, overrides maxChordHeight.
+     * Full circle is split into at least three segments
+     * @returns {Segment[]}
+     */
+    toSegments(options = {}) {
+        let [maxChordHeight, maxSegments] = linearizeOptions(options);
+        return pointsToSegments(shapeToPoints(this, maxChordHeight, maxSegments));
+    }
+
     /**
      * Returns array of intersection points between arc and other shape
      * @param {Shape} shape Shape of the one of supported types <br/>
@@ -239,6 +306,12 @@ export class Arc {
         if (shape instanceof Flatten.Arc) {
             return Intersection.intersectArc2Arc(this, shape);
         }
+        if (shape instanceof Flatten.Bezier) {
+            return Intersection.intersectBezier2Arc(shape, this);
+        }
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            return Intersection.intersectEllipse2Arc(shape, this);
+        }
         if (shape instanceof Flatten.Polygon) {
             return Intersection.intersectArc2Polygon(this, shape);
         }
@@ -279,11 +352,28 @@ export class Arc {
             return [dist, shortest_segment];
         }
 
+        if (shape instanceof Flatten.Bezier) {
+            let [dist, shortest_segment] = Flatten.Distance.bezier2arc(shape, this);
+            shortest_segment = shortest_segment.reverse();
+            return [dist, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            let [dist, shortest_segment] = Flatten.Distance.ellipse2arc(shape, this);
+            shortest_segment = shortest_segment.reverse();
+            return [dist, shortest_segment];
+        }
+
         if (shape instanceof Flatten.Polygon) {
             let [dist, shortest_segment] = Flatten.Distance.shape2polygon(this, shape);
             return [dist, shortest_segment];
         }
 
+        if (shape instanceof Flatten.Multiline) {
+            let [dist, shortest_segment] = Flatten.Distance.shape2multiline(this, shape);
+            return [dist, shortest_segment];
+        }
+
         if (shape instanceof Flatten.PlanarSet) {
             let [dist, shortest_segment] = Flatten.Distance.shape2planarSet(this, shape);
             return [dist, shortest_segment];
@@ -305,10 +395,11 @@ export class Arc {
         ];
 
         // If arc contains extreme point,
-        // create test arc started at start point and ended at this extreme point
+        // create test arc started at start point and ended at this extreme point.
+        // Extreme point in the start is skipped: when start angle is -PI, test arc would be a full circle
         let test_arcs = [];
         for (let i = 0; i < 4; i++) {
-            if (pts[i].on(this)) {
+            if (pts[i].on(this) && !pts[i].equalTo(this.start)) {
                 test_arcs.push(new Flatten.Arc(this.pc, this.r, this.startAngle, angles[i], this.counterClockwise));
             }
         }
@@ -405,12 +496,17 @@ export class Arc {
 
     /**
      * Return new arc transformed using affine transformation matrix <br/>
-     * Note, that non-equal scaling by x and y (matrix[0] != matrix[3]) produce illegal result
-     * TODO: support non-equal scaling arc to ellipse or throw exception ?
+     * If transformation is not a similarity (for example, non-uniform scaling), arc is transformed
+     * into the [elliptical arc]{@link Flatten.EllipticalArc}
      * @param {Matrix} matrix - affine transformation matrix
-     * @returns {Arc}
+     * @returns {Arc|EllipticalArc}
      */
     transform(matrix = new Flatten.Matrix()) {
+        if (!matrix.isSimilarity()) {
+            let arc = new Flatten.EllipticalArc(this.pc, this.r, this.r, 0,
+                this.startAngle, this.endAngle, this.counterClockwise);
+            return arc.transform(matrix);
+        }
         let newStart = this.start.transform(matrix);
         let newEnd = this.end.transform(matrix);
         let newCenter = this.pc.transform(matrix);
@@ -471,6 +567,27 @@ export class Arc {
         })
     }
 
+    /**
+     * Return GeoJSON geometry object of type "LineString" (arcs are linearized)
+     * @param {Object} options - export options
+     * @param {number} options.maxChordHeight - maximal distance between arc and its linearization
+     * @returns {Object}
+     */
+    toGeoJSON(options = {}) {
+        return GeoJSON.toGeoJSON(this, options);
+    }
+
+    /**
+     * Return WKT string of type LINESTRING or CIRCULARSTRING
+     * @param {Object} options - export options
+     * @param {boolean} options.curves - write arcs as circular strings instead of linearization
+     * @param {number} options.maxChordHeight - maximal distance between arc and its linearization
+     * @returns {string}
+     */
+    toWKT(options = {}) {
+        return WKT.toWKT(this, options);
+    }
+
     /**
      * This method returns an object that defines how data will be
      * serialized when called JSON.stringify() method
@@ -507,6 +624,12 @@ export class Arc {
 
 };
 
+/* Polar angle of the point of the arc at the given length from the start point */
+function angleAtLength(arc, length) {
+    let delta = Math.min(Math.max(length, 0), arc.length) / arc.r;
+    return arc.counterClockwise ? arc.startAngle + delta : arc.startAngle - delta;
+}
+
 Flatten.Arc = Arc;
 /**
  * Function to create arc equivalent to "new" constructor
@@ -0,0 +1,536 @@
+"use strict";
+import Flatten from '../flatten';
+import * as Intersection from '../algorithms/intersection';
+import {linearizeOptions, shapeToPoints, pointsToSegments} from '../utils/linearize';
+import {polyValue, polyDerivative, polyMultiply, polyAdd, polyIntegral01, polyRoots, gaussLegendre} from '../utils/polynomial';
+
+/**
+ * Class representing a quadratic or cubic Bézier curve, defined by array of three or four control points.
+ * The first and the last control points are start and end points of the curve.
+ * @type {Bezier}
+ */
+export class Bezier {
+    /**
+     * Bézier curve may be constructed by three (quadratic) or four (cubic) control points,
+     * by array of control points or by object created by toJSON() method
+     * @param {Point[]} args - control points
+     */
+    constructor(...args) {
+        /**
+         * Control points
+         * @type {Point[]}
+         */
+        this.controls = [];
+
+        let points = args.length === 1 && args[0] instanceof Array ? args[0] : args;
+        if (args.length === 1 && args[0] instanceof Object && args[0].name === "bezier") {
+            points = args[0].controls.map(pt => new Flatten.Point(pt.x, pt.y));
+        }
+
+        if ((points.length === 3 || points.length === 4) && points.every(pt => pt instanceof Flatten.Point)) {
+            this.controls = points.map(pt => pt.clone());
+            return;
+        }
+
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+
+    /**
+     * Return new cloned instance of the curve
+     * @returns {Bezier}
+     */
+    clone() {
+        return new Flatten.Bezier(this.controls);
+    }
+
+    /**
+     * Degree of the curve: 2 for quadratic and 3 for cubic curve
+     * @returns {number}
+     */
+    get degree() {
+        return this.controls.length - 1;
+    }
+
+    /**
+     * Start point
+     * @returns {Point}
+     */
+    get start() {
+        return this.controls[0];
+    }
+
+    /**
+     * End point
+     * @returns {Point}
+     */
+    get end() {
+        return this.controls[this.degree];
+    }
+
+    /**
+     * Returns array of start and end point
+     * @returns [Point,Point]
+     */
+    get vertices() {
+        return [this.start.clone(), this.end.clone()];
+    }
+
+    /**
+     * Return coefficients of the curve in power basis as [x coefficients, y coefficients]
+     * @returns {number[][]}
+     */
+    get coefficients() {
+        let [p0, p1, p2, p3] = this.controls;
+        if (this.degree === 2) {
+            return [
+                [p0.x, 2 * (p1.x - p0.x), p0.x - 2 * p1.x + p2.x],
+                [p0.y, 2 * (p1.y - p0.y), p0.y - 2 * p1.y + p2.y]
+            ];
+        }
+        return [
+            [p0.x, 3 * (p1.x - p0.x), 3 * (p0.x - 2 * p1.x + p2.x), p3.x - 3 * p2.x + 3 * p1.x - p0.x],
+            [p0.y, 3 * (p1.y - p0.y), 3 * (p0.y - 2 * p1.y + p2.y), p3.y - 3 * p2.y + 3 * p1.y - p0.y]
+        ];
+    }
+
+    /**
+     * Length of the curve, calculated by Gauss-Legendre quadrature
+     * @returns {number}
+     */
+    get length() {
+        let [cx, cy] = this.coefficients.map(c => polyDerivative(c));
+        return gaussLegendre(t => Math.hypot(polyValue(cx, t), polyValue(cy, t)), 0, 1);
+    }
+
+    /**
+     * Bounding box of the curve
+     * @returns {Box}
+     */
+    get box() {
+        let params = [0, 1];
+        for (let c of this.coefficients) {
+            params.push(...polyRoots(polyDerivative(c)));
+        }
+        return params.reduce((acc, t) => acc.merge(this.pointAtParameter(t).box), new Flatten.Box());
+    }
+
+    /**
+     * Returns true if equals to query curve, false otherwise
+     * @param {Bezier} bezier - query curve
+     * @returns {boolean}
+     */
+    equalTo(bezier) {
+        return this.degree === bezier.degree &&
+            this.controls.every((pt, i) => pt.equalTo(bezier.controls[i]));
+    }
+
+    /**
+     * Return point of the curve at parameter t from 0 to 1
+     * @param {number} t - parameter
+     * @returns {Point}
+     */
+    pointAtParameter(t) {
+        if (t === 0) return this.start.clone();
+        if (t === 1) return this.end.clone();
+        let [cx, cy] = this.coefficients;
+        return new Flatten.Point(polyValue(cx, t), polyValue(cy, t));
+    }
+
+    /**
+     * Return derivative vector of the curve at parameter t from 0 to 1
+     * @param {number} t - parameter
+     * @returns {Vector}
+     */
+    derivativeAtParameter(t) {
+        let [cx, cy] = this.coefficients.map(c => polyDerivative(c));
+        return new Flatten.Vector(polyValue(cx, t), polyValue(cy, t));
+    }
+
+    /**
+     * Return parameter t from 0 to 1 of the point of the curve at the given length from the start point.
+     * Length of the curve is not linear in t, parameter is found by Newton iterations safeguarded by bisection
+     * @param {number} length - length along the curve
+     * @returns {number}
+     */
+    parameterAtLength(length) {
+        let [cx, cy] = this.coefficients.map(c => polyDerivative(c));
+        let speed = t => Math.hypot(polyValue(cx, t), polyValue(cy, t));
+        let total = gaussLegendre(speed, 0, 1);
+        if (Flatten.Utils.LE(length, 0)) return 0;
+        if (Flatten.Utils.GE(length, total)) return 1;
+
+        let [lo, hi] = [0, 1];
+        let t = length / total;
+        for (let i = 0; i < 50; i++) {
+            let diff = gaussLegendre(speed, 0, t) - length;
+            if (Flatten.Utils.EQ_0(diff)) break;
+            if (diff > 0) hi = t; else lo = t;
+            let v = speed(t);
+            let next = v > 0 ? t - diff / v : (lo + hi) / 2;
+            t = next > lo && next < hi ? next : (lo + hi) / 2;
+        }
+        return t;
+    }
+
+    /**
+     * Return point on the curve at the given length from the start point,
+     * null if length is out of range [0, curve length]
+     * @param {number} length - length along the curve
+     * @returns {Point|null}
+     */
+    pointAtLength(length) {
+        if (Flatten.Utils.LT(length, 0) || Flatten.Utils.GT(length, this.length)) return null;
+        return this.pointAtParameter(this.parameterAtLength(length));
+    }
+
+    /**
+     * Return unit tangent vector in the direction of the curve at the given length,
+     * null if length is out of range
+     * @param {number} length - length along the curve
+     * @returns {Vector|null}
+     */
+    tangentAt(length) {
+        if (Flatten.Utils.LT(length, 0) || Flatten.Utils.GT(length, this.length)) return null;
+        let t = this.parameterAtLength(length);
+        let derivative = this.derivativeAtParameter(t);
+        if (Flatten.Utils.EQ_0(derivative.length)) {     // degenerated derivative in the end point
+            return t < 0.5 ? this.tangentInStart() : this.tangentInEnd().invert();
+        }
+        return derivative.normalize();
+    }
+
+    /**
+     * Return unit normal vector at the given length, which is the tangent rotated
+     * counterclockwise by 90 degrees. Returns null if length is out of range
+     * @param {number} length - length along the curve
+     * @returns {Vector|null}
+     */
+    normalAt(length) {
+        let tangent = this.tangentAt(length);
+        return tangent ? new Flatten.Vector(-tangent.y, tangent.x) : null;
+    }
+
+    /**
+     * Return signed curvature at the given length, positive when the curve turns counterclockwise,
+     * null if length is out of range
+     * @param {number} length - length along the curve
+     * @returns {number|null}
+     */
+    curvatureAt(length) {
+        if (Flatten.Utils.LT(length, 0) || Flatten.Utils.GT(length, this.length)) return null;
+        let t = this.parameterAtLength(length);
+        let [cx, cy] = this.coefficients.map(c => polyDerivative(c));
+        let [dx, dy] = [polyValue(cx, t), polyValue(cy, t)];
+        let [ddx, ddy] = [polyValue(polyDerivative(cx), t), polyValue(polyDerivative(cy), t)];
+        return (dx * ddy - dy * ddx) / Math.pow(Math.hypot(dx, dy), 3);
+    }
+
+    /**
+     * Returns array of segments that approximate the curve from its start to its end,
+     * number of segments is estimated by Wang's formula
+     * @param {Object} options - linearization options
+     * @param {number} options.maxChordHeight - maximal distance between curve and segments,
+     * default is 0.001 of the length of the control polygon
+     * @param {number} options.maxSegments - maximal number of segments, overrides maxChordHeight
+     * @returns {Segment[]}
+     */
+    toSegments(options = {}) {
+        let [maxChordHeight, maxSegments] = linearizeOptions(options);
+        return pointsToSegments(shapeToPoints(this, maxChordHeight, maxSegments));
+    }
+
+    /**
+     * Return parameter of the point of the curve closest to the given point
+     * @param {Point} pt - query point
+     * @returns {number}
+     */
+    parameterOf(pt) {
+        if (pt.equalTo(this.start)) return 0;
+        if (pt.equalTo(this.end)) return 1;
+        /* Closest point is where vector to query point is orthogonal to the derivative */
+        let [cx, cy] = this.coefficients;
+        let dx = polyAdd(cx, [-pt.x]);
+        let dy = polyAdd(cy, [-pt.y]);
+        let f = polyAdd(polyMultiply(dx, polyDerivative(cx)), polyMultiply(dy, polyDerivative(cy)));
+        let params = [0, 1, ...polyRoots(f)];
+        let dist = (t) => this.pointAtParameter(t).distanceTo(pt)[0];
+        return params.reduce((acc, t) => dist(t) < dist(acc) ? t : acc);
+    }
+
+    /**
+     * Returns true if curve contains point
+     * @param {Point} pt - query point
+     * @returns {boolean}
+     */
+    contains(pt) {
+        let box = this.box;
+        if (Flatten.Utils.LT(pt.x, box.xmin) || Flatten.Utils.GT(pt.x, box.xmax) ||
+            Flatten.Utils.LT(pt.y, box.ymin) || Flatten.Utils.GT(pt.y, box.ymax)) {
+            return false;
+        }
+        return Flatten.Utils.EQ_0(this.pointAtParameter(this.parameterOf(pt)).distanceTo(pt)[0]);
+    }
+
+    /**
+     * Split curve at parameter t and return array of two curves
+     * @param {number} t - parameter from 0 to 1
+     * @returns {Bezier[]}
+     */
+    splitAtParameter(t) {
+        /* de Casteljau algorithm */
+        let levels = [this.controls];
+        while (levels[levels.length - 1].length > 1) {
+            let prev = levels[levels.length - 1];
+            levels.push(prev.slice(1).map((pt, i) =>
+                new Flatten.Point((1 - t) * prev[i].x + t * pt.x, (1 - t) * prev[i].y + t * pt.y)));
+        }
+        let first = levels.map(level => level[0]);
+        let second = levels.map(level => level[level.length - 1]).reverse();
+        return [new Flatten.Bezier(first), new Flatten.Bezier(second)];
+    }
+
+    /**
+     * When point belongs to the curve, return array of two curves split by given point.
+     * Returns clone of this curve if query point is incident to start or end point of the curve.
+     * @param {Point} pt - query point
+     * @returns {Bezier[]}
+     */
+    split(pt) {
+        if (this.start.equalTo(pt))
+            return [null, this.clone()];
+
+        if (this.end.equalTo(pt))
+            return [this.clone(), null];
+
+        let [first, second] = this.splitAtParameter(this.parameterOf(pt));
+        /* Split point should be exactly the given point to keep topology */
+        first.controls[first.degree] = pt.clone();
+        second.controls[0] = pt.clone();
+        return [first, second];
+    }
+
+    /**
+     * Return point of the curve at parameter 0.5
+     * @returns {Point}
+     */
+    middle() {
+        return this.pointAtParameter(0.5);
+    }
+
+    /**
+     * Returns array of intersection points between curve and other shape
+     * @param {Shape} shape - Shape of the one of supported types <br/>
+     * @returns {Point[]}
+     */
+    intersect(shape) {
+        if (shape instanceof Flatten.Point) {
+            return this.contains(shape) ? [shape] : [];
+        }
+        if (shape instanceof Flatten.Line) {
+            return Intersection.intersectBezier2Line(this, shape);
+        }
+        if (shape instanceof Flatten.Segment) {
+            return Intersection.intersectBezier2Segment(this, shape);
+        }
+        if (shape instanceof Flatten.Circle) {
+            return Intersection.intersectBezier2Circle(this, shape);
+        }
+        if (shape instanceof Flatten.Arc) {
+            return Intersection.intersectBezier2Arc(this, shape);
+        }
+        if (shape instanceof Flatten.Box) {
+            return Intersection.intersectBezier2Box(this, shape);
+        }
+        if (shape instanceof Flatten.Bezier) {
+            return Intersection.intersectBezier2Bezier(this, shape);
+        }
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            return Intersection.intersectEllipse2Bezier(shape, this);
+        }
+        if (shape instanceof Flatten.Polygon) {
+            return Intersection.intersectBezier2Polygon(this, shape);
+        }
+    }
+
+    /**
+     * Calculate distance and shortest segment from curve to shape and return as array [distance, shortest segment]
+     * @param {Shape} shape Shape of the one of supported types Point, Line, Circle, Segment, Arc, Bezier, Polygon or Planar Set
+     * @returns {number} distance from curve to shape
+     * @returns {Segment} shortest segment between curve and shape (started at curve, ended at shape)
+     */
+    distanceTo(shape) {
+        if (shape instanceof Flatten.Point) {
+            let [dist, shortest_segment] = Flatten.Distance.point2bezier(shape, this);
+            shortest_segment = shortest_segment.reverse();
+            return [dist, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Line) {
+            return Flatten.Distance.bezier2line(this, shape);
+        }
+
+        if (shape instanceof Flatten.Circle) {
+            return Flatten.Distance.bezier2circle(this, shape);
+        }
+
+        if (shape instanceof Flatten.Segment) {
+            return Flatten.Distance.bezier2segment(this, shape);
+        }
+
+        if (shape instanceof Flatten.Arc) {
+            return Flatten.Distance.bezier2arc(this, shape);
+        }
+
+        if (shape instanceof Flatten.Bezier) {
+            return Flatten.Distance.bezier2bezier(this, shape);
+        }
+
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            let [dist, shortest_segment] = Flatten.Distance.ellipse2bezier(shape, this);
+            shortest_segment = shortest_segment.reverse();
+            return [dist, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Polygon) {
+            return Flatten.Distance.shape2polygon(this, shape);
+        }
+
+        if (shape instanceof Flatten.Multiline) {
+            return Flatten.Distance.shape2multiline(this, shape);
+        }
+
+        if (shape instanceof Flatten.PlanarSet) {
+            return Flatten.Distance.shape2planarSet(this, shape);
+        }
+    }
+
+    /**
+     * Return tangent unit vector in the start point in the direction from start to end
+     * @returns {Vector}
+     */
+    tangentInStart() {
+        let pt = this.controls.find(pt => !pt.equalTo(this.start)) || this.end;
+        return new Flatten.Vector(this.start, pt).normalize();
+    }
+
+    /**
+     * Return tangent unit vector in the end point in the direction from end to start
+     * @returns {Vector}
+     */
+    tangentInEnd() {
+        let pt = this.controls.slice().reverse().find(pt => !pt.equalTo(this.end)) || this.start;
+        return new Flatten.Vector(this.end, pt).normalize();
+    }
+
+    /**
+     * Returns new curve with reversed order of control points
+     * @returns {Bezier}
+     */
+    reverse() {
+        return new Flatten.Bezier(this.controls.slice().reverse());
+    }
+
+    /**
+     * Returns new curve translated by vector vec
+     * @param {Vector} vec
+     * @returns {Bezier}
+     */
+    translate(...args) {
+        return new Flatten.Bezier(this.controls.map(pt => pt.translate(...args)));
+    }
+
+    /**
+     * Return new curve rotated by given angle around given point
+     * If point omitted, rotate around origin (0,0)
+     * Positive value of angle defines rotation counter clockwise, negative - clockwise
+     * @param {number} angle - rotation angle in radians
+     * @param {Point} center - center point, default is (0,0)
+     * @returns {Bezier}
+     */
+    rotate(angle = 0, center = new Flatten.Point()) {
+        let m = new Flatten.Matrix();
+        m = m.translate(center.x, center.y).rotate(angle).translate(-center.x, -center.y);
+        return this.transform(m);
+    }
+
+    /**
+     * Return new curve transformed using affine transformation matrix.
+     * Bézier curve is invariant under affine transformations, so control points are transformed
+     * @param {Matrix} matrix - affine transformation matrix
+     * @returns {Bezier}
+     */
+    transform(matrix = new Flatten.Matrix()) {
+        return new Flatten.Bezier(this.controls.map(pt => pt.transform(matrix)));
+    }
+
+    /**
+     * Returns true if all control points are equal up to DP_TOL
+     * @returns {boolean}
+     */
+    isZeroLength() {
+        return this.controls.every(pt => pt.equalTo(this.start));
+    }
+
+    /**
+     * Return definite integral of (y - ymin) dx along the curve, used to calculate area of the face
+     * @param {number} ymin
+     * @returns {number}
+     */
+    definiteIntegral(ymin = 0.0) {
+        let [cx, cy] = this.coefficients;
+        return polyIntegral01(polyMultiply(polyAdd(cy, [-ymin]), polyDerivative(cx)));
+    }
+
+    /**
+     * Sort given array of points from curve start to end, assuming all points lay on the curve
+     * @param {Point[]} pts - array of points
+     * @returns {Point[]} new array sorted
+     */
+    sortPoints(pts) {
+        return pts
+            .map(pt => ({pt: pt, t: this.parameterOf(pt)}))
+            .sort((item1, item2) => item1.t - item2.t)
+            .map(item => item.pt);
+    }
+
+    /**
+     * Return svg path command of the curve without starting "M" command
+     * @returns {string}
+     */
+    svgCommand() {
+        let command = this.degree === 2 ? "Q" : "C";
+        return ` ${command}${this.controls.slice(1).map(pt => `${pt.x},${pt.y}`).join(" ")}`;
+    }
+
+    /**
+     * This method returns an object that defines how data will be
+     * serialized when called JSON.stringify() method
+     * @returns {Object}
+     */
+    toJSON() {
+        return {controls: this.controls.map(pt => pt.toJSON()), name: "bezier"};
+    }
+
+    /**
+     * Return string to draw curve in svg
+     * @param {Object} attrs - an object with attributes of svg path element,
+     * like "stroke", "strokeWidth", "fill" <br/>
+     * Defaults are stroke:"black", strokeWidth:"1", fill:"none"
+     * @returns {string}
+     */
+    svg(attrs = {}) {
+        let {stroke, strokeWidth, fill, id, className} = attrs;
+        let id_str = (id && id.length > 0) ? `id="${id}"` : "";
+        let class_str = (className && className.length > 0) ? `class="${className}"` : "";
+
+        return `\n<path d="M${this.start.x},${this.start.y}${this.svgCommand()}"
+                    stroke="${stroke || "black"}" stroke-width="${strokeWidth || 1}" fill="${fill || "none"}" ${id_str} ${class_str} />`
+    }
+}
+
+Flatten.Bezier = Bezier;
+/**
+ * Shortcut method to create new Bézier curve
+ */
+export const bezier = (...args) => new Flatten.Bezier(...args);
+Flatten.bezier = bezier;
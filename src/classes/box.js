@@ -4,6 +4,8 @@
 "use strict";
 
 import Flatten from '../flatten';
+import * as GeoJSON from '../utils/geojson';
+import * as WKT from '../utils/wkt';
 
 /**
  * Class Box represent bounding box of the shape
@@ -18,6 +20,9 @@ export class Box {
      * @param {number} ymax - maximal y coordinate
      */
     constructor(xmin = undefined, ymin = undefined, xmax = undefined, ymax = undefined) {
+        if (xmin instanceof Object && xmin.name === "box") {
+            ({xmin, ymin, xmax, ymax} = xmin);
+        }
         /**
          * Minimal x coordinate
          * @type {number}
@@ -89,16 +94,19 @@ export class Box {
     }
 
     /**
-     * Returns true if not intersected with other box
+     * Returns true if not intersected with other box. Boxes separated by gap not greater than
+     * tolerance are considered intersected, so that rounding noise does not separate flat boxes
+     * of horizontal and vertical shapes which lie on the same line
      * @param {Box} other_box - other box to test
      * @returns {boolean}
      */
     not_intersect(other_box) {
+        let {LT} = Flatten.Utils;
         return (
-            this.xmax < other_box.xmin ||
-            this.xmin > other_box.xmax ||
-            this.ymax < other_box.ymin ||
-            this.ymin > other_box.ymax
+            LT(this.xmax, other_box.xmin) ||
+            LT(other_box.xmax, this.xmin) ||
+            LT(this.ymax, other_box.ymin) ||
+            LT(other_box.ymax, this.ymin)
         );
     }
 
@@ -201,6 +209,31 @@ export class Box {
         ];
     }
 
+    /**
+     * Return GeoJSON geometry object of type "Polygon"
+     * @returns {Object}
+     */
+    toGeoJSON() {
+        return GeoJSON.toGeoJSON(this);
+    }
+
+    /**
+     * Return WKT string of type POLYGON
+     * @returns {string}
+     */
+    toWKT() {
+        return WKT.toWKT(this);
+    }
+
+    /**
+     * This method returns an object that defines how data will be
+     * serialized when called JSON.stringify() method
+     * @returns {Object}
+     */
+    toJSON() {
+        return Object.assign({}, this, {name: "box"});
+    }
+
     /**
      * Return string to draw circle in svg
      * @param {Object} attrs - an object with attributes of svg rectangle element,
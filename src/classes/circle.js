@@ -5,6 +5,8 @@
 "use strict";
 
 import Flatten from '../flatten';
+import * as GeoJSON from '../utils/geojson';
+import * as WKT from '../utils/wkt';
 import * as Intersection from '../algorithms/intersection';
 
 /**
@@ -31,7 +33,7 @@ export class Circle {
 
         if (args.length == 1 && args[0] instanceof Object && args[0].name === "circle") {
             let {pc, r} = args[0];
-            this.pc = new Flatten.Point(pc);
+            this.pc = new Flatten.Point(pc.x, pc.y);
             this.r = r;
             return;
         } else {
@@ -112,6 +114,33 @@ export class Circle {
         return new Flatten.Arc(this.center, this.r, Math.PI, -Math.PI, counterclockwise);
     }
 
+    /**
+     * Return new polygon with one counterclockwise face of segments that approximate the circle,
+     * see [Arc.toSegments()]{@link Flatten.Arc#toSegments}
+     * @param {Object} options - linearization options
+     * @param {number} options.maxChordHeight - maximal distance between circle and segments
+     * @param {number} options.maxSegments - maximal number of segments
+     * @returns {Polygon}
+     */
+    toPolygon(options = {}) {
+        return new Flatten.Polygon(this.toArc(Flatten.CCW).toSegments(options));
+    }
+
+    /**
+     * Return new circle transformed using affine transformation matrix. <br/>
+     * If transformation is not a similarity (for example, non-uniform scaling), circle is transformed
+     * into the [ellipse]{@link Flatten.Ellipse}
+     * @param {Matrix} matrix - affine transformation matrix
+     * @returns {Circle|Ellipse}
+     */
+    transform(matrix = new Flatten.Matrix()) {
+        if (matrix.isSimilarity()) {
+            let r = this.r * Math.sqrt(Math.abs(matrix.a * matrix.d - matrix.b * matrix.c));
+            return new Flatten.Circle(this.pc.transform(matrix), r);
+        }
+        return new Flatten.Ellipse(this.pc, this.r, this.r).transform(matrix);
+    }
+
     /**
      * Returns array of intersection points between circle and other shape
      * @param {Shape} shape Shape of the one of supported types
@@ -140,6 +169,12 @@ export class Circle {
         if (shape instanceof Flatten.Arc) {
             return Intersection.intersectArc2Circle(shape, this);
         }
+        if (shape instanceof Flatten.Bezier) {
+            return Intersection.intersectBezier2Circle(shape, this);
+        }
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            return Intersection.intersectEllipse2Circle(shape, this);
+        }
         if (shape instanceof Flatten.Polygon) {
             return Intersection.intersectCircle2Polygon(this, shape);
         }
@@ -181,17 +216,55 @@ export class Circle {
             return [distance, shortest_segment];
         }
 
+        if (shape instanceof Flatten.Bezier) {
+            let [distance, shortest_segment] = Flatten.Distance.bezier2circle(shape, this);
+            shortest_segment = shortest_segment.reverse();
+            return [distance, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            let [distance, shortest_segment] = Flatten.Distance.ellipse2circle(shape, this);
+            shortest_segment = shortest_segment.reverse();
+            return [distance, shortest_segment];
+        }
+
         if (shape instanceof Flatten.Polygon) {
             let [distance, shortest_segment] = Flatten.Distance.shape2polygon(this, shape);
             return [distance, shortest_segment];
         }
 
+        if (shape instanceof Flatten.Multiline) {
+            let [distance, shortest_segment] = Flatten.Distance.shape2multiline(this, shape);
+            return [distance, shortest_segment];
+        }
+
         if (shape instanceof Flatten.PlanarSet) {
             let [dist, shortest_segment] = Flatten.Distance.shape2planarSet(this, shape);
             return [dist, shortest_segment];
         }
     }
 
+    /**
+     * Return GeoJSON geometry object of type "Polygon" (arcs are linearized)
+     * @param {Object} options - export options
+     * @param {number} options.maxChordHeight - maximal distance between arc and its linearization
+     * @returns {Object}
+     */
+    toGeoJSON(options = {}) {
+        return GeoJSON.toGeoJSON(this, options);
+    }
+
+    /**
+     * Return WKT string of type POLYGON or CURVEPOLYGON
+     * @param {Object} options - export options
+     * @param {boolean} options.curves - write arcs as circular strings instead of linearization
+     * @param {number} options.maxChordHeight - maximal distance between arc and its linearization
+     * @returns {string}
+     */
+    toWKT(options = {}) {
+        return WKT.toWKT(this, options);
+    }
+
     /**
      * This method returns an object that defines how data will be
      * serialized when called JSON.stringify() method
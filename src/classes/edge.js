@@ -6,7 +6,7 @@ import Flatten from '../flatten';
 import {ray_shoot} from "../algorithms/ray_shooting";
 
 /**
- * Class representing an edge of polygon. Edge shape may be Segment or Arc.
+ * Class representing an edge of polygon. Edge shape may be Segment, Arc or Bezier.
  * Each edge contains references to the next and previous edges in the face of the polygon.
  *
  * @type {Edge}
@@ -14,12 +14,12 @@ import {ray_shoot} from "../algorithms/ray_shooting";
 export class Edge {
     /**
      * Construct new instance of edge
-     * @param {Shape} shape Shape of type Segment or Arc
+     * @param {Shape} shape Shape of type Segment, Arc or Bezier
      */
     constructor(shape) {
         /**
-         * Shape of the edge: Segment or Arc
-         * @type {Segment|Arc}
+         * Shape of the edge: Segment, Arc or Bezier
+         * @type {Segment|Arc|Bezier}
          */
         this.shape = shape;
         /**
@@ -101,6 +101,10 @@ export class Edge {
         return this.shape instanceof Flatten.Arc;
     }
 
+    isBezier() {
+        return this.shape instanceof Flatten.Bezier;
+    }
+
     /**
      * Get middle point of the edge
      * @returns {Point}
@@ -109,6 +113,42 @@ export class Edge {
         return this.shape.middle();
     }
 
+    /**
+     * Get point of the edge at the given length from the edge start
+     * @param {number} length - length along the edge
+     * @returns {Point|null}
+     */
+    pointAtLength(length) {
+        return this.shape.pointAtLength(length);
+    }
+
+    /**
+     * Get unit tangent vector of the edge at the given length from the edge start
+     * @param {number} length - length along the edge
+     * @returns {Vector|null}
+     */
+    tangentAt(length) {
+        return this.shape.tangentAt(length);
+    }
+
+    /**
+     * Get unit normal vector of the edge at the given length from the edge start
+     * @param {number} length - length along the edge
+     * @returns {Vector|null}
+     */
+    normalAt(length) {
+        return this.shape.normalAt(length);
+    }
+
+    /**
+     * Get signed curvature of the edge at the given length from the edge start
+     * @param {number} length - length along the edge
+     * @returns {number|null}
+     */
+    curvatureAt(length) {
+        return this.shape.curvatureAt(length);
+    }
+
     /**
      * Returns true if point belongs to the edge, false otherwise
      * @param {Point} pt - test point
@@ -177,7 +217,8 @@ export class Edge {
                 flag = Flatten.OVERLAP_OPPOSITE;
             }
         } else if (shape1 instanceof Flatten.Segment && shape2 instanceof Flatten.Arc ||
-            shape1 instanceof Flatten.Arc && shape2 instanceof Flatten.Segment) {
+            shape1 instanceof Flatten.Arc && shape2 instanceof Flatten.Segment ||
+            shape1 instanceof Flatten.Bezier || shape2 instanceof Flatten.Bezier) {
             if (shape1.start.equalTo(shape2.start) && shape1.end.equalTo(shape2.end) && shape1.middle().equalTo(shape2.middle())) {
                 flag = Flatten.OVERLAP_SAME;
             } else if (shape1.start.equalTo(shape2.end) && shape1.end.equalTo(shape2.start) && shape1.middle().equalTo(shape2.middle())) {
@@ -213,6 +254,8 @@ export class Edge {
 
                 return ` A${arc.r},${arc.r} 0 ${largeArcFlag},${sweepFlag} ${arc.end.x},${arc.end.y}`;
             }
+        } else if (this.shape instanceof Flatten.Bezier) {
+            return this.shape.svgCommand();
         }
     }
 
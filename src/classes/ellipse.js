@@ -0,0 +1,392 @@
+"use strict";
+
+import Flatten from '../flatten';
+import * as Intersection from '../algorithms/intersection';
+import {ellipseAngleRoots} from '../utils/polynomial';
+
+/**
+ * Class representing an ellipse, defined by center, two radii and rotation angle of the first axis. <br/>
+ * Points of the ellipse are defined by parametric angle t: <br/>
+ * P(t) = pc + u*cos(t) + v*sin(t), where u is the first axis of length rx rotated by the rotation angle
+ * and v is the second axis of length ry, orthogonal to u in counter clockwise direction
+ * @type {Ellipse}
+ */
+export class Ellipse {
+    /**
+     *
+     * @param {Point} pc - ellipse center point
+     * @param {number} rx - radius along the first axis
+     * @param {number} ry - radius along the second axis
+     * @param {number} angle - rotation angle of the first axis in radians
+     */
+    constructor(...args) {
+        /**
+         * Ellipse center
+         * @type {Point}
+         */
+        this.pc = new Flatten.Point();
+        /**
+         * Radius along the first axis
+         * @type {number}
+         */
+        this.rx = 1;
+        /**
+         * Radius along the second axis
+         * @type {number}
+         */
+        this.ry = 1;
+        /**
+         * Rotation angle of the first axis in radians
+         * @type {number}
+         */
+        this.angle = 0;
+
+        if (args.length == 1 && args[0] instanceof Object && args[0].name === "ellipse") {
+            let {pc, rx, ry, angle} = args[0];
+            this.pc = new Flatten.Point(pc.x, pc.y);
+            this.rx = rx;
+            this.ry = ry;
+            this.angle = angle;
+            return;
+        } else {
+            let [pc, rx, ry, angle] = [...args];
+            if (pc && pc instanceof Flatten.Point) this.pc = pc.clone();
+            if (rx !== undefined) this.rx = rx;
+            if (ry !== undefined) this.ry = ry;
+            if (angle !== undefined) this.angle = angle;
+            return;
+        }
+
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+
+    /**
+     * Return new cloned instance of ellipse
+     * @returns {Ellipse}
+     */
+    clone() {
+        return new Flatten.Ellipse(this.pc.clone(), this.rx, this.ry, this.angle);
+    }
+
+    /**
+     * Ellipse center
+     * @returns {Point}
+     */
+    get center() {
+        return this.pc;
+    }
+
+    /**
+     * Vectors u and v of the first and the second axes
+     * @returns {Vector[]}
+     */
+    get axes() {
+        let cos = Math.cos(this.angle);
+        let sin = Math.sin(this.angle);
+        return [
+            new Flatten.Vector(this.rx * cos, this.rx * sin),
+            new Flatten.Vector(-this.ry * sin, this.ry * cos)
+        ];
+    }
+
+    /**
+     * Ellipse bounding box
+     * @returns {Box}
+     */
+    get box() {
+        let [u, v] = this.axes;
+        let hx = Math.sqrt(u.x * u.x + v.x * v.x);
+        let hy = Math.sqrt(u.y * u.y + v.y * v.y);
+        return new Flatten.Box(this.pc.x - hx, this.pc.y - hy, this.pc.x + hx, this.pc.y + hy);
+    }
+
+    /**
+     * Return point of the ellipse at given parametric angle
+     * @param {number} angle - parametric angle in radians
+     * @returns {Point}
+     */
+    pointAtAngle(angle) {
+        let [u, v] = this.axes;
+        let cos = Math.cos(angle);
+        let sin = Math.sin(angle);
+        return new Flatten.Point(this.pc.x + u.x * cos + v.x * sin, this.pc.y + u.y * cos + v.y * sin);
+    }
+
+    /**
+     * Return derivative vector of the ellipse point by parametric angle
+     * @param {number} angle - parametric angle in radians
+     * @returns {Vector}
+     */
+    derivativeAtAngle(angle) {
+        let [u, v] = this.axes;
+        let cos = Math.cos(angle);
+        let sin = Math.sin(angle);
+        return new Flatten.Vector(-u.x * sin + v.x * cos, -u.y * sin + v.y * cos);
+    }
+
+    /**
+     * Return parametric angle from 0 to 2*PI of the point of the ellipse on the ray from the center
+     * to the given point, in the coordinate system where ellipse becomes a unit circle
+     * @param {Point} pt - query point
+     * @returns {number}
+     */
+    angleOf(pt) {
+        let cos = Math.cos(this.angle);
+        let sin = Math.sin(this.angle);
+        let dx = pt.x - this.pc.x;
+        let dy = pt.y - this.pc.y;
+        let angle = Math.atan2((-dx * sin + dy * cos) / this.ry, (dx * cos + dy * sin) / this.rx);
+        return angle < 0 ? angle + Flatten.PIx2 : angle;
+    }
+
+    /**
+     * Return sorted array of parametric angles of the points where given equation vanishes,
+     * see {@link ellipseAngleRoots} for the form of equation callback
+     * @param {function} equation - callback (x, y, w, dx, dy) => polynomial
+     * @param {number} tol - tolerance of zero value
+     * @returns {number[]}
+     */
+    parametricRoots(equation, tol = 0) {
+        let [u, v] = this.axes;
+        return ellipseAngleRoots(this.pc, u, v, equation, tol);
+    }
+
+    /**
+     * Return true if ellipse contains shape: no point of shape lies outside of the ellipse.
+     * Supported shapes are Point, Segment, Arc, EllipticalArc, Bezier, Circle, Ellipse, Box, Multiline and Polygon,
+     * for other shapes error is thrown
+     * @param {Shape} shape - test shape
+     * @returns {boolean}
+     */
+    contains(shape) {
+        if (shape instanceof Flatten.Point) {
+            if (shape.equalTo(this.pointAtAngle(this.angleOf(shape)))) {
+                return true;
+            }
+            let cos = Math.cos(this.angle);
+            let sin = Math.sin(this.angle);
+            let dx = shape.x - this.pc.x;
+            let dy = shape.y - this.pc.y;
+            let lx = (dx * cos + dy * sin) / this.rx;
+            let ly = (-dx * sin + dy * cos) / this.ry;
+            return lx * lx + ly * ly < 1;
+        }
+
+        if (shape instanceof Flatten.Segment) {
+            return this.contains(shape.start) && this.contains(shape.end);
+        }
+
+        if (shape instanceof Flatten.Arc || shape instanceof Flatten.EllipticalArc || shape instanceof Flatten.Bezier) {
+            return this.intersect(shape).length === 0 &&
+                this.contains(shape.start) && this.contains(shape.end);
+        }
+
+        if (shape instanceof Flatten.Circle || shape instanceof Flatten.Ellipse) {
+            return this.intersect(shape).length === 0 &&
+                this.contains(shape.center) && this.contains(shape.toArc().start);
+        }
+
+        /* Ellipse is convex, so it contains the box or polygon when it contains its boundary */
+        if (shape instanceof Flatten.Box) {
+            return shape.toSegments().every(segment => this.contains(segment));
+        }
+
+        if (shape instanceof Flatten.Polygon || shape instanceof Flatten.Multiline) {
+            return [...shape.edges].every(edge => this.contains(edge.shape));
+        }
+
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+
+    /**
+     * Transform ellipse to closed elliptical arc
+     * @param {boolean} counterclockwise
+     * @returns {EllipticalArc}
+     */
+    toArc(counterclockwise = true) {
+        return new Flatten.EllipticalArc(this.pc, this.rx, this.ry, this.angle, Math.PI, -Math.PI, counterclockwise);
+    }
+
+    /**
+     * Returns array of intersection points between ellipse and other shape
+     * @param {Shape} shape Shape of the one of supported types
+     * @returns {Point[]}
+     */
+    intersect(shape) {
+        if (shape instanceof Flatten.Point) {
+            return shape.equalTo(this.pointAtAngle(this.angleOf(shape))) ? [shape] : [];
+        }
+        if (shape instanceof Flatten.Line) {
+            return Intersection.intersectEllipse2Line(this, shape);
+        }
+        if (shape instanceof Flatten.Segment) {
+            return Intersection.intersectEllipse2Segment(this, shape);
+        }
+        if (shape instanceof Flatten.Circle) {
+            return Intersection.intersectEllipse2Circle(this, shape);
+        }
+        if (shape instanceof Flatten.Box) {
+            return Intersection.intersectEllipse2Box(this, shape);
+        }
+        if (shape instanceof Flatten.Arc) {
+            return Intersection.intersectEllipse2Arc(this, shape);
+        }
+        if (shape instanceof Flatten.Bezier) {
+            return Intersection.intersectEllipse2Bezier(this, shape);
+        }
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            return Intersection.intersectEllipse2Ellipse(this, shape);
+        }
+        if (shape instanceof Flatten.Polygon) {
+            return Intersection.intersectEllipse2Polygon(this, shape);
+        }
+    }
+
+    /**
+     * Calculate distance and shortest segment from ellipse to shape and return array [distance, shortest segment]
+     * @param {Shape} shape Shape of the one of supported types Point, Line, Circle, Segment, Arc, Ellipse,
+     * EllipticalArc, Bezier, Polygon or Planar Set
+     * @returns {number} distance from ellipse to shape
+     * @returns {Segment} shortest segment between ellipse and shape (started at ellipse, ended at shape)
+     */
+    distanceTo(shape) {
+        if (shape instanceof Flatten.Point) {
+            let [distance, shortest_segment] = Flatten.Distance.point2ellipse(shape, this);
+            shortest_segment = shortest_segment.reverse();
+            return [distance, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Circle) {
+            let [distance, shortest_segment] = Flatten.Distance.ellipse2circle(this, shape);
+            return [distance, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Line) {
+            let [distance, shortest_segment] = Flatten.Distance.ellipse2line(this, shape);
+            return [distance, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Segment) {
+            let [distance, shortest_segment] = Flatten.Distance.ellipse2segment(this, shape);
+            return [distance, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Arc) {
+            let [distance, shortest_segment] = Flatten.Distance.ellipse2arc(this, shape);
+            return [distance, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Bezier) {
+            let [distance, shortest_segment] = Flatten.Distance.ellipse2bezier(this, shape);
+            return [distance, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            let [distance, shortest_segment] = Flatten.Distance.ellipse2ellipse(this, shape);
+            return [distance, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Polygon) {
+            let [distance, shortest_segment] = Flatten.Distance.shape2polygon(this, shape);
+            return [distance, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Multiline) {
+            let [distance, shortest_segment] = Flatten.Distance.shape2multiline(this, shape);
+            return [distance, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.PlanarSet) {
+            let [dist, shortest_segment] = Flatten.Distance.shape2planarSet(this, shape);
+            return [dist, shortest_segment];
+        }
+    }
+
+    /**
+     * Returns new ellipse translated by vector vec
+     * @param {Vector} vec
+     * @returns {Ellipse}
+     */
+    translate(...args) {
+        let ellipse = this.clone();
+        ellipse.pc = this.pc.translate(...args);
+        return ellipse;
+    }
+
+    /**
+     * Return new ellipse rotated by given angle around given point
+     * If point omitted, rotate around origin (0,0)
+     * Positive value of angle defines rotation counter clockwise, negative - clockwise
+     * @param {number} angle - rotation angle in radians
+     * @param {Point} center - center point, default is (0,0)
+     * @returns {Ellipse}
+     */
+    rotate(angle = 0, center = new Flatten.Point()) {
+        return new Flatten.Ellipse(this.pc.rotate(angle, center), this.rx, this.ry, this.angle + angle);
+    }
+
+    /**
+     * Return new ellipse transformed using affine transformation matrix
+     * @param {Matrix} matrix - affine transformation matrix
+     * @returns {Ellipse}
+     */
+    transform(matrix = new Flatten.Matrix()) {
+        let [u, v] = this.axes;
+        return Ellipse.fromConjugateDiameters(this.pc.transform(matrix), transformVector(u, matrix),
+            transformVector(v, matrix));
+    }
+
+    /**
+     * Create ellipse P(t) = pc + u*cos(t) + v*sin(t) defined by two conjugate semi-diameters u and v,
+     * which are images of orthogonal axes under affine transformation
+     * @param {Point} pc - center of the ellipse
+     * @param {Vector} u - first semi-diameter
+     * @param {Vector} v - second semi-diameter
+     * @returns {Ellipse}
+     */
+    static fromConjugateDiameters(pc, u, v) {
+        /* Principal axes are in the points where distance from center is extreme */
+        let t0 = 0.5 * Math.atan2(2 * u.dot(v), u.dot(u) - v.dot(v));
+        let a = u.multiply(Math.cos(t0)).add(v.multiply(Math.sin(t0)));
+        let b = v.multiply(Math.cos(t0)).subtract(u.multiply(Math.sin(t0)));
+        return new Flatten.Ellipse(pc, a.length, b.length, Math.atan2(a.y, a.x));
+    }
+
+    /**
+     * This method returns an object that defines how data will be
+     * serialized when called JSON.stringify() method
+     * @returns {Object}
+     */
+    toJSON() {
+        return Object.assign({}, this, {name: "ellipse"});
+    }
+
+    /**
+     * Return string to draw ellipse in svg
+     * @param {Object} attrs - an object with attributes of svg ellipse element,
+     * like "stroke", "strokeWidth", "fill" <br/>
+     * Defaults are stroke:"black", strokeWidth:"1", fill:"none"
+     * @returns {string}
+     */
+    svg(attrs = {}) {
+        let {stroke, strokeWidth, fill, fillOpacity, id, className} = attrs;
+        let id_str = (id && id.length > 0) ? `id="${id}"` : "";
+        let class_str = (className && className.length > 0) ? `class="${className}"` : "";
+        let rotation = this.angle * 180 / Math.PI;
+
+        return `\n<ellipse cx="${this.pc.x}" cy="${this.pc.y}" rx="${this.rx}" ry="${this.ry}" transform="rotate(${rotation} ${this.pc.x} ${this.pc.y})" stroke="${stroke || "black"}" stroke-width="${strokeWidth || 1}" fill="${fill || "none"}" fill-opacity="${fillOpacity || 1.0}" ${id_str} ${class_str} />`;
+    }
+};
+
+/* Apply linear part of the affine transformation to the vector */
+function transformVector(vec, matrix) {
+    return new Flatten.Vector(vec.x * matrix.a + vec.y * matrix.c, vec.x * matrix.b + vec.y * matrix.d);
+}
+
+Flatten.Ellipse = Ellipse;
+/**
+ * Shortcut to create new ellipse
+ * @param args
+ */
+export const ellipse = (...args) => new Flatten.Ellipse(...args);
+Flatten.ellipse = ellipse;
@@ -0,0 +1,561 @@
+"use strict";
+import Flatten from '../flatten';
+import * as Intersection from '../algorithms/intersection';
+import {linearizeOptions, shapeToPoints, pointsToSegments} from '../utils/linearize';
+import {gaussLegendre} from '../utils/polynomial';
+
+/**
+ * Class representing an elliptical arc. Start and end angles are parametric angles of the
+ * [ellipse]{@link Flatten.Ellipse} the arc belongs to
+ * @type {EllipticalArc}
+ */
+export class EllipticalArc {
+    /**
+     *
+     * @param {Point} pc - arc center
+     * @param {number} rx - radius along the first axis
+     * @param {number} ry - radius along the second axis
+     * @param {number} angle - rotation angle of the first axis in radians
+     * @param {number} startAngle - start parametric angle in radians from 0 to 2*PI
+     * @param {number} endAngle - end parametric angle in radians from 0 to 2*PI
+     * @param {boolean} counterClockwise - arc direction, true - counter clockwise, false - clockwise
+     */
+    constructor(...args) {
+        /**
+         * Arc center
+         * @type {Point}
+         */
+        this.pc = new Flatten.Point();
+        /**
+         * Radius along the first axis
+         * @type {number}
+         */
+        this.rx = 1;
+        /**
+         * Radius along the second axis
+         * @type {number}
+         */
+        this.ry = 1;
+        /**
+         * Rotation angle of the first axis in radians
+         * @type {number}
+         */
+        this.angle = 0;
+        /**
+         * Arc start parametric angle in radians
+         * @type {number}
+         */
+        this.startAngle = 0;
+        /**
+         * Arc end parametric angle in radians
+         * @type {number}
+         */
+        this.endAngle = 2 * Math.PI;
+        /**
+         * Arc orientation
+         * @type {boolean}
+         */
+        this.counterClockwise = Flatten.CCW;
+
+        if (args.length == 0)
+            return;
+
+        if (args.length == 1 && args[0] instanceof Object && args[0].name === "ellipticalArc") {
+            let {pc, rx, ry, angle, startAngle, endAngle, counterClockwise} = args[0];
+            this.pc = new Flatten.Point(pc.x, pc.y);
+            this.rx = rx;
+            this.ry = ry;
+            this.angle = angle;
+            this.startAngle = startAngle;
+            this.endAngle = endAngle;
+            this.counterClockwise = counterClockwise;
+            return;
+        } else {
+            let [pc, rx, ry, angle, startAngle, endAngle, counterClockwise] = [...args];
+            if (pc && pc instanceof Flatten.Point) this.pc = pc.clone();
+            if (rx !== undefined) this.rx = rx;
+            if (ry !== undefined) this.ry = ry;
+            if (angle !== undefined) this.angle = angle;
+            if (startAngle !== undefined) this.startAngle = startAngle;
+            if (endAngle !== undefined) this.endAngle = endAngle;
+            if (counterClockwise !== undefined) this.counterClockwise = counterClockwise;
+            return;
+        }
+
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+
+    /**
+     * Return new cloned instance of arc
+     * @returns {EllipticalArc}
+     */
+    clone() {
+        return new Flatten.EllipticalArc(this.pc.clone(), this.rx, this.ry, this.angle,
+            this.startAngle, this.endAngle, this.counterClockwise);
+    }
+
+    /**
+     * Ellipse the arc belongs to
+     * @returns {Ellipse}
+     */
+    get ellipse() {
+        return new Flatten.Ellipse(this.pc, this.rx, this.ry, this.angle);
+    }
+
+    /**
+     * Get sweep of parametric angle in radians. Sweep angle is non-negative number from 0 to 2*PI
+     * @returns {number}
+     */
+    get sweep() {
+        if (Flatten.Utils.EQ(this.startAngle, this.endAngle))
+            return 0.0;
+        if (Flatten.Utils.EQ(Math.abs(this.startAngle - this.endAngle), Flatten.PIx2)) {
+            return Flatten.PIx2;
+        }
+        let sweep = this.counterClockwise ? this.endAngle - this.startAngle : this.startAngle - this.endAngle;
+        sweep = sweep % Flatten.PIx2;
+        return Flatten.Utils.LT(sweep, 0) ? sweep + Flatten.PIx2 : sweep;
+    }
+
+    /**
+     * Get start point of arc
+     * @returns {Point}
+     */
+    get start() {
+        return this.ellipse.pointAtAngle(this.startAngle);
+    }
+
+    /**
+     * Get end point of arc
+     * @returns {Point}
+     */
+    get end() {
+        return this.ellipse.pointAtAngle(this.endAngle);
+    }
+
+    /**
+     * Get center of arc
+     * @returns {Point}
+     */
+    get center() {
+        return this.pc.clone();
+    }
+
+    get vertices() {
+        return [this.start.clone(), this.end.clone()];
+    }
+
+    /**
+     * Get arc length, calculated by Gauss-Legendre quadrature
+     * @returns {number}
+     */
+    get length() {
+        let ellipse = this.ellipse;
+        let from = this.counterClockwise ? this.startAngle : this.startAngle - this.sweep;
+        return gaussLegendre(t => ellipse.derivativeAtAngle(t).length, from, from + this.sweep);
+    }
+
+    /**
+     * Get bounding box of the arc
+     * @returns {Box}
+     */
+    get box() {
+        let [u, v] = this.ellipse.axes;
+        /* Extreme points are where derivative of x or y by parametric angle is zero */
+        let angles = [Math.atan2(v.x, u.x), Math.atan2(v.y, u.y)];
+        let box = this.start.box.merge(this.end.box);
+        for (let angle of [...angles, ...angles.map(angle => angle + Math.PI)]) {
+            if (this.containsAngle(angle)) {
+                box = box.merge(this.ellipse.pointAtAngle(angle).box);
+            }
+        }
+        return box;
+    }
+
+    /**
+     * Return point of the arc at given parametric angle
+     * @param {number} angle - parametric angle in radians
+     * @returns {Point}
+     */
+    pointAtAngle(angle) {
+        return this.ellipse.pointAtAngle(angle);
+    }
+
+    /**
+     * Return derivative vector of the arc point by parametric angle
+     * @param {number} angle - parametric angle in radians
+     * @returns {Vector}
+     */
+    derivativeAtAngle(angle) {
+        return this.ellipse.derivativeAtAngle(angle);
+    }
+
+    /**
+     * Return true if parametric angle is inside angular range of the arc
+     * @param {number} angle - parametric angle in radians
+     * @returns {boolean}
+     */
+    containsAngle(angle) {
+        let sweep = this.sweep;
+        if (Flatten.Utils.EQ(sweep, Flatten.PIx2)) {
+            return true;
+        }
+        let delta = (this.counterClockwise ? angle - this.startAngle : this.startAngle - angle) % Flatten.PIx2;
+        if (delta < 0) {
+            delta += Flatten.PIx2;
+        }
+        return Flatten.Utils.LE(delta, sweep) || Flatten.Utils.EQ(delta, Flatten.PIx2);
+    }
+
+    /**
+     * Return sorted array of parametric angles inside the arc where given equation vanishes,
+     * see {@link Ellipse#parametricRoots}
+     * @param {function} equation - callback (x, y, w, dx, dy) => polynomial
+     * @param {number} tol - tolerance of zero value
+     * @returns {number[]}
+     */
+    parametricRoots(equation, tol = 0) {
+        return this.ellipse.parametricRoots(equation, tol).filter(angle => this.containsAngle(angle));
+    }
+
+    /**
+     * Returns true if arc contains point, false otherwise
+     * @param {Point} pt - point to test
+     * @returns {boolean}
+     */
+    contains(pt) {
+        if (pt.equalTo(this.start) || pt.equalTo(this.end))
+            return true;
+        let angle = this.ellipse.angleOf(pt);
+        return pt.equalTo(this.pointAtAngle(angle)) && this.containsAngle(angle);
+    }
+
+    /**
+     * When given point belongs to arc, return array of two arcs split by this point. If points is incident
+     * to start or end point of the arc, return clone of the arc. If point does not belong to the arcs, return
+     * empty array.
+     * @param {Point} pt Query point
+     * @returns {EllipticalArc[]}
+     */
+    split(pt) {
+        if (this.start.equalTo(pt))
+            return [null, this.clone()];
+
+        if (this.end.equalTo(pt))
+            return [this.clone(), null];
+
+        if (!this.contains(pt))
+            return [];
+
+        let angle = this.ellipse.angleOf(pt);
+        return [
+            new Flatten.EllipticalArc(this.pc, this.rx, this.ry, this.angle, this.startAngle, angle, this.counterClockwise),
+            new Flatten.EllipticalArc(this.pc, this.rx, this.ry, this.angle, angle, this.endAngle, this.counterClockwise)
+        ];
+    }
+
+    /**
+     * Return middle point of the arc by parametric angle
+     * @returns {Point}
+     */
+    middle() {
+        let delta = this.counterClockwise ? this.sweep / 2 : -this.sweep / 2;
+        return this.pointAtAngle(this.startAngle + delta);
+    }
+
+    /**
+     * Return parametric angle of the point of the arc at the given length from the start point.
+     * Length is not linear in parametric angle, angle is found by Newton iterations safeguarded by bisection
+     * @param {number} length - length along the arc
+     * @returns {number}
+     */
+    angleAtLength(length) {
+        let sign = this.counterClockwise ? 1 : -1;
+        let speed = delta => this.derivativeAtAngle(this.startAngle + sign * delta).length;
+        let total = this.length;
+        if (Flatten.Utils.LE(length, 0)) return this.startAngle;
+        if (Flatten.Utils.GE(length, total)) return this.startAngle + sign * this.sweep;
+
+        let [lo, hi] = [0, this.sweep];
+        let delta = this.sweep * length / total;
+        for (let i = 0; i < 50; i++) {
+            let diff = gaussLegendre(speed, 0, delta) - length;
+            if (Flatten.Utils.EQ_0(diff)) break;
+            if (diff > 0) hi = delta; else lo = delta;
+            let v = speed(delta);
+            let next = v > 0 ? delta - diff / v : (lo + hi) / 2;
+            delta = next > lo && next < hi ? next : (lo + hi) / 2;
+        }
+        return this.startAngle + sign * delta;
+    }
+
+    /**
+     * Return point on the arc at the given length from the start point,
+     * null if length is out of range [0, arc length]
+     * @param {number} length - length along the arc
+     * @returns {Point|null}
+     */
+    pointAtLength(length) {
+        if (Flatten.Utils.LT(length, 0) || Flatten.Utils.GT(length, this.length)) return null;
+        return this.pointAtAngle(this.angleAtLength(length));
+    }
+
+    /**
+     * Return unit tangent vector in the direction of the arc at the given length,
+     * null if length is out of range
+     * @param {number} length - length along the arc
+     * @returns {Vector|null}
+     */
+    tangentAt(length) {
+        if (Flatten.Utils.LT(length, 0) || Flatten.Utils.GT(length, this.length)) return null;
+        let tangent = this.derivativeAtAngle(this.angleAtLength(length)).normalize();
+        return this.counterClockwise ? tangent : tangent.invert();
+    }
+
+    /**
+     * Return unit normal vector at the given length, which is the tangent rotated
+     * counterclockwise by 90 degrees. Returns null if length is out of range
+     * @param {number} length - length along the arc
+     * @returns {Vector|null}
+     */
+    normalAt(length) {
+        let tangent = this.tangentAt(length);
+        return tangent ? new Flatten.Vector(-tangent.y, tangent.x) : null;
+    }
+
+    /**
+     * Return signed curvature at the given length, positive when the arc turns counterclockwise,
+     * null if length is out of range
+     * @param {number} length - length along the arc
+     * @returns {number|null}
+     */
+    curvatureAt(length) {
+        if (Flatten.Utils.LT(length, 0) || Flatten.Utils.GT(length, this.length)) return null;
+        let angle = this.angleAtLength(length);
+        let [u, v] = this.ellipse.axes;
+        let derivative = this.derivativeAtAngle(angle);
+        let second = u.multiply(-Math.cos(angle)).add(v.multiply(-Math.sin(angle)));
+        let curvature = derivative.cross(second) / Math.pow(derivative.length, 3);
+        return this.counterClockwise ? curvature : -curvature;
+    }
+
+    /**
+     * Returns array of segments that approximate the arc from its start to its end.
+     * Vertices of the segments lay on the arc and are evenly spaced by parametric angle
+     * @param {Object} options - linearization options
+     * @param {number} options.maxChordHeight - maximal distance between arc and segments,
+     * default is 0.001 of the larger radius
+     * @param {number} options.maxSegments - maximal number of segments, overrides maxChordHeight.
+     * Full ellipse is split into at least three segments
+     * @returns {Segment[]}
+     */
+    toSegments(options = {}) {
+        let [maxChordHeight, maxSegments] = linearizeOptions(options);
+        return pointsToSegments(shapeToPoints(this, maxChordHeight, maxSegments));
+    }
+
+    /**
+     * Returns array of intersection points between arc and other shape
+     * @param {Shape} shape Shape of the one of supported types <br/>
+     * @returns {Points[]}
+     */
+    intersect(shape) {
+        if (shape instanceof Flatten.Point) {
+            return this.contains(shape) ? [shape] : [];
+        }
+        if (shape instanceof Flatten.Line) {
+            return Intersection.intersectEllipse2Line(this, shape);
+        }
+        if (shape instanceof Flatten.Segment) {
+            return Intersection.intersectEllipse2Segment(this, shape);
+        }
+        if (shape instanceof Flatten.Circle) {
+            return Intersection.intersectEllipse2Circle(this, shape);
+        }
+        if (shape instanceof Flatten.Box) {
+            return Intersection.intersectEllipse2Box(this, shape);
+        }
+        if (shape instanceof Flatten.Arc) {
+            return Intersection.intersectEllipse2Arc(this, shape);
+        }
+        if (shape instanceof Flatten.Bezier) {
+            return Intersection.intersectEllipse2Bezier(this, shape);
+        }
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            return Intersection.intersectEllipse2Ellipse(this, shape);
+        }
+        if (shape instanceof Flatten.Polygon) {
+            return Intersection.intersectEllipse2Polygon(this, shape);
+        }
+    }
+
+    /**
+     * Calculate distance and shortest segment from arc to shape and return array [distance, shortest segment]
+     * @param {Shape} shape Shape of the one of supported types Point, Line, Circle, Segment, Arc, Ellipse,
+     * EllipticalArc, Bezier, Polygon or Planar Set
+     * @returns {number} distance from arc to shape
+     * @returns {Segment} shortest segment between arc and shape (started at arc, ended at shape)
+     */
+    distanceTo(shape) {
+        if (shape instanceof Flatten.Point) {
+            let [dist, shortest_segment] = Flatten.Distance.point2ellipse(shape, this);
+            shortest_segment = shortest_segment.reverse();
+            return [dist, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Circle) {
+            let [dist, shortest_segment] = Flatten.Distance.ellipse2circle(this, shape);
+            return [dist, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Line) {
+            let [dist, shortest_segment] = Flatten.Distance.ellipse2line(this, shape);
+            return [dist, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Segment) {
+            let [dist, shortest_segment] = Flatten.Distance.ellipse2segment(this, shape);
+            return [dist, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Arc) {
+            let [dist, shortest_segment] = Flatten.Distance.ellipse2arc(this, shape);
+            return [dist, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Bezier) {
+            let [dist, shortest_segment] = Flatten.Distance.ellipse2bezier(this, shape);
+            return [dist, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            let [dist, shortest_segment] = Flatten.Distance.ellipse2ellipse(this, shape);
+            return [dist, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Polygon) {
+            let [dist, shortest_segment] = Flatten.Distance.shape2polygon(this, shape);
+            return [dist, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Multiline) {
+            let [dist, shortest_segment] = Flatten.Distance.shape2multiline(this, shape);
+            return [dist, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.PlanarSet) {
+            let [dist, shortest_segment] = Flatten.Distance.shape2planarSet(this, shape);
+            return [dist, shortest_segment];
+        }
+    }
+
+    /**
+     * Return tangent unit vector in the start point in the direction from start to end
+     * @returns {Vector}
+     */
+    tangentInStart() {
+        let tangent = this.derivativeAtAngle(this.startAngle).normalize();
+        return this.counterClockwise ? tangent : tangent.invert();
+    }
+
+    /**
+     * Return tangent unit vector in the end point in the direction from end to start
+     * @returns {Vector}
+     */
+    tangentInEnd() {
+        let tangent = this.derivativeAtAngle(this.endAngle).normalize();
+        return this.counterClockwise ? tangent.invert() : tangent;
+    }
+
+    /**
+     * Returns new arc with swapped start and end angles and reversed direction
+     * @returns {EllipticalArc}
+     */
+    reverse() {
+        return new Flatten.EllipticalArc(this.pc, this.rx, this.ry, this.angle,
+            this.endAngle, this.startAngle, !this.counterClockwise);
+    }
+
+    /**
+     * Returns new arc translated by vector vec
+     * @param {Vector} vec
+     * @returns {EllipticalArc}
+     */
+    translate(...args) {
+        let arc = this.clone();
+        arc.pc = this.pc.translate(...args);
+        return arc;
+    }
+
+    /**
+     * Return new arc rotated by given angle around given point
+     * If point omitted, rotate around origin (0,0)
+     * Positive value of angle defines rotation counter clockwise, negative - clockwise
+     * @param {number} angle - rotation angle in radians
+     * @param {Point} center - center point, default is (0,0)
+     * @returns {EllipticalArc}
+     */
+    rotate(angle = 0, center = new Flatten.Point()) {
+        return new Flatten.EllipticalArc(this.pc.rotate(angle, center), this.rx, this.ry, this.angle + angle,
+            this.startAngle, this.endAngle, this.counterClockwise);
+    }
+
+    /**
+     * Return new arc transformed using affine transformation matrix <br/>
+     * Transformation which reverses orientation (reflection) also reverses direction of the arc
+     * @param {Matrix} matrix - affine transformation matrix
+     * @returns {EllipticalArc}
+     */
+    transform(matrix = new Flatten.Matrix()) {
+        let ellipse = this.ellipse.transform(matrix);
+        let counterClockwise = matrix.a * matrix.d - matrix.b * matrix.c > 0 ? this.counterClockwise : !this.counterClockwise;
+        let startAngle = ellipse.angleOf(this.start.transform(matrix));
+        let endAngle = ellipse.angleOf(this.end.transform(matrix));
+        if (Flatten.Utils.EQ(this.sweep, Flatten.PIx2)) {
+            endAngle = counterClockwise ? startAngle + Flatten.PIx2 : startAngle - Flatten.PIx2;
+        }
+        return new Flatten.EllipticalArc(ellipse.pc, ellipse.rx, ellipse.ry, ellipse.angle,
+            startAngle, endAngle, counterClockwise);
+    }
+
+    /**
+     * This method returns an object that defines how data will be
+     * serialized when called JSON.stringify() method
+     * @returns {Object}
+     */
+    toJSON() {
+        return Object.assign({}, this, {name: "ellipticalArc"});
+    }
+
+    /**
+     * Return string to draw arc in svg
+     * @param {Object} attrs - an object with attributes of svg path element,
+     * like "stroke", "strokeWidth", "fill" <br/>
+     * Defaults are stroke:"black", strokeWidth:"1", fill:"none"
+     * @returns {string}
+     */
+    svg(attrs = {}) {
+        let largeArcFlag = this.sweep <= Math.PI ? "0" : "1";
+        let sweepFlag = this.counterClockwise ? "1" : "0";
+        let rotation = this.angle * 180 / Math.PI;
+        let {stroke, strokeWidth, fill, id, className} = attrs;
+        let id_str = (id && id.length > 0) ? `id="${id}"` : "";
+        let class_str = (className && className.length > 0) ? `class="${className}"` : "";
+
+        if (Flatten.Utils.EQ(this.sweep, 2 * Math.PI)) {
+            return this.ellipse.svg(attrs);
+        } else {
+            return `\n<path d="M${this.start.x},${this.start.y}
+                             A${this.rx},${this.ry} ${rotation} ${largeArcFlag},${sweepFlag} ${this.end.x},${this.end.y}"
+                    stroke="${stroke || "black"}" stroke-width="${strokeWidth || 1}" fill="${fill || "none"}" ${id_str} ${class_str} />`
+        }
+    }
+};
+
+Flatten.EllipticalArc = EllipticalArc;
+/**
+ * Function to create elliptical arc equivalent to "new" constructor
+ * @param args
+ */
+export const ellipticalArc = (...args) => new Flatten.EllipticalArc(...args);
+Flatten.ellipticalArc = ellipticalArc;
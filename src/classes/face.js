@@ -6,6 +6,7 @@
 
 import Flatten from '../flatten';
 import CircularLinkedList from '../data_structures/circular_linked_list';
+import {fitArcs} from '../algorithms/arc_fitting';
 
 /**
  * Class representing a face (closed loop) in a [polygon]{@link Flatten.Polygon} object.
@@ -70,21 +71,23 @@ export class Face extends CircularLinkedList {
                     let segments = Face.points2segments(points);
                     this.shapes2face(polygon.edges, segments);
                 }
-                /* array of segments ot arcs */
+                /* array of segments, arcs or Bézier curves */
                 else if (shapes.every((shape) => {
-                    return (shape instanceof Flatten.Segment || shape instanceof Flatten.Arc)
+                    return (shape instanceof Flatten.Segment || shape instanceof Flatten.Arc || shape instanceof Flatten.Bezier)
                 })) {
                     this.shapes2face(polygon.edges, shapes);
                 }
                 // this is from JSON.parse object
                 else if (shapes.every((shape) => {
-                    return (shape.name === "segment" || shape.name === "arc")
+                    return (shape.name === "segment" || shape.name === "arc" || shape.name === "bezier")
                 })) {
                     let flattenShapes = [];
                     for (let shape of shapes) {
                         let flattenShape;
                         if (shape.name === "segment") {
                             flattenShape = new Flatten.Segment(shape);
+                        } else if (shape.name === "bezier") {
+                            flattenShape = new Flatten.Bezier(shape);
                         } else {
                             flattenShape = new Flatten.Arc(shape);
                         }
@@ -165,6 +168,19 @@ export class Face extends CircularLinkedList {
         return this._box;
     }
 
+    /**
+     * Return perimeter of the face, which is the sum of lengths of its edges.
+     * Lengths are summed up on each call, so perimeter stays valid after the edges were split or changed
+     * @returns {number}
+     */
+    get perimeter() {
+        let perimeter = 0;
+        for (let edge of this) {
+            perimeter += edge.length;
+        }
+        return perimeter;
+    }
+
     static points2segments(points) {
         let segments = [];
         for (let i = 0; i < points.length; i++) {
@@ -292,6 +308,60 @@ export class Face extends CircularLinkedList {
         }
     }
 
+    /**
+     * Return point of the face boundary at the given arc length from the start of the first edge,
+     * null if length is out of range [0, perimeter]
+     * @param {number} length - arc length along the face boundary
+     * @returns {Point|null}
+     */
+    pointAtLength(length) {
+        let [edge, offset] = edgeAtLength(this, length);
+        return edge ? edge.pointAtLength(offset) : null;
+    }
+
+    /**
+     * Return unit tangent vector in the direction of the face at the given arc length,
+     * null if length is out of range. In the vertex between two edges tangent of the next edge is returned
+     * @param {number} length - arc length along the face boundary
+     * @returns {Vector|null}
+     */
+    tangentAt(length) {
+        let [edge, offset] = edgeAtLength(this, length);
+        return edge ? edge.tangentAt(offset) : null;
+    }
+
+    /**
+     * Return unit normal vector at the given arc length, which is the tangent rotated
+     * counterclockwise by 90 degrees, null if length is out of range
+     * @param {number} length - arc length along the face boundary
+     * @returns {Vector|null}
+     */
+    normalAt(length) {
+        let [edge, offset] = edgeAtLength(this, length);
+        return edge ? edge.normalAt(offset) : null;
+    }
+
+    /**
+     * Return signed curvature at the given arc length, null if length is out of range
+     * @param {number} length - arc length along the face boundary
+     * @returns {number|null}
+     */
+    curvatureAt(length) {
+        let [edge, offset] = edgeAtLength(this, length);
+        return edge ? edge.curvatureAt(offset) : null;
+    }
+
+    /**
+     * Return new face, where runs of short segments are replaced with arcs and segments within the tolerance,
+     * see [fitArcs]{@link module:ArcFitting.fitArcs}. New face belongs to the new polygon
+     * @param {number} tolerance - maximal distance between original vertices and fitted edges
+     * @param {ArcFittingOptions} [options] - options {cornerAngle}
+     * @returns {Face}
+     */
+    fitArcs(tolerance, options = {}) {
+        return fitArcs(this, tolerance, options);
+    }
+
     /**
      * Returns the absolute value of the area of the face
      * @returns {number}
@@ -449,4 +519,21 @@ export class Face extends CircularLinkedList {
 
 };
 
+/*
+ * Edge containing point at the given length and the length from the edge start to this point.
+ * Lengths are accumulated here and not taken from arc_length of the edges, which may be out of date
+ */
+function edgeAtLength(face, length) {
+    if (face.isEmpty() || Flatten.Utils.LT(length, 0)) {
+        return [undefined, 0];
+    }
+    let arc_length = 0;
+    for (let edge of face) {
+        if (Flatten.Utils.LT(length, arc_length + edge.length) || edge === face.last) {
+            return Flatten.Utils.GT(length, arc_length + edge.length) ? [undefined, 0] : [edge, length - arc_length];
+        }
+        arc_length += edge.length;
+    }
+}
+
 Flatten.Face = Face;
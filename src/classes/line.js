@@ -38,8 +38,8 @@ export class Line {
 
         if (args.length == 1 && args[0] instanceof Object && args[0].name === "line") {
             let {pt, norm} = args[0];
-            this.pt = new Flatten.Point(pt);
-            this.norm = new Flatten.Vector(norm);
+            this.pt = new Flatten.Point(pt.x, pt.y);
+            this.norm = new Flatten.Vector(norm.x, norm.y);
             return;
         }
 
@@ -227,6 +227,14 @@ export class Line {
             return Intersection.intersectLine2Arc(this, shape);
         }
 
+        if (shape instanceof Flatten.Bezier) {
+            return Intersection.intersectBezier2Line(shape, this);
+        }
+
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            return Intersection.intersectEllipse2Line(shape, this);
+        }
+
         if (shape instanceof Flatten.Polygon) {
             return  Intersection.intersectLine2Polygon(this, shape);
         }
@@ -262,10 +270,25 @@ export class Line {
             return [distance, shortest_segment.reverse()];
         }
 
+        if (shape instanceof Flatten.Bezier) {
+            let [distance, shortest_segment] = Flatten.Distance.bezier2line(shape, this);
+            return [distance, shortest_segment.reverse()];
+        }
+
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            let [distance, shortest_segment] = Flatten.Distance.ellipse2line(shape, this);
+            return [distance, shortest_segment.reverse()];
+        }
+
         if (shape instanceof Flatten.Polygon) {
             let [distance, shortest_segment] = Flatten.Distance.shape2polygon(this, shape);
             return [distance, shortest_segment];
         }
+
+        if (shape instanceof Flatten.Multiline) {
+            let [distance, shortest_segment] = Flatten.Distance.shape2multiline(this, shape);
+            return [distance, shortest_segment];
+        }
     }
 
     /**
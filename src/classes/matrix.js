@@ -133,6 +133,16 @@ export class Matrix {
         if (!Flatten.Utils.EQ(this.d, matrix.d)) return false;
         return true;
     };
+
+    /**
+     * Returns true if matrix defines similarity transformation: combination of rotation, uniform scaling,
+     * reflection and translation, which maps circles into circles
+     * @returns {boolean}
+     */
+    isSimilarity() {
+        return Flatten.Utils.EQ(this.a * this.a + this.b * this.b, this.c * this.c + this.d * this.d) &&
+            Flatten.Utils.EQ_0(this.a * this.c + this.b * this.d);
+    };
 };
 
 Flatten.Matrix = Matrix;
@@ -1,11 +1,17 @@
 "use strict";
 
 import Flatten from '../flatten';
+import * as GeoJSON from '../utils/geojson';
+import * as Binary from '../utils/binary';
+import * as WKT from '../utils/wkt';
+import {parseSVGPath} from '../utils/svg_path';
 import LinkedList from '../data_structures/linked_list';
+import {simplify} from '../algorithms/simplify';
+import {fitArcs} from '../algorithms/arc_fitting';
 
 /**
  * Class Multiline represent connected path of [edges]{@link Flatten.Edge}, where each edge may be
- * [segment]{@link Flatten.Segment}, [arc]{@link Flatten.Arc}, [line]{@link Flatten.Line} or [ray]{@link Flatten.Ray}
+ * [segment]{@link Flatten.Segment}, [arc]{@link Flatten.Arc}, [bezier]{@link Flatten.Bezier}, [line]{@link Flatten.Line} or [ray]{@link Flatten.Ray}
  */
 export class Multiline extends LinkedList {
     constructor(...args) {
@@ -27,6 +33,7 @@ export class Multiline extends LinkedList {
                 let validShapes = shapes.every((shape) => {
                     return shape instanceof Flatten.Segment ||
                         shape instanceof Flatten.Arc ||
+                        shape instanceof Flatten.Bezier ||
                         shape instanceof Flatten.Ray ||
                         shape instanceof Flatten.Line
                 });
@@ -65,6 +72,14 @@ export class Multiline extends LinkedList {
         return v;
     }
 
+    /**
+     * (Getter) Return length of the multiline, infinite if multiline contains ray or line
+     * @returns {number}
+     */
+    get length() {
+        return this.edges.reduce((acc, edge) => acc + edge.length, 0);
+    }
+
     /**
      * Return new cloned instance of Multiline
      * @returns {Multiline}
@@ -73,6 +88,130 @@ export class Multiline extends LinkedList {
         return new Multiline(this.toShapes());
     }
 
+    /**
+     * Returns true if point belongs to one of the edges of the multiline
+     * @param {Point} pt - query point
+     * @returns {boolean}
+     */
+    contains(pt) {
+        return this.edges.some(edge => edge.shape.contains(pt));
+    }
+
+    /**
+     * Return new multiline with the opposite direction, edges follow in reverse order
+     * and each edge shape is reversed. Throws error if multiline has ray or line
+     * @returns {Multiline}
+     */
+    reverse() {
+        if (this.edges.some(edge => edge.shape instanceof Flatten.Ray || edge.shape instanceof Flatten.Line)) {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+        return new Multiline(this.edges.reverse().map(edge => edge.shape.reverse()));
+    }
+
+    /**
+     * Returns array of intersection points between multiline and other shape.
+     * Intersection point in the common vertex of two adjacent edges is reported once
+     * @param {Shape} shape - shape of one of the supported types, including another multiline
+     * @returns {Point[]}
+     */
+    intersect(shape) {
+        let others = shape instanceof Multiline || shape instanceof Flatten.Polygon ?
+            [...shape.edges].map(edge => edge.shape) : [shape];
+        let ip = [];
+        for (let edge of this) {
+            for (let other of others) {
+                for (let pt of edge.shape.intersect(other)) {
+                    if (!ip.some(p => p.equalTo(pt))) {
+                        ip.push(pt);
+                    }
+                }
+            }
+        }
+        return ip;
+    }
+
+    /**
+     * Calculate distance and shortest segment from multiline to other shape
+     * @param {Shape} shape - shape of one of the supported types, including another multiline
+     * @returns {[number, Segment]} - distance and shortest segment from multiline to shape
+     */
+    distanceTo(shape) {
+        let min_dist_and_segment = [Number.POSITIVE_INFINITY, new Flatten.Segment()];
+        for (let edge of this) {
+            let [dist, shortest_segment] = edge.shape.distanceTo(shape);
+            if (Flatten.Utils.LT(dist, min_dist_and_segment[0])) {
+                min_dist_and_segment = [dist, shortest_segment];
+            }
+        }
+        return min_dist_and_segment;
+    }
+
+    /**
+     * Return point of the multiline at the given length from its start,
+     * null if length is out of range [0, multiline length]
+     * @param {number} length - length along the multiline
+     * @returns {Point|null}
+     */
+    pointAtLength(length) {
+        let [edge, offset] = edgeAtLength(this, length);
+        return edge ? edge.pointAtLength(offset) : null;
+    }
+
+    /**
+     * Return unit tangent vector in the direction of the multiline at the given length,
+     * null if length is out of range. In the vertex between two edges tangent of the next edge is returned
+     * @param {number} length - length along the multiline
+     * @returns {Vector|null}
+     */
+    tangentAt(length) {
+        let [edge, offset] = edgeAtLength(this, length);
+        return edge ? edge.tangentAt(offset) : null;
+    }
+
+    /**
+     * Return unit normal vector at the given length, which is the tangent rotated
+     * counterclockwise by 90 degrees, null if length is out of range
+     * @param {number} length - length along the multiline
+     * @returns {Vector|null}
+     */
+    normalAt(length) {
+        let [edge, offset] = edgeAtLength(this, length);
+        return edge ? edge.normalAt(offset) : null;
+    }
+
+    /**
+     * Return signed curvature at the given length, null if length is out of range
+     * @param {number} length - length along the multiline
+     * @returns {number|null}
+     */
+    curvatureAt(length) {
+        let [edge, offset] = edgeAtLength(this, length);
+        return edge ? edge.curvatureAt(offset) : null;
+    }
+
+    /**
+     * Return new multiline with reduced number of vertices, see [simplify]{@link module:Simplify.simplify}.
+     * End points of the multiline are kept
+     * @param {number} tolerance - maximal distance between removed vertex and simplified edge
+     * @param {SimplifyOptions} [options] - options {preserveTopology, fitArcs}
+     * @returns {Multiline}
+     */
+    simplify(tolerance, options = {}) {
+        return simplify(this, tolerance, options);
+    }
+
+    /**
+     * Return new multiline, where runs of short segments are replaced with arcs and segments within the tolerance,
+     * see [fitArcs]{@link module:ArcFitting.fitArcs}
+     * @param {number} tolerance - maximal distance between original vertices and fitted edges
+     * @param {ArcFittingOptions} [options] - options {cornerAngle}
+     * @returns {Multiline}
+     */
+    fitArcs(tolerance, options = {}) {
+        return fitArcs(this, tolerance, options);
+    }
+
     /**
      * Split edge and add new vertex, return new edge inserted
      * @param {Point} pt - point on edge that will be added as new vertex
@@ -169,13 +308,85 @@ export class Multiline extends LinkedList {
         return this.edges.map(edge => edge.shape.clone())
     }
 
+    /**
+     * Return GeoJSON geometry object of type "LineString" (arcs are linearized)
+     * @param {Object} options - export options
+     * @param {number} options.maxChordHeight - maximal distance between arc and its linearization
+     * @returns {Object}
+     */
+    toGeoJSON(options = {}) {
+        return GeoJSON.toGeoJSON(this, options);
+    }
+
+    /**
+     * Return WKT string of type LINESTRING or COMPOUNDCURVE
+     * @param {Object} options - export options
+     * @param {boolean} options.curves - write arcs as circular strings instead of linearization
+     * @param {number} options.maxChordHeight - maximal distance between arc and its linearization
+     * @returns {string}
+     */
+    toWKT(options = {}) {
+        return WKT.toWKT(this, options);
+    }
+
+    /**
+     * Return compact binary representation of the multiline, arcs are stored without linearization
+     * @returns {ArrayBuffer}
+     */
+    toBinary() {
+        return Binary.toBinary(this);
+    }
+
+    /**
+     * Create multiline from GeoJSON geometry object or feature of type "LineString"
+     * @param {Object} geojson - GeoJSON object
+     * @returns {Multiline}
+     */
+    static fromGeoJSON(geojson) {
+        return checkType(GeoJSON.fromGeoJSON(geojson));
+    }
+
+    /**
+     * Create multiline from WKT string of type LINESTRING, CIRCULARSTRING or COMPOUNDCURVE
+     * @param {string} wkt - WKT string
+     * @returns {Multiline}
+     */
+    static fromWKT(wkt) {
+        return checkType(WKT.fromWKT(wkt));
+    }
+
+    /**
+     * Create multiline from binary representation created by toBinary() method
+     * @param {ArrayBuffer|ArrayBufferView} buffer - ArrayBuffer or typed array
+     * @returns {Multiline}
+     */
+    static fromBinary(buffer) {
+        return checkType(Binary.fromBinary(buffer));
+    }
+
+    /**
+     * Create multiline from SVG path data with one subpath.
+     * SVG elliptical arcs with equal radii become arcs, other elliptical arcs and Bézier curves are linearized
+     * @param {string} d - path data or path element string
+     * @param {Object} options - parsing options
+     * @param {number} options.maxChordHeight - maximal distance between curve and its linearization
+     * @returns {Multiline}
+     */
+    static fromSVGPath(d, options = {}) {
+        let subpaths = parseSVGPath(d, options);
+        if (subpaths.length > 1) {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;     // multiline should be continuous
+        }
+        return new Flatten.Multiline(subpaths.length === 0 ? [] : subpaths[0].shapes);
+    }
+
     /**
      * This method returns an object that defines how data will be
      * serialized when called JSON.stringify() method
      * @returns {Object}
      */
     toJSON() {
-        return this.edges.map(edge => edge.toJSON());
+        return {name: "multiline", shapes: this.edges.map(edge => edge.toJSON())};
     }
 
     /**
@@ -203,6 +414,27 @@ export class Multiline extends LinkedList {
     }
 }
 
+/* Edge containing point at the given length and the length from the edge start to this point */
+function edgeAtLength(multiline, length) {
+    if (multiline.isEmpty() || Flatten.Utils.LT(length, 0)) {
+        return [undefined, 0];
+    }
+    let arc_length = 0;
+    for (let edge of multiline) {
+        if (Flatten.Utils.LT(length, arc_length + edge.length) || edge === multiline.last) {
+            return Flatten.Utils.GT(length, arc_length + edge.length) ? [undefined, 0] : [edge, length - arc_length];
+        }
+        arc_length += edge.length;
+    }
+}
+
+function checkType(shape) {
+    if (!(shape instanceof Flatten.Multiline)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    return shape;
+}
+
 Flatten.Multiline = Multiline;
 
 /**
@@ -3,6 +3,8 @@
  */
 
 import Flatten from '../flatten';
+import * as GeoJSON from '../utils/geojson';
+import * as WKT from '../utils/wkt';
 
 /**
  *
@@ -168,11 +170,15 @@ export class Point {
 
     /**
      * Returns true if point belongs to the "left" semi-plane, which means, point belongs to the same semi plane where line normal vector points to
-     * Return false if point belongs to the "right" semi-plane or to the line itself
+     * Return false if point belongs to the "right" semi-plane or to the line itself <br/>
+     * In robust mode (see Flatten.ROBUST) the side is tested exactly, without tolerance
      * @param {Line} line Query line
      * @returns {boolean}
      */
     leftTo(line) {
+        if (Flatten.Utils.isRobust()) {
+            return Flatten.Predicates.orientToLine(line.pt.x, line.pt.y, line.norm.x, line.norm.y, this.x, this.y) > 0;
+        }
         let vec = new Flatten.Vector(line.pt, this);
         let onLeftSemiPlane = Flatten.Utils.GT(vec.dot(line.norm), 0);
         return onLeftSemiPlane;
@@ -209,12 +215,24 @@ export class Point {
             return Flatten.Distance.point2arc(this, shape);
         }
 
+        if (shape instanceof Flatten.Bezier) {
+            return Flatten.Distance.point2bezier(this, shape);
+        }
+
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            return Flatten.Distance.point2ellipse(this, shape);
+        }
+
         if (shape instanceof Flatten.Polygon) {
             // let [dist, ...rest] = Distance.point2polygon(this, shape);
             // return dist;
             return Flatten.Distance.point2polygon(this, shape);
         }
 
+        if (shape instanceof Flatten.Multiline) {
+            return Flatten.Distance.shape2multiline(this, shape);
+        }
+
         if (shape instanceof Flatten.PlanarSet) {
             return Flatten.Distance.shape2planarSet(this, shape);
         }
@@ -246,9 +264,55 @@ export class Point {
             return shape.contains(this);
         }
 
+        if (shape instanceof Flatten.Bezier) {
+            return shape.contains(this);
+        }
+
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            return shape.contains(this);
+        }
+
         if (shape instanceof Flatten.Polygon) {
             return shape.contains(this);
         }
+
+        if (shape instanceof Flatten.Multiline) {
+            return shape.contains(this);
+        }
+    }
+
+    /**
+     * Return GeoJSON geometry object of type "Point"
+     * @returns {Object}
+     */
+    toGeoJSON() {
+        return GeoJSON.toGeoJSON(this);
+    }
+
+    /**
+     * Return WKT string of type POINT
+     * @returns {string}
+     */
+    toWKT() {
+        return WKT.toWKT(this);
+    }
+
+    /**
+     * Create point from GeoJSON geometry object or feature of type "Point"
+     * @param {Object} geojson - GeoJSON object
+     * @returns {Point}
+     */
+    static fromGeoJSON(geojson) {
+        return checkType(GeoJSON.fromGeoJSON(geojson));
+    }
+
+    /**
+     * Create point from WKT string of type POINT
+     * @param {string} wkt - WKT string
+     * @returns {Point}
+     */
+    static fromWKT(wkt) {
+        return checkType(WKT.fromWKT(wkt));
     }
 
     /**
@@ -283,6 +347,13 @@ export class Point {
 
 };
 
+function checkType(shape) {
+    if (!(shape instanceof Flatten.Point)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    return shape;
+}
+
 Flatten.Point = Point;
 /**
  * Function to create point equivalent to "new" constructor
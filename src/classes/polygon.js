@@ -6,9 +6,18 @@
 "use strict";
 
 import Flatten from '../flatten';
+import * as GeoJSON from "../utils/geojson";
+import * as Binary from "../utils/binary";
+import * as WKT from "../utils/wkt";
+import {parseSVGPath} from "../utils/svg_path";
 import {ray_shoot} from "../algorithms/ray_shooting";
 import * as Intersection from "../algorithms/intersection";
 import * as Relations from "../algorithms/relation";
+import {offset} from "../algorithms/offset";
+import {triangulate} from "../algorithms/triangulation";
+import {validate, makeValid} from "../algorithms/validation";
+import {simplify} from "../algorithms/simplify";
+import {RTree} from "../data_structures/rtree";
 
 /**
  * Class representing a polygon.<br/>
@@ -34,12 +43,12 @@ export class Polygon {
          * Container of faces (closed loops), may be empty
          * @type {PlanarSet}
          */
-        this.faces = new Flatten.PlanarSet();
+        this.faces = new Flatten.PlanarSet(RTree);
         /**
          * Container of edges
          * @type {PlanarSet}
          */
-        this.edges = new Flatten.PlanarSet();
+        this.edges = new Flatten.PlanarSet(RTree);
 
         /* It may be array of something that may represent one loop (face) or
          array of arrays that represent multiple loops
@@ -102,23 +111,64 @@ export class Polygon {
     /**
      * Return true if polygon is valid for boolean operations
      * Polygon is valid if <br/>
-     * 1. All faces are simple polygons (there are no self-intersected polygons) <br/>
-     * 2. All faces are orientable and there is no island inside island or hole inside hole - TODO <br/>
-     * 3. There is no intersections between faces (excluding touching) - TODO <br/>
+     * 1. All faces are simple polygons without zero-length edges and repeated vertices <br/>
+     * 2. All faces are orientable and there is no island inside island or hole inside hole <br/>
+     * 3. There is no intersections between faces (excluding touching) <br/>
+     * Use [validate()]{@link Flatten.Polygon#validate} to get the list of errors
      * @returns {boolean}
      */
     isValid() {
-        let valid = true;
-        // 1. Polygon is invalid if at least one face is not simple
+        return this.validate().valid;
+    }
+
+    /**
+     * Validate polygon and return report {valid, errors}, where each error has type
+     * ([VALIDATION_ERROR]{@link Flatten.VALIDATION_ERROR}) and references to the offending faces, edges and points
+     * @returns {ValidationReport}
+     */
+    validate() {
+        return validate(this);
+    }
+
+    /**
+     * Return new valid polygon repaired from this one: self-intersecting faces are split into simple faces,
+     * overlapping faces are resolved and faces are oriented by nesting. Region is defined by even-odd rule,
+     * see [makeValid]{@link module:Validation.makeValid}
+     * @returns {Polygon}
+     */
+    makeValid() {
+        return makeValid(this);
+    }
+
+    /**
+     * Return new polygon with reduced number of vertices, see [simplify]{@link module:Simplify.simplify}.
+     * By default simplified faces do not cross each other and valid polygon remains valid
+     * @param {number} tolerance - maximal distance between removed vertex and simplified edge
+     * @param {SimplifyOptions} [options] - options {preserveTopology, fitArcs}
+     * @returns {Polygon}
+     */
+    simplify(tolerance, options = {}) {
+        return simplify(this, tolerance, options);
+    }
+
+    /**
+     * Return new polygon where arcs, elliptical arcs and Bézier curves are replaced with segments,
+     * see [Arc.toSegments()]{@link Flatten.Arc#toSegments}. Faces keep their orientation
+     * @param {Object} options - linearization options
+     * @param {number} options.maxChordHeight - maximal distance between curve and segments
+     * @param {number} options.maxSegments - maximal number of segments per curve
+     * @returns {Polygon}
+     */
+    linearize(options = {}) {
+        let polygon = new Polygon();
         for (let face of this.faces) {
-            if (!face.isSimple(this.edges)) {
-                valid = false;
-                break;
+            let segments = [];
+            for (let shape of face.shapes) {
+                segments.push(...linearizeShape(shape, options));
             }
+            polygon.addFace(segments);
         }
-        // 2. TODO: check if no island inside island and no hole inside hole
-        // 3. TODO: check the there is no intersection between faces
-        return valid;
+        return polygon;
     }
 
     /**
@@ -362,9 +412,13 @@ export class Polygon {
      * Returns true if polygon contains shape: no point of shape lies outside of the polygon,
      * false otherwise
      * @param {Shape} shape - test shape
+     * @param {Context} [context] - tolerance and robust mode for this call, see {@link Utils.withContext}
      * @returns {boolean}
      */
-    contains(shape) {
+    contains(shape, context) {
+        if (context !== undefined) {
+            return Flatten.Utils.withContext(context, () => this.contains(shape));
+        }
         if (shape instanceof Flatten.Point) {
             let rel = ray_shoot(this, shape);
             return rel === Flatten.INSIDE || rel === Flatten.BOUNDARY;
@@ -391,7 +445,10 @@ export class Polygon {
         if (shape instanceof Flatten.Circle ||
             shape instanceof Flatten.Line ||
             shape instanceof Flatten.Segment ||
-            shape instanceof Flatten.Arc) {
+            shape instanceof Flatten.Arc ||
+            shape instanceof Flatten.Bezier ||
+            shape instanceof Flatten.Ellipse ||
+            shape instanceof Flatten.EllipticalArc) {
             let [dist, shortest_segment] = Flatten.Distance.shape2polygon(shape, this);
             shortest_segment = shortest_segment.reverse();
             return [dist, shortest_segment];
@@ -412,6 +469,10 @@ export class Polygon {
             }
             return min_dist_and_segment;
         }
+
+        if (shape instanceof Flatten.Multiline) {
+            return Flatten.Distance.shape2multiline(this, shape);
+        }
     }
 
     /**
@@ -440,9 +501,21 @@ export class Polygon {
             return Intersection.intersectArc2Polygon(shape, this);
         }
 
+        if (shape instanceof Flatten.Bezier) {
+            return Intersection.intersectBezier2Polygon(shape, this);
+        }
+
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            return Intersection.intersectEllipse2Polygon(shape, this);
+        }
+
         if (shape instanceof Flatten.Polygon) {
             return Intersection.intersectPolygon2Polygon(shape, this);
         }
+
+        if (shape instanceof Flatten.Multiline) {
+            return shape.intersect(this);
+        }
     }
 
     /**
@@ -475,25 +548,133 @@ export class Polygon {
     }
 
     /**
-     * Return new polygon transformed using affine transformation matrix
+     * Return new polygon transformed using affine transformation matrix <br/>
+     * Throws error if transformation is not a similarity and polygon has arcs,
+     * because arcs are transformed into elliptical arcs, which cannot be edges of the polygon
      * @param {Matrix} matrix - affine transformation matrix
      * @returns {Polygon} - new polygon
      */
     transform(matrix = new Flatten.Matrix()) {
         let newPolygon = new Polygon();
         for (let face of this.faces) {
-            newPolygon.addFace(face.shapes.map( shape => shape.transform(matrix)));
+            let shapes = face.shapes.map( shape => shape.transform(matrix));
+            if (shapes.some(shape => shape instanceof Flatten.EllipticalArc)) {
+                throw Flatten.Errors.ILLEGAL_PARAMETERS;
+            }
+            newPolygon.addFace(shapes);
         }
         return newPolygon;
     }
 
+    /**
+     * Return new polygon inflated (positive distance) or deflated (negative distance) by given distance.
+     * Convex corners of the offset polygon are rounded with arcs
+     * @param {number} d - offset distance
+     * @returns {Polygon} - new polygon
+     */
+    offset(d) {
+        return offset(this, d);
+    }
+
+    /**
+     * Return constrained Delaunay triangulation of the polygon, holes are respected and curves are linearized.
+     * Returns array of triangles, or object {vertices, triangles} with triples of indices when options.indices is true
+     * @param {Object} options - triangulation options
+     * @param {number} options.maxChordHeight - maximal distance between curve and its linearization
+     * @param {boolean} options.indices - return triangles as indices of vertices
+     * @returns {Polygon[]|Object}
+     */
+    triangulate(options = {}) {
+        return triangulate(this, options);
+    }
+
+    /**
+     * Return GeoJSON geometry object of type "Polygon" or "MultiPolygon" (arcs are linearized)
+     * @param {Object} options - export options
+     * @param {number} options.maxChordHeight - maximal distance between arc and its linearization
+     * @returns {Object}
+     */
+    toGeoJSON(options = {}) {
+        return GeoJSON.toGeoJSON(this, options);
+    }
+
+    /**
+     * Return WKT string of type POLYGON, MULTIPOLYGON, CURVEPOLYGON or MULTISURFACE
+     * @param {Object} options - export options
+     * @param {boolean} options.curves - write arcs as circular strings instead of linearization
+     * @param {number} options.maxChordHeight - maximal distance between arc and its linearization
+     * @returns {string}
+     */
+    toWKT(options = {}) {
+        return WKT.toWKT(this, options);
+    }
+
+    /**
+     * Return compact binary representation of the polygon, arcs are stored without linearization
+     * @returns {ArrayBuffer}
+     */
+    toBinary() {
+        return Binary.toBinary(this);
+    }
+
+    /**
+     * Create polygon from GeoJSON geometry object or feature of type "Polygon" or "MultiPolygon".
+     * Outer rings become counter clockwise faces, inner rings become clockwise holes
+     * @param {Object} geojson - GeoJSON object
+     * @returns {Polygon}
+     */
+    static fromGeoJSON(geojson) {
+        return checkType(GeoJSON.fromGeoJSON(geojson));
+    }
+
+    /**
+     * Create polygon from WKT string of type POLYGON, MULTIPOLYGON, CURVEPOLYGON or MULTISURFACE.
+     * Outer rings become counter clockwise faces, inner rings become clockwise holes
+     * @param {string} wkt - WKT string
+     * @returns {Polygon}
+     */
+    static fromWKT(wkt) {
+        return checkType(WKT.fromWKT(wkt));
+    }
+
+    /**
+     * Create polygon from binary representation created by toBinary() method
+     * @param {ArrayBuffer|ArrayBufferView} buffer - ArrayBuffer or typed array
+     * @returns {Polygon}
+     */
+    static fromBinary(buffer) {
+        return checkType(Binary.fromBinary(buffer));
+    }
+
+    /**
+     * Create polygon from SVG path data, for example from "d" attribute of the path created by svg() method.
+     * Every subpath becomes a face, not closed subpath is closed by segment. Orientation of the faces is kept as is.
+     * SVG elliptical arcs with equal radii become arcs, other elliptical arcs and Bézier curves are linearized
+     * @param {string} d - path data or path element string
+     * @param {Object} options - parsing options
+     * @param {number} options.maxChordHeight - maximal distance between curve and its linearization
+     * @returns {Polygon}
+     */
+    static fromSVGPath(d, options = {}) {
+        let polygon = new Flatten.Polygon();
+        for (let {shapes} of parseSVGPath(d, options)) {
+            let start = shapes[0].start;
+            let end = shapes[shapes.length - 1].end;
+            if (!start.equalTo(end)) {
+                shapes.push(new Flatten.Segment(end, start));
+            }
+            polygon.addFace(shapes);
+        }
+        return polygon;
+    }
+
     /**
      * This method returns an object that defines how data will be
      * serialized when called JSON.stringify() method
      * @returns {Object}
      */
     toJSON() {
-        return [...this.faces].map(face => face.toJSON());
+        return {name: "polygon", faces: [...this.faces].map(face => face.toJSON())};
     }
 
     /**
@@ -526,6 +707,20 @@ export class Polygon {
     }
 }
 
+function linearizeShape(shape, options) {
+    if (shape instanceof Flatten.Segment) {
+        return [shape];
+    }
+    return shape.toSegments(options);
+}
+
+function checkType(shape) {
+    if (!(shape instanceof Flatten.Polygon)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    return shape;
+}
+
 Flatten.Polygon = Polygon;
 
 /**
@@ -24,6 +24,13 @@ export class Ray {
             return;
         }
 
+        if (args.length == 1 && args[0] instanceof Object && args[0].name === "ray") {
+            let {pt, norm} = args[0];
+            this.pt = new Flatten.Point(pt.x, pt.y);
+            this.norm = new Flatten.Vector(norm.x, norm.y);
+            return;
+        }
+
         if (args.length >= 1 && args[0] instanceof Flatten.Point) {
             this.pt = args[0].clone();
         }
@@ -131,8 +138,8 @@ export class Ray {
     }
 
     /**
-     * Returns array of intersection points between ray and segment or arc
-     * @param {Segment|Arc} - Shape to intersect with ray
+     * Returns array of intersection points between ray and segment, arc or Bézier curve
+     * @param {Segment|Arc|Bezier} - Shape to intersect with ray
      * @returns {Array} array of intersection points
      */
     intersect(shape) {
@@ -143,6 +150,10 @@ export class Ray {
         if (shape instanceof Flatten.Arc) {
             return this.intersectRay2Arc(this, shape);
         }
+
+        if (shape instanceof Flatten.Bezier) {
+            return this.intersectRay2Bezier(this, shape);
+        }
     }
 
     intersectRay2Segment(ray, segment) {
@@ -191,6 +202,24 @@ export class Ray {
         return ip;
     }
 
+    intersectRay2Bezier(ray, bezier) {
+        if (ray.box.not_intersect(bezier.box)) {
+            return [];
+        }
+
+        let line = new Flatten.Line(ray.start, ray.norm);
+        return line.intersect(bezier).filter(pt => ray.contains(pt));
+    }
+
+    /**
+     * This method returns an object that defines how data will be
+     * serialized when called JSON.stringify() method
+     * @returns {Object}
+     */
+    toJSON() {
+        return Object.assign({}, this, {name: "ray"});
+    }
+
     /**
      * Return string to draw svg segment representing ray inside given box
      * @param {Box} box Box representing drawing area
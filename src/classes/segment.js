@@ -5,6 +5,8 @@
 
 "use strict";
 import Flatten from '../flatten';
+import * as GeoJSON from '../utils/geojson';
+import * as WKT from '../utils/wkt';
 import * as Intersection from '../algorithms/intersection';
 
 /**
@@ -173,6 +175,14 @@ export class Segment {
             return Intersection.intersectSegment2Arc(this, shape);
         }
 
+        if (shape instanceof Flatten.Bezier) {
+            return Intersection.intersectBezier2Segment(shape, this);
+        }
+
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            return Intersection.intersectEllipse2Segment(shape, this);
+        }
+
         if (shape instanceof Flatten.Polygon) {
             return  Intersection.intersectSegment2Polygon(this, shape);
         }
@@ -211,11 +221,28 @@ export class Segment {
             return [dist, shortest_segment];
         }
 
+        if (shape instanceof Flatten.Bezier) {
+            let [dist, shortest_segment] = Flatten.Distance.bezier2segment(shape, this);
+            shortest_segment = shortest_segment.reverse();
+            return [dist, shortest_segment];
+        }
+
+        if (shape instanceof Flatten.Ellipse || shape instanceof Flatten.EllipticalArc) {
+            let [dist, shortest_segment] = Flatten.Distance.ellipse2segment(shape, this);
+            shortest_segment = shortest_segment.reverse();
+            return [dist, shortest_segment];
+        }
+
         if (shape instanceof Flatten.Polygon) {
             let [dist, shortest_segment] = Flatten.Distance.shape2polygon(this, shape);
             return [dist, shortest_segment];
         }
 
+        if (shape instanceof Flatten.Multiline) {
+            let [dist, shortest_segment] = Flatten.Distance.shape2multiline(this, shape);
+            return [dist, shortest_segment];
+        }
+
         if (shape instanceof Flatten.PlanarSet) {
             let [dist, shortest_segment] = Flatten.Distance.shape2planarSet(this, shape);
             return [dist, shortest_segment];
@@ -276,6 +303,56 @@ export class Segment {
         return new Flatten.Point((this.start.x + this.end.x) / 2, (this.start.y + this.end.y) / 2);
     }
 
+    /**
+     * Return point on the segment at the given length from the start point,
+     * null if length is out of range [0, segment length]
+     * @param {number} length - length along the segment
+     * @returns {Point|null}
+     */
+    pointAtLength(length) {
+        if (Flatten.Utils.LT(length, 0) || Flatten.Utils.GT(length, this.length)) return null;
+        if (Flatten.Utils.LE(length, 0)) return this.start.clone();
+        if (Flatten.Utils.GE(length, this.length)) return this.end.clone();
+        let factor = length / this.length;
+        return new Flatten.Point(
+            this.start.x + (this.end.x - this.start.x) * factor,
+            this.start.y + (this.end.y - this.start.y) * factor
+        );
+    }
+
+    /**
+     * Return unit tangent vector in the direction from start to end at the given length,
+     * null if length is out of range
+     * @param {number} length - length along the segment
+     * @returns {Vector|null}
+     */
+    tangentAt(length) {
+        if (Flatten.Utils.LT(length, 0) || Flatten.Utils.GT(length, this.length)) return null;
+        return new Flatten.Vector(this.start, this.end).normalize();
+    }
+
+    /**
+     * Return unit normal vector at the given length, which is the tangent rotated
+     * counterclockwise by 90 degrees. Returns null if length is out of range
+     * @param {number} length - length along the segment
+     * @returns {Vector|null}
+     */
+    normalAt(length) {
+        let tangent = this.tangentAt(length);
+        return tangent ? new Flatten.Vector(-tangent.y, tangent.x) : null;
+    }
+
+    /**
+     * Return curvature at the given length, which is always zero for segment,
+     * null if length is out of range
+     * @param {number} length - length along the segment
+     * @returns {number|null}
+     */
+    curvatureAt(length) {
+        if (Flatten.Utils.LT(length, 0) || Flatten.Utils.GT(length, this.length)) return null;
+        return 0;
+    }
+
     distanceToPoint(pt) {
         let [dist, ...rest] = Flatten.Distance.point2segment(pt, this);
         return dist;
@@ -338,6 +415,40 @@ export class Segment {
         return line.sortPoints(pts);
     }
 
+    /**
+     * Return GeoJSON geometry object of type "LineString"
+     * @returns {Object}
+     */
+    toGeoJSON() {
+        return GeoJSON.toGeoJSON(this);
+    }
+
+    /**
+     * Return WKT string of type LINESTRING
+     * @returns {string}
+     */
+    toWKT() {
+        return WKT.toWKT(this);
+    }
+
+    /**
+     * Create segment from GeoJSON geometry object or feature of type "LineString" with two positions
+     * @param {Object} geojson - GeoJSON object
+     * @returns {Segment}
+     */
+    static fromGeoJSON(geojson) {
+        return toSegment(GeoJSON.fromGeoJSON(geojson));
+    }
+
+    /**
+     * Create segment from WKT string of type LINESTRING with two points
+     * @param {string} wkt - WKT string
+     * @returns {Segment}
+     */
+    static fromWKT(wkt) {
+        return toSegment(WKT.fromWKT(wkt));
+    }
+
     /**
      * This method returns an object that defines how data will be
      * serialized when called JSON.stringify() method
@@ -366,6 +477,13 @@ export class Segment {
 
 };
 
+function toSegment(shape) {
+    if (!(shape instanceof Flatten.Multiline) || shape.edges.length !== 1 || !shape.first.isSegment()) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    return shape.first.shape;
+}
+
 Flatten.Segment = Segment;
 /**
  * Shortcut method to create new segment
@@ -165,6 +165,17 @@ class DE9IM {
         this.m[8] = geom;
     }
 
+    /**
+     * Return new matrix of the relation with swapped shapes, where rows and columns are exchanged,
+     * for example, I2B of the new matrix is B2I of this matrix
+     * @returns {DE9IM}
+     */
+    transpose() {
+        let denim = new DE9IM();
+        denim.m = [0, 3, 6, 1, 4, 7, 2, 5, 8].map(i => this.m[i]);
+        return denim;
+    }
+
     /**
      * Return de9im matrix as string where<br/>
      * - intersection is 'T'<br/>
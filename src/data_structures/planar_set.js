@@ -6,19 +6,29 @@
 
 import Flatten from '../flatten';
 import IntervalTree from '@flatten-js/interval-tree';
+import {RTree} from './rtree';
+import {fromJSON} from '../utils/json';
+
+/* Names of the bundled spatial indexes stored in json */
+const INDEXES = {intervalTree: IntervalTree, rtree: RTree};
 
 /**
  * Class representing a planar set - a generic container with ability to keep and retrieve shapes and
  * perform spatial queries. Planar set is an extension of Set container, so it supports
- * Set properties and methods
+ * Set properties and methods. <br/>
+ * Spatial index is pluggable: by default it is an interval tree keyed by boxes,
+ * alternatively it may be [R-tree]{@link RTree}, which indexes both axes and is faster for large sets.
+ * Any class that implements methods insert(box, value), remove(box, value) and search(box) may be used
  */
 export class PlanarSet extends Set {
     /**
      * Create new empty instance of PlanarSet
+     * @param {Function} [Index=IntervalTree] - class of the spatial index
      */
-    constructor() {
+    constructor(Index = IntervalTree) {
         super();
-        this.index = new IntervalTree();
+        this.Index = Index;
+        this.index = new Index();
     }
 
     /**
@@ -40,6 +50,31 @@ export class PlanarSet extends Set {
         return this;         // in accordance to Set.add interface
     }
 
+    /**
+     * Bulk insert of shapes. Shapes already existing in the planar set are skipped.
+     * Spatial index is built in one pass if it supports bulk loading (like [R-tree]{@link RTree}),
+     * otherwise shapes are inserted into the index one by one. <br/>
+     * Method returns planar set object updated and may be chained
+     * @param {Shape[]} shapes - shapes to be added, should have valid <i>box</i> property
+     * @returns {PlanarSet}
+     */
+    load(shapes) {
+        let items = [];
+        for (let shape of shapes) {
+            let size = this.size;
+            super.add(shape);
+            if (this.size > size) {
+                items.push({key: shape.box, value: shape});
+            }
+        }
+        if (this.index.load) {
+            this.index.load(items);
+        } else {
+            items.forEach(item => this.index.insert(item.key, item.value));
+        }
+        return this;
+    }
+
     /**
      * Delete shape from planar set. Returns true if shape was actually deleted, false otherwise
      * @param {Shape} shape - shape to be deleted
@@ -58,7 +93,7 @@ export class PlanarSet extends Set {
      */
     clear() {
         super.clear();
-        this.index = new IntervalTree();
+        this.index = new this.Index();
     }
 
     /**
@@ -83,6 +118,58 @@ export class PlanarSet extends Set {
         return resp.filter((shape) => point.on(shape));
     }
 
+    /**
+     * k-nearest neighbours query. Returns up to k shapes nearest to the given shape, sorted by distance,
+     * as array of objects {shape, distance, segment}, where segment is the shortest segment
+     * from the query shape to the found shape
+     * @param {Shape} shape - query shape
+     * @param {number} [k=1] - number of shapes to find
+     * @returns {Object[]}
+     */
+    nearest(shape, k = 1) {
+        return Flatten.Distance.nearest(shape, this, k);
+    }
+
+    /**
+     * Returns shapes which distance to the given shape does not exceed dist, sorted by distance,
+     * as array of objects {shape, distance, segment}
+     * @param {Shape} shape - query shape
+     * @param {number} dist - maximal distance
+     * @returns {Object[]}
+     */
+    withinDistance(shape, dist) {
+        return Flatten.Distance.withinDistance(shape, this, dist);
+    }
+
+    /**
+     * This method returns an object that defines how data will be
+     * serialized when called JSON.stringify() method
+     * @returns {Object}
+     */
+    toJSON() {
+        let index = Object.keys(INDEXES).find(key => INDEXES[key] === this.Index);
+        return {name: "planarSet", index: index, shapes: [...this].map(shape => shape.toJSON())};
+    }
+
+    /**
+     * Create new planar set from the object created by toJSON() method, or from array of shapes as json objects.
+     * Shapes are restored by [fromJSON]{@link module:JSON.fromJSON} and spatial index is built
+     * by bulk [load]{@link Flatten.PlanarSet#load}. <br/>
+     * Class of the bundled index, IntervalTree or RTree, is stored in json and restored by default.
+     * Custom index is not stored, it should be passed again, otherwise IntervalTree is used
+     * @param {Object|Object[]} json - planar set or array of shapes as json objects
+     * @param {Function} [Index] - class of the spatial index, overrides the one stored in json
+     * @returns {PlanarSet}
+     */
+    static fromJSON(json, Index = undefined) {
+        let shapes = json instanceof Array ? json : json.shapes;
+        if (!(shapes instanceof Array)) {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+        Index = Index || INDEXES[json.index] || IntervalTree;
+        return new PlanarSet(Index).load(shapes.map(fromJSON));
+    }
+
     /**
      * Returns svg string to draw all shapes in planar set
      * @returns {String}
@@ -0,0 +1,87 @@
+/**
+ * Class implements priority queue as binary min-heap. <br/>
+ * Elements are compared by numeric key, element with minimal key is served first.
+ */
+class PriorityQueue {
+    constructor() {
+        this.keys = [];
+        this.values = [];
+    }
+
+    /**
+     * Return number of elements in the queue
+     * @returns {number}
+     */
+    get size() {
+        return this.keys.length;
+    }
+
+    /**
+     * Return true if queue is empty
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.keys.length === 0;
+    }
+
+    /**
+     * Return minimal key in the queue or undefined if queue is empty
+     * @returns {number}
+     */
+    peekKey() {
+        return this.keys[0];
+    }
+
+    /**
+     * Add element with the given key to the queue
+     * @param {number} key - priority of the element, smaller key is served first
+     * @param {*} value - element
+     * @returns {PriorityQueue}
+     */
+    push(key, value) {
+        let i = this.keys.length;
+        this.keys.push(key);
+        this.values.push(value);
+        while (i > 0) {
+            let parent = (i - 1) >> 1;
+            if (this.keys[parent] <= key) break;
+            this.move(parent, i);
+            i = parent;
+        }
+        this.keys[i] = key;
+        this.values[i] = value;
+        return this;
+    }
+
+    /**
+     * Remove element with minimal key from the queue and return it as [key, value] pair
+     * @returns {Array|undefined}
+     */
+    pop() {
+        if (this.isEmpty()) return undefined;
+        let top = [this.keys[0], this.values[0]];
+        let key = this.keys.pop();
+        let value = this.values.pop();
+        let n = this.keys.length;
+        if (n > 0) {
+            let i = 0;
+            while (2 * i + 1 < n) {
+                let child = 2 * i + 1;
+                if (child + 1 < n && this.keys[child + 1] < this.keys[child]) child++;
+                if (key <= this.keys[child]) break;
+                this.move(child, i);
+                i = child;
+            }
+            this.keys[i] = key;
+            this.values[i] = value;
+        }
+        return top;
+    }
+
+    move(from, to) {
+        this.keys[to] = this.keys[from];
+        this.values[to] = this.values[from];
+    }
+}
+
+export default PriorityQueue;
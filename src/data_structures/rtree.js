@@ -0,0 +1,319 @@
+"use strict";
+
+import Flatten from '../flatten';
+
+/**
+ * Class implements two-dimensional R-tree - spatial index of items keyed by bounding boxes. <br/>
+ * Nodes are split along the axis and at the position that give minimal overlap of the new nodes,
+ * bulk loading packs items into nodes by Sort-Tile-Recursive algorithm. <br/>
+ * R-tree implements the same interface as the interval tree, so it may be used
+ * as an index of the [PlanarSet]{@link Flatten.PlanarSet}:
+ * @example
+ * let set = new PlanarSet(RTree);
+ */
+export class RTree {
+    /**
+     * Construct new empty R-tree
+     * @param {number} [maxEntries=9] - maximal number of children of the node
+     */
+    constructor(maxEntries = 9) {
+        this.maxEntries = Math.max(4, maxEntries);
+        this.minEntries = Math.max(2, Math.ceil(this.maxEntries * 0.4));
+        this.clear();
+    }
+
+    /**
+     * Returns number of items stored in the tree
+     * @returns {number}
+     */
+    get size() {
+        return this.count;
+    }
+
+    /**
+     * Returns array of items {key, value} stored in the tree
+     * @returns {Object[]}
+     */
+    get items() {
+        let items = [];
+        collect(this.root, items);
+        return items;
+    }
+
+    /**
+     * Returns array of values stored in the tree
+     * @returns {Array}
+     */
+    get values() {
+        return this.items.map(item => item.value);
+    }
+
+    /**
+     * Returns true if tree is empty
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.count === 0;
+    }
+
+    /**
+     * Remove all items from the tree
+     */
+    clear() {
+        this.root = createNode([], 1);
+        this.count = 0;
+    }
+
+    /**
+     * Insert new item into the tree
+     * @param {Box} key - bounding box of the item
+     * @param {*} value - value of the item
+     * @returns {Object} - inserted item {key, value}
+     */
+    insert(key, value) {
+        let item = {key, value};
+        let path = [this.root];
+        let node = this.root;
+        while (node.height > 1) {
+            node = chooseSubtree(node, key);
+            path.push(node);
+        }
+        node.children.push(item);
+        path.forEach(parent => extend(parent.box, key));
+
+        for (let level = path.length - 1; level >= 0 && path[level].children.length > this.maxEntries; level--) {
+            let sibling = this.split(path[level]);
+            if (level > 0) {
+                path[level - 1].children.push(sibling);
+            } else {
+                this.root = createNode([this.root, sibling], this.root.height + 1);
+            }
+        }
+        this.count++;
+        return item;
+    }
+
+    /**
+     * Returns true if item {key, value} exists in the tree
+     * @param {Box} key - bounding box of the item
+     * @param {*} value - value of the item
+     * @returns {boolean}
+     */
+    exist(key, value) {
+        return findPath(this.root, key, value) !== undefined;
+    }
+
+    /**
+     * Remove item {key, value} from the tree
+     * @param {Box} key - bounding box of the item
+     * @param {*} value - value of the item
+     * @returns {boolean} - true if item was removed, false if not found
+     */
+    remove(key, value) {
+        let path = findPath(this.root, key, value);
+        if (!path) {
+            return false;
+        }
+        let leaf = path[path.length - 1];
+        leaf.children.splice(leaf.children.findIndex(item => item.value === value), 1);
+
+        /* Condense tree: remove empty nodes and shrink boxes up to the root */
+        for (let level = path.length - 1; level > 0; level--) {
+            let node = path[level];
+            if (node.children.length === 0) {
+                path[level - 1].children.splice(path[level - 1].children.indexOf(node), 1);
+            } else {
+                node.box = childrenBox(node);
+            }
+        }
+        this.root.box = childrenBox(this.root);
+        while (this.root.height > 1 && this.root.children.length === 1) {
+            this.root = this.root.children[0];
+        }
+        if (this.root.children.length === 0) {
+            this.root.height = 1;
+        }
+        this.count--;
+        return true;
+    }
+
+    /**
+     * Returns array of values of the items which boxes intersect with the query box
+     * @param {Box} box - query box
+     * @returns {Array}
+     */
+    search(box) {
+        let found = [];
+        let stack = [this.root];
+        while (stack.length > 0) {
+            let node = stack.pop();
+            if (node.children.length === 0 || node.box.not_intersect(box)) continue;
+            if (node.height === 1) {
+                for (let item of node.children) {
+                    if (!item.key.not_intersect(box)) {
+                        found.push(item.value);
+                    }
+                }
+            } else {
+                stack.push(...node.children);
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Bulk load of the items. Tree is rebuilt in one pass from the existing and the new items,
+     * which is much faster than inserting items one by one
+     * @param {Object[]} items - array of items {key, value}, where key is a bounding box
+     * @returns {RTree}
+     */
+    load(items) {
+        let all = this.isEmpty() ? [...items] : [...this.items, ...items];
+        if (all.length === 0) {
+            return this;
+        }
+        let level = pack(all.map(item => ({key: item.key, value: item.value})), 1, this.maxEntries);
+        while (level.length > 1) {
+            level = pack(level, level[0].height + 1, this.maxEntries);
+        }
+        this.root = level[0];
+        this.count = all.length;
+        return this;
+    }
+
+    split(node) {
+        let children = node.children;
+        let m = this.minEntries;
+        let M = children.length;
+
+        /* Choose axis with minimal sum of margins of all distributions */
+        let margins = ["xmin", "ymin"].map(axis => {
+            children.sort((a, b) => boxOf(a)[axis] - boxOf(b)[axis]);
+            let sum = 0;
+            for (let k = m; k <= M - m; k++) {
+                sum += margin(unionBox(children.slice(0, k))) + margin(unionBox(children.slice(k)));
+            }
+            return sum;
+        });
+        if (margins[0] <= margins[1]) {
+            children.sort((a, b) => boxOf(a).xmin - boxOf(b).xmin);
+        }
+
+        /* Choose distribution with minimal overlap, then with minimal area */
+        let [index, minOverlap, minArea] = [m, Infinity, Infinity];
+        for (let k = m; k <= M - m; k++) {
+            let box1 = unionBox(children.slice(0, k));
+            let box2 = unionBox(children.slice(k));
+            let overlap = intersectionArea(box1, box2);
+            let area = boxArea(box1) + boxArea(box2);
+            if (overlap < minOverlap || overlap === minOverlap && area < minArea) {
+                [index, minOverlap, minArea] = [k, overlap, area];
+            }
+        }
+
+        let sibling = createNode(children.splice(index), node.height);
+        node.box = childrenBox(node);
+        return sibling;
+    }
+}
+
+function createNode(children, height) {
+    let node = {children, height, box: new Flatten.Box()};
+    node.box = childrenBox(node);
+    return node;
+}
+
+/* Box of the node or key of the item */
+function boxOf(element) {
+    return element.key || element.box;
+}
+
+function childrenBox(node) {
+    return unionBox(node.children);
+}
+
+function unionBox(elements) {
+    let box = new Flatten.Box();
+    elements.forEach(element => extend(box, boxOf(element)));
+    return box;
+}
+
+function extend(box, other) {
+    box.xmin = box.xmin === undefined ? other.xmin : Math.min(box.xmin, other.xmin);
+    box.ymin = box.ymin === undefined ? other.ymin : Math.min(box.ymin, other.ymin);
+    box.xmax = box.xmax === undefined ? other.xmax : Math.max(box.xmax, other.xmax);
+    box.ymax = box.ymax === undefined ? other.ymax : Math.max(box.ymax, other.ymax);
+}
+
+function boxArea(box) {
+    return (box.xmax - box.xmin) * (box.ymax - box.ymin);
+}
+
+function margin(box) {
+    return (box.xmax - box.xmin) + (box.ymax - box.ymin);
+}
+
+function intersectionArea(box1, box2) {
+    let dx = Math.min(box1.xmax, box2.xmax) - Math.max(box1.xmin, box2.xmin);
+    let dy = Math.min(box1.ymax, box2.ymax) - Math.max(box1.ymin, box2.ymin);
+    return dx > 0 && dy > 0 ? dx * dy : 0;
+}
+
+/* Child which box needs minimal enlargement to include the key, ties are resolved by minimal area */
+function chooseSubtree(node, key) {
+    let [best, minEnlargement, minArea] = [undefined, Infinity, Infinity];
+    for (let child of node.children) {
+        let area = boxArea(child.box);
+        let enlarged = (Math.max(child.box.xmax, key.xmax) - Math.min(child.box.xmin, key.xmin)) *
+            (Math.max(child.box.ymax, key.ymax) - Math.min(child.box.ymin, key.ymin));
+        let enlargement = enlarged - area;
+        if (enlargement < minEnlargement || enlargement === minEnlargement && area < minArea) {
+            [best, minEnlargement, minArea] = [child, enlargement, area];
+        }
+    }
+    return best;
+}
+
+/* Path from the node to the leaf containing the item */
+function findPath(node, key, value) {
+    if (node.children.length === 0 || node.box.not_intersect(key)) {
+        return undefined;
+    }
+    if (node.height === 1) {
+        return node.children.some(item => item.value === value) ? [node] : undefined;
+    }
+    for (let child of node.children) {
+        let path = findPath(child, key, value);
+        if (path) {
+            return [node, ...path];
+        }
+    }
+    return undefined;
+}
+
+function collect(node, items) {
+    if (node.height === 1) {
+        items.push(...node.children);
+    } else {
+        node.children.forEach(child => collect(child, items));
+    }
+}
+
+/* Sort-Tile-Recursive packing of elements into nodes of the given height */
+function pack(elements, height, maxEntries) {
+    let pages = Math.ceil(elements.length / maxEntries);
+    let slabSize = Math.ceil(pages / Math.ceil(Math.sqrt(pages))) * maxEntries;
+    let center = (element, axis) => (boxOf(element)[axis + "min"] + boxOf(element)[axis + "max"]) / 2;
+
+    let nodes = [];
+    elements.sort((a, b) => center(a, "x") - center(b, "x"));
+    for (let i = 0; i < elements.length; i += slabSize) {
+        let slab = elements.slice(i, i + slabSize).sort((a, b) => center(a, "y") - center(b, "y"));
+        for (let j = 0; j < slab.length; j += maxEntries) {
+            nodes.push(createNode(slab.slice(j, j + maxEntries), height));
+        }
+    }
+    return nodes;
+}
+
+Flatten.RTree = RTree;
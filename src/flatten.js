@@ -1,9 +1,11 @@
 import * as Constants from './utils/constants';
 import * as Utils from './utils/utils';
+import * as Predicates from './utils/predicates';
 import Errors from './utils/errors';
 
 let Flatten = {
     Utils: Utils,
+    Predicates: Predicates,
     Errors: Errors,
     Matrix: undefined,
     Planar_set: undefined,
@@ -13,6 +15,9 @@ let Flatten = {
     Circle: undefined,
     Segment: undefined,
     Arc: undefined,
+    Bezier: undefined,
+    Ellipse: undefined,
+    EllipticalArc: undefined,
     Box: undefined,
     Edge: undefined,
     Face: undefined,
@@ -30,4 +35,9 @@ Object.defineProperty(Flatten, 'DP_TOL', {
     set:function(value){Utils.setTolerance(value)}
 });
 
+Object.defineProperty(Flatten, 'ROBUST', {
+    get:function(){return Utils.isRobust()},
+    set:function(value){Utils.setRobust(value)}
+});
+
 export default Flatten;
@@ -0,0 +1,325 @@
+/**
+ * Compact binary serialization of shapes into ArrayBuffer, similar to Well-Known Binary (WKB). <br/>
+ * Buffer starts with header of 4 bytes: magic bytes "FJ", format version and reserved byte,
+ * followed by one shape record. Record starts with type byte, numbers are little-endian float64,
+ * counters are little-endian uint32. Arcs are stored by center, radius and angles without linearization. <br/>
+ * Edges of polygon faces and multilines are written one by one, segment which starts exactly
+ * at the end of the previous edge is written by its end point only. <br/>
+ * Only ArrayBuffer and DataView are used, so the format works the same in browsers, web workers and Node.
+ * @module Binary
+ */
+"use strict";
+
+import Flatten from '../flatten';
+
+const MAGIC = [0x46, 0x4A];     // "FJ"
+const VERSION = 1;
+
+const TYPE = {
+    POINT: 1,
+    VECTOR: 2,
+    SEGMENT: 3,
+    LINE: 4,
+    RAY: 5,
+    CIRCLE: 6,
+    ARC: 7,
+    BEZIER: 8,
+    ELLIPSE: 9,
+    ELLIPTICAL_ARC: 10,
+    BOX: 11,
+    MULTILINE: 12,
+    POLYGON: 13,
+    PLANAR_SET: 14,
+    SEGMENT_TO: 15      // segment continuing previous edge, used only inside multiline and face
+};
+
+/**
+ * Encode shape into binary format. <br/>
+ * Point, Vector, Segment, Line, Ray, Circle, Arc, Bezier, Ellipse, EllipticalArc, Box,
+ * Multiline, Polygon and PlanarSet are supported
+ * @param {Shape|Multiline|Polygon|PlanarSet} shape - shape to be encoded
+ * @returns {ArrayBuffer}
+ */
+export function toBinary(shape) {
+    let writer = new BinaryWriter();
+    MAGIC.forEach(byte => writer.uint8(byte));
+    writer.uint8(VERSION);
+    writer.uint8(0);
+    writeShape(writer, shape);
+    return writer.result();
+}
+
+/**
+ * Decode shape from binary format created by [toBinary]{@link module:Binary.toBinary}. <br/>
+ * Throws error if buffer is not valid or was created by newer version of the format.
+ * Planar set is restored with default spatial index
+ * @param {ArrayBuffer|ArrayBufferView} buffer - ArrayBuffer or typed array (for example Node Buffer)
+ * @returns {Shape|Multiline|Polygon|PlanarSet}
+ */
+export function fromBinary(buffer) {
+    let reader = new BinaryReader(buffer);
+    if (MAGIC.some(byte => reader.uint8() !== byte)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    let version = reader.uint8();
+    reader.uint8();
+    if (version < 1 || version > VERSION) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    let shape = readShape(reader, reader.uint8());
+    if (!reader.isEnd()) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    return shape;
+}
+
+function writeShape(writer, shape) {
+    if (shape instanceof Flatten.Point) {
+        writer.uint8(TYPE.POINT);
+        writer.point(shape);
+    } else if (shape instanceof Flatten.Vector) {
+        writer.uint8(TYPE.VECTOR);
+        writer.point(shape);
+    } else if (shape instanceof Flatten.Segment) {
+        writer.uint8(TYPE.SEGMENT);
+        writer.point(shape.ps);
+        writer.point(shape.pe);
+    } else if (shape instanceof Flatten.Line || shape instanceof Flatten.Ray) {
+        writer.uint8(shape instanceof Flatten.Line ? TYPE.LINE : TYPE.RAY);
+        writer.point(shape.pt);
+        writer.point(shape.norm);
+    } else if (shape instanceof Flatten.Circle) {
+        writer.uint8(TYPE.CIRCLE);
+        writer.point(shape.pc);
+        writer.float64(shape.r);
+    } else if (shape instanceof Flatten.Arc) {
+        writer.uint8(TYPE.ARC);
+        writer.point(shape.pc);
+        writer.float64(shape.r);
+        writer.float64(shape.startAngle);
+        writer.float64(shape.endAngle);
+        writer.uint8(shape.counterClockwise ? 1 : 0);
+    } else if (shape instanceof Flatten.Bezier) {
+        writer.uint8(TYPE.BEZIER);
+        writer.uint8(shape.controls.length);
+        shape.controls.forEach(pt => writer.point(pt));
+    } else if (shape instanceof Flatten.EllipticalArc) {
+        writer.uint8(TYPE.ELLIPTICAL_ARC);
+        writer.point(shape.pc);
+        [shape.rx, shape.ry, shape.angle, shape.startAngle, shape.endAngle].forEach(value => writer.float64(value));
+        writer.uint8(shape.counterClockwise ? 1 : 0);
+    } else if (shape instanceof Flatten.Ellipse) {
+        writer.uint8(TYPE.ELLIPSE);
+        writer.point(shape.pc);
+        [shape.rx, shape.ry, shape.angle].forEach(value => writer.float64(value));
+    } else if (shape instanceof Flatten.Box) {
+        writer.uint8(TYPE.BOX);
+        [shape.xmin, shape.ymin, shape.xmax, shape.ymax].forEach(value => writer.float64(value));
+    } else if (shape instanceof Flatten.Multiline) {
+        writer.uint8(TYPE.MULTILINE);
+        writeChain(writer, shape.toShapes());
+    } else if (shape instanceof Flatten.Polygon) {
+        writer.uint8(TYPE.POLYGON);
+        writer.uint32(shape.faces.size);
+        for (let face of shape.faces) {
+            writeChain(writer, face.shapes);
+        }
+    } else if (shape instanceof Flatten.PlanarSet) {
+        writer.uint8(TYPE.PLANAR_SET);
+        writer.uint32(shape.size);
+        for (let item of shape) {
+            writeShape(writer, item);
+        }
+    } else {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+}
+
+/* Write chain of edge shapes, segment continuing previous edge exactly is written by its end point */
+function writeChain(writer, shapes) {
+    writer.uint32(shapes.length);
+    let prev = undefined;
+    for (let shape of shapes) {
+        if (shape instanceof Flatten.Segment && prev && prev.end && equalExactly(prev.end, shape.start)) {
+            writer.uint8(TYPE.SEGMENT_TO);
+            writer.point(shape.pe);
+        } else {
+            writeShape(writer, shape);
+        }
+        prev = shape;
+    }
+}
+
+function readShape(reader, type) {
+    switch (type) {
+        case TYPE.POINT:
+            return reader.point();
+        case TYPE.VECTOR:
+            return new Flatten.Vector(reader.float64(), reader.float64());
+        case TYPE.SEGMENT:
+            return new Flatten.Segment(reader.point(), reader.point());
+        case TYPE.LINE: {
+            /* Constructor from point and vector normalizes and may invert the vector, keep it as is */
+            let line = new Flatten.Line();
+            line.pt = reader.point();
+            line.norm = reader.vector();
+            return line;
+        }
+        case TYPE.RAY:
+            return new Flatten.Ray(reader.point(), reader.vector());
+        case TYPE.CIRCLE:
+            return new Flatten.Circle(reader.point(), reader.float64());
+        case TYPE.ARC:
+            return new Flatten.Arc(reader.point(), reader.float64(), reader.float64(), reader.float64(),
+                reader.uint8() === 1);
+        case TYPE.BEZIER: {
+            let controls = [];
+            for (let i = reader.uint8(); i > 0; i--) {
+                controls.push(reader.point());
+            }
+            return new Flatten.Bezier(controls);
+        }
+        case TYPE.ELLIPSE:
+            return new Flatten.Ellipse(reader.point(), reader.float64(), reader.float64(), reader.float64());
+        case TYPE.ELLIPTICAL_ARC:
+            return new Flatten.EllipticalArc(reader.point(), reader.float64(), reader.float64(), reader.float64(),
+                reader.float64(), reader.float64(), reader.uint8() === 1);
+        case TYPE.BOX:
+            return new Flatten.Box(reader.float64(), reader.float64(), reader.float64(), reader.float64());
+        case TYPE.MULTILINE:
+            return new Flatten.Multiline(readChain(reader));
+        case TYPE.POLYGON: {
+            let polygon = new Flatten.Polygon();
+            for (let i = reader.uint32(); i > 0; i--) {
+                polygon.addFace(readChain(reader));
+            }
+            return polygon;
+        }
+        case TYPE.PLANAR_SET: {
+            let shapes = [];
+            for (let i = reader.uint32(); i > 0; i--) {
+                shapes.push(readShape(reader, reader.uint8()));
+            }
+            return new Flatten.PlanarSet().load(shapes);
+        }
+        default:
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+}
+
+function readChain(reader) {
+    let shapes = [];
+    for (let i = reader.uint32(); i > 0; i--) {
+        let type = reader.uint8();
+        if (type === TYPE.SEGMENT_TO) {
+            let prev = shapes[shapes.length - 1];
+            if (!prev) {
+                throw Flatten.Errors.ILLEGAL_PARAMETERS;
+            }
+            shapes.push(new Flatten.Segment(prev.end.clone(), reader.point()));
+        } else {
+            shapes.push(readShape(reader, type));
+        }
+    }
+    return shapes;
+}
+
+function equalExactly(pt1, pt2) {
+    return pt1.x === pt2.x && pt1.y === pt2.y;
+}
+
+/* Writes numbers into growing buffer */
+class BinaryWriter {
+    constructor() {
+        this.view = new DataView(new ArrayBuffer(256));
+        this.offset = 0;
+    }
+
+    reserve(bytes) {
+        if (this.offset + bytes <= this.view.byteLength) return;
+        let buffer = new ArrayBuffer(Math.max(2 * this.view.byteLength, this.offset + bytes));
+        new Uint8Array(buffer).set(new Uint8Array(this.view.buffer, 0, this.offset));
+        this.view = new DataView(buffer);
+    }
+
+    uint8(value) {
+        this.reserve(1);
+        this.view.setUint8(this.offset, value);
+        this.offset += 1;
+    }
+
+    uint32(value) {
+        this.reserve(4);
+        this.view.setUint32(this.offset, value, true);
+        this.offset += 4;
+    }
+
+    float64(value) {
+        this.reserve(8);
+        this.view.setFloat64(this.offset, value, true);
+        this.offset += 8;
+    }
+
+    point(pt) {
+        this.float64(pt.x);
+        this.float64(pt.y);
+    }
+
+    result() {
+        return this.view.buffer.slice(0, this.offset);
+    }
+}
+
+/* Reads numbers from buffer, throws error when buffer is too short */
+class BinaryReader {
+    constructor(buffer) {
+        if (buffer instanceof ArrayBuffer) {
+            this.view = new DataView(buffer);
+        } else if (ArrayBuffer.isView(buffer)) {
+            this.view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        } else {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+        this.offset = 0;
+    }
+
+    isEnd() {
+        return this.offset === this.view.byteLength;
+    }
+
+    check(bytes) {
+        if (this.offset + bytes > this.view.byteLength) {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+    }
+
+    uint8() {
+        this.check(1);
+        return this.view.getUint8(this.offset++);
+    }
+
+    uint32() {
+        this.check(4);
+        let value = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    float64() {
+        this.check(8);
+        let value = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return value;
+    }
+
+    point() {
+        return new Flatten.Point(this.float64(), this.float64());
+    }
+
+    vector() {
+        return new Flatten.Vector(this.float64(), this.float64());
+    }
+}
+
+Flatten.toBinary = toBinary;
+Flatten.fromBinary = fromBinary;
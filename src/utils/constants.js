@@ -17,6 +17,21 @@ export const CW = false;
  */
 export const ORIENTATION = {CCW:-1, CW:1, NOT_ORIENTABLE: 0};
 
+/**
+ * Types of errors reported by polygon validation, see [Polygon.validate()]{@link Flatten.Polygon#validate}
+ * @type {{ZERO_LENGTH_EDGE: string, DUPLICATE_VERTEX: string, SELF_INTERSECTION: string, OVERLAPPING_FACES: string,
+ * HOLE_OUTSIDE_SHELL: string, WRONG_ORIENTATION: string, NOT_ORIENTABLE: string}}
+ */
+export const VALIDATION_ERROR = {
+    ZERO_LENGTH_EDGE: 'ZERO_LENGTH_EDGE',
+    DUPLICATE_VERTEX: 'DUPLICATE_VERTEX',
+    SELF_INTERSECTION: 'SELF_INTERSECTION',
+    OVERLAPPING_FACES: 'OVERLAPPING_FACES',
+    HOLE_OUTSIDE_SHELL: 'HOLE_OUTSIDE_SHELL',
+    WRONG_ORIENTATION: 'WRONG_ORIENTATION',
+    NOT_ORIENTABLE: 'NOT_ORIENTABLE'
+};
+
 export const PIx2 = 2 * Math.PI;
 
 export const INSIDE = 1;
@@ -0,0 +1,136 @@
+/**
+ * Conversion of shapes to and from GeoJSON geometry objects,
+ * see {@link https://tools.ietf.org/html/rfc7946}
+ */
+"use strict";
+
+import Flatten from '../flatten';
+import {shapesToPoints, pointsToSegments} from './linearize';
+
+/**
+ * Add new face to the polygon and set its orientation, unless the face is not orientable
+ * @param {Polygon} polygon - polygon to add face to
+ * @param {Point[]|Shape[]} args - array of points or shapes of the face
+ * @param {number} orientation - one of Flatten.ORIENTATION.CCW or Flatten.ORIENTATION.CW
+ * @returns {Face}
+ */
+export function addOrientedFace(polygon, args, orientation) {
+    let face = polygon.addFace(args);
+    let faceOrientation = face.orientation();
+    if (faceOrientation !== orientation && faceOrientation !== Flatten.ORIENTATION.NOT_ORIENTABLE) {
+        face.reverse();
+    }
+    return face;
+}
+
+/**
+ * Return array of polygons with exactly one island each, where the first face
+ * is the island and the rest are its holes
+ * @param {Polygon} polygon
+ * @returns {Polygon[]}
+ */
+export function polygonToIslands(polygon) {
+    return polygon.isEmpty() ? [] : polygon.splitToIslands();
+}
+
+/**
+ * Return GeoJSON geometry object that represents the shape. <br/>
+ * Point is converted to "Point", Segment, Arc and Multiline are converted to "LineString",
+ * Circle, Box and Polygon are converted to "Polygon" or to "MultiPolygon", when there is more than one island.
+ * Arcs are linearized, outer rings are oriented counter clockwise and holes clockwise
+ * @param {Shape} shape - shape to be converted
+ * @param {Object} options - conversion options
+ * @param {number} options.maxChordHeight - maximal distance between arc and its linearization,
+ * default is 0.001 of arc radius
+ * @returns {Object}
+ */
+export function toGeoJSON(shape, options = {}) {
+    let {maxChordHeight} = options;
+
+    if (shape instanceof Flatten.Point) {
+        return {type: "Point", coordinates: [shape.x, shape.y]};
+    }
+    if (shape instanceof Flatten.Segment || shape instanceof Flatten.Arc) {
+        return {type: "LineString", coordinates: pointsToCoordinates(shapesToPoints([shape], maxChordHeight))};
+    }
+    if (shape instanceof Flatten.Multiline) {
+        return {type: "LineString", coordinates: pointsToCoordinates(shapesToPoints(shape.toShapes(), maxChordHeight))};
+    }
+    if (shape instanceof Flatten.Circle || shape instanceof Flatten.Box) {
+        return toGeoJSON(new Flatten.Polygon(shape), options);
+    }
+    if (shape instanceof Flatten.Polygon) {
+        let polygons = polygonToIslands(shape).map(island => islandToRings(island, maxChordHeight));
+        if (polygons.length <= 1) {
+            return {type: "Polygon", coordinates: polygons.length === 0 ? [] : polygons[0]};
+        }
+        return {type: "MultiPolygon", coordinates: polygons};
+    }
+    throw Flatten.Errors.ILLEGAL_PARAMETERS;
+}
+
+/**
+ * Create shape from GeoJSON geometry object or from GeoJSON Feature. <br/>
+ * "Point" is converted to Point, "LineString" to Multiline, "Polygon" and "MultiPolygon" to Polygon.
+ * Outer rings of the polygon are oriented counter clockwise and holes clockwise
+ * @param {Object} geojson - GeoJSON geometry or feature object
+ * @returns {Point|Multiline|Polygon}
+ */
+export function fromGeoJSON(geojson) {
+    let geometry = geojson && geojson.type === "Feature" ? geojson.geometry : geojson;
+    if (!(geometry instanceof Object) || !(geometry.coordinates instanceof Array)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    let coordinates = geometry.coordinates;
+
+    switch (geometry.type) {
+        case "Point":
+            return new Flatten.Point(coordinates[0], coordinates[1]);
+        case "LineString":
+            return new Flatten.Multiline(pointsToSegments(coordinatesToPoints(coordinates)));
+        case "Polygon": {
+            let polygon = new Flatten.Polygon();
+            addRings(polygon, coordinates);
+            return polygon;
+        }
+        case "MultiPolygon": {
+            let polygon = new Flatten.Polygon();
+            for (let rings of coordinates) {
+                addRings(polygon, rings);
+            }
+            return polygon;
+        }
+        default:
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+}
+
+function islandToRings(island, maxChordHeight) {
+    return [...island.faces].map((face, index) => {
+        let points = shapesToPoints(face.shapes, maxChordHeight);
+        let orientation = index === 0 ? Flatten.ORIENTATION.CCW : Flatten.ORIENTATION.CW;
+        if (face.orientation() !== orientation && face.orientation() !== Flatten.ORIENTATION.NOT_ORIENTABLE) {
+            points.reverse();
+        }
+        return pointsToCoordinates(points);
+    });
+}
+
+function addRings(polygon, rings) {
+    rings.forEach((ring, index) => {
+        let points = coordinatesToPoints(ring);
+        if (points.length > 1 && points[0].equalTo(points[points.length - 1])) {
+            points.pop();          // ring is closed by repeating the first position
+        }
+        let orientation = index === 0 ? Flatten.ORIENTATION.CCW : Flatten.ORIENTATION.CW;
+        addOrientedFace(polygon, points, orientation);
+    });
+}
+
+function pointsToCoordinates(points) {
+    return points.map(pt => [pt.x, pt.y]);
+}
+
+function coordinatesToPoints(coordinates) {
+    return coordinates.map(coord => new Flatten.Point(coord[0], coord[1]));
+}
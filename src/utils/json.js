@@ -0,0 +1,78 @@
+/**
+ * Restoring shapes from json objects created by their toJSON() methods
+ * @module JSON
+ */
+"use strict";
+
+import Flatten from '../flatten';
+
+/**
+ * Create shape from json object created by toJSON() method, for example after JSON.parse(). <br/>
+ * Objects are dispatched by their <i>name</i>: "point", "vector", "segment", "line", "ray", "circle",
+ * "arc", "bezier", "ellipse", "ellipticalArc", "box", "multiline", "polygon" and "planarSet". <br/>
+ * Arrays written by toJSON() of polygon and multiline in previous versions are also accepted:
+ * array of faces, where each face is array of edge shapes, is restored as polygon,
+ * array of shapes is restored as multiline, and empty array as empty polygon
+ * @param {Object|Array} json - json object or array
+ * @returns {Shape|Multiline|Polygon|PlanarSet}
+ */
+export function fromJSON(json) {
+    if (json instanceof Array) {
+        if (json.every(face => face instanceof Array)) {
+            return polygonFromJSON(json);
+        }
+        return new Flatten.Multiline(json.map(fromJSON));
+    }
+    if (!(json instanceof Object)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+
+    switch (json.name) {
+        case "point":
+            return new Flatten.Point(json);
+        case "vector":
+            return new Flatten.Vector(json);
+        case "segment":
+            return new Flatten.Segment(json);
+        case "line":
+            return new Flatten.Line(json);
+        case "ray":
+            return new Flatten.Ray(json);
+        case "circle":
+            return new Flatten.Circle(json);
+        case "arc":
+            return new Flatten.Arc(json);
+        case "bezier":
+            return new Flatten.Bezier(json);
+        case "ellipse":
+            return new Flatten.Ellipse(json);
+        case "ellipticalArc":
+            return new Flatten.EllipticalArc(json);
+        case "box":
+            return new Flatten.Box(json);
+        case "multiline":
+            if (!(json.shapes instanceof Array)) {
+                throw Flatten.Errors.ILLEGAL_PARAMETERS;
+            }
+            return new Flatten.Multiline(json.shapes.map(fromJSON));
+        case "polygon":
+            if (!(json.faces instanceof Array) || !json.faces.every(face => face instanceof Array)) {
+                throw Flatten.Errors.ILLEGAL_PARAMETERS;
+            }
+            return polygonFromJSON(json.faces);
+        case "planarSet":
+            return Flatten.PlanarSet.fromJSON(json);
+        default:
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+}
+
+function polygonFromJSON(faces) {
+    let polygon = new Flatten.Polygon();
+    for (let face of faces) {
+        polygon.addFace(face.map(fromJSON));
+    }
+    return polygon;
+}
+
+Flatten.fromJSON = fromJSON;
@@ -0,0 +1,192 @@
+/**
+ * Linearization of curves: arcs, elliptical arcs and Bézier curves are replaced with chains of points
+ * or segments. Used by toSegments() methods of the curves, Polygon.linearize(), GeoJSON and WKT export
+ */
+"use strict";
+
+import Flatten from '../flatten';
+
+/**
+ * Default maximal chord height used to linearize curves, relative to the radius of the arc
+ * or to the size of the Bézier curve
+ * @type {number}
+ */
+export const CHORD_HEIGHT_RATIO = 0.001;
+
+/**
+ * Return array of points from start to end of the arc, such that the distance between
+ * the arc and the chords between sequential points does not exceed maxChordHeight.
+ * If maxChordHeight omitted, it is taken as CHORD_HEIGHT_RATIO * arc.r.
+ * Number of chords may be limited by maxSegments, full circle is split into at least three chords
+ * @param {Arc} arc - arc to be linearized
+ * @param {number} maxChordHeight - maximal allowed chord height, positive number
+ * @param {number} maxSegments - maximal number of chords
+ * @returns {Point[]}
+ */
+export function arcToPoints(arc, maxChordHeight = undefined, maxSegments = Infinity) {
+    let h = maxChordHeight === undefined ? arc.r * CHORD_HEIGHT_RATIO : maxChordHeight;
+    if (!(h > 0)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    let sweep = arc.sweep;
+    let step = Flatten.Utils.LT(h, arc.r) ? 2 * Math.acos(1 - h / arc.r) : Math.PI;
+    let n = Math.min(Math.max(Math.ceil(sweep / step), 1), maxSegments);
+    if (Flatten.Utils.EQ(sweep, Flatten.PIx2)) {
+        n = Math.max(n, 3);
+    }
+    let sign = arc.counterClockwise ? 1 : -1;
+
+    let points = [arc.start];
+    for (let i = 1; i < n; i++) {
+        let angle = arc.startAngle + sign * i * sweep / n;
+        points.push(new Flatten.Point(arc.pc.x + arc.r * Math.cos(angle), arc.pc.y + arc.r * Math.sin(angle)));
+    }
+    points.push(arc.end);
+    return points;
+}
+
+/**
+ * Return array of points from start to end of the elliptical arc evenly spaced by parametric angle.
+ * Deviation of the chord from the curve does not exceed max|P''| * step^2 / 8, where second derivative
+ * by parametric angle is bounded by the larger radius, so the step is chosen to keep it within maxChordHeight.
+ * If maxChordHeight omitted, it is taken as CHORD_HEIGHT_RATIO of the larger radius
+ * @param {EllipticalArc} arc - elliptical arc to be linearized
+ * @param {number} maxChordHeight - maximal allowed chord height, positive number
+ * @param {number} maxSegments - maximal number of chords
+ * @returns {Point[]}
+ */
+export function ellipticalArcToPoints(arc, maxChordHeight = undefined, maxSegments = Infinity) {
+    let r = Math.max(arc.rx, arc.ry);
+    let h = maxChordHeight === undefined ? r * CHORD_HEIGHT_RATIO : maxChordHeight;
+    if (!(h > 0)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    let sweep = arc.sweep;
+    let step = Math.sqrt(8 * h / r);
+    let n = Math.min(Math.max(Math.ceil(sweep / step), 1), maxSegments);
+    if (Flatten.Utils.EQ(sweep, Flatten.PIx2)) {
+        n = Math.max(n, 3);
+    }
+    let sign = arc.counterClockwise ? 1 : -1;
+
+    let points = [arc.start];
+    for (let i = 1; i < n; i++) {
+        points.push(arc.pointAtAngle(arc.startAngle + sign * i * sweep / n));
+    }
+    points.push(arc.end);
+    return points;
+}
+
+/**
+ * Return points of the quadratic or cubic Bézier curve, such that the deviation of the
+ * polyline from the curve does not exceed maxChordHeight. Number of points is estimated by Wang's formula
+ * @param {Point[]} controls - three or four control points
+ * @param {number} maxChordHeight - maximal deviation, positive number
+ * @param {number} maxSegments - maximal number of chords
+ * @returns {Point[]}
+ */
+export function bezierToPoints(controls, maxChordHeight = undefined, maxSegments = Infinity) {
+    if (maxChordHeight !== undefined && !(maxChordHeight > 0)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    let degree = controls.length - 1;
+    let size = controls.slice(1).reduce((acc, pt, i) => acc + controls[i].distanceTo(pt)[0], 0);
+    let h = maxChordHeight === undefined ? size * CHORD_HEIGHT_RATIO : maxChordHeight;
+
+    let m = 0;
+    for (let i = 0; i + 2 < controls.length; i++) {
+        let ddx = controls[i].x - 2 * controls[i + 1].x + controls[i + 2].x;
+        let ddy = controls[i].y - 2 * controls[i + 1].y + controls[i + 2].y;
+        m = Math.max(m, Math.sqrt(ddx * ddx + ddy * ddy));
+    }
+    /* Curve with collinear equally spaced controls is straight */
+    let n = m === 0 ? 1 : Math.max(Math.ceil(Math.sqrt(degree * (degree - 1) * m / (8 * h))), 1);
+    n = Math.min(n, maxSegments);
+
+    let points = [controls[0]];
+    for (let i = 1; i < n; i++) {
+        points.push(bezierPoint(controls, i / n));
+    }
+    points.push(controls[degree]);
+    return points;
+}
+
+/**
+ * Validate linearization options {maxChordHeight, maxSegments} of toSegments() methods of the curves:
+ * chord height should be positive and number of segments at least one
+ * @param {Object} options - linearization options
+ * @returns {Array} - pair [maxChordHeight, maxSegments]
+ */
+export function linearizeOptions(options) {
+    let {maxChordHeight, maxSegments = Infinity} = options;
+    if (maxChordHeight !== undefined && !(maxChordHeight > 0) || !(maxSegments >= 1)) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    return [maxChordHeight, Math.floor(maxSegments)];
+}
+
+/**
+ * Return array of points from start to end of the segment, arc, elliptical arc or Bézier curve,
+ * curves are linearized with the same functions as used by their toSegments() methods
+ * @param {Shape} shape - segment, arc, elliptical arc or Bézier curve
+ * @param {number} maxChordHeight - maximal allowed chord height for curves
+ * @param {number} maxSegments - maximal number of chords for curves
+ * @returns {Point[]}
+ */
+export function shapeToPoints(shape, maxChordHeight = undefined, maxSegments = Infinity) {
+    if (shape instanceof Flatten.Segment) {
+        return [shape.start, shape.end];
+    }
+    if (shape instanceof Flatten.Arc) {
+        return arcToPoints(shape, maxChordHeight, maxSegments);
+    }
+    if (shape instanceof Flatten.EllipticalArc) {
+        return ellipticalArcToPoints(shape, maxChordHeight, maxSegments);
+    }
+    if (shape instanceof Flatten.Bezier) {
+        return bezierToPoints(shape.controls, maxChordHeight, maxSegments);
+    }
+    throw Flatten.Errors.ILLEGAL_PARAMETERS;     // unbounded shapes cannot be linearized
+}
+
+/**
+ * Return array of points of the chain of segments, arcs, elliptical arcs and Bézier curves, curves are linearized
+ * @param {Shape[]} shapes - chain of segments and curves
+ * @param {number} maxChordHeight - maximal allowed chord height for curves
+ * @returns {Point[]}
+ */
+export function shapesToPoints(shapes, maxChordHeight = undefined) {
+    let points = [];
+    for (let shape of shapes) {
+        let shapePoints = shapeToPoints(shape, maxChordHeight);
+        points.push(...(points.length === 0 ? shapePoints : shapePoints.slice(1)));
+    }
+    return points;
+}
+
+/**
+ * Return array of segments between sequential points, zero-length segments are skipped
+ * @param {Point[]} points
+ * @returns {Segment[]}
+ */
+export function pointsToSegments(points) {
+    let segments = [];
+    for (let i = 1; i < points.length; i++) {
+        if (!points[i - 1].equalTo(points[i])) {
+            segments.push(new Flatten.Segment(points[i - 1], points[i]));
+        }
+    }
+    return segments;
+}
+
+/* De Casteljau evaluation of the Bézier curve at parameter t */
+function bezierPoint(controls, t) {
+    let pts = controls.map(pt => [pt.x, pt.y]);
+    while (pts.length > 1) {
+        pts = pts.slice(1).map((pt, i) => [
+            (1 - t) * pts[i][0] + t * pt[0],
+            (1 - t) * pts[i][1] + t * pt[1]
+        ]);
+    }
+    return new Flatten.Point(pts[0][0], pts[0][1]);
+}
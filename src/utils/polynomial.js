@@ -0,0 +1,204 @@
+/**
+ * Helpers for polynomials in power basis, used to work with Bézier curves and ellipses.
+ * Polynomial is an array of coefficients in ascending order: [c0, c1, c2, ...] is c0 + c1*t + c2*t^2 + ...
+ */
+"use strict";
+
+/**
+ * Return value of the polynomial at t
+ * @param {number[]} c - coefficients
+ * @param {number} t
+ * @returns {number}
+ */
+export function polyValue(c, t) {
+    let value = 0;
+    for (let i = c.length - 1; i >= 0; i--) {
+        value = value * t + c[i];
+    }
+    return value;
+}
+
+/**
+ * Return derivative of the polynomial
+ * @param {number[]} c - coefficients
+ * @returns {number[]}
+ */
+export function polyDerivative(c) {
+    return c.slice(1).map((coef, i) => coef * (i + 1));
+}
+
+/**
+ * Return sum of two polynomials
+ * @param {number[]} c1
+ * @param {number[]} c2
+ * @returns {number[]}
+ */
+export function polyAdd(c1, c2) {
+    let res = [];
+    for (let i = 0; i < Math.max(c1.length, c2.length); i++) {
+        res.push((c1[i] || 0) + (c2[i] || 0));
+    }
+    return res;
+}
+
+/**
+ * Return polynomial multiplied by a number
+ * @param {number[]} c - coefficients
+ * @param {number} k - multiplier
+ * @returns {number[]}
+ */
+export function polyScale(c, k) {
+    return c.map(coef => coef * k);
+}
+
+/**
+ * Return product of two polynomials
+ * @param {number[]} c1
+ * @param {number[]} c2
+ * @returns {number[]}
+ */
+export function polyMultiply(c1, c2) {
+    let res = new Array(c1.length + c2.length - 1).fill(0);
+    for (let i = 0; i < c1.length; i++) {
+        for (let j = 0; j < c2.length; j++) {
+            res[i + j] += c1[i] * c2[j];
+        }
+    }
+    return res;
+}
+
+/**
+ * Return definite integral of the polynomial from 0 to 1
+ * @param {number[]} c - coefficients
+ * @returns {number}
+ */
+export function polyIntegral01(c) {
+    return c.reduce((acc, coef, i) => acc + coef / (i + 1), 0);
+}
+
+/**
+ * Return sorted array of roots of the polynomial in the interval [a,b]. <br/>
+ * Interval is split into monotone sub-intervals by the roots of the derivative, found recursively,
+ * and the root in each sub-interval is found by bisection. Value with absolute value not greater than
+ * tolerance is considered as zero, so touching roots in extreme points are also found.
+ * Polynomial which is identically zero has no roots.
+ * @param {number[]} c - coefficients
+ * @param {number} a - start of the interval
+ * @param {number} b - end of the interval
+ * @param {number} tol - tolerance of zero value
+ * @returns {number[]}
+ */
+export function polyRoots(c, a = 0, b = 1, tol = 0) {
+    c = trim(c);
+    if (c.length <= 1) {
+        return [];
+    }
+
+    let sign = (value) => Math.abs(value) <= tol ? 0 : Math.sign(value);
+    let points = [a, ...polyRoots(polyDerivative(c), a, b), b];
+    let roots = [];
+    let addRoot = (t) => {
+        if (roots.length === 0 || Math.abs(roots[roots.length - 1] - t) > 1e-12) {
+            roots.push(t);
+        }
+    };
+
+    for (let i = 0; i < points.length - 1; i++) {
+        let p = points[i];
+        let q = points[i + 1];
+        let sp = sign(polyValue(c, p));
+        let sq = sign(polyValue(c, q));
+        if (sp === 0) {
+            addRoot(p);
+        } else if (sq !== 0 && sp !== sq) {
+            addRoot(bisect(c, p, q, sp));
+        }
+    }
+    if (sign(polyValue(c, b)) === 0) {
+        addRoot(b);
+    }
+    return roots;
+}
+
+/**
+ * Return sorted array of parametric angles in [0, 2*PI) of the points of the ellipse
+ * P(angle) = pc + u*cos(angle) + v*sin(angle) where given equation vanishes. <br/>
+ * Ellipse is parametrized by half-angle tangent t in two halves, so coordinates of the point are rational
+ * functions x/w and y/w, where x, y, w are polynomials of t, and derivative of the point by angle is dx/w, dy/w.
+ * Callback gets polynomials x, y, w, dx, dy and should return polynomial of t which is equation multiplied
+ * by the power of w.
+ * @param {Point} pc - center of the ellipse
+ * @param {Vector} u - vector of the point at angle 0 from the center
+ * @param {Vector} v - vector of the point at angle PI/2 from the center
+ * @param {function} equation - callback (x, y, w, dx, dy) => polynomial
+ * @param {number} tol - tolerance of zero value
+ * @returns {number[]}
+ */
+export function ellipseAngleRoots(pc, u, v, equation, tol = 0) {
+    let angles = [];
+    for (let [shift, sign] of [[0, 1], [Math.PI, -1]]) {
+        /* In each half P(shift + phi) = pc + a*cos(phi) + b*sin(phi), phi from -PI/2 to PI/2 */
+        let [ax, ay, bx, by] = [sign * u.x, sign * u.y, sign * v.x, sign * v.y];
+        let x = [pc.x + ax, 2 * bx, pc.x - ax];
+        let y = [pc.y + ay, 2 * by, pc.y - ay];
+        let dx = [bx, -2 * ax, -bx];
+        let dy = [by, -2 * ay, -by];
+        for (let t of polyRoots(equation(x, y, [1, 0, 1], dx, dy), -1, 1, tol)) {
+            let angle = shift + 2 * Math.atan(t);
+            angles.push(angle < 0 ? angle + 2 * Math.PI : angle);
+        }
+    }
+    angles.sort((a1, a2) => a1 - a2);
+    return angles.filter((angle, i) => i === 0 || angle - angles[i - 1] > 1e-12);
+}
+
+/**
+ * Return definite integral of the function from a to b, calculated by Gauss-Legendre quadrature
+ * of 5 points in each of n sub-intervals
+ * @param {function} f - integrand
+ * @param {number} a - start of the interval
+ * @param {number} b - end of the interval
+ * @param {number} n - number of sub-intervals
+ * @returns {number}
+ */
+export function gaussLegendre(f, a, b, n = 16) {
+    let h = (b - a) / n;
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < GAUSS_X.length; j++) {
+            sum += GAUSS_W[j] * f(a + h * (i + (GAUSS_X[j] + 1) / 2));
+        }
+    }
+    return sum * h / 2;
+}
+
+/* Abscissas and weights of 5-point Gauss-Legendre quadrature on [-1,1] */
+const GAUSS_X = [0, -0.5384693101056831, 0.5384693101056831, -0.9061798459386640, 0.9061798459386640];
+const GAUSS_W = [0.5688888888888889, 0.4786286704993665, 0.4786286704993665, 0.2369268850561891, 0.2369268850561891];
+
+/* Remove leading (highest degree) coefficients that are negligible relative to others */
+function trim(c) {
+    let max = c.reduce((acc, coef) => Math.max(acc, Math.abs(coef)), 0);
+    let n = c.length;
+    while (n > 0 && Math.abs(c[n - 1]) <= max * 1e-14) {
+        n--;
+    }
+    return c.slice(0, n);
+}
+
+/* Find root of the monotone polynomial in [p,q], where sp is the sign of the value in p */
+function bisect(c, p, q, sp) {
+    for (let i = 0; i < 100 && q - p > 1e-15; i++) {
+        let m = (p + q) / 2;
+        let value = polyValue(c, m);
+        if (value === 0) {
+            return m;
+        }
+        if (Math.sign(value) === sp) {
+            p = m;
+        } else {
+            q = m;
+        }
+    }
+    return (p + q) / 2;
+}
@@ -0,0 +1,182 @@
+/**
+ * Adaptive precision geometric predicates in the style of J.R. Shewchuk,
+ * "Adaptive Precision Floating-Point Arithmetic and Fast Robust Geometric Predicates". <br/>
+ * Each predicate first evaluates the determinant in floating point and checks it against an error bound.
+ * Only when the sign is uncertain, the determinant is recalculated exactly using floating-point expansions,
+ * so the sign of the returned value is always correct.
+ */
+"use strict";
+
+const epsilon = Math.pow(2, -53);
+const splitter = Math.pow(2, 27) + 1;
+const ccwErrBound = (3 + 16 * epsilon) * epsilon;
+const iccErrBound = (10 + 96 * epsilon) * epsilon;
+
+/**
+ * Return positive value if points a, b, c are in counterclockwise order, negative value if they are
+ * in clockwise order and zero if they are collinear. Absolute value approximates doubled area of the triangle
+ * @param {number} ax
+ * @param {number} ay
+ * @param {number} bx
+ * @param {number} by
+ * @param {number} cx
+ * @param {number} cy
+ * @returns {number}
+ */
+export function orient2d(ax, ay, bx, by, cx, cy) {
+    let detLeft = (ax - cx) * (by - cy);
+    let detRight = (ay - cy) * (bx - cx);
+    let det = detLeft - detRight;
+    let errBound = ccwErrBound * (Math.abs(detLeft) + Math.abs(detRight));
+    if (det > errBound || -det > errBound) {
+        return det;
+    }
+
+    let left = multiply(difference(ax, cx), difference(by, cy));
+    let right = multiply(difference(ay, cy), difference(bx, cx));
+    return estimate(sum(left, negate(right)));
+}
+
+/**
+ * Return positive value if point p lies on the side of the line where its normal vector points,
+ * negative value if it lies on the other side and zero if it lies on the line.
+ * Line is defined by point (ax, ay) and normal vector (nx, ny)
+ * @param {number} ax
+ * @param {number} ay
+ * @param {number} nx
+ * @param {number} ny
+ * @param {number} px
+ * @param {number} py
+ * @returns {number}
+ */
+export function orientToLine(ax, ay, nx, ny, px, py) {
+    let dx = (px - ax) * nx;
+    let dy = (py - ay) * ny;
+    let det = dx + dy;
+    let errBound = ccwErrBound * (Math.abs(dx) + Math.abs(dy));
+    if (det > errBound || -det > errBound) {
+        return det;
+    }
+
+    return estimate(sum(multiply(difference(px, ax), [nx]), multiply(difference(py, ay), [ny])));
+}
+
+/**
+ * Return positive value if point d lies inside the circle passing through points a, b, c,
+ * negative value if it lies outside and zero if four points are cocircular.
+ * Points a, b, c should be in counterclockwise order, otherwise the sign is reversed
+ * @param {number} ax
+ * @param {number} ay
+ * @param {number} bx
+ * @param {number} by
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {number}
+ */
+export function incircle(ax, ay, bx, by, cx, cy, dx, dy) {
+    let adx = ax - dx, ady = ay - dy;
+    let bdx = bx - dx, bdy = by - dy;
+    let cdx = cx - dx, cdy = cy - dy;
+
+    let bdxcdy = bdx * cdy, cdxbdy = cdx * bdy;
+    let cdxady = cdx * ady, adxcdy = adx * cdy;
+    let adxbdy = adx * bdy, bdxady = bdx * ady;
+    let alift = adx * adx + ady * ady;
+    let blift = bdx * bdx + bdy * bdy;
+    let clift = cdx * cdx + cdy * cdy;
+
+    let det = alift * (bdxcdy - cdxbdy) + blift * (cdxady - adxcdy) + clift * (adxbdy - bdxady);
+    let permanent = (Math.abs(bdxcdy) + Math.abs(cdxbdy)) * alift +
+        (Math.abs(cdxady) + Math.abs(adxcdy)) * blift +
+        (Math.abs(adxbdy) + Math.abs(bdxady)) * clift;
+    let errBound = iccErrBound * permanent;
+    if (det > errBound || -det > errBound) {
+        return det;
+    }
+
+    let [eax, eay] = [difference(ax, dx), difference(ay, dy)];
+    let [ebx, eby] = [difference(bx, dx), difference(by, dy)];
+    let [ecx, ecy] = [difference(cx, dx), difference(cy, dy)];
+    let lift = (ex, ey) => sum(multiply(ex, ex), multiply(ey, ey));
+    let cross = (ex1, ey1, ex2, ey2) => sum(multiply(ex1, ey2), negate(multiply(ey1, ex2)));
+
+    let exact = sum(
+        sum(multiply(lift(eax, eay), cross(ebx, eby, ecx, ecy)),
+            multiply(lift(ebx, eby), cross(ecx, ecy, eax, eay))),
+        multiply(lift(ecx, ecy), cross(eax, eay, ebx, eby))
+    );
+    return estimate(exact);
+}
+
+/*
+ * Floating-point expansion is an array of non-overlapping doubles in increasing order of magnitude,
+ * the exact value of the expansion is the sum of its components. Zero components are eliminated
+ */
+
+/* Exact sum of two doubles as pair [low, high] */
+function twoSum(a, b) {
+    let x = a + b;
+    let bVirtual = x - a;
+    let aVirtual = x - bVirtual;
+    return [(a - aVirtual) + (b - bVirtual), x];
+}
+
+/* Split double into two halves with 26 significant bits each */
+function split(a) {
+    let c = splitter * a;
+    let high = c - (c - a);
+    return [high, a - high];
+}
+
+/* Exact product of two doubles as pair [low, high] */
+function twoProduct(a, b) {
+    let x = a * b;
+    let [aHigh, aLow] = split(a);
+    let [bHigh, bLow] = split(b);
+    let err = x - aHigh * bHigh - aLow * bHigh - aHigh * bLow;
+    return [aLow * bLow - err, x];
+}
+
+/* Exact difference of two doubles as expansion */
+function difference(a, b) {
+    return grow([a], -b);
+}
+
+/* Add double to expansion */
+function grow(e, b) {
+    let h = [];
+    let q = b;
+    for (let component of e) {
+        let [low, high] = twoSum(q, component);
+        if (low !== 0) h.push(low);
+        q = high;
+    }
+    if (q !== 0) h.push(q);
+    return h;
+}
+
+function sum(e, f) {
+    return f.reduce((h, component) => grow(h, component), e);
+}
+
+function multiply(e, f) {
+    let h = [];
+    for (let a of e) {
+        for (let b of f) {
+            let [low, high] = twoProduct(a, b);
+            h = grow(grow(h, low), high);
+        }
+    }
+    return h;
+}
+
+function negate(e) {
+    return e.map(component => -component);
+}
+
+/* Approximate value of expansion, has the same sign as the exact value */
+function estimate(e) {
+    return e.reduce((acc, component) => acc + component, 0);
+}
@@ -0,0 +1,299 @@
+/**
+ * Parser of SVG path data, see {@link https://www.w3.org/TR/SVG/paths.html#PathData}
+ */
+"use strict";
+
+import Flatten from '../flatten';
+import {CHORD_HEIGHT_RATIO, bezierToPoints} from './linearize';
+
+/**
+ * Parse SVG path data and return array of subpaths. Each subpath is an object {shapes, closed},
+ * where shapes is an array of segments and arcs in the order of path traversal and closed is true
+ * when subpath was closed by Z command. <br/>
+ * Elliptical arcs with equal radii are converted into arcs, other elliptical arcs and
+ * Bézier curves are linearized into segments. Zero-length segments are skipped.
+ * Path element string like the one created by svg() method is also accepted, in this case
+ * path data are taken from its "d" attribute
+ * @param {string} d - path data
+ * @param {Object} options - parsing options
+ * @param {number} options.maxChordHeight - maximal distance between curve and its linearization,
+ * default is 0.001 of the curve size
+ * @returns {Object[]}
+ */
+export function parseSVGPath(d, options = {}) {
+    if (typeof d !== "string") {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    let attr = d.match(/\bd\s*=\s*"([^"]*)"/);
+    let scanner = new PathScanner(attr ? attr[1] : d);
+    let builder = new PathBuilder(options.maxChordHeight);
+
+    let command;
+    while (!scanner.atEnd()) {
+        if (scanner.isCommand()) {
+            command = scanner.command();
+        } else if (command === undefined || command.toUpperCase() === "Z") {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;     // coordinates without command
+        }
+        command = builder.execute(command, scanner);
+    }
+    return builder.subpaths();
+}
+
+/* Reads commands, numbers and flags of the path data */
+class PathScanner {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+    }
+
+    skipSeparators() {
+        while (this.pos < this.text.length && /[\s,]/.test(this.text[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    atEnd() {
+        this.skipSeparators();
+        return this.pos >= this.text.length;
+    }
+
+    isCommand() {
+        this.skipSeparators();
+        return /[MmLlHhVvAaQqTtCcSsZz]/.test(this.text[this.pos] || "");
+    }
+
+    command() {
+        this.skipSeparators();
+        return this.text[this.pos++];
+    }
+
+    number() {
+        this.skipSeparators();
+        let match = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(this.text.slice(this.pos));
+        if (!match) {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+        this.pos += match[0].length;
+        return Number(match[0]);
+    }
+
+    flag() {
+        this.skipSeparators();
+        let ch = this.text[this.pos++];
+        if (ch !== "0" && ch !== "1") {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+        return ch === "1";
+    }
+
+    point() {
+        return new Flatten.Point(this.number(), this.number());
+    }
+}
+
+/* Keeps current point and builds shapes of the subpaths */
+class PathBuilder {
+    constructor(maxChordHeight) {
+        if (maxChordHeight !== undefined && !(maxChordHeight > 0)) {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+        this.maxChordHeight = maxChordHeight;
+        this.paths = [];
+        this.current = undefined;          // current point
+        this.start = undefined;            // start point of current subpath
+        this.control = undefined;          // last control point of Bézier curve
+    }
+
+    subpaths() {
+        return this.paths.filter(path => path.shapes.length > 0);
+    }
+
+    /* Execute one command and return the command implicitly repeated by the next coordinates */
+    execute(command, scanner) {
+        if (this.current === undefined && command.toUpperCase() !== "M") {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;     // path data should start with moveto
+        }
+        let relative = command === command.toLowerCase();
+        let origin = relative && this.current ? this.current : new Flatten.Point(0, 0);
+        let abs = (pt) => relative ? pt.translate(origin.x, origin.y) : pt;
+        let control;
+
+        switch (command.toUpperCase()) {
+            case "M":
+                this.moveTo(abs(scanner.point()));
+                return relative ? "l" : "L";
+            case "L":
+                this.lineTo(abs(scanner.point()));
+                break;
+            case "H":
+                this.lineTo(new Flatten.Point(scanner.number() + (relative ? origin.x : 0), this.current.y));
+                break;
+            case "V":
+                this.lineTo(new Flatten.Point(this.current.x, scanner.number() + (relative ? origin.y : 0)));
+                break;
+            case "A": {
+                let rx = scanner.number();
+                let ry = scanner.number();
+                let rotation = scanner.number();
+                let largeArc = scanner.flag();
+                let sweep = scanner.flag();
+                this.arcTo(rx, ry, rotation, largeArc, sweep, abs(scanner.point()));
+                break;
+            }
+            case "Q": {
+                let p1 = abs(scanner.point());
+                this.curveTo([this.current, p1, abs(scanner.point())]);
+                control = p1;
+                break;
+            }
+            case "T": {
+                let p1 = this.reflectedControl("QT");
+                this.curveTo([this.current, p1, abs(scanner.point())]);
+                control = p1;
+                break;
+            }
+            case "C": {
+                let p1 = abs(scanner.point());
+                let p2 = abs(scanner.point());
+                this.curveTo([this.current, p1, p2, abs(scanner.point())]);
+                control = p2;
+                break;
+            }
+            case "S": {
+                let p1 = this.reflectedControl("CS");
+                let p2 = abs(scanner.point());
+                this.curveTo([this.current, p1, p2, abs(scanner.point())]);
+                control = p2;
+                break;
+            }
+            case "Z":
+                this.close();
+                break;
+        }
+        this.control = control && {command: command.toUpperCase(), point: control};
+        return command;
+    }
+
+    /* Reflection of the previous control point, or current point if previous command was not a curve of given kind */
+    reflectedControl(kinds) {
+        if (this.control && kinds.includes(this.control.command)) {
+            let pt = this.control.point;
+            return new Flatten.Point(2 * this.current.x - pt.x, 2 * this.current.y - pt.y);
+        }
+        return this.current;
+    }
+
+    moveTo(pt) {
+        this.paths.push({shapes: [], closed: false});
+        this.current = pt;
+        this.start = pt;
+        this.control = undefined;
+    }
+
+    /* Path data may continue after Z without M, then new subpath starts at the current point */
+    get path() {
+        let path = this.paths[this.paths.length - 1];
+        if (path.closed) {
+            this.moveTo(this.current);
+            path = this.paths[this.paths.length - 1];
+        }
+        return path;
+    }
+
+    add(shape) {
+        this.path.shapes.push(shape);
+        this.current = shape.end;
+    }
+
+    lineTo(pt) {
+        if (!this.current.equalTo(pt)) {
+            this.add(new Flatten.Segment(this.current, pt));
+        }
+        this.current = pt;
+    }
+
+    polylineTo(points) {
+        for (let i = 1; i < points.length; i++) {
+            this.lineTo(points[i]);
+        }
+    }
+
+    close() {
+        let path = this.path;
+        this.lineTo(this.start);
+        path.closed = true;
+    }
+
+    curveTo(controls) {
+        this.polylineTo(bezierToPoints(controls, this.maxChordHeight));
+    }
+
+    /* Conversion from endpoint to center parameterization, see SVG implementation notes F.6.5 */
+    arcTo(rx, ry, rotation, largeArc, sweep, pt) {
+        let p1 = this.current;
+        if (p1.equalTo(pt)) {
+            return;
+        }
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (Flatten.Utils.EQ_0(rx) || Flatten.Utils.EQ_0(ry)) {
+            this.lineTo(pt);
+            return;
+        }
+
+        let phi = rotation * Math.PI / 180;
+        let cos = Math.cos(phi);
+        let sin = Math.sin(phi);
+        let dx = (p1.x - pt.x) / 2;
+        let dy = (p1.y - pt.y) / 2;
+        let x1 = cos * dx + sin * dy;
+        let y1 = -sin * dx + cos * dy;
+
+        /* Scale up radii if they are too small to reach the end point */
+        let lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        let num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        let den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+        let coef = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, num / den));
+        let cx1 = coef * rx * y1 / ry;
+        let cy1 = -coef * ry * x1 / rx;
+        let pc = new Flatten.Point(
+            cos * cx1 - sin * cy1 + (p1.x + pt.x) / 2,
+            sin * cx1 + cos * cy1 + (p1.y + pt.y) / 2
+        );
+
+        if (Flatten.Utils.EQ(rx, ry)) {
+            let startAngle = Flatten.Utils.normalizeAngle(new Flatten.Vector(pc, p1).slope);
+            let endAngle = Flatten.Utils.normalizeAngle(new Flatten.Vector(pc, pt).slope);
+            this.add(new Flatten.Arc(pc, rx, startAngle, endAngle, sweep ? Flatten.CCW : Flatten.CW));
+            this.current = pt;
+            return;
+        }
+
+        /* Elliptical arc with different radii is linearized */
+        let theta1 = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+        let theta2 = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx);
+        let delta = theta2 - theta1;
+        if (sweep && delta < 0) delta += 2 * Math.PI;
+        if (!sweep && delta > 0) delta -= 2 * Math.PI;
+
+        let r = Math.max(rx, ry);
+        let h = this.maxChordHeight === undefined ? r * CHORD_HEIGHT_RATIO : this.maxChordHeight;
+        let step = Flatten.Utils.LT(h, r) ? 2 * Math.acos(1 - h / r) : Math.PI;
+        let n = Math.max(Math.ceil(Math.abs(delta) / step), 1);
+        let points = [p1];
+        for (let i = 1; i < n; i++) {
+            let theta = theta1 + delta * i / n;
+            let x = rx * Math.cos(theta);
+            let y = ry * Math.sin(theta);
+            points.push(new Flatten.Point(pc.x + cos * x - sin * y, pc.y + sin * x + cos * y));
+        }
+        points.push(pt);
+        this.polylineTo(points);
+    }
+}
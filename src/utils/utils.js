@@ -2,6 +2,8 @@
  * Created by Alex Bol on 2/18/2017.
  */
 
+import {PIx2} from './constants';
+
 
 /**
  * DP_TOL is used for comparison of floating point numbers.
@@ -12,6 +14,48 @@ var DP_TOL = 0.000001;
 export function setTolerance(tolerance) {DP_TOL = tolerance;}
 export function getTolerance() {return DP_TOL;}
 
+/**
+ * ROBUST turns on adaptive precision predicates implemented in Flatten.Predicates.
+ * When set, Point.leftTo, intersection of segments, ray shooting and Delaunay flips of triangulation
+ * test signs exactly instead of comparison with DP_TOL. It is off by default.
+ * @type {boolean}
+ */
+var ROBUST = false;
+export function setRobust(robust) {ROBUST = robust;}
+export function isRobust() {return ROBUST;}
+
+/**
+ * Context defines precision settings for one call of the algorithm, instead of global settings
+ * @typedef {Object} Context
+ * @property {number} [tolerance] - tolerance used instead of DP_TOL
+ * @property {boolean} [robust] - use robust predicates, see ROBUST
+ */
+
+/**
+ * Calls function with tolerance and robust mode taken from the context and returns its result.
+ * Global settings are restored after the call, also when function throws.
+ * Settings missing in the context, or undefined context, fall back to the current global settings. <br/>
+ * Note that context is applied by temporarily overwriting global DP_TOL and ROBUST, which is correct
+ * only because function is called synchronously: any code running during the call, including callbacks,
+ * sees the overridden values, and work deferred to promises or timers runs with the restored global ones
+ * @param {Context} context
+ * @param {function} func
+ * @returns {*}
+ */
+export function withContext(context, func) {
+    if (context === undefined) {
+        return func();
+    }
+    let [tolerance, robust] = [DP_TOL, ROBUST];
+    if (context.tolerance !== undefined) DP_TOL = context.tolerance;
+    if (context.robust !== undefined) ROBUST = context.robust;
+    try {
+        return func();
+    } finally {
+        [DP_TOL, ROBUST] = [tolerance, robust];
+    }
+}
+
 export const DECIMALS = 3;
 
 /**
@@ -61,3 +105,14 @@ export function LT(x, y) {
 export function LE(x, y) {
     return ((x) - (y) < DP_TOL);
 }
+
+/**
+ * Returns angle normalized to the range [0, 2*PI), angle equal to 2*PI up to DP_TOL is snapped to zero
+ * @param {number} angle - angle in radians
+ * @returns {number}
+ */
+export function normalizeAngle(angle) {
+    angle = angle % PIx2;
+    if (angle < 0) angle += PIx2;
+    return EQ(angle, PIx2) ? 0 : angle;
+}
@@ -0,0 +1,350 @@
+/**
+ * Conversion of shapes to and from Well-Known Text (WKT) strings. <br/>
+ * Curved geometries (CIRCULARSTRING, COMPOUNDCURVE, CURVEPOLYGON, MULTISURFACE) are supported,
+ * so arcs may be exported and imported without loss of precision.
+ */
+"use strict";
+
+import Flatten from '../flatten';
+import {addOrientedFace, polygonToIslands} from './geojson';
+import {shapesToPoints, pointsToSegments} from './linearize';
+
+/**
+ * Return WKT string that represents the shape. <br/>
+ * By default arcs are linearized and result is one of POINT, LINESTRING, POLYGON or MULTIPOLYGON.
+ * When option "curves" is set, arcs are written as CIRCULARSTRING, chains of segments and arcs
+ * as COMPOUNDCURVE, and polygons with arcs as CURVEPOLYGON or MULTISURFACE
+ * @param {Shape} shape - shape to be converted
+ * @param {Object} options - conversion options
+ * @param {boolean} options.curves - write arcs as circular strings, default is false
+ * @param {number} options.maxChordHeight - maximal distance between arc and its linearization,
+ * default is 0.001 of arc radius
+ * @returns {string}
+ */
+export function toWKT(shape, options = {}) {
+    let {curves = false, maxChordHeight} = options;
+
+    if (shape instanceof Flatten.Point) {
+        return `POINT (${pointToWKT(shape)})`;
+    }
+    if (shape instanceof Flatten.Segment || shape instanceof Flatten.Arc) {
+        return curveToWKT([shape], curves, maxChordHeight);
+    }
+    if (shape instanceof Flatten.Multiline) {
+        return curveToWKT(shape.toShapes(), curves, maxChordHeight);
+    }
+    if (shape instanceof Flatten.Circle || shape instanceof Flatten.Box) {
+        return toWKT(new Flatten.Polygon(shape), options);
+    }
+    if (shape instanceof Flatten.Polygon) {
+        return polygonToWKT(shape, curves, maxChordHeight);
+    }
+    throw Flatten.Errors.ILLEGAL_PARAMETERS;
+}
+
+/**
+ * Create shape from WKT string. <br/>
+ * POINT is converted to Point, LINESTRING, CIRCULARSTRING and COMPOUNDCURVE to Multiline,
+ * POLYGON, CURVEPOLYGON, MULTIPOLYGON and MULTISURFACE to Polygon.
+ * Outer rings of the polygon are oriented counter clockwise and holes clockwise.
+ * Z and M coordinates are ignored
+ * @param {string} wkt - WKT string
+ * @returns {Point|Multiline|Polygon}
+ */
+export function fromWKT(wkt) {
+    let parser = new WKTParser(wkt);
+    let shape = parser.parseGeometry();
+    parser.expectEnd();
+    return shape;
+}
+
+function pointToWKT(pt) {
+    return `${pt.x} ${pt.y}`;
+}
+
+function pointsToWKT(points) {
+    return `(${points.map(pt => pointToWKT(pt)).join(", ")})`;
+}
+
+/* Three points of the arc, full circle is written as two half circles */
+function arcToWKTPoints(arc) {
+    if (Flatten.Utils.EQ(arc.sweep, Flatten.PIx2)) {
+        let sign = arc.counterClockwise ? 1 : -1;
+        let [p1, p2, p3] = [1, 2, 3].map(i => {
+            let angle = arc.startAngle + sign * i * Math.PI / 2;
+            return new Flatten.Point(arc.pc.x + arc.r * Math.cos(angle), arc.pc.y + arc.r * Math.sin(angle));
+        });
+        return [arc.start, p1, p2, p3, arc.end];
+    }
+    return [arc.start, arc.middle(), arc.end];
+}
+
+/* Split chain of shapes into runs of sequential segments and single arcs */
+function chainToRuns(shapes) {
+    let runs = [];
+    for (let shape of shapes) {
+        let last = runs[runs.length - 1];
+        if (shape instanceof Flatten.Segment && last && last[0] instanceof Flatten.Segment) {
+            last.push(shape);
+        } else {
+            runs.push([shape]);
+        }
+    }
+    return runs;
+}
+
+function hasArcs(shapes) {
+    return shapes.some(shape => shape instanceof Flatten.Arc);
+}
+
+/* Body of the curve without geometry tag for use inside CURVEPOLYGON */
+function curveBody(shapes, curves, maxChordHeight) {
+    if (!curves || !hasArcs(shapes)) {
+        return pointsToWKT(shapesToPoints(shapes, maxChordHeight));
+    }
+    let runs = chainToRuns(shapes);
+    if (runs.length === 1) {
+        return `CIRCULARSTRING ${pointsToWKT(arcToWKTPoints(runs[0][0]))}`;
+    }
+    let parts = runs.map(run => run[0] instanceof Flatten.Arc ?
+        `CIRCULARSTRING ${pointsToWKT(arcToWKTPoints(run[0]))}` :
+        pointsToWKT(shapesToPoints(run, maxChordHeight)));
+    return `COMPOUNDCURVE (${parts.join(", ")})`;
+}
+
+function curveToWKT(shapes, curves, maxChordHeight) {
+    if (shapes.length === 0) {
+        return "LINESTRING EMPTY";
+    }
+    let body = curveBody(shapes, curves, maxChordHeight);
+    return body.startsWith("(") ? `LINESTRING ${body}` : body;
+}
+
+function polygonToWKT(polygon, curves, maxChordHeight) {
+    let islands = polygonToIslands(polygon);
+    let curved = curves && hasArcs([...polygon.edges].map(edge => edge.shape));
+
+    let polygons = islands.map(island => {
+        let rings = [...island.faces].map((face, index) => {
+            let orientation = index === 0 ? Flatten.ORIENTATION.CCW : Flatten.ORIENTATION.CW;
+            let shapes = face.orientation() !== orientation && face.orientation() !== Flatten.ORIENTATION.NOT_ORIENTABLE ?
+                face.shapes.reverse().map(shape => shape.reverse()) : face.shapes;
+            return curveBody(shapes, curved, maxChordHeight);
+        });
+        return `(${rings.join(", ")})`;
+    });
+
+    let tag = curved ? "CURVEPOLYGON" : "POLYGON";
+    if (polygons.length === 0) {
+        return `${tag} EMPTY`;
+    }
+    if (polygons.length === 1) {
+        return `${tag} ${polygons[0]}`;
+    }
+    let multiTag = curved ? "MULTISURFACE" : "MULTIPOLYGON";
+    let items = curved ? polygons.map(item => `CURVEPOLYGON ${item}`) : polygons;
+    return `${multiTag} (${items.join(", ")})`;
+}
+
+/**
+ * Create arc through three points, or segment if points are collinear.
+ * When the first and the last points coincide, full circle is created
+ * @param {Point} p1
+ * @param {Point} p2
+ * @param {Point} p3
+ * @returns {Arc|Segment}
+ */
+function arcFrom3Points(p1, p2, p3) {
+    if (p1.equalTo(p3)) {
+        let pc = new Flatten.Point((p1.x + p2.x) / 2, (p1.y + p2.y) / 2);
+        return Flatten.Arc.arcSE(pc, p1, p1, Flatten.CCW);
+    }
+    let v1 = new Flatten.Vector(p1, p2);
+    let v2 = new Flatten.Vector(p2, p3);
+    let cross = v1.cross(v2);
+    if (Flatten.Utils.EQ_0(cross)) {
+        return new Flatten.Segment(p1, p3);
+    }
+    /* Circumcenter */
+    let d = 2 * (p1.x * (p2.y - p3.y) + p2.x * (p3.y - p1.y) + p3.x * (p1.y - p2.y));
+    let s1 = p1.x * p1.x + p1.y * p1.y;
+    let s2 = p2.x * p2.x + p2.y * p2.y;
+    let s3 = p3.x * p3.x + p3.y * p3.y;
+    let pc = new Flatten.Point(
+        (s1 * (p2.y - p3.y) + s2 * (p3.y - p1.y) + s3 * (p1.y - p2.y)) / d,
+        (s1 * (p3.x - p2.x) + s2 * (p1.x - p3.x) + s3 * (p2.x - p1.x)) / d
+    );
+    let startAngle = Flatten.Utils.normalizeAngle(new Flatten.Vector(pc, p1).slope);
+    let endAngle = Flatten.Utils.normalizeAngle(new Flatten.Vector(pc, p3).slope);
+    return new Flatten.Arc(pc, pc.distanceTo(p1)[0], startAngle, endAngle, cross > 0 ? Flatten.CCW : Flatten.CW);
+}
+
+function circularStringToShapes(points) {
+    if (points.length < 3 || points.length % 2 === 0) {
+        throw Flatten.Errors.ILLEGAL_PARAMETERS;
+    }
+    let shapes = [];
+    for (let i = 0; i + 2 < points.length; i += 2) {
+        shapes.push(arcFrom3Points(points[i], points[i + 1], points[i + 2]));
+    }
+    return shapes;
+}
+
+/**
+ * Recursive descent parser of WKT strings
+ */
+class WKTParser {
+    constructor(text) {
+        if (typeof text !== "string") {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+        this.tokens = text.match(/[A-Za-z]+|[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?|[(),]|\S/g) || [];
+        this.pos = 0;
+    }
+
+    peek() {
+        return this.tokens[this.pos];
+    }
+
+    next() {
+        if (this.pos >= this.tokens.length) {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+        return this.tokens[this.pos++];
+    }
+
+    expect(token) {
+        if (this.next() !== token) {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+    }
+
+    expectEnd() {
+        if (this.pos !== this.tokens.length) {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+    }
+
+    isWord() {
+        return /^[A-Za-z]+$/.test(this.peek() || "");
+    }
+
+    /* Read geometry tag, skip Z, M, ZM dimension modifiers, return true if geometry is EMPTY */
+    readTag() {
+        let tag = this.next().toUpperCase();
+        while (this.isWord() && ["Z", "M", "ZM", "EMPTY"].includes(this.peek().toUpperCase())) {
+            if (this.next().toUpperCase() === "EMPTY") {
+                return {tag, empty: true};
+            }
+        }
+        return {tag, empty: false};
+    }
+
+    parseNumber() {
+        let value = Number(this.next());
+        if (isNaN(value)) {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+        return value;
+    }
+
+    parsePoint() {
+        let x = this.parseNumber();
+        let y = this.parseNumber();
+        while (this.peek() !== "," && this.peek() !== ")") {
+            this.parseNumber();          // skip z and m coordinates
+        }
+        return new Flatten.Point(x, y);
+    }
+
+    parseList(parseItem) {
+        this.expect("(");
+        let items = [parseItem()];
+        while (this.peek() === ",") {
+            this.next();
+            items.push(parseItem());
+        }
+        this.expect(")");
+        return items;
+    }
+
+    parsePoints() {
+        return this.parseList(() => this.parsePoint());
+    }
+
+    parseGeometry() {
+        let {tag, empty} = this.readTag();
+        switch (tag) {
+            case "POINT":
+                if (empty) throw Flatten.Errors.ILLEGAL_PARAMETERS;
+                return this.parsePoints()[0];
+            case "LINESTRING":
+            case "CIRCULARSTRING":
+            case "COMPOUNDCURVE":
+                return new Flatten.Multiline(empty ? [] : this.parseCurve(tag));
+            case "POLYGON":
+            case "CURVEPOLYGON": {
+                let polygon = new Flatten.Polygon();
+                if (!empty) this.parseRings(polygon);
+                return polygon;
+            }
+            case "MULTIPOLYGON":
+            case "MULTISURFACE": {
+                let polygon = new Flatten.Polygon();
+                if (!empty) {
+                    this.parseList(() => {
+                        if (this.isWord()) {
+                            let item = this.readTag();
+                            if (item.tag !== "POLYGON" && item.tag !== "CURVEPOLYGON") {
+                                throw Flatten.Errors.ILLEGAL_PARAMETERS;
+                            }
+                            if (item.empty) return;
+                        }
+                        this.parseRings(polygon);
+                    });
+                }
+                return polygon;
+            }
+            default:
+                throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+    }
+
+    /* Parse body of the curve with given tag and return array of segments and arcs */
+    parseCurve(tag) {
+        switch (tag) {
+            case "LINESTRING":
+                return pointsToSegments(this.parsePoints());
+            case "CIRCULARSTRING":
+                return circularStringToShapes(this.parsePoints());
+            case "COMPOUNDCURVE":
+                return this.parseList(() => {
+                    if (this.isWord()) {
+                        let item = this.readTag();
+                        if (item.tag !== "LINESTRING" && item.tag !== "CIRCULARSTRING") {
+                            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+                        }
+                        return item.empty ? [] : this.parseCurve(item.tag);
+                    }
+                    return this.parseCurve("LINESTRING");
+                }).reduce((acc, shapes) => acc.concat(shapes), []);
+            default:
+                throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        }
+    }
+
+    /* Parse rings of one polygon and add them as faces, first ring is outer */
+    parseRings(polygon) {
+        let rings = this.parseList(() => {
+            if (this.isWord()) {
+                let {tag} = this.readTag();
+                return this.parseCurve(tag);
+            }
+            return this.parseCurve("LINESTRING");
+        });
+        rings.forEach((shapes, index) => {
+            let orientation = index === 0 ? Flatten.ORIENTATION.CCW : Flatten.ORIENTATION.CW;
+            addOrientedFace(polygon, shapes, orientation);
+        });
+    }
+}
@@ -0,0 +1,116 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {Polygon, Multiline} from '../../index';
+import {point, segment, arc, box} from '../../index';
+import {fitArcs} from '../../index';
+
+function circlePoints(r, n) {
+    let points = [];
+    for (let i = 0; i < n; i++) {
+        points.push(point(r * Math.cos(2 * Math.PI * i / n), r * Math.sin(2 * Math.PI * i / n)));
+    }
+    return points;
+}
+
+function polyline(points) {
+    return new Multiline(points.slice(1).map((pt, i) => segment(points[i], pt)));
+}
+
+describe('#Algorithms.ArcFitting', function () {
+    it('Function fitArcs defined', function () {
+        expect(fitArcs).to.exist;
+        expect(fitArcs).to.be.a('function');
+        expect(Flatten.fitArcs).to.equal(fitArcs);
+    });
+    it('Fits arcs into face approximating circle', function () {
+        let polygon = new Polygon(circlePoints(10, 64));
+        let face = [...polygon.faces][0];
+        /* Chords of the polygon deviate from the circle by 0.012 */
+        let fitted = face.fitArcs(0.02);
+        expect(fitted).to.be.instanceof(Flatten.Face);
+        expect(fitted.size).to.be.lessThan(8);
+        expect(fitted.edges.every(edge => edge.isArc())).to.be.true;
+        expect(fitted.edges.every(edge => Flatten.Utils.EQ(edge.shape.r, 10))).to.be.true;
+        expect(fitted.area()).to.be.closeTo(100 * Math.PI, 1e-6);
+        expect(face.size).to.equal(64);
+    });
+    it('Keeps corners and straight edges', function () {
+        let polygon = new Polygon([point(0, 0), point(5, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        let fitted = [...polygon.faces][0].fitArcs(0.01);
+        expect(fitted.size).to.equal(4);
+        expect(fitted.edges.every(edge => edge.isSegment())).to.be.true;
+        expect(fitted.area()).to.equal(100);
+    });
+    it('Fits multiline within tolerance and keeps it tangent continuous', function () {
+        let points = [];
+        for (let i = 0; i <= 100; i++) {
+            points.push(point(i / 10, Math.sin(i / 10)));
+        }
+        let multiline = polyline(points);
+        let fitted = fitArcs(multiline, 0.002);
+        expect(fitted).to.be.instanceof(Multiline);
+        expect(fitted.size).to.be.lessThan(50);
+        expect(fitted.first.start.equalTo(points[0])).to.be.true;
+        expect(fitted.last.end.equalTo(points[100])).to.be.true;
+        for (let pt of points) {
+            expect(pt.distanceTo(fitted)[0]).to.be.at.most(0.002);
+        }
+        for (let edge of fitted) {
+            if (edge.next) {
+                expect(edge.tangentAt(edge.length).equalTo(edge.next.tangentAt(0))).to.be.true;
+            }
+        }
+    });
+    it('Keeps interior of original segments within tolerance', function () {
+        let points = [];
+        for (let i = 0; i <= 200; i++) {
+            points.push(point(i * Math.PI / 100, Math.sin(i * Math.PI / 100)));
+        }
+        let multiline = polyline(points);
+        let fitted = multiline.fitArcs(0.001);
+        expect([...fitted].some(edge => edge.isArc())).to.be.true;
+        for (let edge of multiline) {
+            for (let k = 1; k < 10; k++) {
+                let pt = edge.shape.pointAtLength(edge.length * k / 10);
+                expect(pt.distanceTo(fitted)[0]).to.be.at.most(0.001);
+            }
+        }
+        for (let edge of fitted) {
+            for (let k = 1; k < 10; k++) {
+                let pt = edge.shape.pointAtLength(edge.length * k / 10);
+                expect(pt.distanceTo(multiline)[0]).to.be.at.most(0.001);
+            }
+        }
+    });
+    it('Keeps existing arcs of the multiline', function () {
+        let multiline = new Multiline([
+            segment(0, 0, 5, 0), segment(5, 0, 10, 0),
+            arc(point(10, 5), 5, -Math.PI / 2, Math.PI / 2, true),
+            segment(10, 10, 5, 10)
+        ]);
+        let fitted = multiline.fitArcs(0.01);
+        expect(fitted.size).to.equal(3);
+        expect(fitted.first.shape.equalTo(segment(0, 0, 10, 0))).to.be.true;
+        let kept = [...fitted][1];
+        expect(kept.isArc()).to.be.true;
+        expect(kept.start.equalTo(point(10, 0))).to.be.true;
+        expect(kept.middle().equalTo(point(15, 5))).to.be.true;
+    });
+    it('Splits chain at corners sharper than corner angle', function () {
+        let points = [point(0, 0), point(10, 0), point(17, 3), point(20, 10)];
+        let sharp = polyline(points).fitArcs(1, {cornerAngle: Math.PI / 9});
+        expect(sharp.size).to.equal(3);
+        expect([...sharp].every(edge => edge.isSegment())).to.be.true;
+        let smooth = polyline(points).fitArcs(1, {cornerAngle: Math.PI / 2});
+        expect([...smooth].some(edge => edge.isArc())).to.be.true;
+    });
+    it('Throws error on illegal parameters', function () {
+        let face = [...new Polygon(box(0, 0, 1, 1)).faces][0];
+        expect(() => fitArcs(new Polygon(box(0, 0, 1, 1)), 1)).to.throw(ReferenceError);
+        expect(() => fitArcs(face, 0)).to.throw(ReferenceError);
+        expect(() => fitArcs(face)).to.throw(ReferenceError);
+    });
+});
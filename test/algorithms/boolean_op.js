@@ -12,11 +12,11 @@ import {expect} from 'chai';
 import Flatten from '../../index';
 
 import {Polygon} from '../../index';
-import {point, circle, segment, arc} from '../../index';
+import {point, circle, segment, arc, box, ray, vector, Multiline} from '../../index';
 
 
 import * as BooleanOp from "../../src/algorithms/boolean_op";
-let {unify, subtract, intersect} = BooleanOp;
+let {unify, subtract, intersect, xor, unifyAll, intersectAll, clipMultiline} = BooleanOp;
 
 describe('#Algorithms.Boolean Operations', function () {
     describe('#Algorithms.Boolean Union', function () {
@@ -252,6 +252,28 @@ describe('#Algorithms.Boolean Operations', function () {
             expect([...poly.faces][1].orientation()).to.equal(Flatten.ORIENTATION.CCW);
             expect(poly.edges.size).to.equal(11);
         });
+        it('Can unify polygons with noise in coordinates in robust mode', function () {
+            /* Coordinates come from rotation by PI, tolerance based union loses one of rectangles */
+            let polygon1 = new Polygon([point(-2, 2.4492935982947064e-16), point(-2.0000000000000004, -1.9999999999999998),
+                point(8, -1.9999999999999998), point(8, 2.4492935982947064e-16)]);
+            let polygon2 = new Polygon([point(-2.4492935982947064e-16, -2), point(10, -2), point(10, 0), point(0, 0)]);
+            Flatten.ROBUST = true;
+            try {
+                let poly = unify(polygon1, polygon2);
+                expect(poly.faces.size).to.equal(1);
+                expect(poly.area()).to.be.closeTo(24, 1e-10);
+            } finally {
+                Flatten.ROBUST = false;
+            }
+        });
+        it('Can unify polygons overlapping along edge shifted by rounding noise', function () {
+            let noise = Math.sin(Math.PI);
+            let polygon1 = new Polygon([point(-1, noise), point(0, -1), point(10, -1), point(9, noise)]);
+            let polygon2 = new Polygon([point(0, -1), point(10, -1), point(11, 0), point(1, 0)]);
+            let poly = unify(polygon1, polygon2);
+            expect(poly.faces.size).to.equal(1);
+            expect(poly.area()).to.be.closeTo(11, 1e-10);
+        });
     });
     describe('#Algorithms.Boolean Subtraction', function () {
         it('Can perform subtract. 2 intersecting polygons', function () {
@@ -567,4 +589,189 @@ describe('#Algorithms.Boolean Operations', function () {
             expect(reducedAreas.edges.size).to.equal(7);
         });
     });
+    describe('#Algorithms.Boolean Symmetric Difference', function () {
+        it('Function xor defined', function () {
+            expect(xor).to.be.a('function');
+            expect(Flatten.BooleanOperations.xor).to.equal(xor);
+        });
+        it('Xor of two overlapping squares excludes common area', function () {
+            let polygon1 = new Polygon(box(0, 0, 10, 10));
+            let polygon2 = new Polygon(box(5, 5, 15, 15));
+            let res = xor(polygon1, polygon2);
+            expect(res.isValid()).to.be.true;
+            expect(res.area()).to.equal(150);
+            expect(res.contains(point(2, 2))).to.be.true;
+            expect(res.contains(point(12, 12))).to.be.true;
+            expect(res.contains(point(7, 7))).to.be.false;
+            expect(polygon1.area()).to.equal(100);
+        });
+        it('Xor merges polygons with common edge and cancels common boundary of the same direction', function () {
+            let adjacent = xor(new Polygon(box(0, 0, 10, 10)), new Polygon(box(10, 0, 20, 10)));
+            expect(adjacent.faces.size).to.equal(1);
+            expect(adjacent.area()).to.equal(200);
+
+            let half = xor(new Polygon(box(0, 0, 10, 10)), new Polygon(box(0, 0, 5, 10)));
+            expect(half.faces.size).to.equal(1);
+            expect(half.area()).to.equal(50);
+            expect(half.box.xmin).to.equal(5);
+        });
+        it('Xor of equal polygons is empty, xor with empty polygon is a copy', function () {
+            expect(xor(new Polygon(box(0, 0, 10, 10)), new Polygon(box(0, 0, 10, 10))).isEmpty()).to.be.true;
+            expect(xor(new Polygon(box(0, 0, 10, 10)), new Polygon()).area()).to.equal(100);
+        });
+        it('Xor of polygon and polygon inside it is polygon with hole', function () {
+            let res = xor(new Polygon(box(0, 0, 10, 10)), new Polygon(box(2, 2, 8, 8)));
+            expect(res.faces.size).to.equal(2);
+            expect(res.area()).to.equal(64);
+            expect(res.isValid()).to.be.true;
+        });
+        it('Xor keeps arcs and equals difference between union and intersection', function () {
+            let polygon1 = new Polygon(circle(point(0, 0), 5));
+            let polygon2 = new Polygon(circle(point(6, 0), 5));
+            let res = xor(polygon1, polygon2);
+            expect([...res.edges].every(edge => edge.isArc())).to.be.true;
+            expect(res.area()).to.be.closeTo(unify(polygon1, polygon2).area() - intersect(polygon1, polygon2).area(), 1e-10);
+        });
+        it('Islands of the result have orientation of the first polygon', function () {
+            let res = xor(new Polygon(box(0, 0, 10, 10)).reverse(), new Polygon(box(5, 5, 15, 15)).reverse());
+            let island = [...res.faces].reduce((acc, face) => face.area() > acc.area() ? face : acc);
+            expect(island.orientation()).to.equal(Flatten.ORIENTATION.CW);
+            expect(res.area()).to.equal(150);
+        });
+    });
+    describe('#Algorithms.Boolean Operations on array of polygons', function () {
+        let squares = (n, size, step) => {
+            let polygons = [];
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    polygons.push(new Polygon(box(i * step, j * step, i * step + size, j * step + size)));
+                }
+            }
+            return polygons;
+        };
+        it('Functions unifyAll and intersectAll defined', function () {
+            expect(unifyAll).to.be.a('function');
+            expect(intersectAll).to.be.a('function');
+            expect(Flatten.BooleanOperations.unifyAll).to.equal(unifyAll);
+            expect(Flatten.BooleanOperations.intersectAll).to.equal(intersectAll);
+        });
+        it('Throws error when argument is not array of polygons', function () {
+            expect(() => unifyAll(new Polygon())).to.throw(ReferenceError);
+            expect(() => intersectAll([new Polygon(), circle(point(0, 0), 1)])).to.throw(ReferenceError);
+        });
+        it('Returns empty polygon for empty array and clone for one polygon', function () {
+            expect(unifyAll([]).isEmpty()).to.be.true;
+            expect(intersectAll([]).isEmpty()).to.be.true;
+            let polygon = new Polygon(box(0, 0, 10, 10));
+            let res = unifyAll([polygon]);
+            expect(res).to.not.equal(polygon);
+            expect(res.area()).to.equal(100);
+            expect(intersectAll([polygon]).area()).to.equal(100);
+        });
+        it('Unify grid of overlapping squares', function () {
+            let polygons = squares(5, 12, 10);
+            let res = unifyAll(polygons);
+            expect(res.faces.size).to.equal(1);
+            expect(res.area()).to.equal(52 * 52);
+            expect(res.isValid()).to.be.true;
+            expect(polygons.every(polygon => polygon.area() === 144)).to.be.true;
+        });
+        it('Unify gives the same result as pairwise union', function () {
+            let polygons = [
+                ...squares(3, 12, 10),
+                new Polygon(circle(point(40, 15), 8)),
+                new Polygon(circle(point(100, 100), 5)),
+                new Polygon([point(25, -5), point(45, 0), point(25, 5)])
+            ];
+            let res = unifyAll(polygons);
+            let folded = polygons.reduce((acc, polygon) => unify(acc, polygon), new Polygon());
+            expect(res.faces.size).to.equal(folded.faces.size);
+            expect(res.area()).to.be.closeTo(folded.area(), 1e-6);
+        });
+        it('Unify clusters of polygons with disjoint boxes without boolean operations', function () {
+            let polygons = [
+                ...squares(2, 15, 10),
+                ...squares(2, 15, 10).map(polygon => polygon.translate(new Flatten.Vector(100, 0))),
+                new Polygon(box(50, 50, 60, 60))
+            ];
+            let res = unifyAll(polygons);
+            expect(res.faces.size).to.equal(3);
+            expect(res.area()).to.equal(2 * 25 * 25 + 100);
+        });
+        it('Intersect array of polygons', function () {
+            let polygons = squares(3, 25, 5);
+            let res = intersectAll(polygons);
+            expect(res.faces.size).to.equal(1);
+            expect(res.area()).to.equal(15 * 15);
+            expect(res.box.xmin).to.equal(10);
+            expect(res.box.xmax).to.equal(25);
+        });
+        it('Intersection is empty when boxes or intermediate result are empty', function () {
+            expect(intersectAll(squares(3, 8, 10)).isEmpty()).to.be.true;
+            expect(intersectAll([new Polygon(box(0, 0, 10, 10)), new Polygon()]).isEmpty()).to.be.true;
+            let ring = [new Polygon(box(0, 0, 10, 10)), new Polygon(box(5, 5, 20, 20)),
+                new Polygon([point(0, 20), point(4, 20), point(20, 4), point(20, 0)])];
+            expect(intersectAll(ring).isEmpty()).to.be.true;
+        });
+    });
+    describe('#Algorithms.Boolean Clip Multiline', function () {
+        let square = new Polygon(box(0, 0, 10, 10));
+        let length = multilines => multilines.reduce((acc, multiline) =>
+            acc + multiline.edges.reduce((sum, edge) => sum + edge.length, 0), 0);
+        it('Clip multiline crossing polygon into inside and outside pieces', function () {
+            let multiline = new Multiline([segment(-5, 5, 5, 5), segment(5, 5, 5, 15)]);
+            let {inside, outside, boundary} = clipMultiline(multiline, square);
+            expect(inside.length).to.equal(1);
+            expect(inside[0].size).to.equal(2);
+            expect(inside[0].first.start.equalTo(point(0, 5))).to.be.true;
+            expect(inside[0].last.end.equalTo(point(5, 10))).to.be.true;
+            expect(outside.length).to.equal(2);
+            expect(outside[0].first.start.equalTo(point(-5, 5))).to.be.true;
+            expect(outside[1].last.end.equalTo(point(5, 15))).to.be.true;
+            expect(boundary.length).to.equal(0);
+        });
+        it('Pieces lying on polygon boundary are returned separately', function () {
+            let multiline = new Multiline([segment(-5, 0, 15, 0)]);
+            let {inside, outside, boundary} = clipMultiline(multiline, square);
+            expect(inside.length).to.equal(0);
+            expect(length(outside)).to.equal(10);
+            expect(boundary.length).to.equal(1);
+            expect(boundary[0].first.shape.equalTo(segment(0, 0, 10, 0))).to.be.true;
+        });
+        it('Clip hatch line with polygon with hole', function () {
+            let polygon = new Polygon(box(0, 0, 30, 30));
+            polygon.addFace([point(10, 10), point(10, 20), point(20, 20), point(20, 10)]);
+            let {inside, outside} = clipMultiline(new Multiline([segment(-10, 15, 40, 15)]), polygon);
+            expect(inside.length).to.equal(2);
+            expect(length(inside)).to.equal(20);
+            expect(outside.length).to.equal(3);
+            expect(length(outside)).to.equal(30);
+        });
+        it('Touching polygon at vertex does not break outside piece', function () {
+            let multiline = new Multiline([segment(-5, 5, 0, 10), segment(0, 10, 5, 15)]);
+            let {inside, outside} = clipMultiline(multiline, square);
+            expect(inside.length).to.equal(0);
+            expect(outside.length).to.equal(1);
+            expect(outside[0].size).to.equal(2);
+        });
+        it('Clip arcs and rays', function () {
+            let {inside, outside} = clipMultiline(new Multiline([arc(point(5, 5), 7, 0, 2 * Math.PI, true)]), square);
+            expect(inside.length).to.equal(4);
+            expect(outside.length).to.equal(5);
+            let clipped = clipMultiline(new Multiline([ray(point(5, 5), vector(0, 1))]), square);
+            expect(clipped.inside.length).to.equal(1);
+            expect(clipped.inside[0].first.shape.equalTo(segment(5, 5, 10, 5))).to.be.true;
+            expect(clipped.outside.length).to.equal(1);
+            expect(clipped.outside[0].first.shape).to.be.instanceof(Flatten.Ray);
+        });
+        it('Multiline does not intersect polygon', function () {
+            let multiline = new Multiline([segment(20, 20, 30, 30)]);
+            expect(clipMultiline(multiline, square).outside.length).to.equal(1);
+            expect(clipMultiline(multiline, new Polygon()).outside.length).to.equal(1);
+        });
+        it('Throws error on illegal parameters', function () {
+            expect(() => clipMultiline(segment(0, 0, 1, 1), square)).to.throw(ReferenceError);
+            expect(() => clipMultiline(new Multiline([segment(0, 0, 1, 1)]), box(0, 0, 1, 1))).to.throw(ReferenceError);
+        });
+    });
 });
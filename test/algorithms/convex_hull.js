@@ -0,0 +1,74 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {Polygon} from '../../index';
+import {point, circle, segment, arc, box} from '../../index';
+import {convexHull} from '../../index';
+
+describe('#Algorithms.ConvexHull', function () {
+    it('Function convexHull defined', function () {
+        expect(convexHull).to.exist;
+        expect(convexHull).to.be.a('function');
+        expect(Flatten.convexHull).to.equal(convexHull);
+    });
+    it('Calculates convex hull of points, inner and collinear points are skipped', function () {
+        let hull = convexHull([point(0, 0), point(5, 5), point(10, 0), point(10, 5), point(10, 10), point(0, 10)]);
+        expect(hull.faces.size).to.equal(1);
+        expect(hull.edges.size).to.equal(4);
+        expect(hull.area()).to.equal(100);
+        expect([...hull.faces][0].orientation()).to.equal(Flatten.ORIENTATION.CCW);
+    });
+    it('Keeps circular parts of the hull as arcs', function () {
+        let hull = convexHull([circle(point(0, 0), 1), circle(point(10, 0), 1)]);
+        let edges = [...hull.edges];
+        expect(edges.filter(edge => edge.isArc()).length).to.equal(2);
+        expect(edges.filter(edge => edge.isSegment()).length).to.equal(2);
+        expect(hull.area()).to.be.closeTo(20 + Math.PI, 1e-6);
+    });
+    it('Hull of single circle is a circle', function () {
+        let hull = convexHull([circle(point(1, 1), 2), point(2, 1)]);
+        expect(hull.edges.size).to.equal(1);
+        expect(hull.area()).to.be.closeTo(4 * Math.PI, 1e-6);
+    });
+    it('Calculates hull of circles with different radii', function () {
+        let [c1, c2] = [circle(point(0, 0), 3), circle(point(5, 0), 1)];
+        let hull = convexHull([c1, c2]);
+        expect(hull.contains(c1)).to.be.true;
+        expect(hull.contains(c2)).to.be.true;
+        expect(hull.contains(point(3, 1.9))).to.be.true;
+        expect(hull.contains(point(3, 2))).to.be.false;
+    });
+    it('Uses only the part of arc which lies on the hull', function () {
+        let hull = convexHull([arc(point(0, 0), 1, 0, Math.PI, Flatten.CCW), point(-1, -1), point(1, -1)]);
+        expect(hull.area()).to.be.closeTo(2 + Math.PI / 2, 1e-6);
+        let clockwise = convexHull([arc(point(0, 0), 1, Math.PI, 0, Flatten.CW), segment(point(-1, -1), point(1, -1))]);
+        expect(clockwise.area()).to.be.closeTo(2 + Math.PI / 2, 1e-6);
+    });
+    it('Calculates hull of polygon with arc edge', function () {
+        let polygon = new Polygon([
+            segment(point(4, 0), point(0, 0)),
+            segment(point(0, 0), point(2, 2)),
+            segment(point(2, 2), point(0, 4)),
+            segment(point(0, 4), point(4, 4)),
+            arc(point(4, 2), 2, Math.PI / 2, -Math.PI / 2, Flatten.CW)
+        ]);
+        let hull = convexHull([polygon]);
+        expect(hull.area()).to.be.closeTo(16 + 2 * Math.PI, 1e-6);
+        expect([...hull.edges].filter(edge => edge.isArc()).length).to.equal(1);
+    });
+    it('Calculates hull of mixed shapes', function () {
+        let hull = convexHull([box(0, 0, 2, 2), segment(point(4, 0), point(4, 2)), circle(point(2, 5), 1)]);
+        [point(0, 0), point(4, 0), point(4, 2), point(0, 2), point(2, 6)].forEach(pt =>
+            expect(hull.contains(pt)).to.be.true);
+        expect(hull.contains(point(2, 6.1))).to.be.false;
+    });
+    it('Returns empty polygon for empty array or single point', function () {
+        expect(convexHull([]).isEmpty()).to.be.true;
+        expect(convexHull([point(1, 1), point(1, 1)]).isEmpty()).to.be.true;
+    });
+    it('Throws error for unsupported shape', function () {
+        expect(() => convexHull([point(0, 0), Flatten.line(point(0, 0), point(1, 1))])).to.throw(ReferenceError);
+    });
+});
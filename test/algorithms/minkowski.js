@@ -0,0 +1,76 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {Polygon} from '../../index';
+import {point, circle, box, vector} from '../../index';
+import {minkowskiSum, minkowskiDifference} from '../../index';
+
+function expectBox(polygon, xmin, ymin, xmax, ymax) {
+    let {box} = polygon;
+    [[box.xmin, xmin], [box.ymin, ymin], [box.xmax, xmax], [box.ymax, ymax]]
+        .forEach(([value, expected]) => expect(value).to.be.closeTo(expected, 1e-9));
+}
+
+describe('#Algorithms.Minkowski', function () {
+    it('Functions minkowskiSum and minkowskiDifference defined', function () {
+        expect(minkowskiSum).to.be.a('function');
+        expect(minkowskiDifference).to.be.a('function');
+        expect(Flatten.minkowskiSum).to.equal(minkowskiSum);
+        expect(Flatten.minkowskiDifference).to.equal(minkowskiDifference);
+    });
+    it('Sum of two squares is a square', function () {
+        let res = minkowskiSum(new Polygon(box(0, 0, 10, 10)), new Polygon(box(-1, -1, 1, 1)));
+        expect(res.faces.size).to.equal(1);
+        expect(res.area()).to.equal(144);
+        expectBox(res, -1, -1, 11, 11);
+        expect([...res.faces][0].orientation()).to.equal(Flatten.ORIENTATION.CCW);
+    });
+    it('Sum of square and circle has rounded corners', function () {
+        let res = minkowskiSum(new Polygon(box(0, 0, 10, 10)), new Polygon(circle(point(0, 0), 1)));
+        expect(res.area()).to.be.closeTo(140 + Math.PI, 1e-9);
+        expect([...res.edges].filter(edge => edge.isArc()).length).to.equal(4);
+        expect(res.contains(point(10.7, 10.7))).to.be.true;
+        expect(res.contains(point(10.8, 10.8))).to.be.false;
+    });
+    it('Sum of two circles is a circle', function () {
+        let res = minkowskiSum(new Polygon(circle(point(1, 1), 1)), new Polygon(circle(point(2, 0), 2)));
+        expect(res.area()).to.be.closeTo(9 * Math.PI, 1e-9);
+        expectBox(res, 0, -2, 6, 4);
+    });
+    it('Sum of non-convex polygon and circle is equal to offset', function () {
+        let polygon = new Polygon([point(0, 0), point(10, 0), point(10, 2), point(2, 2), point(2, 10), point(0, 10)]);
+        let res = minkowskiSum(polygon, new Polygon(circle(point(0, 0), 1)));
+        expect(res.faces.size).to.equal(1);
+        expect(res.area()).to.be.closeTo(polygon.offset(1).area(), 1e-9);
+    });
+    it('Fills hole covered by the sum and keeps hole which is not covered', function () {
+        let frame = new Polygon();
+        frame.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        frame.addFace([point(2, 2), point(2, 8), point(8, 8), point(8, 2)]);
+        let small = minkowskiSum(frame, new Polygon(box(0, 0, 1, 1)));
+        expect(small.faces.size).to.equal(2);
+        expect(small.area()).to.equal(121 - 25);
+        let big = minkowskiSum(frame, new Polygon(box(0, 0, 7, 7)));
+        expect(big.faces.size).to.equal(1);
+        expect(big.area()).to.equal(289);
+    });
+    it('Difference is a configuration space obstacle', function () {
+        let obstacle = new Polygon(box(0, 0, 10, 10));
+        let robot = new Polygon([point(0, 0), point(2, 0), point(0, 2)]);
+        let res = minkowskiDifference(obstacle, robot);
+        expectBox(res, -2, -2, 10, 10);
+        for (let v of [vector(-1.5, -1.5), vector(-0.9, 5), vector(11, 5), vector(5, -1)]) {
+            let translated = robot.translate(v);
+            expect(res.contains(point(v.x, v.y))).to.equal(Flatten.Relations.intersect(obstacle, translated));
+        }
+    });
+    it('Returns empty polygon for empty input', function () {
+        expect(minkowskiSum(new Polygon(), new Polygon(box(0, 0, 1, 1))).isEmpty()).to.be.true;
+    });
+    it('Throws error when argument is not a polygon', function () {
+        expect(() => minkowskiSum(new Polygon(box(0, 0, 1, 1)), circle(point(0, 0), 1))).to.throw(ReferenceError);
+        expect(() => minkowskiDifference(box(0, 0, 1, 1), new Polygon(box(0, 0, 1, 1)))).to.throw(ReferenceError);
+    });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {Polygon, Multiline} from '../../index';
+import {point, circle, segment, arc} from '../../index';
+import {offset} from '../../index';
+
+describe('#Algorithms.Offset', function () {
+    it('Function offset defined', function () {
+        expect(offset).to.exist;
+        expect(offset).to.be.a('function');
+        expect(Flatten.offset).to.equal(offset);
+    });
+    it('Can inflate rectangle, corners are rounded with arcs', function () {
+        let poly = new Polygon([point(0, 0), point(100, 0), point(100, 100), point(0, 100)]);
+        let res = poly.offset(10);
+        expect(res.faces.size).to.equal(1);
+        expect(res.area()).to.be.closeTo(10000 + 4000 + Math.PI * 100, 1e-6);
+        expect([...res.edges].filter(edge => edge.isArc()).length).to.equal(4);
+        expect(res.box).to.deep.equal(new Flatten.Box(-10, -10, 110, 110));
+    });
+    it('Can deflate rectangle', function () {
+        let poly = new Polygon([point(0, 0), point(100, 0), point(100, 100), point(0, 100)]);
+        let res = offset(poly, -10);
+        expect(res.faces.size).to.equal(1);
+        expect(res.area()).to.be.closeTo(6400, 1e-6);
+    });
+    it('Inflate rectangle with clockwise orientation', function () {
+        let poly = new Polygon([point(0, 0), point(100, 0), point(100, 100), point(0, 100)]).reverse();
+        let res = poly.offset(10);
+        expect(res.faces.size).to.equal(1);
+        expect(res.area()).to.be.closeTo(10000 + 4000 + Math.PI * 100, 1e-6);
+    });
+    it('Concave corner is rounded when polygon deflated', function () {
+        let poly = new Polygon([point(0, 0), point(100, 0), point(100, 50), point(50, 50), point(50, 100), point(0, 100)]);
+        let res = poly.offset(-5);
+        expect(res.faces.size).to.equal(1);
+        expect(res.area()).to.be.closeTo(90 * 40 + 40 * 50 + 25 - Math.PI * 25 / 4, 1e-6);
+    });
+    it('Can offset polygon with hole', function () {
+        let poly = new Polygon();
+        poly.addFace([point(0, 0), point(100, 0), point(100, 100), point(0, 100)]);
+        poly.addFace([point(40, 40), point(40, 60), point(60, 60), point(60, 40)]);
+        let res = poly.offset(5);
+        expect(res.faces.size).to.equal(2);
+        expect(res.area()).to.be.closeTo(12000 + Math.PI * 25 - 100, 1e-6);
+    });
+    it('Hole disappears when offset is greater than half of its width', function () {
+        let poly = new Polygon();
+        poly.addFace([point(0, 0), point(100, 0), point(100, 100), point(0, 100)]);
+        poly.addFace([point(40, 40), point(40, 60), point(60, 60), point(60, 40)]);
+        let res = poly.offset(15);
+        expect(res.faces.size).to.equal(1);
+        expect(res.area()).to.be.closeTo(16000 + Math.PI * 225, 1e-6);
+    });
+    it('Can offset polygon created from circle', function () {
+        let poly = new Polygon(circle(point(0, 0), 20));
+        expect(poly.offset(5).area()).to.be.closeTo(Math.PI * 625, 1e-6);
+        expect(poly.offset(-5).area()).to.be.closeTo(Math.PI * 225, 1e-6);
+        expect(poly.offset(-25).isEmpty()).to.be.true;
+    });
+    it('Can offset polygon with arc edge', function () {
+        let poly = new Polygon([segment(point(-20, 0), point(20, 0)), arc(point(0, 0), 20, 0, Math.PI, Flatten.CCW)]);
+        let res = poly.offset(3);
+        expect(res.faces.size).to.equal(1);
+        expect(res.area()).to.be.closeTo(40 * 3 + Math.PI * 23 * 23 / 2 + Math.PI * 9 / 2, 1e-6);
+        expect([...res.edges].filter(edge => edge.isArc()).length).to.equal(3);
+    });
+    it('Zero offset returns copy of polygon', function () {
+        let poly = new Polygon([point(0, 0), point(100, 0), point(100, 100), point(0, 100)]);
+        let res = poly.offset(0);
+        expect(res).not.to.equal(poly);
+        expect(res.area()).to.equal(poly.area());
+    });
+    it('Can offset segment', function () {
+        let res = offset(segment(point(0, 0), point(100, 0)), 10);
+        expect(res.faces.size).to.equal(1);
+        expect(res.area()).to.be.closeTo(2000 + Math.PI * 100, 1e-6);
+    });
+    it('Can offset arc', function () {
+        let res = offset(arc(point(0, 0), 20, 0, Math.PI / 2, Flatten.CW), 5);
+        expect(res.faces.size).to.equal(1);
+        expect(res.area()).to.be.closeTo(3 * Math.PI / 2 * (625 - 225) / 2 + Math.PI * 25, 1e-6);
+    });
+    it('Can offset multiline', function () {
+        let ml = new Multiline([segment(point(0, 0), point(100, 0)), segment(point(100, 0), point(100, 100))]);
+        let res = offset(ml, 10);
+        expect(res.faces.size).to.equal(1);
+        expect(res.area()).to.be.closeTo(3900 + Math.PI * 125, 1e-6);
+    });
+    it('Throws error when shape is not bounded', function () {
+        expect(() => offset(new Multiline([Flatten.line(point(0, 0), point(1, 1))]), 1)).to.throw(ReferenceError);
+    });
+});
@@ -2,7 +2,7 @@
 
 import { expect } from 'chai';
 import Flatten from '../../index';
-import {Polygon, point,circle} from '../../index';
+import {Polygon, point,circle, segment, arc} from '../../index';
 import {ray_shoot} from "../../src/algorithms/ray_shooting";
 
 describe('#Algorithms.Ray_Shooting', function() {
@@ -104,4 +104,15 @@ describe('#Algorithms.Ray_Shooting', function() {
         let contains = ray_shoot(polygon, pt);
         expect(contains).to.be.equal(Flatten.OUTSIDE);
     });
-});
\ No newline at end of file
+    it('Can check point in contour. Ray passes vertex where arc is tangent to the ray',function() {
+        let polygon = new Polygon();
+        polygon.addFace([
+            segment(point(5,-5), point(10,0)),
+            arc(point(10,5), 5, -Math.PI/2, 0, true),
+            segment(point(15,5), point(5,5)),
+            segment(point(5,5), point(5,-5))
+        ]);
+        expect(ray_shoot(polygon, point(7,0))).to.be.equal(Flatten.INSIDE);
+        expect(ray_shoot(polygon, point(3,0))).to.be.equal(Flatten.OUTSIDE);
+    });
+});
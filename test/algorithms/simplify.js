@@ -0,0 +1,114 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {Polygon, Multiline} from '../../index';
+import {point, segment, arc, box} from '../../index';
+import {simplify} from '../../index';
+
+/* Square 20x20 with zigzag of the given amplitude along the bottom and the right sides */
+function noisySquare(amplitude) {
+    let points = [];
+    for (let i = 0; i <= 20; i++) {
+        points.push(point(i, (i % 2) * amplitude));
+    }
+    for (let i = 1; i <= 20; i++) {
+        points.push(point(20 + (i % 2) * amplitude, i));
+    }
+    points.push(point(0, 20));
+    return new Polygon(points);
+}
+
+function circlePoints(r, n) {
+    let points = [];
+    for (let i = 0; i < n; i++) {
+        points.push(point(r * Math.cos(2 * Math.PI * i / n), r * Math.sin(2 * Math.PI * i / n)));
+    }
+    return points;
+}
+
+describe('#Algorithms.Simplify', function () {
+    it('Function simplify defined', function () {
+        expect(simplify).to.exist;
+        expect(simplify).to.be.a('function');
+        expect(Flatten.simplify).to.equal(simplify);
+    });
+    it('Removes vertices within tolerance from polygon face', function () {
+        let polygon = noisySquare(0.05);
+        let simplified = polygon.simplify(0.1);
+        expect(simplified.edges.size).to.equal(4);
+        expect(simplified.area()).to.equal(400);
+        expect(simplified.isValid()).to.be.true;
+        expect(polygon.edges.size).to.equal(42);
+    });
+    it('Keeps vertices farther than tolerance', function () {
+        let polygon = noisySquare(0.5);
+        expect(polygon.simplify(0.1).edges.size).to.equal(polygon.edges.size);
+    });
+    it('Does not move boundary across another face when topology is preserved', function () {
+        let points = [point(0, 0), point(25, 1), point(50, 4), point(75, 1), point(100, 0)];
+        let polygon = new Polygon([...points, point(100, 50), point(0, 50)]);
+        polygon.addFace([point(40, -20), point(60, -20), point(60, 2), point(40, 2)]);
+        expect(polygon.isValid()).to.be.true;
+
+        let simplified = polygon.simplify(5);
+        expect(simplified.isValid()).to.be.true;
+        expect(simplified.faces.size).to.equal(2);
+        expect(simplified.edges.size).to.be.lessThan(polygon.edges.size);
+
+        let unsafe = polygon.simplify(5, {preserveTopology: false});
+        expect(unsafe.isValid()).to.be.false;
+    });
+    it('Removes thin faces only when topology is not preserved', function () {
+        let polygon = new Polygon(box(0, 0, 10, 10));
+        polygon.addFace([point(20, 0), point(30, 0.1), point(40, 0), point(30, 0.2)]);
+        expect(polygon.simplify(0.5).faces.size).to.equal(2);
+        expect(polygon.simplify(0.5, {preserveTopology: false}).faces.size).to.equal(1);
+    });
+    it('Keeps arcs and their end points', function () {
+        let polygon = new Polygon([
+            segment(0, 0, 5, 0.01), segment(5, 0.01, 10, 0),
+            arc(point(10, 5), 5, -Math.PI / 2, Math.PI / 2, true),
+            segment(10, 10, 5, 10.01), segment(5, 10.01, 0, 10), segment(0, 10, 0, 0)
+        ]);
+        let simplified = polygon.simplify(0.1);
+        expect(simplified.edges.size).to.equal(4);
+        expect([...simplified.edges].filter(edge => edge.isArc()).length).to.equal(1);
+        expect(simplified.isValid()).to.be.true;
+    });
+    it('Fits arcs into runs of segments on a common circle', function () {
+        let polygon = new Polygon(circlePoints(10, 64));
+        let simplified = polygon.simplify(0.05, {fitArcs: true});
+        expect([...simplified.edges].every(edge => edge.isArc())).to.be.true;
+        expect(simplified.edges.size).to.be.lessThan(5);
+        expect(simplified.area()).to.be.closeTo(100 * Math.PI, 1e-6);
+        expect(simplified.isValid()).to.be.true;
+        expect(polygon.simplify(0.05).edges.size).to.be.greaterThan(4);
+    });
+    it('Simplifies multiline keeping its end points', function () {
+        let points = [];
+        for (let i = 0; i <= 20; i++) {
+            points.push(point(i, (i % 2) * 0.05));
+        }
+        let multiline = new Multiline(points.slice(1).map((pt, i) => segment(points[i], pt)));
+        let simplified = multiline.simplify(0.1);
+        expect(simplified).to.be.instanceof(Multiline);
+        expect(simplified.size).to.equal(1);
+        expect(simplified.first.start.equalTo(point(0, 0))).to.be.true;
+        expect(simplified.last.end.equalTo(point(20, 0))).to.be.true;
+        expect(multiline.simplify(0.01).size).to.equal(20);
+    });
+    it('Closed multiline does not collapse', function () {
+        let points = [...circlePoints(10, 16), point(10, 0)];
+        let multiline = new Multiline(points.slice(1).map((pt, i) => segment(points[i], pt)));
+        let simplified = multiline.simplify(1);
+        expect(simplified.size).to.be.greaterThan(1);
+        expect(simplified.last.end.equalTo(point(10, 0))).to.be.true;
+    });
+    it('Throws error on illegal parameters', function () {
+        expect(() => simplify(segment(0, 0, 1, 1), 1)).to.throw(ReferenceError);
+        expect(() => simplify(new Polygon(box(0, 0, 1, 1)), -1)).to.throw(ReferenceError);
+        expect(() => simplify(new Polygon(box(0, 0, 1, 1)))).to.throw(ReferenceError);
+    });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {Polygon} from '../../index';
+import {point, circle, box} from '../../index';
+import {triangulate} from '../../index';
+
+function trianglesArea(vertices, triangles) {
+    return triangles.reduce((acc, [i, j, k]) => {
+        let [a, b, c] = [vertices[i], vertices[j], vertices[k]];
+        return acc + ((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) / 2;
+    }, 0);
+}
+
+describe('#Algorithms.Triangulation', function () {
+    it('Function triangulate defined', function () {
+        expect(triangulate).to.exist;
+        expect(triangulate).to.be.a('function');
+        expect(Flatten.triangulate).to.equal(triangulate);
+    });
+    it('Triangulates rectangle into two counter clockwise triangles', function () {
+        let polygon = new Polygon([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        let triangles = polygon.triangulate();
+        expect(triangles.length).to.equal(2);
+        triangles.forEach(triangle => {
+            expect(triangle).to.be.an.instanceof(Polygon);
+            expect(triangle.edges.size).to.equal(3);
+            expect([...triangle.faces][0].orientation()).to.equal(Flatten.ORIENTATION.CCW);
+        });
+        expect(triangles[0].area() + triangles[1].area()).to.equal(100);
+    });
+    it('Returns indices over polygon vertices', function () {
+        let polygon = new Polygon([point(0, 0), point(0, 10), point(10, 10), point(10, 0)]);
+        let {vertices, triangles} = triangulate(polygon, {indices: true});
+        expect(vertices).to.deep.equal(polygon.vertices);
+        expect(triangles.length).to.equal(2);
+        expect(trianglesArea(vertices, triangles)).to.equal(100);
+    });
+    it('Respects holes', function () {
+        let polygon = new Polygon();
+        polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        polygon.addFace([point(3, 3), point(3, 7), point(7, 7), point(7, 3)]);
+        polygon.addFace([point(8, 1), point(8, 2), point(9, 2), point(9, 1)]);
+        let triangles = polygon.triangulate();
+        expect(triangles.length).to.equal(12 - 2 + 2 * 2);
+        expect(triangles.reduce((acc, triangle) => acc + triangle.area(), 0)).to.be.closeTo(polygon.area(), 1e-10);
+        triangles.forEach(triangle => {
+            let center = point(triangle.vertices.reduce((acc, pt) => acc + pt.x, 0) / 3,
+                triangle.vertices.reduce((acc, pt) => acc + pt.y, 0) / 3);
+            expect(polygon.contains(center)).to.be.true;
+        });
+    });
+    it('Triangulates each island separately, including island inside hole', function () {
+        let polygon = new Polygon();
+        polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        polygon.addFace([point(2, 2), point(2, 8), point(8, 8), point(8, 2)]);
+        polygon.addFace([point(4, 4), point(6, 4), point(6, 6), point(4, 6)]);
+        polygon.addFace([point(20, 0), point(30, 0), point(30, 10)]);
+        let {vertices, triangles} = polygon.triangulate({indices: true});
+        expect(triangles.length).to.equal(8 + 2 + 1);
+        expect(trianglesArea(vertices, triangles)).to.equal(polygon.area());
+    });
+    it('Keeps all edges of the polygon including collinear vertices', function () {
+        let polygon = new Polygon([point(0, 0), point(5, 0), point(10, 0), point(10, 10), point(5, 10), point(0, 10)]);
+        let {vertices, triangles} = polygon.triangulate({indices: true});
+        let edges = new Set();
+        triangles.forEach(t => t.forEach((index, i) => edges.add(index + ',' + t[(i + 1) % 3])));
+        for (let edge of polygon.edges) {
+            let i = vertices.indexOf(edge.start), j = vertices.indexOf(edge.next.start);
+            expect(edges.has(i + ',' + j)).to.be.true;
+        }
+    });
+    it('Result is Delaunay: flips diagonal of thin quadrilateral', function () {
+        let polygon = new Polygon([point(0, 0), point(10, -1), point(20, 0), point(10, 1)]);
+        let {vertices, triangles} = polygon.triangulate({indices: true});
+        let diagonal = triangles[0].filter(index => triangles[1].includes(index)).map(index => vertices[index]);
+        expect(diagonal.every(pt => pt.x === 10)).to.be.true;
+    });
+    it('In robust mode flips diagonal of small thin quadrilateral exactly', function () {
+        let polygon = new Polygon([point(0.01, -0.001), point(0.02, 0), point(0.01, 0.001), point(0, 0)]);
+        let diagonal = () => {
+            let {vertices, triangles} = polygon.triangulate({indices: true});
+            return triangles[0].filter(index => triangles[1].includes(index)).map(index => vertices[index]);
+        };
+        expect(diagonal().every(pt => pt.y === 0)).to.be.true;
+        Flatten.ROBUST = true;
+        try {
+            expect(diagonal().every(pt => pt.x === 0.01)).to.be.true;
+        } finally {
+            Flatten.ROBUST = false;
+        }
+    });
+    it('Does not flip edges of the polygon', function () {
+        let polygon = new Polygon([point(0, 0), point(10, -1), point(20, 0), point(10, 1), point(10, 0.5)]);
+        let triangles = polygon.triangulate();
+        expect(triangles.reduce((acc, triangle) => acc + triangle.area(), 0)).to.be.closeTo(polygon.area(), 1e-10);
+        expect(triangles.length).to.equal(3);
+    });
+    it('Linearizes arcs with given tolerance', function () {
+        let polygon = new Polygon(circle(point(0, 0), 10));
+        let coarse = polygon.triangulate({maxChordHeight: 1});
+        let fine = polygon.triangulate({maxChordHeight: 0.01, indices: true});
+        expect(coarse.length).to.be.below(fine.triangles.length);
+        expect(fine.vertices.length).to.equal(fine.triangles.length + 2);
+        expect(trianglesArea(fine.vertices, fine.triangles)).to.be.closeTo(polygon.area(), 0.02 * 2 * Math.PI * 10);
+    });
+    it('Triangulates result of boolean operation with arc hole', function () {
+        let polygon = Flatten.BooleanOperations.subtract(new Polygon(box(0, 0, 20, 20)), new Polygon(circle(point(10, 10), 5)));
+        let {vertices, triangles} = polygon.triangulate({maxChordHeight: 0.01, indices: true});
+        expect(trianglesArea(vertices, triangles)).to.be.closeTo(polygon.area(), 0.01 * 2 * Math.PI * 5);
+        expect(triangles.length).to.equal(vertices.length);
+    });
+    it('Returns empty array for empty polygon', function () {
+        expect(new Polygon().triangulate()).to.deep.equal([]);
+    });
+});
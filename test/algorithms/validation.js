@@ -0,0 +1,218 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {Polygon} from '../../index';
+import {point, arc, circle} from '../../index';
+import {validate, makeValid, VALIDATION_ERROR} from '../../index';
+
+function errorTypes(report) {
+    return report.errors.map(error => error.type);
+}
+
+describe('#Algorithms.Validation', function () {
+    it('Function validate defined', function () {
+        expect(validate).to.exist;
+        expect(validate).to.be.a('function');
+        expect(Flatten.validate).to.equal(validate);
+        expect(Flatten.VALIDATION_ERROR).to.equal(VALIDATION_ERROR);
+    });
+    it('Throws error when argument is not a polygon', function () {
+        expect(() => validate(circle(point(0, 0), 1))).to.throw(ReferenceError);
+    });
+    it('Valid polygon with hole, island inside hole and arc face', function () {
+        let polygon = new Polygon();
+        polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        polygon.addFace([point(2, 2), point(2, 8), point(8, 8), point(8, 2)]);
+        polygon.addFace([point(4, 4), point(6, 4), point(6, 6), point(4, 6)]);
+        polygon.addFace([arc(point(20, 5), 3, 0, 2 * Math.PI, Flatten.CCW)]);
+        let report = polygon.validate();
+        expect(report.valid).to.be.true;
+        expect(report.errors).to.deep.equal([]);
+        expect(polygon.isValid()).to.be.true;
+    });
+    it('Allows faces touching at a point', function () {
+        let polygon = new Polygon();
+        polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        polygon.addFace([point(10, 10), point(20, 10), point(20, 20), point(10, 20)]);
+        polygon.addFace([point(0, 5), point(5, 8), point(5, 2)]);
+        expect(polygon.validate().errors).to.deep.equal([]);
+    });
+    it('Reports zero-length edge', function () {
+        let polygon = new Polygon([point(0, 0), point(10, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        let report = polygon.validate();
+        expect(report.valid).to.be.false;
+        expect(errorTypes(report)).to.deep.equal([VALIDATION_ERROR.ZERO_LENGTH_EDGE]);
+        let [error] = report.errors;
+        expect(error.faces).to.deep.equal([...polygon.faces]);
+        expect(error.edges.length).to.equal(1);
+        expect(error.edges[0].length).to.equal(0);
+        expect(error.points[0].equalTo(point(10, 0))).to.be.true;
+    });
+    it('Reports duplicate vertex of face touching itself', function () {
+        let polygon = new Polygon([point(0, 0), point(10, 0), point(5, 5), point(10, 10), point(0, 10), point(5, 5)]);
+        let report = polygon.validate();
+        expect(errorTypes(report)).to.deep.equal([VALIDATION_ERROR.DUPLICATE_VERTEX]);
+        let [error] = report.errors;
+        expect(error.edges.length).to.equal(2);
+        error.edges.forEach(edge => expect(edge.start.equalTo(point(5, 5))).to.be.true);
+        expect(error.points[0].equalTo(point(5, 5))).to.be.true;
+    });
+    it('Reports self-intersection point with intersected edges', function () {
+        let polygon = new Polygon([point(0, 0), point(12, 12), point(10, 0), point(0, 10)]);
+        let report = polygon.validate();
+        expect(errorTypes(report)).to.deep.equal([VALIDATION_ERROR.SELF_INTERSECTION]);
+        let [error] = report.errors;
+        expect(error.edges.map(edge => edge.start)).to.deep.equal([point(0, 0), point(10, 0)]);
+        expect(error.points.length).to.equal(1);
+        expect(error.points[0].equalTo(point(5, 5))).to.be.true;
+        expect(polygon.isValid()).to.be.false;
+    });
+    it('Reports edge touching another edge of the same face', function () {
+        let polygon = new Polygon([point(0, 0), point(10, 0), point(10, 10), point(5, 0), point(0, 10)]);
+        let report = polygon.validate();
+        expect(errorTypes(report)).to.include(VALIDATION_ERROR.SELF_INTERSECTION);
+        expect(report.errors[0].points[0].equalTo(point(5, 0))).to.be.true;
+    });
+    it('Reports crossing faces', function () {
+        let polygon = new Polygon();
+        let face1 = polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        let face2 = polygon.addFace([point(5, 5), point(15, 5), point(15, 15), point(5, 15)]);
+        let report = polygon.validate();
+        expect(errorTypes(report)).to.deep.equal([VALIDATION_ERROR.OVERLAPPING_FACES]);
+        let [error] = report.errors;
+        expect(error.faces).to.deep.equal([face1, face2]);
+        expect(error.edges.length).to.equal(4);
+        expect(error.points.length).to.equal(2);
+    });
+    it('Reports faces with common edge', function () {
+        let polygon = new Polygon();
+        polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        polygon.addFace([point(10, 0), point(20, 0), point(20, 10), point(10, 10)]);
+        expect(errorTypes(polygon.validate())).to.deep.equal([VALIDATION_ERROR.OVERLAPPING_FACES]);
+    });
+    it('Reports hole outside shell', function () {
+        let polygon = new Polygon();
+        polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        let hole = polygon.addFace([point(20, 0), point(20, 5), point(25, 5), point(25, 0)]);
+        let report = polygon.validate();
+        expect(errorTypes(report)).to.deep.equal([VALIDATION_ERROR.HOLE_OUTSIDE_SHELL]);
+        expect(report.errors[0].faces).to.deep.equal([hole]);
+    });
+    it('Reports island inside island with its container', function () {
+        let polygon = new Polygon();
+        let island = polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        let inner = polygon.addFace([point(2, 2), point(8, 2), point(8, 8), point(2, 8)]);
+        let report = polygon.validate();
+        expect(errorTypes(report)).to.deep.equal([VALIDATION_ERROR.WRONG_ORIENTATION]);
+        expect(report.errors[0].faces).to.deep.equal([inner, island]);
+    });
+    it('Reports hole inside hole', function () {
+        let polygon = new Polygon();
+        polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        let hole = polygon.addFace([point(1, 1), point(1, 9), point(9, 9), point(9, 1)]);
+        let inner = polygon.addFace([point(3, 3), point(3, 7), point(7, 7), point(7, 3)]);
+        let report = polygon.validate();
+        expect(errorTypes(report)).to.deep.equal([VALIDATION_ERROR.WRONG_ORIENTATION]);
+        expect(report.errors[0].faces).to.deep.equal([inner, hole]);
+    });
+    it('Reports not orientable face', function () {
+        let polygon = new Polygon([point(0, 0), point(10, 0), point(5, 0)]);
+        let report = polygon.validate();
+        expect(errorTypes(report)).to.include(VALIDATION_ERROR.NOT_ORIENTABLE);
+        expect(errorTypes(report)).to.include(VALIDATION_ERROR.SELF_INTERSECTION);
+    });
+    it('Result of boolean operation is valid', function () {
+        let polygon = new Polygon();
+        polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        let subtracted = Flatten.BooleanOperations.subtract(polygon, new Polygon(circle(point(5, 5), 3)));
+        expect(subtracted.validate().valid).to.be.true;
+    });
+    describe('#Algorithms.Validation.makeValid', function () {
+        it('Function makeValid defined', function () {
+            expect(makeValid).to.be.a('function');
+            expect(Flatten.makeValid).to.equal(makeValid);
+            expect(() => makeValid(circle(point(0, 0), 1))).to.throw(ReferenceError);
+        });
+        it('Keeps valid polygon and orients islands counter clockwise', function () {
+            let polygon = new Polygon();
+            polygon.addFace([point(0, 0), point(0, 10), point(10, 10), point(10, 0)]);
+            polygon.addFace([point(2, 2), point(8, 2), point(8, 8), point(2, 8)]);
+            let valid = polygon.makeValid();
+            expect(valid).to.not.equal(polygon);
+            expect(valid.isValid()).to.be.true;
+            expect(valid.area()).to.equal(64);
+            let [island, hole] = [...valid.faces].sort((face1, face2) => face2.area() - face1.area());
+            expect(island.orientation()).to.equal(Flatten.ORIENTATION.CCW);
+            expect(hole.orientation()).to.equal(Flatten.ORIENTATION.CW);
+        });
+        it('Splits bow-tie into two triangles', function () {
+            let polygon = new Polygon([point(0, 0), point(10, 10), point(10, 0), point(0, 10)]);
+            let valid = polygon.makeValid();
+            expect(valid.isValid()).to.be.true;
+            expect(valid.faces.size).to.equal(2);
+            expect(valid.area()).to.equal(50);
+            expect(valid.contains(point(2, 5))).to.be.true;
+            expect(valid.contains(point(5, 2))).to.be.false;
+        });
+        it('Splits face touching itself at vertex and removes zero-length edges and spikes', function () {
+            let touching = new Polygon([point(0, 0), point(10, 0), point(5, 5), point(10, 10), point(0, 10), point(5, 5)]);
+            let valid = touching.makeValid();
+            expect(valid.isValid()).to.be.true;
+            expect(valid.faces.size).to.equal(2);
+
+            let spike = new Polygon([point(0, 0), point(10, 0), point(10, 0), point(15, 0), point(10, 0),
+                point(10, 10), point(0, 10)]);
+            valid = spike.makeValid();
+            expect(valid.isValid()).to.be.true;
+            expect(valid.edges.size).to.equal(4);
+            expect(valid.area()).to.equal(100);
+        });
+        it('Excludes common area of overlapping faces', function () {
+            let polygon = new Polygon();
+            polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+            polygon.addFace([point(5, 5), point(15, 5), point(15, 15), point(5, 15)]);
+            let valid = polygon.makeValid();
+            expect(valid.isValid()).to.be.true;
+            expect(valid.area()).to.equal(150);
+            expect(valid.contains(point(7, 7))).to.be.false;
+        });
+        it('Merges faces with common edge', function () {
+            let polygon = new Polygon();
+            polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+            polygon.addFace([point(10, 0), point(20, 0), point(20, 10), point(10, 10)]);
+            let valid = polygon.makeValid();
+            expect(valid.faces.size).to.equal(1);
+            expect(valid.area()).to.equal(200);
+        });
+        it('Turns island inside island into hole', function () {
+            let polygon = new Polygon();
+            polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+            polygon.addFace([point(2, 2), point(8, 2), point(8, 8), point(2, 8)]);
+            expect(errorTypes(polygon.validate())).to.deep.equal([VALIDATION_ERROR.WRONG_ORIENTATION]);
+            let valid = polygon.makeValid();
+            expect(valid.isValid()).to.be.true;
+            expect(valid.area()).to.equal(64);
+        });
+        it('Keeps arcs of overlapping circles', function () {
+            let polygon = new Polygon();
+            polygon.addFace(circle(point(0, 0), 5));
+            polygon.addFace(circle(point(6, 0), 5));
+            let valid = polygon.makeValid();
+            expect(valid.isValid()).to.be.true;
+            expect([...valid.edges].every(edge => edge.isArc())).to.be.true;
+            let lens = 2 * (25 * Math.acos(0.6) - 3 * 4);
+            expect(valid.area()).to.be.closeTo(2 * Math.PI * 25 - 2 * lens, 1e-6);
+        });
+        it('Returns empty polygon for degenerate face', function () {
+            expect(new Polygon([point(0, 0), point(10, 0), point(5, 0)]).makeValid().isEmpty()).to.be.true;
+        });
+        it('Result can be used in boolean operations', function () {
+            let polygon = new Polygon([point(0, 0), point(10, 10), point(10, 0), point(0, 10)]).makeValid();
+            let res = Flatten.BooleanOperations.unify(polygon, new Polygon([point(4, 0), point(6, 0), point(6, 10), point(4, 10)]));
+            expect(res.isValid()).to.be.true;
+            expect(res.area()).to.be.closeTo(50 + 20 - 2, 1e-10);
+        });
+    });
+});
@@ -185,6 +185,12 @@ describe('#Flatten.Arc', function() {
             let f_arcs = arc.breakToFunctional();
             expect(f_arcs.length).to.equal(4);
         });
+        it('Case 9. Arc starting at angle -PI in the extreme point', function () {
+            let arc = new Arc(new Point(), 1, -Math.PI, Math.PI / 4, false);
+            let f_arcs = arc.breakToFunctional();
+            expect(f_arcs.length).to.equal(2);
+            expect(f_arcs.reduce((acc, f_arc) => acc + f_arc.sweep, 0)).to.be.closeTo(3 * Math.PI / 4, 1e-10);
+        });
     });
     describe('#Flatten.Arc.intersect', function() {
         it('Intersect arc with segment', function() {
@@ -335,4 +341,57 @@ describe('#Flatten.Arc', function() {
         expect(svg.search("id")).to.not.equal(-1);
         expect(svg.search("class")).to.not.equal(-1);
     })
+    describe('#Flatten.Arc.pointAtLength', function() {
+        it('Method pointAtLength returns point at the given length from start', function() {
+            let arc = new Arc(point(), 2, 0, Math.PI, Flatten.CCW);
+            expect(arc.pointAtLength(Math.PI).equalTo(point(0, 2))).to.be.true;
+            expect(arc.pointAtLength(0).equalTo(arc.start)).to.be.true;
+            expect(arc.pointAtLength(2 * Math.PI).equalTo(arc.end)).to.be.true;
+            expect(arc.pointAtLength(2 * Math.PI + 1)).to.be.null;
+            expect(arc.pointAtLength(-1)).to.be.null;
+        });
+        it('Tangent, normal and curvature of counterclockwise arc', function() {
+            let arc = new Arc(point(), 2, 0, Math.PI, Flatten.CCW);
+            expect(arc.tangentAt(Math.PI).equalTo(vector(-1, 0))).to.be.true;
+            expect(arc.normalAt(Math.PI).equalTo(vector(0, -1))).to.be.true;
+            expect(arc.curvatureAt(1)).to.equal(0.5);
+        });
+        it('Tangent, normal and curvature of clockwise arc', function() {
+            let arc = new Arc(point(), 2, Math.PI / 2, 0, Flatten.CW);
+            expect(arc.pointAtLength(Math.PI / 2).equalTo(point(Math.sqrt(2), Math.sqrt(2)))).to.be.true;
+            expect(arc.tangentAt(0).equalTo(vector(1, 0))).to.be.true;
+            expect(arc.normalAt(0).equalTo(vector(0, 1))).to.be.true;
+            expect(arc.curvatureAt(1)).to.equal(-0.5);
+        });
+    });
+    describe('#Flatten.Arc.toSegments', function() {
+        it('Method toSegments keeps chord height within maxChordHeight', function() {
+            let arc = new Arc(point(), 10, 0, Math.PI / 2, Flatten.CCW);
+            let segments = arc.toSegments({maxChordHeight: 0.01});
+            expect(segments[0].start.equalTo(arc.start)).to.be.true;
+            expect(segments[segments.length - 1].end.equalTo(arc.end)).to.be.true;
+            for (let segment of segments) {
+                expect(segment.middle().distanceTo(point())[0]).to.be.at.least(10 - 0.01);
+                expect(arc.contains(segment.end)).to.be.true;
+            }
+            expect(arc.toSegments({maxChordHeight: 0.1}).length).to.be.lessThan(segments.length);
+        });
+        it('Method toSegments follows orientation of the arc', function() {
+            let arc = new Arc(point(), 1, Math.PI / 2, 0, Flatten.CW);
+            let segments = arc.toSegments({maxSegments: 2});
+            expect(segments.length).to.equal(2);
+            expect(segments[0].end.equalTo(point(Math.SQRT1_2, Math.SQRT1_2))).to.be.true;
+        });
+        it('Number of segments may be limited by maxSegments', function() {
+            let arc = new Arc(point(), 10, 0, Math.PI, Flatten.CCW);
+            expect(arc.toSegments({maxChordHeight: 0.001, maxSegments: 5}).length).to.equal(5);
+            expect(arc.toSegments({maxChordHeight: 1, maxSegments: 1000}).length).to.equal(arc.toSegments({maxChordHeight: 1}).length);
+            expect(circle(point(), 10).toArc().toSegments({maxSegments: 1}).length).to.equal(3);
+        });
+        it('Method toSegments throws error on illegal options', function() {
+            let arc = new Arc(point(), 10, 0, Math.PI, Flatten.CCW);
+            expect(() => arc.toSegments({maxChordHeight: 0})).to.throw(ReferenceError);
+            expect(() => arc.toSegments({maxSegments: 0})).to.throw(ReferenceError);
+        });
+    });
 });
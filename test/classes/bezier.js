@@ -0,0 +1,159 @@
+'use strict';
+
+import { expect } from 'chai';
+import Flatten from '../../index';
+
+import {Point, Bezier, Polygon} from '../../index';
+import {point, segment, arc, circle, line, bezier} from '../../index';
+
+describe('#Flatten.Bezier', function() {
+    it('May create new instance of quadratic and cubic Bezier', function () {
+        let q = new Bezier(point(0,0), point(5,10), point(10,0));
+        let c = bezier([point(0,0), point(0,10), point(10,10), point(10,0)]);
+        expect(q).to.be.an.instanceof(Bezier);
+        expect(q.degree).to.equal(2);
+        expect(c.degree).to.equal(3);
+        expect(c.start).to.deep.equal({x: 0, y: 0});
+        expect(c.end).to.deep.equal({x: 10, y: 0});
+    });
+    it('Constructor throws error if number of control points is illegal', function () {
+        expect(() => new Bezier(point(0,0), point(10,0))).to.throw(ReferenceError);
+    });
+    it('May be restored from json', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        let json = JSON.parse(JSON.stringify(c));
+        expect(json.name).to.equal("bezier");
+        expect(new Bezier(json).equalTo(c)).to.be.true;
+    });
+    it('Method box returns tight bounding box of the curve', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        expect(c.box.equal_to(new Flatten.Box(0, 0, 10, 7.5))).to.be.true;
+    });
+    it('Method length returns length of the curve', function () {
+        let q = bezier(point(0,0), point(5,10), point(10,0));
+        // analytic length of the parabola y = 2x - x^2/5 on [0,10]
+        let expected = Math.sqrt(5) * 5 + 2.5 * Math.asinh(2);
+        expect(Flatten.Utils.EQ(q.length, expected)).to.be.true;
+        let s = bezier(point(0,0), point(1,1), point(2,2), point(3,3));
+        expect(Flatten.Utils.EQ(s.length, 3 * Math.SQRT2)).to.be.true;
+    });
+    it('Method middle returns point at parameter 0.5', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        expect(c.middle().equalTo(point(5,7.5))).to.be.true;
+    });
+    it('Method split returns two curves that meet in the split point', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        let pt = c.pointAtParameter(0.3);
+        let [c1, c2] = c.split(pt);
+        expect(c1.end).to.deep.equal(pt);
+        expect(c2.start).to.deep.equal(pt);
+        expect(Flatten.Utils.EQ(c1.length + c2.length, c.length)).to.be.true;
+        expect(c1.contains(c.pointAtParameter(0.1))).to.be.true;
+        expect(c2.contains(c.pointAtParameter(0.9))).to.be.true;
+    });
+    it('Method split returns null for the empty part when split point is an end point', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        expect(c.split(c.start)[0]).to.be.null;
+        expect(c.split(c.end)[1]).to.be.null;
+    });
+    it('Method contains returns true for points on the curve only', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        expect(c.contains(point(5,7.5))).to.be.true;
+        expect(c.contains(point(5,7))).to.be.false;
+    });
+    it('Method intersect calculates intersections with line, segment, circle and arc', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        let ip = c.intersect(line(point(0,5), point(10,5)));
+        expect(ip.length).to.equal(2);
+        ip.forEach(pt => expect(c.contains(pt)).to.be.true);
+        expect(c.intersect(segment(point(-1,7.5), point(11,7.5))).length).to.equal(1);
+        expect(c.intersect(circle(point(5,0), 5)).length).to.equal(2);
+        expect(c.intersect(arc(point(5,7.5), 1, 0, Math.PI, true)).length).to.equal(0);
+        expect(c.intersect(arc(point(5,7.5), 1, Math.PI, 0, true)).length).to.equal(2);
+    });
+    it('Method intersect calculates intersections with other Bezier', function () {
+        let c1 = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        let c2 = bezier(point(0,10), point(0,0), point(10,0), point(10,10));
+        let ip = c1.intersect(c2);
+        expect(ip.length).to.equal(2);
+        ip.forEach(pt => expect(Flatten.Utils.EQ(pt.y, 5)).to.be.true);
+    });
+    it('Method distanceTo calculates distance to point, segment and other Bezier', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        let [dist, shortest] = c.distanceTo(point(5,10));
+        expect(Flatten.Utils.EQ(dist, 2.5)).to.be.true;
+        expect(shortest.start.equalTo(point(5,7.5))).to.be.true;
+        expect(Flatten.Utils.EQ(segment(point(0,9), point(10,9)).distanceTo(c)[0], 1.5)).to.be.true;
+        let mirrored = bezier(point(0,-10), point(0,-20), point(10,-20), point(10,-10));
+        expect(Flatten.Utils.EQ(c.distanceTo(mirrored)[0], 10)).to.be.true;
+    });
+    it('Method definiteIntegral makes area of face calculated exactly', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        let polygon = new Polygon([c, segment(point(10,0), point(0,0))]);
+        expect(Flatten.Utils.EQ(polygon.area(), 60)).to.be.true;
+    });
+    it('Polygon with Bezier edge supports point inclusion test', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        let polygon = new Polygon([c, segment(point(10,0), point(0,0))]);
+        expect(polygon.contains(point(5,5))).to.be.true;
+        expect(polygon.contains(point(5,7.5))).to.be.true;
+        expect(polygon.contains(point(5,8))).to.be.false;
+        expect(polygon.contains(point(-1,5))).to.be.false;
+    });
+    it('Point inclusion test tells touching in the top point from crossing in the inflection point', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        let polygon = new Polygon([c, segment(point(10,0), point(0,0))]);
+        expect(polygon.contains(point(-1,7.5))).to.be.false;
+        let s = bezier(point(0,0), point(10/3,10), point(20/3,0), point(10,10));
+        let flat = new Polygon([s, segment(point(10,10), point(0,10)), segment(point(0,10), point(0,0))]);
+        expect(flat.contains(point(2,5))).to.be.true;
+        expect(flat.contains(point(7,5))).to.be.false;
+    });
+    it('Polygon with Bezier edge supports boolean operations', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        let polygon = new Polygon([c, segment(point(10,0), point(0,0))]);
+        let square = new Polygon([point(5,5), point(15,5), point(15,-5), point(5,-5)]);
+        let intersection = Flatten.BooleanOperations.intersect(polygon, square);
+        let union = Flatten.BooleanOperations.unify(polygon, square);
+        let difference = Flatten.BooleanOperations.subtract(polygon, square);
+        expect(Flatten.Utils.EQ(union.area(), 160 - intersection.area())).to.be.true;
+        expect(Flatten.Utils.EQ(difference.area(), 60 - intersection.area())).to.be.true;
+        expect([...intersection.edges].some(edge => edge.isBezier())).to.be.true;
+    });
+    it('Method svg returns path with curve command', function () {
+        let q = bezier(point(0,0), point(5,10), point(10,0));
+        expect(q.svg().search("Q5,10 10,0")).to.not.equal(-1);
+    });
+    it('Method pointAtLength returns points equally spaced along the curve', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        let length = c.length;
+        expect(c.pointAtLength(length / 2).equalTo(point(5, 7.5))).to.be.true;
+        expect(c.pointAtLength(0).equalTo(c.start)).to.be.true;
+        expect(c.pointAtLength(length).equalTo(c.end)).to.be.true;
+        expect(c.pointAtLength(length + 1)).to.be.null;
+        let t = c.parameterAtLength(length / 4);
+        let first = c.splitAtParameter(t)[0];
+        expect(first.length).to.be.closeTo(length / 4, 1e-6);
+    });
+    it('Tangent, normal and curvature of the curve at the given length', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        let length = c.length;
+        expect(c.tangentAt(0).equalTo(new Flatten.Vector(0, 1))).to.be.true;
+        expect(c.tangentAt(length / 2).equalTo(new Flatten.Vector(1, 0))).to.be.true;
+        expect(c.normalAt(length / 2).equalTo(new Flatten.Vector(0, 1))).to.be.true;
+        expect(c.curvatureAt(length / 2)).to.be.closeTo(-4 / 15, 1e-9);
+        let q = bezier(point(0,0), point(0,0), point(10,10));
+        expect(q.tangentAt(0).equalTo(new Flatten.Vector(1, 1).normalize())).to.be.true;
+    });
+    it('Method toSegments keeps deviation within maxChordHeight and respects maxSegments', function () {
+        let c = bezier(point(0,0), point(0,10), point(10,10), point(10,0));
+        let segments = c.toSegments({maxChordHeight: 0.01});
+        expect(segments[0].start.equalTo(c.start)).to.be.true;
+        expect(segments[segments.length - 1].end.equalTo(c.end)).to.be.true;
+        for (let s of segments) {
+            expect(s.middle().distanceTo(c)[0]).to.be.at.most(0.01);
+        }
+        expect(c.toSegments({maxChordHeight: 1e-6, maxSegments: 4}).length).to.equal(4);
+        expect(() => c.toSegments({maxChordHeight: 0})).to.throw(ReferenceError);
+    });
+});
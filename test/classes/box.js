@@ -18,6 +18,13 @@ describe('#Flatten.Box', function() {
         let box2 = new Box(-3, -3, 2, 2);
         expect(box1.intersect(box2)).to.equal(true);
     });
+    it('Boxes separated by gap within tolerance are intersected', function () {
+        let noise = Math.sin(Math.PI);
+        let box1 = new Box(0, noise, 10, noise);
+        let box2 = new Box(1, 0, 11, 0);
+        expect(box1.intersect(box2)).to.equal(true);
+        expect(new Box(0, 0, 1, 1).not_intersect(new Box(0, 1.1, 1, 2))).to.equal(true);
+    });
     it('Method expand expands current box with other', function () {
         let box1 = new Box(1, 1, 3, 3);
         let box2 = new Box(-3, -3, 2, 2);
@@ -234,5 +234,15 @@ describe('#Flatten.Circle', function() {
         expect(svg.search("id")).to.not.equal(-1);
         expect(svg.search("class")).to.not.equal(-1);
     })
+    it('Method toPolygon returns counterclockwise polygon inscribed into circle', function() {
+        let polygon = circle(point(1, 1), 10).toPolygon({maxSegments: 4});
+        expect(polygon.faces.size).to.equal(1);
+        expect(polygon.edges.size).to.equal(4);
+        expect([...polygon.faces][0].orientation()).to.equal(Flatten.ORIENTATION.CCW);
+        expect(polygon.area()).to.be.closeTo(200, 1e-9);
+        let fine = circle(point(1, 1), 10).toPolygon({maxChordHeight: 0.001});
+        expect(fine.area()).to.be.closeTo(100 * Math.PI, 0.1);
+        expect(fine.isValid()).to.be.true;
+    });
 });
 
@@ -0,0 +1,125 @@
+'use strict';
+
+import { expect } from 'chai';
+import Flatten from '../../index';
+
+import {Ellipse, EllipticalArc, Circle, Polygon} from '../../index';
+import {point, segment, arc, circle, line, ellipse, matrix} from '../../index';
+
+describe('#Flatten.Ellipse', function() {
+    it('May create new instance of Ellipse', function () {
+        let e = new Ellipse(point(1,1), 4, 2, Math.PI/6);
+        expect(e).to.be.an.instanceof(Ellipse);
+        expect(e.center).to.deep.equal({x: 1, y: 1});
+        expect(e.rx).to.equal(4);
+        expect(e.ry).to.equal(2);
+        expect(e.angle).to.equal(Math.PI/6);
+    });
+    it('May be restored from json', function () {
+        let e = ellipse(point(1,1), 4, 2, Math.PI/6);
+        let json = JSON.parse(JSON.stringify(e));
+        expect(json.name).to.equal("ellipse");
+        expect(new Ellipse(json)).to.deep.equal(e);
+    });
+    it('Method box returns bounding box of rotated ellipse', function () {
+        let e = ellipse(point(0,0), 2, 1, Math.PI/2);
+        let box = e.box;
+        expect(Flatten.Utils.EQ(box.xmin, -1)).to.be.true;
+        expect(Flatten.Utils.EQ(box.xmax, 1)).to.be.true;
+        expect(Flatten.Utils.EQ(box.ymin, -2)).to.be.true;
+        expect(Flatten.Utils.EQ(box.ymax, 2)).to.be.true;
+    });
+    it('Method pointAtAngle returns point of the ellipse and angleOf returns its parametric angle', function () {
+        let e = ellipse(point(1,1), 4, 2, Math.PI/6);
+        let pt = e.pointAtAngle(2);
+        expect(Flatten.Utils.EQ(e.angleOf(pt), 2)).to.be.true;
+    });
+    it('Method contains returns true for point inside or on the boundary', function () {
+        let e = ellipse(point(0,0), 4, 2);
+        expect(e.contains(point(3,1))).to.be.true;
+        expect(e.contains(point(4,0))).to.be.true;
+        expect(e.contains(point(3,2))).to.be.false;
+        expect(e.contains(segment(point(-3,0), point(3,1)))).to.be.true;
+    });
+    it('Method contains supports box, polygon and multiline and throws error on unbounded shapes', function () {
+        let e = ellipse(point(0,0), 4, 2);
+        expect(e.contains(new Flatten.Box(-2, -1, 2, 1))).to.be.true;
+        expect(e.contains(new Flatten.Box(-3, -1.5, 3, 1.5))).to.be.false;
+        expect(e.contains(new Polygon([point(-2,-1), point(2,-1), point(2,1), point(-2,1)]))).to.be.true;
+        expect(e.contains(new Polygon(circle(point(0,0), 1)))).to.be.true;
+        expect(e.contains(new Polygon(circle(point(0,0), 3)))).to.be.false;
+        expect(e.contains(new Flatten.Multiline([segment(0, 0, 1, 1), segment(1, 1, 5, 0)]))).to.be.false;
+        expect(() => e.contains(line(point(0,0), point(1,1)))).to.throw(ReferenceError);
+    });
+    it('Method intersect calculates intersections with line and tangent line', function () {
+        let e = ellipse(point(0,0), 4, 2);
+        let ip = e.intersect(line(point(0,1), point(1,1)));
+        expect(ip.length).to.equal(2);
+        expect(ip.every(pt => Flatten.Utils.EQ(Math.abs(pt.x), Math.sqrt(12)))).to.be.true;
+        expect(e.intersect(line(point(0,2), point(1,2))).length).to.equal(1);
+        expect(e.intersect(line(point(0,3), point(1,3))).length).to.equal(0);
+    });
+    it('Method intersect calculates intersections with segment, circle and arc', function () {
+        let e = ellipse(point(0,0), 4, 2);
+        expect(e.intersect(segment(point(0,0), point(10,0)))).to.deep.equal([point(4,0)]);
+        let ip = e.intersect(circle(point(0,0), 3));
+        expect(ip.length).to.equal(4);
+        ip.forEach(pt => expect(Flatten.Utils.EQ(pt.distanceTo(point(0,0))[0], 3)).to.be.true);
+        expect(e.intersect(arc(point(0,0), 3, 0, Math.PI, Flatten.CCW)).length).to.equal(2);
+    });
+    it('Method intersect calculates intersections with other ellipse', function () {
+        let e1 = ellipse(point(0,0), 4, 2);
+        let e2 = ellipse(point(0,0), 4, 2, Math.PI/2);
+        let ip = e1.intersect(e2);
+        expect(ip.length).to.equal(4);
+        ip.forEach(pt => expect(Flatten.Utils.EQ(Math.abs(pt.x), Math.abs(pt.y))).to.be.true);
+    });
+    it('Method distanceTo calculates distance to point, line, segment, circle and arc', function () {
+        let e = ellipse(point(0,0), 4, 2);
+        let [dist, shortest_segment] = e.distanceTo(point(0,5));
+        expect(Flatten.Utils.EQ(dist, 3)).to.be.true;
+        expect(shortest_segment.start.equalTo(point(0,2))).to.be.true;
+        expect(Flatten.Utils.EQ(e.distanceTo(line(point(0,5), point(1,5)))[0], 3)).to.be.true;
+        expect(Flatten.Utils.EQ(e.distanceTo(segment(point(5,-1), point(5,1)))[0], 1)).to.be.true;
+        expect(Flatten.Utils.EQ(e.distanceTo(circle(point(10,0), 1))[0], 5)).to.be.true;
+        expect(Flatten.Utils.EQ(circle(point(0,0), 1).distanceTo(e)[0], 1)).to.be.true;
+        expect(Flatten.Utils.EQ(e.distanceTo(arc(point(0,0), 6, 0, Math.PI, Flatten.CCW))[0], 2)).to.be.true;
+    });
+    it('Method distanceTo calculates distance to other ellipse', function () {
+        let e1 = ellipse(point(0,0), 4, 2);
+        let e2 = ellipse(point(10,0), 2, 1);
+        let [dist, shortest_segment] = e1.distanceTo(e2);
+        expect(Flatten.Utils.EQ(dist, 4)).to.be.true;
+        expect(shortest_segment.start.equalTo(point(4,0))).to.be.true;
+        expect(shortest_segment.end.equalTo(point(8,0))).to.be.true;
+    });
+    it('Method transform keeps ellipse under similarity and maps axes under affine transformation', function () {
+        let e = ellipse(point(0,0), 4, 2);
+        let m = matrix().rotate(Math.PI/4).scale(3,1);
+        let et = e.transform(m);
+        expect(Flatten.Utils.EQ(et.rx, 12)).to.be.true;
+        expect(Flatten.Utils.EQ(et.ry, 2)).to.be.true;
+        for (let angle of [0, 1, 2, 3, 4, 5]) {
+            expect(et.intersect(e.pointAtAngle(angle).transform(m)).length).to.equal(1);
+        }
+    });
+    it('Non-uniform scaling of the circle returns ellipse, similarity returns circle', function () {
+        let c = circle(point(1,1), 2);
+        let e = c.transform(matrix().scale(2,1));
+        expect(e).to.be.an.instanceof(Ellipse);
+        expect(e.center).to.deep.equal({x: 2, y: 1});
+        expect(Flatten.Utils.EQ(e.rx, 4)).to.be.true;
+        expect(Flatten.Utils.EQ(e.ry, 2)).to.be.true;
+        let c1 = c.transform(matrix().rotate(1).scale(3,3));
+        expect(c1).to.be.an.instanceof(Circle);
+        expect(Flatten.Utils.EQ(c1.r, 6)).to.be.true;
+    });
+    it('Non-uniform scaling of the polygon with arcs throws error', function () {
+        let polygon = new Polygon(circle(point(0,0), 1));
+        expect(() => polygon.transform(matrix().scale(2,1))).to.throw(ReferenceError);
+    });
+    it('Method svg returns ellipse element', function () {
+        let e = ellipse(point(1,1), 4, 2);
+        expect(e.svg().search('<ellipse cx="1" cy="1" rx="4" ry="2"')).to.not.equal(-1);
+    });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+import { expect } from 'chai';
+import Flatten from '../../index';
+
+import {EllipticalArc} from '../../index';
+import {point, vector, segment, arc, circle, line, ellipse, ellipticalArc, matrix} from '../../index';
+
+describe('#Flatten.EllipticalArc', function() {
+    it('May create new instance of EllipticalArc', function () {
+        let a = new EllipticalArc(point(0,0), 4, 2, 0, 0, Math.PI, Flatten.CCW);
+        expect(a).to.be.an.instanceof(EllipticalArc);
+        expect(a.start.equalTo(point(4,0))).to.be.true;
+        expect(a.end.equalTo(point(-4,0))).to.be.true;
+        expect(a.middle().equalTo(point(0,2))).to.be.true;
+        expect(a.sweep).to.equal(Math.PI);
+    });
+    it('May be restored from json', function () {
+        let a = ellipticalArc(point(1,1), 4, 2, Math.PI/6, 1, 3, Flatten.CW);
+        let json = JSON.parse(JSON.stringify(a));
+        expect(json.name).to.equal("ellipticalArc");
+        expect(new EllipticalArc(json)).to.deep.equal(a);
+    });
+    it('Method box returns bounding box of the arc', function () {
+        let a = ellipticalArc(point(0,0), 4, 2, 0, 0, Math.PI, Flatten.CCW);
+        let box = a.box;
+        expect(Flatten.Utils.EQ(box.xmin, -4)).to.be.true;
+        expect(Flatten.Utils.EQ(box.ymin, 0)).to.be.true;
+        expect(Flatten.Utils.EQ(box.xmax, 4)).to.be.true;
+        expect(Flatten.Utils.EQ(box.ymax, 2)).to.be.true;
+    });
+    it('Method length returns length of the arc', function () {
+        let a = ellipticalArc(point(0,0), 3, 3, 0, 0, Math.PI/2, Flatten.CW);
+        expect(Flatten.Utils.EQ(a.length, 3 * 3 * Math.PI/2)).to.be.true;
+        let e = ellipse(point(0,0), 4, 2);
+        expect(Math.abs(e.toArc().length - 19.3768964411) < 1e-8).to.be.true;
+    });
+    it('Methods pointAtLength, tangentAt and curvatureAt follow arc length', function () {
+        let a = ellipticalArc(point(0,0), 4, 2, 0, 0, Math.PI, Flatten.CCW);
+        let half = a.length / 2;
+        expect(a.pointAtLength(0).equalTo(point(4,0))).to.be.true;
+        expect(a.pointAtLength(half).equalTo(point(0,2))).to.be.true;
+        expect(a.pointAtLength(a.length).equalTo(point(-4,0))).to.be.true;
+        expect(a.pointAtLength(a.length + 1)).to.be.null;
+        expect(a.tangentAt(half).equalTo(vector(-1,0))).to.be.true;
+        expect(a.normalAt(half).equalTo(vector(0,-1))).to.be.true;
+        expect(a.curvatureAt(half)).to.be.closeTo(2 / 16, 1e-10);       // ry / rx^2 at the end of minor axis
+        expect(a.curvatureAt(0)).to.be.closeTo(4 / 4, 1e-10);          // rx / ry^2 at the end of major axis
+        let cw = a.reverse();
+        expect(cw.pointAtLength(half).equalTo(point(0,2))).to.be.true;
+        expect(cw.tangentAt(half).equalTo(vector(1,0))).to.be.true;
+        expect(cw.curvatureAt(half)).to.be.closeTo(-2 / 16, 1e-10);
+        let quarter = a.pointAtLength(a.length / 4);
+        expect(a.split(quarter)[0].length).to.be.closeTo(a.length / 4, 1e-9);
+    });
+    it('Method toSegments keeps chord height within maxChordHeight', function () {
+        let a = ellipticalArc(point(0,0), 4, 2, Math.PI/6, 0, 3, Flatten.CW);
+        let segments = a.toSegments({maxChordHeight: 0.01});
+        expect(segments[0].start.equalTo(a.start)).to.be.true;
+        expect(segments[segments.length - 1].end.equalTo(a.end)).to.be.true;
+        for (let s of segments) {
+            expect(s.middle().distanceTo(a)[0]).to.be.at.most(0.01);
+        }
+        expect(a.toSegments({maxSegments: 5}).length).to.equal(5);
+        expect(() => a.toSegments({maxChordHeight: 0})).to.throw(ReferenceError);
+        expect(() => a.toSegments({maxSegments: 0})).to.throw(ReferenceError);
+    });
+    it('Edge methods work with elliptical arc edge', function () {
+        let edge = new Flatten.Edge(ellipticalArc(point(0,0), 4, 2, 0, 0, Math.PI, Flatten.CCW));
+        expect(edge.pointAtLength(edge.length / 2).equalTo(point(0,2))).to.be.true;
+        expect(edge.tangentAt(0).equalTo(vector(0,1))).to.be.true;
+    });
+    it('Method contains returns true only for points inside angular range of the arc', function () {
+        let a = ellipticalArc(point(0,0), 4, 2, 0, 0, Math.PI, Flatten.CCW);
+        expect(a.contains(point(0,2))).to.be.true;
+        expect(a.contains(point(0,-2))).to.be.false;
+        expect(a.reverse().contains(point(0,2))).to.be.true;
+        expect(a.contains(point(0,1))).to.be.false;
+    });
+    it('Method split returns two arcs that meet in the split point', function () {
+        let a = ellipticalArc(point(0,0), 4, 2, 0, 0, Math.PI, Flatten.CCW);
+        let [a1, a2] = a.split(point(0,2));
+        expect(a1.end.equalTo(point(0,2))).to.be.true;
+        expect(a2.start.equalTo(point(0,2))).to.be.true;
+        expect(Flatten.Utils.EQ(a1.length + a2.length, a.length)).to.be.true;
+    });
+    it('Method intersect returns only intersection points which belong to the arc', function () {
+        let a = ellipticalArc(point(0,0), 4, 2, 0, 0, Math.PI, Flatten.CCW);
+        expect(a.intersect(line(point(0,1), point(1,1))).length).to.equal(2);
+        expect(a.intersect(line(point(0,-1), point(1,-1))).length).to.equal(0);
+        expect(a.intersect(circle(point(0,0), 3)).length).to.equal(2);
+        expect(a.intersect(segment(point(0,-3), point(0,3)))).to.deep.equal([a.pointAtAngle(Math.PI/2)]);
+    });
+    it('Method distanceTo takes into account end points of the arc', function () {
+        let a = ellipticalArc(point(0,0), 4, 2, 0, 0, Math.PI, Flatten.CCW);
+        expect(Flatten.Utils.EQ(a.distanceTo(point(0,-5))[0], Math.sqrt(41))).to.be.true;
+        expect(Flatten.Utils.EQ(a.distanceTo(line(point(0,-5), point(1,-5)))[0], 5)).to.be.true;
+    });
+    it('Non-uniform scaling of circular arc returns elliptical arc', function () {
+        let a = arc(point(0,0), 1, 0, Math.PI/2, Flatten.CCW);
+        let e = a.transform(matrix().scale(2,1));
+        expect(e).to.be.an.instanceof(EllipticalArc);
+        expect(e.start.equalTo(point(2,0))).to.be.true;
+        expect(e.end.equalTo(point(0,1))).to.be.true;
+        expect(e.counterClockwise).to.equal(Flatten.CCW);
+    });
+    it('Reflection reverses direction of transformed elliptical arc', function () {
+        let a = arc(point(0,0), 1, 0, Math.PI/2, Flatten.CCW);
+        let e = a.transform(matrix().scale(-2,1));
+        expect(e.start.equalTo(point(-2,0))).to.be.true;
+        expect(e.end.equalTo(point(0,1))).to.be.true;
+        expect(e.middle().equalTo(point(-Math.SQRT2, Math.SQRT1_2))).to.be.true;
+    });
+    it('Method svg returns path with elliptical arc command', function () {
+        let a = ellipticalArc(point(0,0), 4, 2, 0, 0, Math.PI/2, Flatten.CCW);
+        expect(a.svg().search("A4,2 0 0,1")).to.not.equal(-1);
+    });
+});
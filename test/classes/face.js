@@ -166,4 +166,37 @@ describe('#Flatten.Face', function() {
 
         expect(svg.length).not.to.equal(0);
     });
+    it('Perimeter of the face is a sum of the lengths of the edges', function() {
+        let polygon = new Polygon([point(0,0), point(10,0), point(10,10), point(0,10)]);
+        let face = [...polygon.faces][0];
+        expect(face.perimeter).to.equal(40);
+        expect(new Polygon(circle(point(0,0), 1)).faces.values().next().value.perimeter).to.equal(2 * Math.PI);
+    });
+    it('Methods pointAtLength, tangentAt, normalAt and curvatureAt use arc length of the edges', function() {
+        let polygon = new Polygon([point(0,0), point(10,0), point(10,10), point(0,10)]);
+        let face = [...polygon.faces][0];
+        expect(face.pointAtLength(15).equalTo(point(10,5))).to.be.true;
+        expect(face.pointAtLength(40).equalTo(point(0,0))).to.be.true;
+        expect(face.pointAtLength(41)).to.be.null;
+        expect(face.pointAtLength(-1)).to.be.null;
+        expect(face.tangentAt(10).equalTo(vector(0,1))).to.be.true;   // tangent of the next edge in vertex
+        expect(face.normalAt(15).equalTo(vector(-1,0))).to.be.true;
+        expect(face.curvatureAt(15)).to.equal(0);
+        let round = new Polygon([segment(0,0,10,0), arc(point(10,5), 5, -Math.PI/2, Math.PI/2, true), segment(10,10,0,10), segment(0,10,0,0)]);
+        let roundFace = [...round.faces][0];
+        expect(roundFace.pointAtLength(10 + 2.5 * Math.PI).equalTo(point(15,5))).to.be.true;
+        expect(roundFace.curvatureAt(12)).to.equal(0.2);
+    });
+    it('Perimeter and point at length stay valid after edge was split by addVertex', function() {
+        let polygon = new Polygon([point(0,0), point(4,0), point(4,4), point(0,4)]);
+        let face = [...polygon.faces][0];
+        polygon.addVertex(point(4,1), face.first.next);
+        expect(face.size).to.equal(5);
+        expect(face.perimeter).to.equal(16);
+        expect(face.pointAtLength(3).equalTo(point(3,0))).to.be.true;
+        expect(face.pointAtLength(6).equalTo(point(4,2))).to.be.true;
+        expect(face.pointAtLength(10).equalTo(point(2,4))).to.be.true;
+        expect(face.pointAtLength(16).equalTo(point(0,0))).to.be.true;
+        expect(face.tangentAt(5).equalTo(vector(0,1))).to.be.true;
+    });
 });
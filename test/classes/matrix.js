@@ -73,4 +73,9 @@ describe('#Flatten.Matrix', function() {
         let vector = [1,1];
         expect(m.transform(vector)).to.deep.equal([5,10])
     });
+    it('Method isSimilarity returns true only for transformation that keeps shape', function () {
+        expect(matrix().rotate(1).scale(3,3).translate(5,5).isSimilarity()).to.be.true;
+        expect(matrix().scale(-2,2).isSimilarity()).to.be.true;
+        expect(matrix().rotate(1).scale(3,1).isSimilarity()).to.be.false;
+    });
 });
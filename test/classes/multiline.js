@@ -3,7 +3,7 @@ import { expect } from 'chai';
 import Flatten from '../../index';
 
 import {Point, Vector, Circle, Line, Segment, Arc, Box, Polygon, Edge, Face, PlanarSet} from '../../index';
-import {point, vector, circle, line, segment, arc} from '../../index';
+import {point, vector, circle, line, segment, arc, ray, box} from '../../index';
 
 describe('#Flatten.Multiline', function() {
     "use strict";
@@ -187,5 +187,103 @@ describe('#Flatten.Multiline', function() {
 
         expect(str).not.to.be.empty;
 
-    })
+    });
+    describe('#Flatten.Multiline as a shape', function() {
+        let ml = new Flatten.Multiline([
+            segment(-5, 5, 5, 5),
+            segment(5, 5, 5, 15),
+            arc(point(5, 20), 5, -Math.PI / 2, Math.PI / 2, true)
+        ]);
+        let square = new Polygon(box(0, 0, 10, 10));
+        it('May calculate length of multiline', function() {
+            expect(ml.length).to.be.closeTo(20 + 5 * Math.PI, 1e-9);
+            expect(new Flatten.Multiline([ray(point(0, 0), vector(0, 1))]).length).to.equal(Number.POSITIVE_INFINITY);
+        });
+        it('Method contains returns true if point belongs to multiline', function() {
+            expect(ml.contains(point(5, 10))).to.be.true;
+            expect(ml.contains(point(10, 20))).to.be.true;
+            expect(ml.contains(point(6, 10))).to.be.false;
+        });
+        it('Method reverse returns multiline of reversed edges in reversed order', function() {
+            let reversed = ml.reverse();
+            expect(reversed.size).to.equal(3);
+            expect(reversed.first.start.equalTo(point(5, 25))).to.be.true;
+            expect(reversed.last.shape.equalTo(segment(5, 5, -5, 5))).to.be.true;
+            expect(reversed.length).to.be.closeTo(ml.length, 1e-9);
+        });
+        it('Method reverse throws error on multiline with ray or line', function() {
+            expect(() => new Flatten.Multiline([ray(point(0, 0), vector(0, 1))]).reverse()).to.throw(ReferenceError);
+        });
+        it('Method intersect returns points shared with polygon or other multiline', function() {
+            let ip = ml.intersect(square);
+            expect(ip.length).to.equal(2);
+            expect(ip[0].equalTo(point(0, 5))).to.be.true;
+            expect(ip[1].equalTo(point(5, 10))).to.be.true;
+            expect(square.intersect(ml).length).to.equal(2);
+            let other = new Flatten.Multiline([segment(0, 0, 10, 10), segment(10, 10, 0, 20)]);
+            expect(ml.intersect(other).length).to.equal(2);
+        });
+        it('Method distanceTo calculates distance and shortest segment', function() {
+            let [dist, shortest_segment] = ml.distanceTo(point(20, 20));
+            expect(dist).to.equal(10);
+            expect(shortest_segment.equalTo(segment(10, 20, 20, 20))).to.be.true;
+            [dist, shortest_segment] = Flatten.Distance.distance(point(20, 20), ml);
+            expect(dist).to.equal(10);
+            expect(shortest_segment.equalTo(segment(20, 20, 10, 20))).to.be.true;
+            let other = new Flatten.Multiline([segment(20, 0, 20, 30)]);
+            expect(Flatten.Distance.distance(ml, other)[0]).to.equal(10);
+            expect(Flatten.Distance.distance(square, other)[0]).to.equal(10);
+        });
+        it('Multiline may be added to planar set', function() {
+            let planarSet = new PlanarSet();
+            planarSet.add(ml);
+            planarSet.add(segment(100, 100, 110, 110));
+            expect(planarSet.search(new Box(4, 4, 6, 6))).to.deep.equal([ml]);
+            expect(planarSet.hit(point(5, 7))).to.deep.equal([ml]);
+            expect(Flatten.Distance.distance(point(0, 0), planarSet)[0]).to.equal(5);
+        });
+        it('Relations are calculated between multiline and polygon', function() {
+            expect(Flatten.Relations.relate(ml, square).toString()).to.equal('TTTFFT***');
+            expect(Flatten.Relations.intersect(ml, square)).to.be.true;
+            expect(Flatten.Relations.disjoint(ml, box(30, 30, 40, 40))).to.be.true;
+            let inner = new Flatten.Multiline([segment(1, 1, 2, 2), segment(2, 2, 3, 1)]);
+            expect(Flatten.Relations.inside(inner, square)).to.be.true;
+            let touching = new Flatten.Multiline([segment(-1, 0, -1, 5), segment(-1, 5, 0, 5)]);
+            expect(Flatten.Relations.touch(touching, square)).to.be.true;
+        });
+        it('Relations between polygon and multiline are transposed relations of multiline and polygon', function() {
+            expect(Flatten.Relations.relate(square, ml).toString()).to.equal('TF*TF*TT*');
+            expect(Flatten.Relations.intersect(square, ml)).to.be.true;
+            expect(Flatten.Relations.disjoint(box(30, 30, 40, 40), ml)).to.be.true;
+        });
+        it('Relations are calculated between multiline and segment', function() {
+            expect(Flatten.Relations.intersect(ml, segment(0, 0, 0, 30))).to.be.true;
+            expect(Flatten.Relations.intersect(segment(0, 0, 0, 30), ml)).to.be.true;
+            expect(Flatten.Relations.disjoint(ml, segment(30, 0, 30, 30))).to.be.true;
+            let denim = Flatten.Relations.relate(ml, segment(0, 5, 20, 5));
+            expect(denim.I2I.length).to.be.greaterThan(0);
+            expect(denim.I2I.some(shape => shape instanceof Flatten.Segment)).to.be.true;
+        });
+        it('Relate throws error on unsupported pair of shapes', function() {
+            expect(() => Flatten.Relations.relate(ml, ray(point(0, 0), vector(0, 1)))).to.throw(ReferenceError);
+        });
+    });
+    describe('#Flatten.Multiline parametric evaluation', function() {
+        let ml = new Flatten.Multiline([segment(0, 0, 10, 0), arc(point(10, 5), 5, -Math.PI / 2, Math.PI / 2, true)]);
+        it('Method pointAtLength walks along the edges of multiline', function() {
+            expect(ml.pointAtLength(5).equalTo(point(5, 0))).to.be.true;
+            expect(ml.pointAtLength(10 + 2.5 * Math.PI).equalTo(point(15, 5))).to.be.true;
+            expect(ml.pointAtLength(ml.length).equalTo(point(10, 10))).to.be.true;
+            expect(ml.pointAtLength(ml.length + 1)).to.be.null;
+            expect(ml.pointAtLength(-1)).to.be.null;
+            expect(new Flatten.Multiline().pointAtLength(0)).to.be.null;
+        });
+        it('Methods tangentAt, normalAt and curvatureAt', function() {
+            expect(ml.tangentAt(5).equalTo(vector(1, 0))).to.be.true;
+            expect(ml.tangentAt(10 + 2.5 * Math.PI).equalTo(vector(0, 1))).to.be.true;
+            expect(ml.normalAt(10 + 2.5 * Math.PI).equalTo(vector(-1, 0))).to.be.true;
+            expect(ml.curvatureAt(5)).to.equal(0);
+            expect(ml.curvatureAt(12)).to.equal(0.2);
+        });
+    });
 });
@@ -417,7 +417,7 @@ describe('#Flatten.Polygon', function() {
 
         let jsonPolygon = JSON.parse(string);
         let newPolygon = new Polygon();
-        for (let jsonFace of jsonPolygon) {
+        for (let jsonFace of jsonPolygon.faces) {
             newPolygon.addFace(jsonFace);
         }
 
@@ -445,7 +445,7 @@ describe('#Flatten.Polygon', function() {
 
         let jsonPolygon = JSON.parse(string);
         let newPolygon = new Polygon();
-        for (let jsonFace of jsonPolygon) {
+        for (let jsonFace of jsonPolygon.faces) {
             newPolygon.addFace(jsonFace);
         }
 
@@ -699,4 +699,42 @@ describe('#Flatten.Polygon', function() {
         });
 
     });
+    describe('#Flatten.Polygon.linearize', function() {
+        it('Replaces arcs and Bézier curves with segments', function() {
+            let polygon = new Polygon([
+                segment(0, 0, 10, 0),
+                arc(point(10, 5), 5, -Math.PI / 2, Math.PI / 2, Flatten.CCW),
+                new Flatten.Bezier(point(10, 10), point(5, 15), point(0, 10)),
+                segment(0, 10, 0, 0)
+            ]);
+            polygon.addFace(new Circle(point(5, 5), 2));
+            let linear = polygon.linearize({maxChordHeight: 0.01});
+            expect(linear.faces.size).to.equal(2);
+            expect([...linear.edges].every(edge => edge.isSegment())).to.be.true;
+            expect(linear.area()).to.be.closeTo(polygon.area(), 0.5);
+            expect([...linear.faces].map(face => face.orientation()))
+                .to.deep.equal([...polygon.faces].map(face => face.orientation()));
+            expect(polygon.edges.size).to.equal(5);
+        });
+        it('Number of segments per arc may be limited by maxSegments', function() {
+            let polygon = new Polygon([segment(0, 0, 10, 0), arc(point(5, 0), 5, 0, Math.PI, Flatten.CCW)]);
+            expect(polygon.linearize({maxSegments: 4}).edges.size).to.equal(5);
+        });
+        it('Number of segments per Bézier curve is limited by maxSegments', function() {
+            let polygon = new Polygon([
+                new Flatten.Bezier(point(10, 0), point(5, 10), point(0, 0)),
+                segment(0, 0, 10, 0)
+            ]);
+            expect(polygon.linearize({maxSegments: 3}).edges.size).to.equal(4);
+            expect(polygon.linearize({maxChordHeight: 1e-6, maxSegments: 3}).edges.size).to.equal(4);
+        });
+        it('Throws error on illegal options', function() {
+            let polygon = new Polygon([
+                new Flatten.Bezier(point(10, 0), point(5, 10), point(0, 0)),
+                segment(0, 0, 10, 0)
+            ]);
+            expect(() => polygon.linearize({maxChordHeight: 0})).to.throw(ReferenceError);
+            expect(() => polygon.linearize({maxSegments: 0})).to.throw(ReferenceError);
+        });
+    });
 });
@@ -254,4 +254,24 @@ describe('#Flatten.Segment', function() {
             expect(segment.distanceTo(circle)[0]).to.equal(2 - Math.sqrt(2));
         });
     });
+    describe('#Flatten.Segment.PointAtLength', function () {
+        let seg = segment(0, 0, 6, 8);
+        it('Method pointAtLength returns point at the given length from start', function () {
+            expect(seg.pointAtLength(5).equalTo(point(3, 4))).to.be.true;
+            expect(seg.pointAtLength(0).equalTo(seg.start)).to.be.true;
+            expect(seg.pointAtLength(10).equalTo(seg.end)).to.be.true;
+        });
+        it('Methods return null if length is out of range', function () {
+            expect(seg.pointAtLength(-1)).to.be.null;
+            expect(seg.pointAtLength(11)).to.be.null;
+            expect(seg.tangentAt(11)).to.be.null;
+            expect(seg.normalAt(-1)).to.be.null;
+            expect(seg.curvatureAt(11)).to.be.null;
+        });
+        it('Tangent and normal are unit vectors, curvature is zero', function () {
+            expect(seg.tangentAt(3).equalTo(vector(0.6, 0.8))).to.be.true;
+            expect(seg.normalAt(3).equalTo(vector(-0.8, 0.6))).to.be.true;
+            expect(seg.curvatureAt(3)).to.equal(0);
+        });
+    });
 });
@@ -7,7 +7,7 @@
 import { expect } from 'chai';
 import Flatten from '../../index';
 
-import {Point, Segment, Circle, Box, PlanarSet, Distance} from '../../index';
+import {Point, Segment, Circle, Box, PlanarSet, Distance, RTree} from '../../index';
 import {point, segment, vector, circle} from '../../index';
 
 describe('#Data_structures.PlanarSet', function() {
@@ -124,6 +124,84 @@ describe('#Data_structures.PlanarSet', function() {
         let [dist, shortest_segment] = Flatten.Distance.shape2planarSet(pt, set);
         expect(dist).to.equal(20);
     });
+    it('May find k nearest shapes sorted by distance', function () {
+        let set = new PlanarSet();
+        let segments = [];
+        for (let i = 0; i < 100; i++) {
+            let x = (i * 37) % 100;
+            let y = (i * 61) % 100;
+            let s = segment(x, y, x + 3, y + (i % 5));
+            segments.push(s);
+            set.add(s);
+        }
+        let pt = point(50, 50);
+        let expected = segments.map(s => pt.distanceTo(s)[0]).sort((d1, d2) => d1 - d2);
+
+        let nearest = set.nearest(pt, 5);
+        expect(nearest.length).to.equal(5);
+        expect(nearest.map(item => item.distance)).to.deep.equal(expected.slice(0, 5));
+        for (let {shape, distance, segment} of nearest) {
+            expect(set.has(shape)).to.be.true;
+            expect(segment.length).to.equal(distance);
+            expect(segment.start.equalTo(pt)).to.be.true;
+        }
+        expect(set.nearest(pt)[0].distance).to.equal(expected[0]);
+        expect(set.nearest(pt, 1000).length).to.equal(100);
+    });
+    it('May find shapes within given distance', function () {
+        let points = [point(100, 20), point(250, 75), point(350, 75), point(300, 270)];
+        let set = new PlanarSet();
+        points.forEach(pt => set.add(circle(pt, 50)));
+
+        let found = set.withinDistance(point(300, 200), 30);
+        expect(found.length).to.equal(1);
+        expect(found[0].shape.pc.equalTo(point(300, 270))).to.be.true;
+        expect(found[0].distance).to.equal(20);
+        let distances = set.withinDistance(point(300, 200), 100).map(item => item.distance);
+        expect(distances.length).to.equal(3);
+        expect(distances[0]).to.equal(20);
+        expect(distances[2]).to.be.closeTo(Math.sqrt(50 * 50 + 125 * 125) - 50, 1e-9);
+        expect(set.withinDistance(point(300, 200), 10)).to.deep.equal([]);
+        expect(new PlanarSet().nearest(point(0, 0), 3)).to.deep.equal([]);
+    });
+    it('Measures distance to polygon edges by their shapes', function () {
+        let polygon = new Flatten.Polygon(new Box(0, 0, 10, 10));
+        let [nearest] = polygon.edges.nearest(point(5, 12));
+        expect(nearest.shape).to.be.instanceof(Flatten.Edge);
+        expect(nearest.distance).to.equal(2);
+    });
+    it('May bulk load shapes', function () {
+        let shapes = [];
+        for (let i = 0; i < 200; i++) {
+            shapes.push(segment((i * 37) % 100, (i * 61) % 100, (i * 37) % 100 + 2, (i * 61) % 100 + 1));
+        }
+        for (let Index of [undefined, RTree]) {
+            let set = new PlanarSet(Index);
+            set.add(shapes[0]);
+            expect(set.load(shapes)).to.equal(set);
+            expect(set.size).to.equal(200);
+            expect(set.index.size).to.equal(200);
+            let query = new Box(20, 20, 50, 40);
+            expect(set.search(query)).to.have.members(shapes.filter(shape => shape.box.intersect(query)));
+        }
+    });
+    it('May be serialized to JSON and restored', function () {
+        let set = new PlanarSet();
+        set.load([point(1, 2), segment(0, 0, 3, 4), circle(point(10, 10), 2),
+            new Flatten.Arc(point(20, 0), 1, 0, Math.PI, Flatten.CCW)]);
+        let json = JSON.parse(JSON.stringify(set));
+        expect(json.name).to.equal("planarSet");
+        expect(json.shapes.length).to.equal(4);
+
+        let restored = PlanarSet.fromJSON(json, RTree);
+        expect(restored.size).to.equal(4);
+        expect(restored.index).to.be.an.instanceof(RTree);
+        expect([...restored].map(shape => shape.constructor)).to.deep.equal([Point, Segment, Circle, Flatten.Arc]);
+        expect([...restored][1].equalTo(segment(0, 0, 3, 4))).to.be.true;
+        expect(restored.search(new Box(9, 9, 11, 11))).to.deep.equal([[...restored][2]]);
+        expect(PlanarSet.fromJSON(json.shapes).size).to.equal(4);
+        expect(() => PlanarSet.fromJSON([{name: "unknown"}])).to.throw(ReferenceError);
+    });
     it('May clean planar set', function () {
 
         let points = [
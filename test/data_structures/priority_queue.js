@@ -0,0 +1,35 @@
+'use strict';
+
+import {expect} from 'chai';
+import PriorityQueue from '../../src/data_structures/priority_queue';
+
+describe('#PriorityQueue', function () {
+    it('May create new instance of PriorityQueue', function () {
+        let queue = new PriorityQueue();
+        expect(queue).to.be.an.instanceof(PriorityQueue);
+        expect(queue.isEmpty()).to.be.true;
+        expect(queue.pop()).to.be.undefined;
+    });
+    it('Pops elements in order of keys', function () {
+        let queue = new PriorityQueue();
+        let keys = [5, 3, 8, 1, 9, 2, 7, 3, 0, 6];
+        keys.forEach((key, i) => queue.push(key, `item${i}`));
+        expect(queue.size).to.equal(keys.length);
+        expect(queue.peekKey()).to.equal(0);
+
+        let popped = [];
+        while (!queue.isEmpty()) {
+            popped.push(queue.pop()[0]);
+        }
+        expect(popped).to.deep.equal([...keys].sort((a, b) => a - b));
+    });
+    it('Keeps value together with its key', function () {
+        let queue = new PriorityQueue();
+        queue.push(2, "two").push(1, "one").push(3, "three");
+        expect(queue.pop()).to.deep.equal([1, "one"]);
+        queue.push(0, "zero");
+        expect(queue.pop()).to.deep.equal([0, "zero"]);
+        expect(queue.pop()).to.deep.equal([2, "two"]);
+        expect(queue.pop()).to.deep.equal([3, "three"]);
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {RTree, PlanarSet, Polygon, ray_shoot} from '../../index';
+import {point, segment, circle, box} from '../../index';
+
+/* Pseudo-random boxes on the integer grid */
+function boxes(n) {
+    let result = [];
+    for (let i = 0; i < n; i++) {
+        let x = (i * 37) % 200;
+        let y = (i * 91) % 173;
+        result.push(box(x, y, x + i % 7, y + i % 5));
+    }
+    return result;
+}
+
+function bruteForce(keys, query) {
+    return keys.map((key, i) => i).filter(i => keys[i].intersect(query));
+}
+
+function sorted(values) {
+    return [...values].sort((a, b) => a - b);
+}
+
+describe('#Data_structures.RTree', function () {
+    it('May create new instance of RTree', function () {
+        let tree = new RTree();
+        expect(tree).to.be.an.instanceof(RTree);
+        expect(tree.isEmpty()).to.be.true;
+        expect(tree.size).to.equal(0);
+        expect(tree.search(box(0, 0, 100, 100))).to.deep.equal([]);
+    });
+    it('Search returns the same values as brute force after many inserts', function () {
+        let keys = boxes(500);
+        let tree = new RTree();
+        keys.forEach((key, i) => tree.insert(key, i));
+        expect(tree.size).to.equal(500);
+        for (let query of [box(0, 0, 20, 20), box(50, 50, 120, 60), box(190, 0, 300, 200), box(-10, -10, -1, -1)]) {
+            expect(sorted(tree.search(query))).to.deep.equal(bruteForce(keys, query));
+        }
+    });
+    it('May remove items and keep search consistent', function () {
+        let keys = boxes(300);
+        let tree = new RTree(4);
+        keys.forEach((key, i) => tree.insert(key, i));
+        for (let i = 0; i < 300; i += 2) {
+            expect(tree.remove(keys[i], i)).to.be.true;
+        }
+        expect(tree.remove(keys[0], 0)).to.be.false;
+        expect(tree.size).to.equal(150);
+        expect(tree.exist(keys[1], 1)).to.be.true;
+        expect(tree.exist(keys[2], 2)).to.be.false;
+
+        let query = box(0, 0, 100, 100);
+        expect(sorted(tree.search(query))).to.deep.equal(bruteForce(keys, query).filter(i => i % 2 === 1));
+
+        for (let i = 1; i < 300; i += 2) {
+            tree.remove(keys[i], i);
+        }
+        expect(tree.isEmpty()).to.be.true;
+        expect(tree.search(query)).to.deep.equal([]);
+    });
+    it('May bulk load items', function () {
+        let keys = boxes(1000);
+        let tree = new RTree().load(keys.map((key, i) => ({key, value: i})));
+        expect(tree.size).to.equal(1000);
+        expect(sorted(tree.values)).to.deep.equal(keys.map((key, i) => i));
+        let query = box(30, 30, 80, 90);
+        expect(sorted(tree.search(query))).to.deep.equal(bruteForce(keys, query));
+
+        tree.insert(box(1000, 1000, 1001, 1001), 1000);
+        tree.load([{key: box(2000, 2000, 2001, 2001), value: 1001}]);
+        expect(tree.size).to.equal(1002);
+        expect(tree.search(box(999, 999, 3000, 3000))).to.have.members([1000, 1001]);
+    });
+    it('May be used as index of PlanarSet', function () {
+        let set = new PlanarSet(RTree);
+        expect(set.index).to.be.an.instanceof(RTree);
+        let segments = [segment(0, 0, 10, 10), segment(20, 0, 30, 10), segment(0, 20, 10, 30)];
+        segments.forEach(s => set.add(s));
+        set.add(segments[0]);
+        expect(set.index.size).to.equal(3);
+        expect(set.search(box(5, 5, 25, 6))).to.have.members([segments[0], segments[1]]);
+        expect(set.hit(point(25, 5))).to.deep.equal([segments[1]]);
+        expect(set.nearest(point(15, 25))[0].shape).to.equal(segments[2]);
+
+        set.delete(segments[1]);
+        expect(set.search(box(5, 5, 25, 6))).to.deep.equal([segments[0]]);
+        set.clear();
+        expect(set.index).to.be.an.instanceof(RTree);
+        expect(set.index.isEmpty()).to.be.true;
+    });
+    it('Polygon keeps edges and faces in R-tree', function () {
+        let polygon = circle(point(0, 0), 10).toPolygon({maxSegments: 100});
+        expect(polygon).to.be.an.instanceof(Polygon);
+        expect(polygon.edges.index).to.be.an.instanceof(RTree);
+        expect(polygon.faces.index).to.be.an.instanceof(RTree);
+        expect(ray_shoot(polygon, point(0, 0))).to.equal(Flatten.INSIDE);
+        expect(ray_shoot(polygon, point(0, 11))).to.equal(Flatten.OUTSIDE);
+        expect(ray_shoot(polygon, point(-10, 0))).to.equal(Flatten.BOUNDARY);
+    });
+});
@@ -59,4 +59,70 @@ describe('#Flatten.DP_TOL', function() {
         expect(lineA.incidentTo(lineB)).to.be.true;
         expect(lineA.incidentTo(lineC)).to.be.false;
     })
-})
\ No newline at end of file
+})
+describe('#Flatten.Context', function() {
+    let tolerance;
+    before(function () {
+        tolerance = Flatten.DP_TOL;
+        Flatten.DP_TOL = 0.000001;
+    });
+    after(function () {
+        Flatten.DP_TOL = tolerance;
+    });
+    it('Utils.withContext sets tolerance for the call and restores global value', function () {
+        let inner = Flatten.Utils.withContext({tolerance: 0.01}, () => Flatten.DP_TOL);
+        expect(inner).to.be.equal(0.01);
+        expect(Flatten.DP_TOL).to.be.equal(0.000001);
+        expect(Flatten.Utils.withContext(undefined, () => Flatten.DP_TOL)).to.be.equal(0.000001);
+    });
+    it('Utils.withContext restores global settings when function throws', function () {
+        expect(() => Flatten.Utils.withContext({tolerance: 0.01, robust: true}, () => {
+            throw Flatten.Errors.ILLEGAL_PARAMETERS;
+        })).to.throw(ReferenceError);
+        expect(Flatten.DP_TOL).to.be.equal(0.000001);
+        expect(Flatten.ROBUST).to.be.false;
+    });
+    it('Utils.withContext may be nested, missing settings are taken from outer context', function () {
+        let [tol, robust] = Flatten.Utils.withContext({tolerance: 0.01}, () =>
+            Flatten.Utils.withContext({robust: true}, () => [Flatten.DP_TOL, Flatten.ROBUST]));
+        expect(tol).to.be.equal(0.01);
+        expect(robust).to.be.true;
+        expect(Flatten.ROBUST).to.be.false;
+    });
+    it('Polygon.contains with context', function () {
+        let polygon = new Polygon([point(10, 0), point(10, 10), point(0, 10)]);
+        let pt = point(4.9995, 4.9995);
+        expect(polygon.contains(pt)).to.be.false;
+        expect(polygon.contains(pt, {tolerance: 0.01})).to.be.true;
+        expect(polygon.contains(pt)).to.be.false;
+    });
+    it('Relations with context', function () {
+        let {intersect, disjoint, relate} = Flatten.Relations;
+        let polygon1 = new Polygon([point(0, 0), point(10, 0), point(0, 10)]);
+        let polygon2 = new Polygon([point(10, 0.0014), point(10, 10), point(0.0014, 10)]);
+        expect(intersect(polygon1, polygon2)).to.be.false;
+        expect(intersect(polygon1, polygon2, {tolerance: 0.01})).to.be.true;
+        expect(disjoint(polygon1, polygon2, {tolerance: 0.01})).to.be.false;
+        expect(relate(polygon1, polygon2, {tolerance: 0.01}).touch()).to.be.true;
+        expect(Flatten.DP_TOL).to.be.equal(0.000001);
+    });
+    it('BooleanOperations with context', function () {
+        let polygon1 = new Polygon([point(0, 0), point(10, 0), point(0, 10)]);
+        let polygon2 = new Polygon([point(10, 0.0014), point(10, 10), point(0.0014, 10)]);
+        expect(Flatten.BooleanOperations.unify(polygon1, polygon2).faces.size).to.be.equal(2);
+        let res = Flatten.BooleanOperations.unify(polygon1, polygon2, {tolerance: 0.01});
+        expect(res.faces.size).to.be.equal(1);
+        expect(Flatten.DP_TOL).to.be.equal(0.000001);
+    });
+    it('Distance.distance with context', function () {
+        /* End of the second segment is within tolerance 0.01 from the first one, so segments touch */
+        let segment1 = segment(point(0, 0), point(10, 0));
+        let segment2 = segment(point(5, 0.005), point(5, 5));
+        let [dist] = Flatten.Distance.distance(segment1, segment2);
+        expect(dist).to.be.closeTo(0.005, 1e-12);
+        let [dist_in_context, shortest_segment] = Flatten.Distance.distance(segment1, segment2, {tolerance: 0.01});
+        expect(dist_in_context).to.be.equal(0);
+        expect(shortest_segment.ps.equalTo(point(5, 0))).to.be.true;
+        expect(Flatten.DP_TOL).to.be.equal(0.000001);
+    });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {Point, Line, Ray, Box, Bezier, Multiline, Polygon, PlanarSet} from '../../index';
+import {point, vector, segment, line, ray, circle, arc, box, ellipse, ellipticalArc} from '../../index';
+import {toBinary, fromBinary} from '../../index';
+
+function restore(shape) {
+    return fromBinary(toBinary(shape));
+}
+
+describe('#Utils.Binary', function () {
+    it('Functions toBinary and fromBinary defined', function () {
+        expect(Flatten.toBinary).to.equal(toBinary);
+        expect(Flatten.fromBinary).to.equal(fromBinary);
+    });
+    it('Encodes point into header and one record', function () {
+        let buffer = toBinary(point(1, 2));
+        expect(buffer).to.be.an.instanceof(ArrayBuffer);
+        expect(buffer.byteLength).to.equal(4 + 1 + 16);
+        expect([...new Uint8Array(buffer, 0, 3)]).to.deep.equal([0x46, 0x4A, 1]);
+        let pt = fromBinary(buffer);
+        expect(pt).to.be.an.instanceof(Point);
+        expect(pt.equalTo(point(1, 2))).to.be.true;
+    });
+    it('Restores shapes exactly', function () {
+        let shapes = [
+            vector(3, -4), segment(0.1, 0.2, 10.3, 5.7), circle(point(1, 1), Math.PI),
+            arc(point(0, 0), 5, 0.3, Math.PI / 3, Flatten.CW),
+            new Bezier(point(0, 0), point(1, 2), point(3, 2), point(4, 0)),
+            ellipse(point(1, 2), 5, 3, Math.PI / 6),
+            ellipticalArc(point(1, 2), 5, 3, Math.PI / 6, 0, Math.PI, Flatten.CW)
+        ];
+        for (let shape of shapes) {
+            let restored = restore(shape);
+            expect(restored.constructor).to.equal(shape.constructor);
+            expect(restored.toJSON()).to.deep.equal(shape.toJSON());
+        }
+    });
+    it('Restores line, ray and box', function () {
+        let l = line(point(4, 0), point(0, 4));
+        let restored = restore(l);
+        expect(restored).to.be.an.instanceof(Line);
+        expect(restored.toJSON()).to.deep.equal(l.toJSON());
+        expect(restore(ray(point(1, 2), vector(0, 1)))).to.be.an.instanceof(Ray);
+        expect(restore(box(0, 1, 10, 11)).equal_to(box(0, 1, 10, 11))).to.be.true;
+        expect(restore(box(0, 1, 10, 11))).to.be.an.instanceof(Box);
+    });
+    it('Restores polygon with arcs and holes', function () {
+        let polygon = new Polygon();
+        polygon.addFace([point(0, 0), point(20, 0), point(20, 20), point(0, 20)]);
+        polygon.addFace([circle(point(10, 10), 5).toArc(Flatten.CW)]);
+        polygon.addFace([point(30, 0), point(40, 0), point(40, 10)]);
+        let restored = Polygon.fromBinary(polygon.toBinary());
+        expect(restored.faces.size).to.equal(3);
+        expect(restored.edges.size).to.equal(8);
+        expect(restored.area()).to.equal(polygon.area());
+        expect(JSON.stringify(restored)).to.equal(JSON.stringify(polygon));
+    });
+    it('Writes chained segments by end point and is more compact than json', function () {
+        let points = [];
+        for (let i = 0; i < 100; i++) {
+            points.push(point(Math.cos(i / 50 * Math.PI), Math.sin(i / 50 * Math.PI)));
+        }
+        let polygon = new Polygon(points);
+        let buffer = polygon.toBinary();
+        expect(buffer.byteLength).to.equal(4 + 1 + 4 + 4 + 33 + 99 * 17);
+        expect(buffer.byteLength).to.be.lessThan(JSON.stringify(polygon).length / 3);
+        expect(JSON.stringify(Polygon.fromBinary(buffer))).to.equal(JSON.stringify(polygon));
+    });
+    it('Restores multiline and planar set', function () {
+        let multiline = new Multiline([
+            segment(0, 0, 10, 0),
+            arc(point(10, 5), 5, -Math.PI / 2, Math.PI / 2, Flatten.CCW),
+            segment(10, 10, 0, 10)
+        ]);
+        let restored = Multiline.fromBinary(multiline.toBinary());
+        expect(restored.size).to.equal(3);
+        expect(JSON.stringify(restored)).to.equal(JSON.stringify(multiline));
+
+        let set = new PlanarSet();
+        set.add(segment(0, 0, 10, 10));
+        set.add(new Polygon(box(20, 20, 30, 30)));
+        let restoredSet = restore(set);
+        expect(restoredSet).to.be.an.instanceof(PlanarSet);
+        expect(restoredSet.size).to.equal(2);
+        expect(restoredSet.search(box(19, 19, 21, 21))[0]).to.be.an.instanceof(Polygon);
+    });
+    it('Accepts typed arrays and buffers with offset', function () {
+        let bytes = new Uint8Array(toBinary(segment(0, 0, 1, 1)));
+        let padded = new Uint8Array(bytes.length + 8);
+        padded.set(bytes, 8);
+        expect(fromBinary(bytes).equalTo(segment(0, 0, 1, 1))).to.be.true;
+        expect(fromBinary(padded.subarray(8)).equalTo(segment(0, 0, 1, 1))).to.be.true;
+    });
+    it('Throws error on illegal buffer or unsupported version', function () {
+        let bytes = new Uint8Array(toBinary(point(1, 2)));
+        expect(() => fromBinary(bytes.subarray(0, 10))).to.throw(ReferenceError);
+        expect(() => fromBinary(new Uint8Array([0, 0, 1, 0, 1]))).to.throw(ReferenceError);
+        let newer = bytes.slice();
+        newer[2] = 2;
+        expect(() => fromBinary(newer)).to.throw(ReferenceError);
+        expect(() => fromBinary("FJ")).to.throw(ReferenceError);
+        expect(() => toBinary({x: 1, y: 2})).to.throw(ReferenceError);
+        expect(() => Polygon.fromBinary(toBinary(point(1, 2)))).to.throw(ReferenceError);
+    });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {Point, Segment, Multiline, Polygon} from '../../index';
+import {point, circle, segment, arc, box} from '../../index';
+
+describe('#Utils.GeoJSON', function () {
+    it('Can export point', function () {
+        expect(point(1, 2).toGeoJSON()).to.deep.equal({type: "Point", coordinates: [1, 2]});
+    });
+    it('Can export segment as LineString', function () {
+        expect(segment(0, 0, 10, 5).toGeoJSON()).to.deep.equal({type: "LineString", coordinates: [[0, 0], [10, 5]]});
+    });
+    it('Arc is linearized with given chord height', function () {
+        let a = arc(point(0, 0), 10, 0, Math.PI / 2, Flatten.CCW);
+        let geojson = a.toGeoJSON({maxChordHeight: 0.1});
+        let coords = geojson.coordinates;
+        expect(geojson.type).to.equal("LineString");
+        expect(coords[0]).to.deep.equal([10, 0]);
+        expect(coords[coords.length - 1][0]).to.be.closeTo(0, 1e-10);
+        expect(coords[coords.length - 1][1]).to.be.closeTo(10, 1e-10);
+        for (let i = 1; i < coords.length; i++) {
+            let chord = segment(coords[i - 1][0], coords[i - 1][1], coords[i][0], coords[i][1]);
+            expect(10 - chord.middle().distanceTo(point(0, 0))[0]).to.be.at.most(0.1 + 1e-10);
+        }
+    });
+    it('Throws error when chord height is not positive', function () {
+        let a = arc(point(0, 0), 10, 0, Math.PI / 2, Flatten.CCW);
+        expect(() => a.toGeoJSON({maxChordHeight: 0})).to.throw(ReferenceError);
+        expect(() => a.toGeoJSON({maxChordHeight: -1})).to.throw(ReferenceError);
+        expect(() => new Polygon(circle(point(0, 0), 10)).toGeoJSON({maxChordHeight: 0})).to.throw(ReferenceError);
+        expect(() => new Polygon(circle(point(0, 0), 10)).toWKT({maxChordHeight: 0})).to.throw(ReferenceError);
+    });
+    it('Rectangle exported as closed counterclockwise ring', function () {
+        let geojson = box(0, 0, 10, 10).toGeoJSON();
+        expect(geojson.type).to.equal("Polygon");
+        expect(geojson.coordinates.length).to.equal(1);
+        let ring = geojson.coordinates[0];
+        expect(ring.length).to.equal(5);
+        expect(ring[0]).to.deep.equal(ring[4]);
+        let signedArea = ring.slice(1).reduce((acc, pt, i) => acc + (ring[i][0] * pt[1] - pt[0] * ring[i][1]), 0) / 2;
+        expect(signedArea).to.equal(100);
+    });
+    it('Polygon with hole and two islands exported as MultiPolygon', function () {
+        let polygon = new Polygon();
+        polygon.addFace([point(0, 0), point(100, 0), point(100, 100), point(0, 100)]);
+        polygon.addFace([point(40, 40), point(40, 60), point(60, 60), point(60, 40)]);
+        polygon.addFace(circle(point(300, 0), 10));
+        let geojson = polygon.toGeoJSON();
+        expect(geojson.type).to.equal("MultiPolygon");
+        expect(geojson.coordinates.length).to.equal(2);
+        let restored = Polygon.fromGeoJSON(geojson);
+        expect(restored.faces.size).to.equal(3);
+        expect(restored.area()).to.be.closeTo(polygon.area(), 0.5);
+    });
+    it('Holes are oriented opposite to islands when imported', function () {
+        let geojson = {
+            type: "Polygon",
+            coordinates: [
+                [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]],
+                [[2, 2], [8, 2], [8, 8], [2, 8], [2, 2]]
+            ]
+        };
+        let polygon = Polygon.fromGeoJSON(geojson);
+        let [outer, hole] = [...polygon.faces];
+        expect(outer.orientation()).to.equal(Flatten.ORIENTATION.CCW);
+        expect(hole.orientation()).to.equal(Flatten.ORIENTATION.CW);
+        expect(polygon.area()).to.equal(64);
+    });
+    it('Can import point, segment and multiline from Feature', function () {
+        expect(Point.fromGeoJSON({type: "Feature", geometry: {type: "Point", coordinates: [3, 4]}})).to.deep.equal(point(3, 4));
+        let seg = Segment.fromGeoJSON({type: "LineString", coordinates: [[0, 0], [1, 1]]});
+        expect(seg).to.deep.equal(segment(0, 0, 1, 1));
+        let ml = Multiline.fromGeoJSON({type: "LineString", coordinates: [[0, 0], [1, 1], [1, 1], [2, 0]]});
+        expect(ml.edges.length).to.equal(2);
+    });
+    it('Throws error when geometry type does not match', function () {
+        expect(() => Point.fromGeoJSON({type: "LineString", coordinates: [[0, 0], [1, 1]]})).to.throw(ReferenceError);
+        expect(() => Segment.fromGeoJSON({type: "LineString", coordinates: [[0, 0], [1, 1], [2, 0]]})).to.throw(ReferenceError);
+        expect(() => Polygon.fromGeoJSON({type: "GeometryCollection", geometries: []})).to.throw(ReferenceError);
+    });
+});
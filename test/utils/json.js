@@ -0,0 +1,109 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {Point, Vector, Segment, Line, Ray, Circle, Arc, Box, Multiline, Polygon, PlanarSet, RTree} from '../../index';
+import {point, vector, segment, line, ray, circle, arc, box} from '../../index';
+import {fromJSON} from '../../index';
+
+function restore(shape) {
+    return fromJSON(JSON.parse(JSON.stringify(shape)));
+}
+
+describe('#Utils.JSON', function () {
+    it('Function fromJSON defined', function () {
+        expect(fromJSON).to.be.a('function');
+        expect(Flatten.fromJSON).to.equal(fromJSON);
+    });
+    it('Restores basic shapes by name', function () {
+        let shapes = [
+            point(1, 2), vector(3, -4), segment(0, 0, 10, 5),
+            circle(point(1, 1), 5), arc(point(0, 0), 5, 0, Math.PI / 2, Flatten.CCW)
+        ];
+        let classes = [Point, Vector, Segment, Circle, Arc];
+        shapes.forEach((shape, i) => {
+            let restored = restore(shape);
+            expect(restored).to.be.an.instanceof(classes[i]);
+            expect(restored.toJSON()).to.deep.equal(shape.toJSON());
+        });
+    });
+    it('Restores line, ray and box', function () {
+        let l = restore(line(point(4, 0), point(0, 4)));
+        expect(l).to.be.an.instanceof(Line);
+        expect(l.contains(point(2, 2))).to.be.true;
+
+        let r = restore(ray(point(1, 2), vector(0, 1)));
+        expect(r).to.be.an.instanceof(Ray);
+        expect(r.pt.equalTo(point(1, 2))).to.be.true;
+        expect(r.norm.equalTo(vector(0, 1))).to.be.true;
+
+        let b = restore(box(0, 1, 10, 11));
+        expect(b).to.be.an.instanceof(Box);
+        expect(b.equal_to(box(0, 1, 10, 11))).to.be.true;
+    });
+    it('Restores shapes from toJSON() objects without stringify', function () {
+        let r = fromJSON(ray(point(1, 2), vector(0, 1)).toJSON());
+        expect(r).to.be.an.instanceof(Ray);
+        expect(r.pt.equalTo(point(1, 2))).to.be.true;
+        expect(r.norm.equalTo(vector(0, 1))).to.be.true;
+        expect(fromJSON(line(point(4, 0), point(0, 4)).toJSON()).contains(point(2, 2))).to.be.true;
+        expect(fromJSON(circle(point(1, 1), 5).toJSON()).pc.equalTo(point(1, 1))).to.be.true;
+    });
+    it('Restores polygon with arcs and holes', function () {
+        let polygon = new Polygon();
+        polygon.addFace([point(0, 0), point(20, 0), point(20, 20), point(0, 20)]);
+        polygon.addFace([circle(point(10, 10), 5).toArc(Flatten.CW)]);
+        let restored = restore(polygon);
+        expect(restored).to.be.an.instanceof(Polygon);
+        expect(restored.faces.size).to.equal(2);
+        expect(restored.edges.size).to.equal(5);
+        expect(restored.area()).to.be.closeTo(400 - 25 * Math.PI, 1e-9);
+        expect([...restored.edges].some(edge => edge.isArc())).to.be.true;
+        expect(restore(new Polygon()).isEmpty()).to.be.true;
+    });
+    it('Restores multiline', function () {
+        let multiline = new Multiline([
+            segment(0, 0, 10, 0),
+            arc(point(10, 5), 5, -Math.PI / 2, Math.PI / 2, Flatten.CCW)
+        ]);
+        let restored = restore(multiline);
+        expect(restored).to.be.an.instanceof(Multiline);
+        expect(restored.size).to.equal(2);
+        expect(restored.last.shape.toJSON()).to.deep.equal(multiline.last.shape.toJSON());
+    });
+    it('Restores empty multiline and empty polygon', function () {
+        let multiline = restore(new Multiline());
+        expect(multiline).to.be.an.instanceof(Multiline);
+        expect(multiline.size).to.equal(0);
+        let polygon = restore(new Polygon());
+        expect(polygon).to.be.an.instanceof(Polygon);
+        expect(polygon.isEmpty()).to.be.true;
+    });
+    it('Restores polygon and multiline from arrays written by previous versions', function () {
+        let polygon = fromJSON([[segment(0, 0, 10, 0), segment(10, 0, 0, 10), segment(0, 10, 0, 0)].map(s => s.toJSON())]);
+        expect(polygon).to.be.an.instanceof(Polygon);
+        expect(polygon.area()).to.be.closeTo(50, 1e-9);
+        let multiline = fromJSON([segment(0, 0, 10, 0).toJSON(), segment(10, 0, 10, 10).toJSON()]);
+        expect(multiline).to.be.an.instanceof(Multiline);
+        expect(multiline.size).to.equal(2);
+        expect(fromJSON([])).to.be.an.instanceof(Polygon);
+    });
+    it('Restores planar set', function () {
+        let set = new PlanarSet(RTree);
+        set.add(segment(0, 0, 10, 10));
+        set.add(circle(point(5, 5), 2));
+        let restored = restore(set);
+        expect(restored).to.be.an.instanceof(PlanarSet);
+        expect(restored.index).to.be.an.instanceof(RTree);
+        expect(restored.size).to.equal(2);
+        expect(restored.hit(point(3, 5)).length).to.equal(1);
+    });
+    it('Throws error on unknown name or illegal json', function () {
+        expect(() => fromJSON({name: "unknown"})).to.throw(ReferenceError);
+        expect(() => fromJSON(5)).to.throw(ReferenceError);
+        expect(() => fromJSON(null)).to.throw(ReferenceError);
+        expect(() => fromJSON({name: "polygon"})).to.throw(ReferenceError);
+        expect(() => fromJSON({name: "multiline", shapes: 1})).to.throw(ReferenceError);
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {Predicates, Polygon} from '../../index';
+import {point, vector, line, segment, arc} from '../../index';
+import {ray_shoot} from '../../index';
+
+const {orient2d, orientToLine, incircle} = Predicates;
+const ulp = Math.pow(2, -53);
+
+describe('#Utils.Predicates', function () {
+    it('Orientation is exact for nearly collinear points', function () {
+        /* Points (0.5 + i*ulp, 0.5 + j*ulp) lie to the left of the line y = x when j > i */
+        for (let i = 0; i < 16; i++) {
+            for (let j = 0; j < 16; j++) {
+                let orientation = orient2d(12, 12, 24, 24, 0.5 + i * ulp, 0.5 + j * ulp);
+                expect(Math.sign(orientation)).to.equal(Math.sign(j - i));
+            }
+        }
+    });
+    it('Orientation returns determinant for well separated points', function () {
+        expect(orient2d(0, 0, 10, 0, 0, 10)).to.equal(100);
+        expect(orient2d(0, 0, 0, 10, 10, 0)).to.equal(-100);
+    });
+    it('Orientation to line given by point and normal is exact', function () {
+        expect(orientToLine(0, 0, 1, 1, 1e-17, -1e-17)).to.equal(0);
+        expect(orientToLine(0.1, 0.2, 0.3, 0.7, 0.1, 0.2)).to.equal(0);
+        expect(orientToLine(0, 0, 0, 1, 5, 1e-300)).to.be.above(0);
+        expect(orientToLine(0, 0, 0, 1, 5, -1e-300)).to.be.below(0);
+    });
+    it('In circle test is exact for nearly cocircular points', function () {
+        expect(incircle(1, 0, 0, 1, -1, 0, 0, -1)).to.equal(0);
+        expect(incircle(1, 0, 0, 1, -1, 0, 0, -1 + ulp)).to.be.above(0);
+        expect(incircle(1, 0, 0, 1, -1, 0, 0, -1 - 2 * ulp)).to.be.below(0);
+        expect(incircle(1, 0, 0, 1, -1, 0, 0.5, 0.5)).to.be.above(0);
+        expect(incircle(0, 1, 1, 0, -1, 0, 0.5, 0.5)).to.be.below(0);
+    });
+    describe('#Utils.Predicates.Robust mode', function () {
+        afterEach(function () {
+            Flatten.ROBUST = false;
+        });
+        it('Robust mode is off by default and may be turned on', function () {
+            expect(Flatten.ROBUST).to.be.false;
+            Flatten.ROBUST = true;
+            expect(Flatten.Utils.isRobust()).to.be.true;
+        });
+        it('Point.leftTo tests side without tolerance', function () {
+            let l = line(point(0, 0), vector(0, 1));
+            let pt = point(5, 1e-9);
+            expect(pt.leftTo(l)).to.be.false;
+            Flatten.ROBUST = true;
+            expect(pt.leftTo(l)).to.be.true;
+            expect(point(5, 0).leftTo(l)).to.be.false;
+        });
+        it('Intersection of segments returns endpoint when segments touch', function () {
+            Flatten.ROBUST = true;
+            let ip = segment(0, 0, 10, 10).intersect(segment(5, 5, 10, 0));
+            expect(ip.length).to.equal(1);
+            expect(ip[0]).to.deep.equal(point(5, 5));
+        });
+        it('Intersection of segments crossing at small angle', function () {
+            Flatten.ROBUST = true;
+            let ip = segment(0, 0, 1000, 0.1).intersect(segment(0, 0.1, 1000, 0));
+            expect(ip.length).to.equal(1);
+            expect(ip[0].x).to.be.closeTo(500, 1e-9);
+            expect(segment(0, 0, 1000, 0).intersect(segment(0, 0.1, 1000, 0.2)).length).to.equal(0);
+        });
+        it('Intersection of collinear segments returns overlapping endpoints', function () {
+            Flatten.ROBUST = true;
+            let ip = segment(0, 0, 10, 0).intersect(segment(5, 0, 15, 0));
+            expect(ip.length).to.equal(2);
+            expect(ip).to.deep.include(point(10, 0));
+            expect(ip).to.deep.include(point(5, 0));
+        });
+        it('Ray shooting counts vertices on the ray once', function () {
+            let polygon = new Polygon([point(0, 0), point(10, 0), point(10, 5), point(5, 5), point(5, 10), point(0, 10)]);
+            Flatten.ROBUST = true;
+            expect(ray_shoot(polygon, point(2, 5))).to.equal(Flatten.INSIDE);
+            expect(ray_shoot(polygon, point(-2, 5))).to.equal(Flatten.OUTSIDE);
+            expect(ray_shoot(polygon, point(-2, 10))).to.equal(Flatten.OUTSIDE);
+            expect(ray_shoot(polygon, point(7, 5))).to.equal(Flatten.BOUNDARY);
+            expect(ray_shoot(polygon, point(7, 7))).to.equal(Flatten.OUTSIDE);
+        });
+        it('Ray shooting splits arcs into monotone pieces', function () {
+            let polygon = new Polygon();
+            polygon.addFace([
+                segment(point(5, -5), point(10, 0)),
+                arc(point(10, 5), 5, -Math.PI / 2, 0, true),
+                segment(point(15, 5), point(5, 5)),
+                segment(point(5, 5), point(5, -5))
+            ]);
+            Flatten.ROBUST = true;
+            expect(ray_shoot(polygon, point(7, 0))).to.equal(Flatten.INSIDE);
+            expect(ray_shoot(polygon, point(3, 0))).to.equal(Flatten.OUTSIDE);
+            expect(ray_shoot(polygon, point(14, 4))).to.equal(Flatten.INSIDE);
+            expect(ray_shoot(polygon, point(14, 1))).to.equal(Flatten.OUTSIDE);
+            let circle = new Polygon(Flatten.circle(point(0, 0), 5));
+            expect(ray_shoot(circle, point(0, 0))).to.equal(Flatten.INSIDE);
+            expect(ray_shoot(circle, point(-6, 5))).to.equal(Flatten.OUTSIDE);
+            expect(ray_shoot(circle, point(0, 5))).to.equal(Flatten.BOUNDARY);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {Polygon, Multiline} from '../../index';
+import {point, circle, segment, arc} from '../../index';
+
+describe('#Utils.SVGPath', function () {
+    it('Can restore polygon from svg created by Polygon.svg()', function () {
+        let polygon = new Polygon();
+        polygon.addFace([point(0, 0), point(100, 0), point(100, 100), point(0, 100)]);
+        polygon.addFace([point(40, 40), point(40, 60), point(60, 60), point(60, 40)]);
+        polygon.addFace(circle(point(300, 0), 10));
+        polygon.addFace([segment(point(-20, 200), point(20, 200)), arc(point(0, 200), 20, 0, Math.PI, Flatten.CCW)]);
+        let restored = Polygon.fromSVGPath(polygon.svg());
+        expect(restored.faces.size).to.equal(4);
+        expect(restored.edges.size).to.equal(polygon.edges.size + 1);     // full circle restored as two half circles
+        expect([...restored.edges].filter(edge => edge.isArc()).length).to.equal(3);
+        expect(restored.area()).to.be.closeTo(polygon.area(), 1e-6);
+    });
+    it('Supports relative commands, H, V and implicit lineto', function () {
+        let polygon = Polygon.fromSVGPath("M0 0 h10 v10 h-10z m20 0 l10 0 0 10 -10 0z");
+        expect(polygon.faces.size).to.equal(2);
+        let [face1, face2] = [...polygon.faces];
+        expect(face1.box).to.deep.equal(new Flatten.Box(0, 0, 10, 10));
+        expect(face2.box).to.deep.equal(new Flatten.Box(20, 0, 30, 10));
+    });
+    it('Not closed subpath is closed by segment', function () {
+        let polygon = Polygon.fromSVGPath("M0,0 L10,0 L10,10");
+        expect(polygon.edges.size).to.equal(3);
+        expect(polygon.area()).to.equal(50);
+    });
+    it('Elliptical arc with equal radii converted into arc', function () {
+        let ml = Multiline.fromSVGPath("M0,0 a5,5 0 1,1 10,0 l5,0");
+        let shapes = ml.toShapes();
+        expect(shapes.length).to.equal(2);
+        expect(shapes[0]).to.be.an.instanceof(Flatten.Arc);
+        expect(shapes[0].pc.equalTo(point(5, 0))).to.be.true;
+        expect(shapes[0].counterClockwise).to.equal(Flatten.CCW);
+        expect(shapes[0].length).to.be.closeTo(5 * Math.PI, 1e-10);
+        expect(shapes[1].end).to.deep.equal(point(15, 0));
+    });
+    it('Radii of arc are scaled up when too small', function () {
+        let ml = Multiline.fromSVGPath("M0,0 A1,1 0 0,0 10,0");
+        let shape = ml.toShapes()[0];
+        expect(shape.r).to.be.closeTo(5, 1e-10);
+        expect(shape.counterClockwise).to.equal(Flatten.CW);
+    });
+    it('Bézier curves and elliptical arcs are linearized within tolerance', function () {
+        let polygon = Polygon.fromSVGPath("M0,0 C0,10 10,10 10,0 Z", {maxChordHeight: 0.01});
+        expect([...polygon.edges].every(edge => edge.isSegment())).to.be.true;
+        expect(polygon.area()).to.be.closeTo(60, 0.1);
+
+        let ellipse = Polygon.fromSVGPath("M-20,0 A20,10 0 0,1 20,0 A20,10 0 0,1 -20,0 Z", {maxChordHeight: 0.01});
+        expect(ellipse.area()).to.be.closeTo(Math.PI * 200, 1);
+    });
+    it('Throws error when chord height is not positive', function () {
+        expect(() => Polygon.fromSVGPath("M-20,0 A20,10 0 0,1 20,0 Z", {maxChordHeight: 0})).to.throw(ReferenceError);
+        expect(() => Polygon.fromSVGPath("M0,0 C0,10 10,10 10,0 Z", {maxChordHeight: 0})).to.throw(ReferenceError);
+        expect(() => Polygon.fromSVGPath("M0,0 C0,10 10,10 10,0 Z", {maxChordHeight: -1})).to.throw(ReferenceError);
+    });
+    it('Straight Bézier curve is linearized by one segment', function () {
+        let ml = Multiline.fromSVGPath("M0,0 C1,1 2,2 3,3");
+        expect(ml.size).to.equal(1);
+    });
+    it('Smooth curve commands reflect previous control point', function () {
+        let ml1 = Multiline.fromSVGPath("M0,0 Q5,10 10,0 T20,0");
+        let ml2 = Multiline.fromSVGPath("M0,0 Q5,10 10,0 Q15,-10 20,0");
+        expect(ml1.toShapes()).to.deep.equal(ml2.toShapes());
+    });
+    it('Throws error on malformed path data', function () {
+        expect(() => Polygon.fromSVGPath("L0 0 10 10")).to.throw(ReferenceError);
+        expect(() => Polygon.fromSVGPath("M0 0 L10")).to.throw(ReferenceError);
+        expect(() => Multiline.fromSVGPath("M0 0 L10 0 M20 0 L30 0")).to.throw(ReferenceError);
+    });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+import {expect} from 'chai';
+import Flatten from '../../index';
+
+import {Point, Segment, Multiline, Polygon} from '../../index';
+import {point, circle, segment, arc} from '../../index';
+
+describe('#Utils.WKT', function () {
+    it('Can export point and segment', function () {
+        expect(point(1, 2).toWKT()).to.equal("POINT (1 2)");
+        expect(segment(0, 0, 10, 5).toWKT()).to.equal("LINESTRING (0 0, 10 5)");
+    });
+    it('Can export polygon with hole', function () {
+        let polygon = new Polygon();
+        polygon.addFace([point(0, 0), point(10, 0), point(10, 10), point(0, 10)]);
+        polygon.addFace([point(2, 2), point(2, 8), point(8, 8), point(8, 2)]);
+        expect(polygon.toWKT()).to.equal("POLYGON ((0 0, 10 0, 10 10, 0 10, 0 0), (2 2, 2 8, 8 8, 8 2, 2 2))");
+        expect(new Polygon().toWKT()).to.equal("POLYGON EMPTY");
+    });
+    it('Can export multiline with arc as COMPOUNDCURVE', function () {
+        let ml = new Multiline([
+            segment(point(0, 0), point(10, 0)),
+            arc(point(10, 5), 5, -Math.PI / 2, Math.PI / 2, Flatten.CCW),
+            segment(point(10, 10), point(0, 10))
+        ]);
+        expect(ml.toWKT({curves: true})).to.equal("COMPOUNDCURVE ((0 0, 10 0), CIRCULARSTRING (10 0, 15 5, 10 10), (10 10, 0 10))");
+        expect(ml.toWKT().startsWith("LINESTRING (0 0, 10 0, ")).to.be.true;
+    });
+    it('Can export multiline with elliptical arc linearized like its toSegments()', function () {
+        let a = new Flatten.EllipticalArc(point(0, 0), 4, 2, 0, 0, Math.PI, Flatten.CCW);
+        let ml = new Multiline([a, segment(a.end, point(-4, -5))]);
+        let segments = a.toSegments({maxChordHeight: 0.1});
+        let wkt = ml.toWKT({maxChordHeight: 0.1});
+        expect(wkt.startsWith("LINESTRING (4 0, ")).to.be.true;
+        expect(wkt.split(",").length).to.equal(segments.length + 2);
+        expect(ml.toWKT({curves: true, maxChordHeight: 0.1})).to.equal(wkt);
+    });
+    it('Arcs restored from CIRCULARSTRING without loss of precision', function () {
+        let ml = Multiline.fromWKT("COMPOUNDCURVE ((0 0, 10 0), CIRCULARSTRING (10 0, 15 5, 10 10), (10 10, 0 10))");
+        let shapes = ml.toShapes();
+        expect(shapes.length).to.equal(3);
+        expect(shapes[1]).to.be.an.instanceof(Flatten.Arc);
+        expect(shapes[1].pc.equalTo(point(10, 5))).to.be.true;
+        expect(shapes[1].r).to.be.closeTo(5, 1e-10);
+        expect(shapes[1].counterClockwise).to.equal(Flatten.CCW);
+        expect(shapes[1].sweep).to.be.closeTo(Math.PI, 1e-10);
+    });
+    it('Circle exported as CURVEPOLYGON and restored', function () {
+        let polygon = new Polygon(circle(point(300, 0), 10));
+        let wkt = polygon.toWKT({curves: true});
+        expect(wkt.startsWith("CURVEPOLYGON (CIRCULARSTRING (")).to.be.true;
+        let restored = Polygon.fromWKT(wkt);
+        expect(restored.area()).to.be.closeTo(Math.PI * 100, 1e-6);
+        expect([...restored.edges].every(edge => edge.isArc())).to.be.true;
+    });
+    it('Full circle may be defined by CIRCULARSTRING with three points', function () {
+        let ml = Multiline.fromWKT("CIRCULARSTRING (0 0, 2 0, 0 0)");
+        expect(ml.toShapes()[0].length).to.be.closeTo(2 * Math.PI, 1e-10);
+    });
+    it('Can import multipolygon and ignore Z coordinates', function () {
+        let polygon = Polygon.fromWKT("MULTIPOLYGON Z (((0 0 1, 0 10 1, 10 10 1, 10 0 1, 0 0 1)), ((20 0 0, 30 0 0, 30 10 0, 20 0 0)))");
+        expect(polygon.faces.size).to.equal(2);
+        expect(polygon.area()).to.equal(150);
+        for (let face of polygon.faces) {
+            expect(face.orientation()).to.equal(Flatten.ORIENTATION.CCW);
+        }
+    });
+    it('Can import point and segment', function () {
+        expect(Point.fromWKT("POINT (3.5 -4e2)")).to.deep.equal(point(3.5, -400));
+        expect(Segment.fromWKT("LINESTRING (0 0, 1 1)")).to.deep.equal(segment(0, 0, 1, 1));
+    });
+    it('Throws error on malformed or mismatched WKT', function () {
+        expect(() => Polygon.fromWKT("POLYGON ((0 0, 1 0, 1 1)")).to.throw(ReferenceError);
+        expect(() => Polygon.fromWKT("TRIANGLE ((0 0, 1 0, 1 1, 0 0))")).to.throw(ReferenceError);
+        expect(() => Point.fromWKT("LINESTRING (0 0, 1 1)")).to.throw(ReferenceError);
+    });
+});